@@ -12,23 +12,90 @@
  */
 class WebThreeDee {
     /**
-     * @param {string} canvasId The ID of the canvas element to render to.
+     * @param {string|HTMLCanvasElement|OffscreenCanvas|WebGL2RenderingContext} [target='canvas'] What to render to:
+     *     the ID of a canvas element, a canvas element, an OffscreenCanvas, or an already-created WebGL2 context.
+     * @param {object} [options={}] - Instance options.
+     * @param {boolean} [options.autoResize] - Whether to keep the canvas the size of the window.
+     *     Defaults to true for canvas elements in a page, false otherwise.
+     * @param {boolean} [options.controls] - Whether to attach the default camera controls, a FlyController.
+     *     Defaults to true for canvas elements in a page, false otherwise.
+     * @param {boolean} [options.input=true] - Whether the InputService listens for input at all. When false,
+     *     nothing is added to the page until inputService.attach() is called, and there are no default controls.
+     * @param {boolean} [options.autoStart=true] - Whether to start the render loop immediately.
+     * @param {object} [options.contextAttributes] - Attributes passed to getContext when creating the context.
+     * @param {boolean} [options.instancing=true] - Whether to draw shapes that share geometry with GPU instancing.
+     * @param {boolean} [options.staticBatching=true] - Whether to merge anchored parts into static batches.
+     * @param {boolean} [options.frustumCulling=true] - Whether to skip drawing shapes that are out of view.
      */
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        this.gl = this.canvas.getContext('webgl2');
+    constructor(target = 'canvas', options = {}) {
+        if (typeof target === 'string') {
+            this.canvas = document.getElementById(target);
+            if (!this.canvas) {
+                throw new Error('No canvas found with id "' + target + '"');
+            }
+            this.gl = this.canvas.getContext('webgl2', options.contextAttributes);
+        } else if (typeof target.getContext === 'function') {
+            this.canvas = target;
+            this.gl = this.canvas.getContext('webgl2', options.contextAttributes);
+        } else {
+            this.gl = target;
+            this.canvas = target.canvas || null;
+        }
+        
+        if (!this.gl || typeof this.gl.createVertexArray !== 'function') {
+            throw new Error('WebGL2 not supported');
+        }
+        
+        const inPage = typeof HTMLCanvasElement !== 'undefined' && this.canvas instanceof HTMLCanvasElement;
+        this.autoResize = options.autoResize !== undefined ? options.autoResize : inPage;
+        this.frameRequest = null;
+        /** @private */
+        this.resizeHandler = null;
+        
         this.shapes = [];
+        this.scene = new Model({ name: 'Scene' });
         this.camera = new Camera();
         this.materialService = new MaterialService();
         this.partsService = new PartsService(this);
+        this.lightingService = new LightingService();
+        this.physicsService = new PhysicsService(this);
+        this.tweenService = new TweenService(this);
+        this.inputService = new InputService(this, { attach: options.input !== false });
+        this.postProcessingService = new PostProcessingService(this);
+        /**
+         * Whether opaque shapes with the same geometry are drawn together with GPU instancing.
+         * @type {boolean}
+         */
+        this.instancing = options.instancing !== false;
+        /**
+         * Whether anchored parts that aren't changing are merged into static batches.
+         * @type {boolean}
+         */
+        this.staticBatching = options.staticBatching !== false;
+        /**
+         * Whether shapes outside the camera's view are skipped when drawing.
+         * @type {boolean}
+         */
+        this.frustumCulling = options.frustumCulling !== false;
+        /** @private */
+        this.renderBatcher = new RenderBatcher(this);
+        /** Fires every frame before anything moves or is drawn, with the frame time in seconds. */
+        this.renderStepped = new Signal();
+        /** Fires every frame after it has been drawn, with the frame time in seconds. */
+        this.heartbeat = new Signal();
+        /** Whether the game is paused. See pause(). */
+        this.paused = false;
         
-        if (!this.gl) {
-            throw new Error('WebGL2 not supported');
-        }
+        /** What moves the camera. See setCameraController. */
+        this.cameraController = null;
         
         this.init();
-        this.setupEventListeners();
-        this.render();
+        if (options.controls !== undefined ? options.controls : inPage && options.input !== false) {
+            this.setCameraController(new FlyController(this));
+        }
+        if (options.autoStart !== false) {
+            this.start();
+        }
     }
     
     /**
@@ -44,7 +111,10 @@ class WebThreeDee {
         // Setup shaders
         this.setupShaders();
         
-        window.addEventListener('resize', () => this.resizeCanvas());
+        if (this.autoResize) {
+            this.resizeHandler = () => this.resizeCanvas();
+            window.addEventListener('resize', this.resizeHandler);
+        }
     }
     
     /**
@@ -53,63 +123,321 @@ class WebThreeDee {
      */
     setupShaders() {
         const vertexShaderSource = `#version 300 es
-            in vec3 a_position;
-            in vec3 a_normal;
+            layout(location = 0) in vec3 a_position;
+            layout(location = 1) in vec3 a_normal;
+            layout(location = 2) in vec2 a_uv;
+            
+            // Per-instance values for instanced and batched drawing, see RenderBatcher
+            layout(location = 3) in mat4 a_instanceMatrix;
+            layout(location = 7) in vec4 a_instanceColor;
+            layout(location = 8) in vec3 a_instanceEmissive;
+            layout(location = 9) in vec4 a_instanceMaterial;
             
             uniform mat4 u_modelMatrix;
             uniform mat4 u_viewMatrix;
             uniform mat4 u_projectionMatrix;
             uniform mat4 u_normalMatrix;
+            uniform vec4 u_uvTransform;
+            uniform bool u_instanced;
+            
+            uniform vec3 u_color;
+            uniform float u_opacity;
+            uniform float u_shininess;
+            uniform vec3 u_emissive;
+            uniform float u_metallic;
+            uniform float u_roughness;
+            uniform float u_reflectance;
             
             out vec3 v_normal;
             out vec3 v_position;
+            out vec2 v_uv;
+            // Color and opacity, emissive, and shininess, metallic, roughness and reflectance
+            flat out vec4 v_color;
+            flat out vec3 v_emissive;
+            flat out vec4 v_material;
             
             void main() {
-                vec4 worldPosition = u_modelMatrix * vec4(a_position, 1.0);
+                mat4 modelMatrix = u_modelMatrix;
+                mat3 normalMatrix = mat3(u_normalMatrix);
+                if (u_instanced) {
+                    modelMatrix = a_instanceMatrix;
+                    normalMatrix = transpose(inverse(mat3(a_instanceMatrix)));
+                    v_color = a_instanceColor;
+                    v_emissive = a_instanceEmissive;
+                    v_material = a_instanceMaterial;
+                } else {
+                    v_color = vec4(u_color, u_opacity);
+                    v_emissive = u_emissive;
+                    v_material = vec4(u_shininess, u_metallic, u_roughness, u_reflectance);
+                }
+                vec4 worldPosition = modelMatrix * vec4(a_position, 1.0);
                 v_position = worldPosition.xyz;
-                v_normal = normalize((u_normalMatrix * vec4(a_normal, 0.0)).xyz);
+                v_uv = a_uv * u_uvTransform.xy + u_uvTransform.zw;
+                v_normal = normalize(normalMatrix * a_normal);
                 gl_Position = u_projectionMatrix * u_viewMatrix * worldPosition;
             }
         `;
         
         const fragmentShaderSource = `#version 300 es
-            precision mediump float;
+            precision highp float;
+            
+            #define MAX_LIGHTS ${LightingService.MAX_LIGHTS}
+            #define LIGHT_DIRECTIONAL 0
+            #define LIGHT_POINT 1
+            #define LIGHT_SPOT 2
+            #define PI 3.14159265359
             
             in vec3 v_normal;
             in vec3 v_position;
+            in vec2 v_uv;
+            flat in vec4 v_color;
+            flat in vec3 v_emissive;
+            flat in vec4 v_material;
             
-            uniform vec3 u_color;
-            uniform float u_shininess;
-            uniform bool u_mirror;
-            uniform vec3 u_lightPos;
+            uniform sampler2D u_map;
+            uniform sampler2D u_normalMap;
+            uniform sampler2D u_roughnessMap;
+            uniform sampler2D u_emissiveMap;
+            uniform bool u_hasMap;
+            uniform bool u_hasNormalMap;
+            uniform bool u_hasRoughnessMap;
+            uniform bool u_hasEmissiveMap;
+            uniform sampler2D u_metallicMap;
+            uniform sampler2D u_aoMap;
+            uniform bool u_hasMetallicMap;
+            uniform bool u_hasAoMap;
+            uniform bool u_pbr;
+            uniform bool u_hasEnvMap;
+            uniform samplerCube u_envMap;
+            uniform float u_envMapLevels;
             uniform vec3 u_viewPos;
             
+            uniform highp sampler2DShadow u_shadowMap;
+            uniform mat4 u_lightSpaceMatrix;
+            uniform int u_shadowLightIndex;
+            uniform float u_shadowBias;
+            uniform bool u_receiveShadow;
+            
+            uniform vec3 u_ambientColor;
+            uniform int u_lightCount;
+            uniform int u_lightType[MAX_LIGHTS];
+            uniform vec3 u_lightPosition[MAX_LIGHTS];
+            uniform vec3 u_lightDirection[MAX_LIGHTS];
+            uniform vec3 u_lightColor[MAX_LIGHTS];
+            uniform float u_lightRange[MAX_LIGHTS];
+            uniform vec3 u_lightAttenuation[MAX_LIGHTS];
+            uniform vec2 u_lightCone[MAX_LIGHTS];
+            
             out vec4 fragColor;
             
-            void main() {
-                vec3 normal = normalize(v_normal);
-                vec3 lightDir = normalize(u_lightPos - v_position);
-                vec3 viewDir = normalize(u_viewPos - v_position);
+            // Fraction of light reaching this fragment from the shadow-casting light,
+            // averaged over a 3x3 PCF kernel
+            float shadowFactor(vec3 normal, vec3 lightDir) {
+                vec4 lightSpacePos = u_lightSpaceMatrix * vec4(v_position, 1.0);
+                vec3 coords = lightSpacePos.xyz / lightSpacePos.w * 0.5 + 0.5;
+                if (coords.z > 1.0 || any(lessThan(coords.xy, vec2(0.0))) || any(greaterThan(coords.xy, vec2(1.0)))) {
+                    return 1.0;
+                }
                 
-                // Ambient
-                vec3 ambient = 0.1 * u_color;
+                // Slope-scaled bias to avoid shadow acne on surfaces at grazing angles
+                float bias = max(u_shadowBias * (1.0 - dot(normal, lightDir)), u_shadowBias * 0.1);
+                vec2 texelSize = 1.0 / vec2(textureSize(u_shadowMap, 0));
+                float lit = 0.0;
+                for (int x = -1; x <= 1; x++) {
+                    for (int y = -1; y <= 1; y++) {
+                        lit += texture(u_shadowMap, vec3(coords.xy + vec2(x, y) * texelSize, coords.z - bias));
+                    }
+                }
+                return lit / 9.0;
+            }
+            
+            // Perturbs the surface normal with a tangent-space normal map. The tangent
+            // frame is derived from screen-space derivatives, so no tangents are needed.
+            vec3 perturbNormal(vec3 normal) {
+                vec3 dp1 = dFdx(v_position);
+                vec3 dp2 = dFdy(v_position);
+                vec2 duv1 = dFdx(v_uv);
+                vec2 duv2 = dFdy(v_uv);
+                
+                vec3 dp2perp = cross(dp2, normal);
+                vec3 dp1perp = cross(normal, dp1);
+                vec3 tangent = dp2perp * duv1.x + dp1perp * duv2.x;
+                vec3 bitangent = dp2perp * duv1.y + dp1perp * duv2.y;
+                float invmax = inversesqrt(max(dot(tangent, tangent), dot(bitangent, bitangent)));
+                
+                vec3 mapped = texture(u_normalMap, v_uv).xyz * 2.0 - 1.0;
+                return normalize(mat3(tangent * invmax, bitangent * invmax, normal) * mapped);
+            }
+            
+            // Simple sky gradient reflected when no environment map is available
+            vec3 skyColor(vec3 direction) {
+                float up = direction.y;
+                vec3 horizon = vec3(0.8, 0.9, 1.0);
+                return up > 0.0
+                    ? mix(horizon, vec3(0.35, 0.55, 0.9), up)
+                    : mix(horizon, vec3(0.25, 0.22, 0.2), min(-up * 4.0, 1.0));
+            }
+            
+            // Finds the direction to light i and how much of its color reaches this fragment
+            float lightAttenuation(int i, vec3 normal, out vec3 lightDir) {
+                float attenuation = 1.0;
+                if (u_lightType[i] == LIGHT_DIRECTIONAL) {
+                    lightDir = normalize(-u_lightDirection[i]);
+                } else {
+                    vec3 toLight = u_lightPosition[i] - v_position;
+                    float dist = length(toLight);
+                    lightDir = toLight / dist;
+                    
+                    vec3 k = u_lightAttenuation[i];
+                    attenuation = 1.0 / max(k.x + k.y * dist + k.z * dist * dist, 0.0001);
+                    if (u_lightRange[i] > 0.0) {
+                        // Fade smoothly to zero at the edge of the range
+                        float falloff = clamp(1.0 - pow(dist / u_lightRange[i], 4.0), 0.0, 1.0);
+                        attenuation *= falloff * falloff;
+                    }
+                    if (u_lightType[i] == LIGHT_SPOT) {
+                        float cosAngle = dot(-lightDir, normalize(u_lightDirection[i]));
+                        attenuation *= smoothstep(u_lightCone[i].y, u_lightCone[i].x, cosAngle);
+                    }
+                }
+                if (i == u_shadowLightIndex && u_receiveShadow) {
+                    attenuation *= shadowFactor(normal, lightDir);
+                }
+                return attenuation;
+            }
+            
+            // Samples the environment, blurrier for rougher surfaces
+            vec3 environmentColor(vec3 direction, float roughness) {
+                return u_hasEnvMap
+                    ? textureLod(u_envMap, direction, roughness * u_envMapLevels).rgb
+                    : skyColor(direction);
+            }
+            
+            // Classic model: Phong lighting with an optional environment reflection
+            vec3 shadeLegacy(vec3 normal, vec3 viewDir, vec3 albedo, float ao) {
+                float shininess = v_material.x;
+                if (u_hasRoughnessMap) {
+                    // Roughness is read from the green channel, as glTF packs it
+                    shininess *= 1.0 - texture(u_roughnessMap, v_uv).g;
+                }
                 
-                // Diffuse
-                float diff = max(dot(normal, lightDir), 0.0);
-                vec3 diffuse = diff * u_color;
+                // Ambient
+                vec3 ambient = u_ambientColor * albedo * ao;
                 
-                // Specular
-                vec3 reflectDir = reflect(-lightDir, normal);
-                float spec = pow(max(dot(viewDir, reflectDir), 0.0), u_shininess * 128.0);
-                vec3 specular = spec * vec3(1.0);
+                vec3 diffuse = vec3(0.0);
+                vec3 specular = vec3(0.0);
+                for (int i = 0; i < MAX_LIGHTS; i++) {
+                    if (i >= u_lightCount) {
+                        break;
+                    }
+                    vec3 lightDir;
+                    float attenuation = lightAttenuation(i, normal, lightDir);
+                    
+                    // Diffuse
+                    float diff = max(dot(normal, lightDir), 0.0);
+                    diffuse += diff * albedo * u_lightColor[i] * attenuation;
+                    
+                    // Specular
+                    vec3 reflectDir = reflect(-lightDir, normal);
+                    float spec = pow(max(dot(viewDir, reflectDir), 0.0), max(shininess * 128.0, 1.0));
+                    specular += spec * u_lightColor[i] * attenuation;
+                }
                 
                 vec3 result = ambient + diffuse + specular;
                 
-                if (u_mirror) {
-                    result = mix(result, vec3(0.8, 0.9, 1.0), 0.3);
+                float reflectance = v_material.w;
+                if (reflectance > 0.0) {
+                    vec3 reflected = reflect(-viewDir, normal);
+                    vec3 environment = environmentColor(reflected, 0.0);
+                    // Schlick's approximation: surfaces reflect more at grazing angles
+                    float fresnel = pow(1.0 - max(dot(normal, viewDir), 0.0), 5.0);
+                    float amount = reflectance + (1.0 - reflectance) * fresnel * reflectance;
+                    result = mix(result, environment, clamp(amount, 0.0, 1.0));
+                }
+                return result;
+            }
+            
+            // Physically based model: Cook-Torrance specular with a GGX distribution,
+            // Smith geometry term and Schlick Fresnel, plus image-based ambient light
+            vec3 shadePBR(vec3 normal, vec3 viewDir, vec3 albedo, float ao) {
+                float roughness = v_material.z;
+                float metallic = v_material.y;
+                if (u_hasRoughnessMap) {
+                    roughness *= texture(u_roughnessMap, v_uv).g;
+                }
+                if (u_hasMetallicMap) {
+                    metallic *= texture(u_metallicMap, v_uv).b;
+                }
+                roughness = clamp(roughness, 0.04, 1.0);
+                
+                vec3 f0 = mix(vec3(0.04), albedo, metallic);
+                float NdotV = max(dot(normal, viewDir), 0.0001);
+                float alpha = roughness * roughness;
+                float alpha2 = alpha * alpha;
+                float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+                
+                vec3 lit = vec3(0.0);
+                for (int i = 0; i < MAX_LIGHTS; i++) {
+                    if (i >= u_lightCount) {
+                        break;
+                    }
+                    vec3 lightDir;
+                    float attenuation = lightAttenuation(i, normal, lightDir);
+                    float NdotL = max(dot(normal, lightDir), 0.0);
+                    if (NdotL <= 0.0 || attenuation <= 0.0) {
+                        continue;
+                    }
+                    
+                    vec3 halfway = normalize(viewDir + lightDir);
+                    float NdotH = max(dot(normal, halfway), 0.0);
+                    float denom = NdotH * NdotH * (alpha2 - 1.0) + 1.0;
+                    float distribution = alpha2 / (PI * denom * denom);
+                    float geometry = (NdotV / (NdotV * (1.0 - k) + k)) * (NdotL / (NdotL * (1.0 - k) + k));
+                    vec3 fresnel = f0 + (1.0 - f0) * pow(1.0 - max(dot(halfway, viewDir), 0.0), 5.0);
+                    
+                    vec3 specular = distribution * geometry * fresnel / (4.0 * NdotV * NdotL);
+                    vec3 diffuse = (1.0 - fresnel) * (1.0 - metallic) * albedo / PI;
+                    // Light colors are treated as the brightness of a white surface facing the light
+                    lit += (diffuse + specular) * u_lightColor[i] * attenuation * NdotL * PI;
+                }
+                
+                // Image-based ambient light: diffuse from the ambient color, specular from the environment
+                vec3 fresnelAmbient = f0 + (max(vec3(1.0 - roughness), f0) - f0) * pow(1.0 - NdotV, 5.0);
+                vec3 ambientDiffuse = (1.0 - fresnelAmbient) * (1.0 - metallic) * albedo * u_ambientColor;
+                vec3 ambientSpecular = fresnelAmbient * environmentColor(reflect(-viewDir, normal), roughness);
+                return lit + (ambientDiffuse + ambientSpecular) * ao;
+            }
+            
+            void main() {
+                vec3 normal = normalize(v_normal);
+                if (u_hasNormalMap) {
+                    normal = perturbNormal(normal);
+                }
+                vec3 viewDir = normalize(u_viewPos - v_position);
+                
+                vec3 albedo = v_color.rgb;
+                float opacity = v_color.a;
+                if (u_hasMap) {
+                    vec4 texel = texture(u_map, v_uv);
+                    albedo *= texel.rgb;
+                    opacity *= texel.a;
+                }
+                float ao = 1.0;
+                if (u_hasAoMap) {
+                    // Occlusion is read from the red channel, as glTF packs it
+                    ao = texture(u_aoMap, v_uv).r;
                 }
+                vec3 emissive = v_emissive;
+                if (u_hasEmissiveMap) {
+                    emissive *= texture(u_emissiveMap, v_uv).rgb;
+                }
+                
+                vec3 result = u_pbr
+                    ? shadePBR(normal, viewDir, albedo, ao)
+                    : shadeLegacy(normal, viewDir, albedo, ao);
+                result += emissive;
                 
-                fragColor = vec4(result, 1.0);
+                fragColor = vec4(result, opacity);
             }
         `;
         
@@ -123,11 +451,143 @@ class WebThreeDee {
             projectionMatrix: this.gl.getUniformLocation(this.program, 'u_projectionMatrix'),
             normalMatrix: this.gl.getUniformLocation(this.program, 'u_normalMatrix'),
             color: this.gl.getUniformLocation(this.program, 'u_color'),
+            opacity: this.gl.getUniformLocation(this.program, 'u_opacity'),
             shininess: this.gl.getUniformLocation(this.program, 'u_shininess'),
-            mirror: this.gl.getUniformLocation(this.program, 'u_mirror'),
-            lightPos: this.gl.getUniformLocation(this.program, 'u_lightPos'),
-            viewPos: this.gl.getUniformLocation(this.program, 'u_viewPos')
+            emissive: this.gl.getUniformLocation(this.program, 'u_emissive'),
+            uvTransform: this.gl.getUniformLocation(this.program, 'u_uvTransform'),
+            map: this.gl.getUniformLocation(this.program, 'u_map'),
+            normalMap: this.gl.getUniformLocation(this.program, 'u_normalMap'),
+            roughnessMap: this.gl.getUniformLocation(this.program, 'u_roughnessMap'),
+            emissiveMap: this.gl.getUniformLocation(this.program, 'u_emissiveMap'),
+            hasMap: this.gl.getUniformLocation(this.program, 'u_hasMap'),
+            hasNormalMap: this.gl.getUniformLocation(this.program, 'u_hasNormalMap'),
+            hasRoughnessMap: this.gl.getUniformLocation(this.program, 'u_hasRoughnessMap'),
+            hasEmissiveMap: this.gl.getUniformLocation(this.program, 'u_hasEmissiveMap'),
+            metallicMap: this.gl.getUniformLocation(this.program, 'u_metallicMap'),
+            aoMap: this.gl.getUniformLocation(this.program, 'u_aoMap'),
+            hasMetallicMap: this.gl.getUniformLocation(this.program, 'u_hasMetallicMap'),
+            hasAoMap: this.gl.getUniformLocation(this.program, 'u_hasAoMap'),
+            pbr: this.gl.getUniformLocation(this.program, 'u_pbr'),
+            metallic: this.gl.getUniformLocation(this.program, 'u_metallic'),
+            roughness: this.gl.getUniformLocation(this.program, 'u_roughness'),
+            reflectance: this.gl.getUniformLocation(this.program, 'u_reflectance'),
+            hasEnvMap: this.gl.getUniformLocation(this.program, 'u_hasEnvMap'),
+            envMap: this.gl.getUniformLocation(this.program, 'u_envMap'),
+            envMapLevels: this.gl.getUniformLocation(this.program, 'u_envMapLevels'),
+            viewPos: this.gl.getUniformLocation(this.program, 'u_viewPos'),
+            ambientColor: this.gl.getUniformLocation(this.program, 'u_ambientColor'),
+            lightCount: this.gl.getUniformLocation(this.program, 'u_lightCount'),
+            lightType: this.gl.getUniformLocation(this.program, 'u_lightType'),
+            lightPosition: this.gl.getUniformLocation(this.program, 'u_lightPosition'),
+            lightDirection: this.gl.getUniformLocation(this.program, 'u_lightDirection'),
+            lightColor: this.gl.getUniformLocation(this.program, 'u_lightColor'),
+            lightRange: this.gl.getUniformLocation(this.program, 'u_lightRange'),
+            lightAttenuation: this.gl.getUniformLocation(this.program, 'u_lightAttenuation'),
+            lightCone: this.gl.getUniformLocation(this.program, 'u_lightCone'),
+            shadowMap: this.gl.getUniformLocation(this.program, 'u_shadowMap'),
+            lightSpaceMatrix: this.gl.getUniformLocation(this.program, 'u_lightSpaceMatrix'),
+            shadowLightIndex: this.gl.getUniformLocation(this.program, 'u_shadowLightIndex'),
+            shadowBias: this.gl.getUniformLocation(this.program, 'u_shadowBias'),
+            receiveShadow: this.gl.getUniformLocation(this.program, 'u_receiveShadow'),
+            instanced: this.gl.getUniformLocation(this.program, 'u_instanced')
+        };
+        
+        // Depth-only program for rendering shadow maps from a light's point of view
+        const depthVertexSource = `#version 300 es
+            layout(location = 0) in vec3 a_position;
+            layout(location = 3) in mat4 a_instanceMatrix;
+            
+            uniform mat4 u_modelMatrix;
+            uniform mat4 u_lightSpaceMatrix;
+            uniform bool u_instanced;
+            
+            void main() {
+                mat4 modelMatrix = u_instanced ? a_instanceMatrix : u_modelMatrix;
+                gl_Position = u_lightSpaceMatrix * modelMatrix * vec4(a_position, 1.0);
+            }
+        `;
+        
+        const depthFragmentSource = `#version 300 es
+            precision mediump float;
+            
+            void main() {}
+        `;
+        
+        this.depthProgram = this.createProgram(depthVertexSource, depthFragmentSource);
+        this.depthUniforms = {
+            modelMatrix: this.gl.getUniformLocation(this.depthProgram, 'u_modelMatrix'),
+            lightSpaceMatrix: this.gl.getUniformLocation(this.depthProgram, 'u_lightSpaceMatrix'),
+            instanced: this.gl.getUniformLocation(this.depthProgram, 'u_instanced')
         };
+        this.shadowMap = null;
+        
+        this.gl.useProgram(this.program);
+        this.gl.uniform1i(this.uniforms.shadowMap, WebThreeDee.SHADOW_MAP_UNIT);
+        this.gl.uniform1i(this.uniforms.envMap, WebThreeDee.ENVIRONMENT_MAP_UNIT);
+        Material.MAPS.forEach((map, i) => {
+            this.gl.uniform1i(this.uniforms[map], WebThreeDee.MATERIAL_MAP_UNIT + i);
+        });
+    }
+    
+    /**
+     * Creates (or recreates at a new size) the depth texture and framebuffer for the shadow map.
+     * @param {number} size - The width and height of the shadow map in pixels.
+     * @private
+     */
+    setupShadowMap(size) {
+        const gl = this.gl;
+        if (this.shadowMap) {
+            gl.deleteTexture(this.shadowMap.texture);
+            gl.deleteFramebuffer(this.shadowMap.framebuffer);
+        }
+        
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.DEPTH_COMPONENT24, size, size);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+        
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        this.shadowMap = { texture, framebuffer, size };
+    }
+    
+    /**
+     * Renders the depth of every shadow-casting shape from the shadow light's point of view.
+     * @param {Light} light - The shadow-casting light.
+     * @param {mat4} lightSpaceMatrix - The light's combined projection and view matrix.
+     * @private
+     */
+    renderShadowMap(light, lightSpaceMatrix) {
+        const gl = this.gl;
+        if (!this.shadowMap || this.shadowMap.size !== light.shadowMapSize) {
+            this.setupShadowMap(light.shadowMapSize);
+        }
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.shadowMap.framebuffer);
+        gl.viewport(0, 0, this.shadowMap.size, this.shadowMap.size);
+        gl.clear(gl.DEPTH_BUFFER_BIT);
+        
+        gl.useProgram(this.depthProgram);
+        gl.uniformMatrix4fv(this.depthUniforms.lightSpaceMatrix, false, lightSpaceMatrix);
+        const visible = this.renderBatcher.cull(lightSpaceMatrix);
+        this.renderBatcher.drawDepth(visible, this.depthUniforms);
+        visible.transparent.forEach(shape => {
+            if (shape.castShadow && shape.material.getOpacity() > 0) {
+                shape.renderDepth(gl, this.depthUniforms);
+            }
+        });
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.useProgram(this.program);
     }
     
     /**
@@ -172,10 +632,51 @@ class WebThreeDee {
         return shader;
     }
     
+    /**
+     * Casts a ray into the scene and finds the closest part it hits.
+     * @param {Vector} origin - Where the ray starts.
+     * @param {Vector} direction - The direction of the ray. It doesn't need to be a unit vector.
+     * @param {object} [options={}] - Raycast options.
+     * @param {Function|Instance[]} [options.filter] - Either a function that takes a part and returns
+     *     whether it can be hit, or a list of parts and models to ignore (including their descendants).
+     * @param {number} [options.maxDistance=Infinity] - How far the ray reaches.
+     * @returns {{part: Shape, position: Vector, normal: Vector, distance: number}|null} The closest hit,
+     *     or null if nothing was hit.
+     */
+    raycast(origin, direction, options = {}) {
+        const unit = direction.unit();
+        if (unit.magnitude() === 0) {
+            throw new Error('Raycast direction cannot be zero');
+        }
+        const maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
+        let filter = options.filter || (() => true);
+        if (Array.isArray(filter)) {
+            const ignored = filter;
+            filter = part => !ignored.some(node => part === node || part.isDescendantOf(node));
+        }
+        
+        this.scene.updateWorldMatrix();
+        let closest = null;
+        this.shapes.forEach(part => {
+            if (!filter(part)) {
+                return;
+            }
+            const hit = part.intersectRay(origin, unit);
+            if (hit && hit.distance <= maxDistance && (!closest || hit.distance < closest.distance)) {
+                closest = { part, normal: hit.normal, distance: hit.distance };
+            }
+        });
+        
+        if (closest) {
+            closest.position = origin.add(unit.scale(closest.distance));
+        }
+        return closest;
+    }
+    
     /**
      * @deprecated Use partsService.createShape instead.
      * Creates a new shape and adds it to the scene.
-     * @param {string} type The type of shape to create ('cuboid', 'ellipsoid', 'cylinder', 'wedge').
+     * @param {string} type The type of shape to create, one of Shape.TYPES.
      * @param {object} [options={}] Options for the shape (cframe, size, material).
      * @returns {Shape} The created shape object.
      */
@@ -185,620 +686,10932 @@ class WebThreeDee {
     }
     
     /**
-     * Sets up event listeners for camera controls.
-     * @private
+     * Saves the scene: every part and model with their materials and attributes, the
+     * constraints between them, the camera and the lighting. Environment maps, reflection
+     * probes and textures made from images or canvases aren't saved.
+     * @returns {object} The scene as a plain object, ready for JSON.stringify.
      */
-    setupEventListeners() {
-        let mouseX = 0, mouseY = 0;
-        let isMouseDown = false;
-        
-        this.canvas.addEventListener('mousedown', (e) => {
-            isMouseDown = true;
-            mouseX = e.clientX;
-            mouseY = e.clientY;
-        });
-        
-        this.canvas.addEventListener('mouseup', () => {
-            isMouseDown = false;
-        });
-        
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (isMouseDown) {
-                const deltaX = e.clientX - mouseX;
-                const deltaY = e.clientY - mouseY;
-                this.camera.rotate(deltaX * 0.005, deltaY * 0.005);
-                mouseX = e.clientX;
-                mouseY = e.clientY;
-            }
-        });
-        
-        this.canvas.addEventListener('wheel', (e) => {
-            this.camera.zoom(e.deltaY * 0.001);
-        });
-        
-        // WASD controls
-        const keys = {};
-        document.addEventListener('keydown', (e) => keys[e.key.toLowerCase()] = true);
-        document.addEventListener('keyup', (e) => keys[e.key.toLowerCase()] = false);
-        
-        const updateMovement = () => {
-            const moveSpeed = 0.1;
-            let moveVector = [0, 0, 0];
-            if (keys['w']) moveVector[2] -= moveSpeed;
-            if (keys['s']) moveVector[2] += moveSpeed;
-            if (keys['a']) moveVector[0] -= moveSpeed;
-            if (keys['d']) moveVector[0] += moveSpeed;
-
-            if (moveVector[0] !== 0 || moveVector[1] !== 0 || moveVector[2] !== 0) {
-                this.camera.moveRelative(moveVector[0], 0, moveVector[2]);
-            }
-
-            requestAnimationFrame(updateMovement);
-        };
-        updateMovement();
+    exportScene() {
+        return new SceneSerializer(this).write();
     }
     
     /**
-     * Resizes the canvas to fit the window.
-     * @private
+     * Loads a scene saved by exportScene. The whole scene is checked first, and a
+     * malformed one throws an error saying what is wrong without changing anything.
+     * @param {string|object} json - The scene, as a JSON string or an already-parsed object.
+     * @param {object} [options={}] - Import options.
+     * @param {boolean} [options.clear=true] - Whether to replace the current scene, camera and lighting.
+     *     When false, the parts and constraints are added to the current scene and nothing else changes.
+     * @param {Instance} [options.parent] - Where to put the loaded parts and models. Defaults to the scene root.
+     * @returns {Instance[]} The loaded top-level parts and models.
      */
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-        this.camera.aspect = this.canvas.width / this.canvas.height;
+    importScene(json, options = {}) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (e) {
+                throw new Error('Invalid scene: ' + e.message);
+            }
+        }
+        const serializer = new SceneSerializer(this);
+        return serializer.build(serializer.read(data), options);
     }
     
     /**
-     * The main render loop.
-     * @private
-     */
-    render() {
-        this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
-        
-        // Set camera uniforms
-        this.gl.uniformMatrix4fv(this.uniforms.viewMatrix, false, this.camera.getViewMatrix());
-        this.gl.uniformMatrix4fv(this.uniforms.projectionMatrix, false, this.camera.getProjectionMatrix());
-        this.gl.uniform3fv(this.uniforms.lightPos, [10, 10, 10]);
-        this.gl.uniform3fv(this.uniforms.viewPos, this.camera.position);
-        
-        // Render shapes
-        this.shapes.forEach(shape => {
-            shape.render(this.gl, this.uniforms);
-        });
-        
-        requestAnimationFrame(() => this.render());
-    }
-}
-
-/**
- * Service for creating and managing shapes (Parts).
- * @class
- */
-class PartsService {
-    /**
-     * @param {WebThreeDee} webthreedeeInstance - The main WebThreeDee instance.
+     * Exports parts as a binary glTF (.glb) file with their materials, for opening in Blender
+     * and other 3D tools. Each part becomes a mesh with its position, rotation and size baked in.
+     * Textures are included when they come from a URL.
+     * @param {object} [options={}] - Export options.
+     * @param {Instance} [options.root] - A part or model to export with its descendants. Defaults to the whole scene.
+     * @returns {ArrayBuffer} The .glb file.
      */
-    constructor(webthreedeeInstance) {
-        this.webthreedee = webthreedeeInstance;
+    exportGLB(options = {}) {
+        return writeGLB(this.getExportedParts(options.root));
     }
+    
     /**
-     * Creates a new shape and adds it to the scene.
-     * @param {string} type The type of shape to create ('cuboid', 'ellipsoid', 'cylinder', 'wedge').
-     * @param {object} [options={}] Options for the shape (cframe, size, material).
-     * @returns {Shape} The created shape object.
+     * Exports parts as an STL file, for 3D printing. STL has no colors, only the shape of the parts.
+     * @param {object} [options={}] - Export options.
+     * @param {Instance} [options.root] - A part or model to export with its descendants. Defaults to the whole scene.
+     * @param {boolean} [options.ascii=false] - Whether to write a text file instead of the smaller binary one.
+     * @param {boolean} [options.zUp=false] - Whether to turn the model so that up is +Z, as most slicers expect.
+     * @returns {ArrayBuffer|string} The .stl file, as a string when ascii is set.
      */
-    createShape(type, options = {}) {
-        const shape = new Shape(type, options);
-        this.webthreedee.shapes.push(shape);
-        return shape;
+    exportSTL(options = {}) {
+        return writeSTL(this.getExportedParts(options.root), options);
     }
-}
-
-/**
- * A 3D vector class.
- * @class
- */
-class Vector {
+    
     /**
-     * @param {number} [x=0] - The x component.
-     * @param {number} [y=0] - The y component.
-     * @param {number} [z=0] - The z component.
+     * Collects the parts to export.
+     * @param {Instance} [root] - The part or model to export. Defaults to the scene.
+     * @returns {Shape[]} The part and its descendants that are parts.
+     * @private
      */
-    constructor(x = 0, y = 0, z = 0) {
-        this.x = x;
-        this.y = y;
-        this.z = z;
+    getExportedParts(root) {
+        return this.partsService.getShapes(root || this.scene);
     }
     
     /**
-     * Static method to create a new Vector.
-     * @param {number} x - The x component.
-     * @param {number} y - The y component.
-     * @param {number} z - The z component.
-     * @returns {Vector} A new Vector object.
+     * Sets what controls the camera, replacing (and destroying) the current controller.
+     * @param {CameraController|null} controller - The controller, or null to leave the camera to your own code.
+     * @returns {CameraController|null} The controller.
      */
-    static create(x, y, z) {
-        return new Vector(x, y, z);
+    setCameraController(controller) {
+        if (this.cameraController) {
+            this.cameraController.destroy();
+        }
+        this.cameraController = controller;
+        this.inputService.updateCapture();
+        return controller;
     }
-}
-
-/**
- * A global helper function for creating vectors.
- * @param {number} x - The x component.
- * @param {number} y - The y component.
- * @param {number} z - The z component.
- * @returns {Vector} A new Vector object.
- */
-function vector(x, y, z) {
-    return new Vector(x, y, z);
-}
-
-/**
- * CFrame (Coordinate Frame) class, represents position and rotation.
- * @class
- */
-class CFrame {
+    
     /**
-     * @param {Vector} [position=new Vector()] - The position vector.
-     * @param {Vector} [rotation=new Vector()] - The rotation vector (in degrees).
+     * Resizes the canvas to fit the window, or just picks up the current
+     * drawing buffer size when autoResize is off.
+     * @private
      */
-    constructor(position = new Vector(), rotation = new Vector()) {
-        this.position = position;
-        this.rotation = rotation;
+    resizeCanvas() {
+        if (this.autoResize) {
+            this.canvas.width = window.innerWidth;
+            this.canvas.height = window.innerHeight;
+        }
+        this.gl.viewport(0, 0, this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
+        this.camera.aspect = this.gl.drawingBufferWidth / this.gl.drawingBufferHeight;
+        // Screen points come from mouse events, which use CSS pixels
+        this.camera.viewportWidth = (this.canvas && this.canvas.clientWidth) || this.gl.drawingBufferWidth;
+        this.camera.viewportHeight = (this.canvas && this.canvas.clientHeight) || this.gl.drawingBufferHeight;
     }
     
     /**
-     * Static method to create a new CFrame.
-     * @param {Vector} position - The position vector.
-     * @param {Vector} rotation - The rotation vector (in degrees).
-     * @returns {CFrame} A new CFrame object.
+     * Sets the size of the canvas in pixels. Use this instead of autoResize for
+     * canvases that should not follow the window size.
+     * @param {number} width - The width in pixels.
+     * @param {number} height - The height in pixels.
      */
-    static create(position, rotation) {
-        return new CFrame(position, rotation);
+    setSize(width, height) {
+        if (this.canvas) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.resizeCanvas();
     }
     
     /**
-     * Gets the transformation matrix for this CFrame.
-     * @returns {mat4} The 4x4 transformation matrix.
+     * Starts the render loop. Does nothing if it is already running.
      */
-    getMatrix() {
-        const matrix = mat4.create();
-        mat4.translate(matrix, matrix, [this.position.x, this.position.y, this.position.z]);
-        mat4.rotateX(matrix, matrix, this.rotation.x * Math.PI / 180);
-        mat4.rotateY(matrix, matrix, this.rotation.y * Math.PI / 180);
-        mat4.rotateZ(matrix, matrix, this.rotation.z * Math.PI / 180);
-        return matrix;
+    start() {
+        if (this.frameRequest !== null) {
+            return;
+        }
+        let lastTime = currentTime();
+        const loop = () => {
+            const time = currentTime();
+            // Clamp long gaps (e.g. a background tab) so the simulation doesn't jump
+            const deltaTime = Math.min((time - lastTime) / 1000, 0.1);
+            lastTime = time;
+            if (this.paused) {
+                // The camera can still look around while paused
+                this.inputService.update();
+                if (this.cameraController) {
+                    this.cameraController.update(deltaTime);
+                }
+                this.render();
+            } else {
+                this.step(deltaTime);
+            }
+            this.frameRequest = scheduleFrame(loop);
+        };
+        this.frameRequest = scheduleFrame(loop);
     }
-}
-
-/**
- * Service for creating and managing materials.
- * @class
- */
-class MaterialService {
+    
     /**
-     * Creates a new material.
-     * @param {number[]} color - The RGB color array, e.g., [1, 0, 0] for red.
-     * @param {object} [options={}] - Material options.
-     * @param {number} [options.shininess=0.5] - Shininess factor (0 to 1).
-     * @param {boolean} [options.mirror=false] - Whether the material is reflective.
-     * @returns {Material} The new Material object.
+     * Stops the render loop. Frames can still be drawn manually with render().
      */
-    createMat(color, options = {}) {
-        return new Material(color, options);
+    stop() {
+        if (this.frameRequest !== null) {
+            cancelFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
     }
     
     /**
-     * Alias for createMat for compatibility.
+     * Shuts the instance down: stops the render loop, removes every listener it added to the
+     * page and deletes the WebGL resources it made. Textures and environment maps are only deleted
+     * from this instance's context, so they can still be used by other instances. The instance
+     * can't be used afterwards.
      */
-    CreateMat(color, options = {}) {
-        return this.createMat(color, options);
-    }
-}
-
-/**
- * Represents the material properties of a shape.
- * @class
- */
-class Material {
+    destroy() {
+        const gl = this.gl;
+        this.stop();
+        if (this.resizeHandler) {
+            window.removeEventListener('resize', this.resizeHandler);
+            this.resizeHandler = null;
+        }
+        this.setCameraController(null);
+        this.inputService.destroy();
+        this.postProcessingService.release();
+        this.renderBatcher.release();
+        
+        const maps = new Set(this.materialService.probes);
+        if (this.materialService.environmentMap) {
+            maps.add(this.materialService.environmentMap);
+        }
+        this.shapes.forEach(shape => {
+            const material = shape.material;
+            Material.MAPS.concat('envMap').forEach(name => {
+                if (material[name]) {
+                    maps.add(material[name]);
+                }
+            });
+            shape.releaseBuffers();
+        });
+        maps.forEach(map => {
+            if (map.gl === gl) {
+                map.release();
+            }
+        });
+        
+        if (this.shadowMap) {
+            gl.deleteTexture(this.shadowMap.texture);
+            gl.deleteFramebuffer(this.shadowMap.framebuffer);
+            this.shadowMap = null;
+        }
+        gl.deleteProgram(this.program);
+        gl.deleteProgram(this.depthProgram);
+        this.program = null;
+        this.depthProgram = null;
+    }
+    
     /**
-     * @param {number[]} color - The RGB color array.
-     * @param {object} [options={}] - Material options.
-     * @param {number} [options.shininess=0.5] - Shininess factor.
-     * @param {boolean} [options.mirror=false] - Reflectivity.
+     * Pauses the game: the render loop keeps drawing, but stops firing renderStepped
+     * and heartbeat and stops advancing tweens and physics.
      */
-    constructor(color, options = {}) {
-        this.color = color;
-        this.shininess = options.shininess || 0.5;
-        this.mirror = options.mirror || false;
+    pause() {
+        this.paused = true;
     }
-}
-
-/**
- * Represents a 3D shape in the scene.
- * @class
- */
-class Shape {
+    
     /**
-     * @param {string} type - The geometry type ('cuboid', 'ellipsoid', etc.).
-     * @param {object} [options={}] - Shape options.
-     * @param {CFrame} [options.cframe] - The coordinate frame (position/rotation).
-     * @param {Vector} [options.size=vector(1,1,1)] - The size of the shape.
-     * @param {Material} [options.material] - The material of the shape.
+     * Resumes the game after pause().
      */
-    constructor(type, options = {}) {
-        this.type = type;
-        this.cframe = options.cframe || new CFrame();
-        this.size = options.size || vector(1, 1, 1);
-        this.material = options.material || new Material([1, 1, 1]);
-        this.geometry = this.createGeometry(type);
-        this.setupBuffers();
+    resume() {
+        this.paused = false;
     }
     
     /**
-     * Creates the geometry data for a given shape type.
-     * @param {string} type - The shape type.
-     * @returns {{vertices: number[], indices: number[]}} The geometry data.
-     * @private
+     * Runs one whole frame: reads input, fires renderStepped, updates, renders, then fires heartbeat. The render
+     * loop calls this every frame; call it yourself to step frame by frame while paused.
+     * @param {number} [deltaTime=1/60] - The length of the frame in seconds.
      */
-    createGeometry(type) {
-        switch (type.toLowerCase()) {
-            case 'cuboid':
-            case 'cube':
-                return this.createCuboid();
-            case 'ellipsoid':
-            case 'sphere':
-                return this.createSphere();
-            case 'cylinder':
-                return this.createCylinder();
-            case 'wedge':
-                return this.createWedge();
-            default:
-                return this.createCuboid();
+    step(deltaTime = 1 / 60) {
+        this.inputService.update();
+        this.renderStepped.fire(deltaTime);
+        this.update(deltaTime);
+        this.render();
+        this.heartbeat.fire(deltaTime);
+    }
+    
+    /**
+     * Advances everything that moves on its own, such as physics, by a period of time.
+     * step() calls this every frame; call it yourself when drawing frames with render().
+     * @param {number} deltaTime - The time since the last update, in seconds.
+     */
+    update(deltaTime) {
+        this.tweenService.update(deltaTime);
+        this.physicsService.step(deltaTime);
+        // Last, so cameras following parts see where they ended up
+        if (this.cameraController) {
+            this.cameraController.update(deltaTime);
         }
     }
     
-    createCuboid() {
-        const vertices = [
-            -1, -1,  1,   0,  0,  1,
-             1, -1,  1,   0,  0,  1,
-             1,  1,  1,   0,  0,  1,
-            -1,  1,  1,   0,  0,  1,
-            -1, -1, -1,   0,  0, -1,
-            -1,  1, -1,   0,  0, -1,
-             1,  1, -1,   0,  0, -1,
-             1, -1, -1,   0,  0, -1,
-            -1,  1, -1,   0,  1,  0,
-            -1,  1,  1,   0,  1,  0,
-             1,  1,  1,   0,  1,  0,
-             1,  1, -1,   0,  1,  0,
-            -1, -1, -1,   0, -1,  0,
-             1, -1, -1,   0, -1,  0,
-             1, -1,  1,   0, -1,  0,
-            -1, -1,  1,   0, -1,  0,
-             1, -1, -1,   1,  0,  0,
-             1,  1, -1,   1,  0,  0,
-             1,  1,  1,   1,  0,  0,
-             1, -1,  1,   1,  0,  0,
-            -1, -1, -1,  -1,  0,  0,
-            -1, -1,  1,  -1,  0,  0,
-            -1,  1,  1,  -1,  0,  0,
-            -1,  1, -1,  -1,  0,  0,
-        ];
+    /**
+     * Renders a single frame.
+     */
+    render() {
+        // Propagate world matrices down the scene graph
+        this.scene.updateWorldMatrix();
+        this.updateDetail();
+        this.renderBatcher.update();
         
-        const indices = [
-            0, 1, 2,   0, 2, 3,
-            4, 5, 6,   4, 6, 7,
-            8, 9, 10,  8, 10, 11,
-            12, 13, 14, 12, 14, 15,
-            16, 17, 18, 16, 18, 19,
-            20, 21, 22, 20, 22, 23
-        ];
+        // Shadow pre-pass
+        const shadowLight = this.lightingService.getShadowLight();
+        if (shadowLight) {
+            const lightSpaceMatrix = this.lightingService.getLightSpaceMatrix(shadowLight, this.camera);
+            this.renderShadowMap(shadowLight, lightSpaceMatrix);
+            this.gl.activeTexture(this.gl.TEXTURE0 + WebThreeDee.SHADOW_MAP_UNIT);
+            this.gl.bindTexture(this.gl.TEXTURE_2D, this.shadowMap.texture);
+            this.gl.uniformMatrix4fv(this.uniforms.lightSpaceMatrix, false, lightSpaceMatrix);
+            this.gl.uniform1f(this.uniforms.shadowBias, shadowLight.shadowBias);
+        }
         
-        return { vertices, indices };
+        this.lightingService.applyUniforms(this.gl, this.uniforms);
+        
+        // Reflection probes see the scene before the camera does
+        this.materialService.probes.forEach(probe => {
+            if (probe.needsUpdate) {
+                this.renderReflectionProbe(probe);
+            }
+        });
+        
+        // With post-processing the scene goes to an offscreen framebuffer first
+        const postProcessing = this.postProcessingService.begin();
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+        this.drawScene(this.camera.getViewMatrix(), this.camera.getProjectionMatrix(), this.camera.getShadingPosition());
+        if (postProcessing) {
+            this.postProcessingService.finish();
+        }
     }
     
-    createSphere() {
-        const vertices = [];
-        const indices = [];
-        const radius = 1;
-        const latBands = 16;
-        const lonBands = 16;
-        
-        for (let lat = 0; lat <= latBands; lat++) {
-            const theta = lat * Math.PI / latBands;
-            const sinTheta = Math.sin(theta);
-            const cosTheta = Math.cos(theta);
-            
-            for (let lon = 0; lon <= lonBands; lon++) {
-                const phi = lon * 2 * Math.PI / lonBands;
-                const sinPhi = Math.sin(phi);
-                const cosPhi = Math.cos(phi);
-                
-                const x = cosPhi * sinTheta;
-                const y = cosTheta;
-                const z = sinPhi * sinTheta;
-                
-                vertices.push(radius * x, radius * y, radius * z);
-                vertices.push(x, y, z); // normal
+    /**
+     * Picks the tessellation of every ellipsoid and cylinder for how big it is
+     * on screen from the camera.
+     * @private
+     */
+    updateDetail() {
+        const view = this.camera.getViewMatrix();
+        const projection = this.camera.getProjectionMatrix();
+        const halfHeight = this.gl.drawingBufferHeight / 2;
+        this.shapes.forEach(shape => {
+            if (!Shape.LOD_TYPES.includes(shape.type.toLowerCase())) {
+                return;
             }
-        }
-        
-        for (let lat = 0; lat < latBands; lat++) {
-            for (let lon = 0; lon < lonBands; lon++) {
-                const first = lat * (lonBands + 1) + lon;
-                const second = first + lonBands + 1;
-                
-                indices.push(first, second, first + 1);
-                indices.push(second, second + 1, first + 1);
+            if (shape.lod !== 'auto') {
+                shape.updateDetail(0);
+                return;
             }
-        }
-        
-        return { vertices, indices };
+            const m = shape.getModelMatrix();
+            const radius = Math.max(Math.hypot(m[0], m[1], m[2]), Math.hypot(m[4], m[5], m[6]), Math.hypot(m[8], m[9], m[10]));
+            // w is the distance in front of a perspective camera, and 1 for orthographic ones
+            const z = mat4.transformPoint(view, vector(m[12], m[13], m[14])).z;
+            const w = Math.max(Math.abs(projection[11] * z + projection[15]), 1e-6);
+            shape.updateDetail(radius * projection[5] * halfHeight / w);
+        });
     }
     
-    createCylinder() {
-        const vertices = [];
-        const indices = [];
-        const radius = 1;
-        const height = 2;
-        const segments = 16;
-        
-        // Center vertices for top and bottom caps
-        vertices.push(0, height / 2, 0);   // Top center
-        vertices.push(0, 1, 0);            // Normal up
-        vertices.push(0, -height / 2, 0);  // Bottom center
-        vertices.push(0, -1, 0);           // Normal down
+    /**
+     * Draws every shape from a point of view into the currently bound framebuffer.
+     * @param {mat4} viewMatrix - The view matrix.
+     * @param {mat4} projectionMatrix - The projection matrix.
+     * @param {number[]} viewPos - The position of the viewer, for specular and reflections.
+     * @param {ReflectionProbe} [probe] - The probe being rendered, if any. Shapes that reflect
+     *     it are skipped since a texture can't be sampled while it is being drawn to.
+     * @private
+     */
+    drawScene(viewMatrix, projectionMatrix, viewPos, probe) {
+        const gl = this.gl;
+        gl.uniformMatrix4fv(this.uniforms.viewMatrix, false, viewMatrix);
+        gl.uniformMatrix4fv(this.uniforms.projectionMatrix, false, projectionMatrix);
+        gl.uniform3fv(this.uniforms.viewPos, viewPos);
         
-        // Top and bottom circle vertices
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
-            
-            // Top circle
-            vertices.push(x, height / 2, z);
-            vertices.push(0, 1, 0);
-            
-            // Bottom circle
-            vertices.push(x, -height / 2, z);
-            vertices.push(0, -1, 0);
-        }
+        const visible = this.renderBatcher.cull(mat4.multiply(mat4.create(), projectionMatrix, viewMatrix));
         
-        // Side vertices
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
-            
-            // Top side vertex
-            vertices.push(x, height / 2, z);
-            vertices.push(x, 0, z);
-            
-            // Bottom side vertex
-            vertices.push(x, -height / 2, z);
-            vertices.push(x, 0, z);
-        }
+        // Opaque shapes first, then transparent ones from back to front so
+        // they blend over everything behind them
+        const transparent = visible.transparent;
+        const distances = new Map(transparent.map(shape => {
+            const m = shape.worldMatrix;
+            return [shape, Math.hypot(m[12] - viewPos[0], m[13] - viewPos[1], m[14] - viewPos[2])];
+        }));
+        transparent.sort((a, b) => distances.get(b) - distances.get(a));
         
-        // Top cap indices
-        for (let i = 0; i < segments; i++) {
-            const topRing = 2 + i * 2;
-            const nextTopRing = 2 + ((i + 1) % segments) * 2;
-            indices.push(0, nextTopRing, topRing);
-        }
+        let boundEnvMap;
+        const prepare = shape => {
+            const envMap = shape.material.envMap || this.materialService.environmentMap;
+            if (probe && envMap === probe) {
+                return false;
+            }
+            if (envMap !== boundEnvMap) {
+                const texture = envMap ? envMap.getTexture(gl) : null;
+                gl.activeTexture(gl.TEXTURE0 + WebThreeDee.ENVIRONMENT_MAP_UNIT);
+                gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+                gl.uniform1i(this.uniforms.hasEnvMap, texture !== null);
+                gl.uniform1f(this.uniforms.envMapLevels, texture ? envMap.levels - 1 : 0);
+                boundEnvMap = envMap;
+            }
+            return true;
+        };
         
-        // Bottom cap indices
-        for (let i = 0; i < segments; i++) {
-            const bottomRing = 3 + i * 2;
-            const nextBottomRing = 3 + ((i + 1) % segments) * 2;
-            indices.push(1, bottomRing, nextBottomRing);
-        }
+        this.renderBatcher.draw(visible, this.uniforms, prepare);
         
-        // Side faces indices
-        const sideStart = 2 + (segments + 1) * 2;
-        for (let i = 0; i < segments; i++) {
-            const current = sideStart + i * 2;
-            const next = sideStart + ((i + 1) % segments) * 2;
-            
-            indices.push(current, next, current + 1);
-            indices.push(current + 1, next, next + 1);
+        if (transparent.length > 0) {
+            gl.enable(gl.BLEND);
+            gl.depthMask(false);
+            transparent.forEach(shape => {
+                // Keep the canvas's own alpha at 1 so the page never shows through
+                if (shape.material.blendMode === 'additive') {
+                    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE, gl.ZERO, gl.ONE);
+                } else {
+                    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+                }
+                if (prepare(shape)) {
+                    shape.render(gl, this.uniforms);
+                }
+            });
+            gl.depthMask(true);
+            gl.disable(gl.BLEND);
         }
-        
-        return { vertices, indices };
     }
     
-    createWedge() {
-        const vertices = [
-            -1, -1, 1,   0, 0, 1,
-             1, -1, 1,   0, 0, 1,
-             0,  1, 1,   0, 0, 1,
-            -1, -1, -1,  0, 0, -1,
-             0,  1, -1,  0, 0, -1,
-             1, -1, -1,  0, 0, -1,
-            -1, -1, -1,  0, -1, 0,
-             1, -1, -1,  0, -1, 0,
-             1, -1,  1,  0, -1, 0,
-            -1, -1,  1,  0, -1, 0,
-            -1, -1, -1,  -1, 0, 0,
-            -1, -1,  1,  -1, 0, 0,
-             0,  1,  1,  -1, 0, 0,
-             0,  1, -1,  -1, 0, 0,
-             1, -1, -1,  1, 0, 0,
-             0,  1, -1,  1, 0, 0,
-             0,  1,  1,  1, 0, 0,
-             1, -1,  1,  1, 0, 0,
-        ];
+    /**
+     * Renders the scene into a reflection probe's cubemap, one face at a time.
+     * @param {ReflectionProbe} probe - The probe to render.
+     * @private
+     */
+    renderReflectionProbe(probe) {
+        const gl = this.gl;
+        const target = probe.getRenderTarget(gl);
+        const projection = mat4.perspective(mat4.create(), Math.PI / 2, 1, probe.near, probe.far);
+        const eye = probe.position;
         
-        const indices = [
-            0, 1, 2,
-            3, 4, 5,
-            6, 7, 8,   6, 8, 9,
-            10, 11, 12, 10, 12, 13,
-            14, 15, 16, 14, 16, 17
-        ];
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, probe.size, probe.size);
+        ReflectionProbe.FACES.forEach((face, i) => {
+            gl.framebufferTexture2D(
+                gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, target.texture, 0
+            );
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+            const view = CFrame.lookAt(eye, eye.add(face.direction), face.up).inverse().getMatrix();
+            this.drawScene(view, projection, eye.toArray(), probe);
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
         
-        return { vertices, indices };
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, target.texture);
+        gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
+        probe.needsUpdate = probe.updateMode === 'always';
+    }
+}
+
+/**
+ * The texture unit the shadow map is bound to.
+ * @type {number}
+ */
+WebThreeDee.SHADOW_MAP_UNIT = 0;
+
+/**
+ * The texture unit environment cubemaps are bound to.
+ * @type {number}
+ */
+WebThreeDee.ENVIRONMENT_MAP_UNIT = 1;
+
+/**
+ * The first texture unit for material maps. Each map in Material.MAPS gets
+ * its own unit counting up from here.
+ * @type {number}
+ */
+WebThreeDee.MATERIAL_MAP_UNIT = 2;
+
+/**
+ * The first texture unit for the textures of post-processing passes, after the
+ * material maps. Each texture a pass uses gets its own unit counting up from here.
+ * @type {number}
+ */
+WebThreeDee.POST_PROCESSING_UNIT = 8;
+
+/**
+ * The version of the scene format written by exportScene. importScene loads
+ * this version and older ones.
+ * @type {number}
+ */
+WebThreeDee.SCENE_VERSION = 1;
+
+/**
+ * Gets a timestamp in milliseconds for measuring frame times.
+ * @returns {number} The current time.
+ * @private
+ */
+function currentTime() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Schedules a callback for the next frame. Falls back to a timer where
+ * requestAnimationFrame is not available, such as in Node.
+ * @param {Function} callback - The function to call.
+ * @returns {number} A handle that can be passed to cancelFrame.
+ * @private
+ */
+function scheduleFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        return requestAnimationFrame(callback);
+    }
+    return setTimeout(callback, 1000 / 60);
+}
+
+/**
+ * Cancels a callback scheduled with scheduleFrame.
+ * @param {number} handle - The handle returned by scheduleFrame.
+ * @private
+ */
+function cancelFrame(handle) {
+    if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(handle);
+    } else {
+        clearTimeout(handle);
+    }
+}
+
+/**
+ * An event that functions can connect to. Firing it calls every connected function
+ * in the order they were connected.
+ * @class
+ */
+class Signal {
+    constructor() {
+        /** @private */
+        this.connections = [];
     }
     
     /**
-     * Sets up the WebGL buffers for the shape's geometry.
-     * @private
+     * Connects a function to the signal.
+     * @param {Function} callback - Called with the signal's arguments every time it fires.
+     * @returns {Connection} The connection, which can be disconnected.
      */
-    setupBuffers() {
-        const gl = document.getElementById('canvas').getContext('webgl2');
-        
-        this.vao = gl.createVertexArray();
-        gl.bindVertexArray(this.vao);
-        
-        // Position and normal buffer
-        this.vertexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.geometry.vertices), gl.STATIC_DRAW);
-        
-        // Position attribute
-        const positionLoc = gl.getAttribLocation(gl.getParameter(gl.CURRENT_PROGRAM), 'a_position');
-        gl.enableVertexAttribArray(positionLoc);
-        gl.vertexAttribPointer(positionLoc, 3, gl.FLOAT, false, 6 * 4, 0);
-        
-        // Normal attribute
-        const normalLoc = gl.getAttribLocation(gl.getParameter(gl.CURRENT_PROGRAM), 'a_normal');
-        gl.enableVertexAttribArray(normalLoc);
-        gl.vertexAttribPointer(normalLoc, 3, gl.FLOAT, false, 6 * 4, 3 * 4);
-        
-        // Index buffer
-        this.indexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(this.geometry.indices), gl.STATIC_DRAW);
-        
-        this.indexCount = this.geometry.indices.length;
+    connect(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Signal.connect needs a function');
+        }
+        const connection = new Connection(this, callback);
+        this.connections.push(connection);
+        return connection;
+    }
+    
+    /**
+     * Connects a function that is disconnected after the next time the signal fires.
+     * @param {Function} callback - Called with the signal's arguments.
+     * @returns {Connection} The connection, which can be disconnected before it fires.
+     */
+    once(callback) {
+        const connection = this.connect((...args) => {
+            connection.disconnect();
+            callback(...args);
+        });
+        return connection;
+    }
+    
+    /**
+     * Waits for the next time the signal fires.
+     * @returns {Promise} A promise that resolves with the first argument the signal fires with.
+     */
+    wait() {
+        return new Promise(resolve => this.once(resolve));
+    }
+    
+    /**
+     * Calls every connected function. An error in one function is logged and
+     * doesn't stop the others from being called.
+     * @param {...*} args - The arguments to pass.
+     */
+    fire(...args) {
+        this.connections.slice().forEach(connection => {
+            if (!connection.connected) {
+                return;
+            }
+            try {
+                connection.callback(...args);
+            } catch (error) {
+                console.error(error);
+            }
+        });
+    }
+    
+    /**
+     * Disconnects every connected function.
+     */
+    disconnectAll() {
+        this.connections.slice().forEach(connection => connection.disconnect());
+    }
+}
+
+/**
+ * A function's connection to a signal.
+ * @class
+ */
+class Connection {
+    /**
+     * @param {Signal} signal - The signal.
+     * @param {Function} callback - The connected function.
+     */
+    constructor(signal, callback) {
+        this.signal = signal;
+        this.callback = callback;
+        /** Whether the function is still connected. */
+        this.connected = true;
+    }
+    
+    /**
+     * Stops the function from being called when the signal fires.
+     */
+    disconnect() {
+        if (!this.connected) {
+            return;
+        }
+        this.connected = false;
+        const connections = this.signal.connections;
+        connections.splice(connections.indexOf(this), 1);
+    }
+}
+
+/**
+ * Service for creating and managing shapes (Parts).
+ * @class
+ */
+class PartsService {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The main WebThreeDee instance.
+     */
+    constructor(webthreedeeInstance) {
+        this.webthreedee = webthreedeeInstance;
+        /** The constraints between parts, in the order they were created. */
+        this.constraints = [];
+    }
+    /**
+     * Creates a new shape and adds it to the scene.
+     * @param {string} type The type of shape to create ('cuboid', 'ellipsoid', 'cylinder', 'wedge', or 'mesh'
+     *     with a geometry option, see Shape).
+     * @param {object} [options={}] Options for the shape (name, cframe, size, material, geometry, parent).
+     * @param {Instance} [options.parent] - The parent to attach to. Defaults to the scene root.
+     * @returns {Shape} The created shape object.
+     */
+    createShape(type, options = {}) {
+        const shape = new Shape(type, options);
+        this.setParent(shape, options.parent === undefined ? this.webthreedee.scene : options.parent);
+        return shape;
+    }
+    
+    /**
+     * Imports a glTF 2.0 model (.gltf or .glb) as mesh parts, keeping its node hierarchy and materials.
+     * Each node becomes a model, or a single part if it's just one mesh. Nodes can't be scaled like in
+     * other tools, so any scale is baked into the mesh geometry.
+     * @param {ArrayBuffer|string|object} data - The contents of a .glb or .gltf file, or the parsed glTF JSON.
+     * @param {object} [options={}] - Import options.
+     * @param {string} [options.baseUrl] - The URL of the file, for loading buffers and images it refers to by relative path.
+     * @param {number} [options.scene] - Which of the file's scenes to import. Defaults to its default scene.
+     * @param {string} [options.name] - The name of the returned model. Defaults to the scene's name.
+     * @param {CFrame} [options.cframe] - Where to put the model.
+     * @param {Instance} [options.parent] - The parent to attach to. Defaults to the scene root.
+     * @returns {Promise<Model>} Resolves to a model holding the imported parts, once any external buffers have loaded.
+     */
+    importGLTF(data, options = {}) {
+        return new GLTFImporter(this.webthreedee, options).load(data);
+    }
+    
+    /**
+     * Imports a Wavefront OBJ model as mesh parts. Each object or group in the file becomes a
+     * part, or a model with a part per material if it uses more than one.
+     * @param {string|ArrayBuffer} data - The contents of the .obj file.
+     * @param {object} [options={}] - Import options.
+     * @param {string|ArrayBuffer} [options.mtl] - The contents of the .mtl file with the materials.
+     * @param {string} [options.baseUrl] - The URL of the .mtl file, for loading the textures it refers to.
+     * @param {string} [options.name='Model'] - The name of the returned model.
+     * @param {CFrame} [options.cframe] - Where to put the model.
+     * @param {Instance} [options.parent] - The parent to attach to. Defaults to the scene root.
+     * @returns {Model} A model holding the imported parts.
+     */
+    importOBJ(data, options = {}) {
+        return new OBJImporter(this.webthreedee, options).load(data);
+    }
+    
+    /**
+     * Creates a new model (a group node without geometry) and adds it to the scene.
+     * Children of a model are positioned relative to the model's cframe.
+     * @param {object} [options={}] Options for the model (name, cframe, parent).
+     * @param {Instance} [options.parent] - The parent to attach to. Defaults to the scene root.
+     * @returns {Model} The created model.
+     */
+    createModel(options = {}) {
+        const model = new Model(options);
+        this.setParent(model, options.parent === undefined ? this.webthreedee.scene : options.parent);
+        return model;
+    }
+    
+    /**
+     * Moves a part or model (and all of its descendants) under a new parent.
+     * Passing null removes it from the scene without destroying it.
+     * @param {Instance} instance - The part or model to move.
+     * @param {Instance|null} parent - The new parent.
+     */
+    setParent(instance, parent) {
+        if (parent === instance.parent) {
+            return;
+        }
+        if (parent && (parent === instance || parent.isDescendantOf(instance))) {
+            throw new Error('Cannot parent ' + instance.name + ' to itself or one of its descendants');
+        }
+        
+        const wasInScene = this.isInScene(instance);
+        const oldParent = instance.parent;
+        if (oldParent) {
+            const siblings = oldParent.children;
+            siblings.splice(siblings.indexOf(instance), 1);
+        }
+        instance.parent = parent;
+        if (parent) {
+            parent.children.push(instance);
+        }
+        const isInScene = this.isInScene(instance);
+        
+        if (wasInScene && !isInScene) {
+            const removed = new Set(this.getShapes(instance));
+            this.webthreedee.shapes = this.webthreedee.shapes.filter(shape => !removed.has(shape));
+        } else if (!wasInScene && isInScene) {
+            this.webthreedee.shapes.push(...this.getShapes(instance));
+        }
+        
+        if (oldParent) {
+            oldParent.childRemoved.fire(instance);
+        }
+        if (parent) {
+            parent.childAdded.fire(instance);
+        }
+        instance.changed.fire('parent', parent);
+    }
+    
+    /**
+     * Removes a part or model from the scene, along with all of its descendants,
+     * and releases their GPU resources. Destroyed instances should not be reused.
+     * @param {Instance} instance - The part or model to destroy.
+     */
+    destroy(instance) {
+        this.setParent(instance, null);
+        [instance, ...instance.getDescendants()].forEach(node => {
+            if (node instanceof Shape) {
+                node.releaseBuffers();
+                this.constraints.filter(c => c.part0 === node || c.part1 === node).forEach(c => this.removeConstraint(c));
+            }
+            node.children = [];
+            node.parent = null;
+        });
+    }
+    
+    /**
+     * Joins parts into one mesh part that covers all of them. See combine for how the result is made.
+     * @param {Shape[]} parts - The parts to join. The first one gives the result its material and place.
+     * @param {object} [options={}] - Options for the result, see combine.
+     * @returns {Shape} The new mesh part.
+     */
+    union(parts, options = {}) {
+        return this.combine('union', parts, options);
+    }
+    
+    /**
+     * Cuts parts out of another part, making a mesh part of what is left.
+     * @param {Shape} base - The part to cut from. It gives the result its material and place.
+     * @param {Shape|Shape[]} cutters - The parts to cut away.
+     * @param {object} [options={}] - Options for the result, see combine.
+     * @returns {Shape} The new mesh part.
+     */
+    subtract(base, cutters, options = {}) {
+        return this.combine('subtract', [base].concat(cutters), options);
+    }
+    
+    /**
+     * Makes a mesh part of only the space that all of the parts cover.
+     * @param {Shape[]} parts - The parts to intersect. The first one gives the result its material and place.
+     * @param {object} [options={}] - Options for the result, see combine.
+     * @returns {Shape} The new mesh part.
+     */
+    intersect(parts, options = {}) {
+        return this.combine('intersect', parts, options);
+    }
+    
+    /**
+     * Takes a part made by union, subtract or intersect apart again, putting back the
+     * parts it was made from where they were relative to it, under its parent. Constraints
+     * that were moved onto the combined part go back to the original parts, and ones between
+     * the original parts come back. The combined part is destroyed.
+     * @param {Shape} part - The combined part.
+     * @returns {Shape[]} The original parts.
+     */
+    separate(part) {
+        const source = part.csgSource;
+        if (!source) {
+            throw new Error(part.name + ' was not made by union, subtract or intersect');
+        }
+        const parent = part.parent;
+        const frame = part.getWorldCFrame();
+        const parentFrame = parent ? parent.getWorldCFrame() : new CFrame();
+        source.parts.forEach(entry => {
+            entry.part.cframe = parentFrame.toObjectSpace(frame.mul(entry.cframe));
+            this.setParent(entry.part, parent);
+        });
+        source.constraints.forEach(entry => {
+            const constraint = entry.constraint;
+            // Ones moved onto the combined part that have since been removed stay removed
+            if (!entry.internal && !this.constraints.includes(constraint)) {
+                return;
+            }
+            Object.assign(constraint, { part0: entry.part0, part1: entry.part1, c0: entry.c0, c1: entry.c1 });
+            if (entry.internal) {
+                this.constraints.push(constraint);
+            }
+        });
+        this.destroy(part);
+        return source.parts.map(entry => entry.part);
+    }
+    
+    /**
+     * Runs a CSG operation on the world-space triangles of parts and makes a mesh part of the
+     * result. It copies the material and physics settings of the first part and takes its place
+     * in the tree, and the original parts are taken out of the scene (along with anything parented
+     * to them) so that separate can bring them back. The parts should be closed solids.
+     * Constraints from the original parts to other parts are moved onto the result, keeping their
+     * attachments where they were, and constraints between the original parts are removed.
+     * @param {string} operation - 'union', 'subtract' or 'intersect'.
+     * @param {Shape[]} parts - The parts, first the one the others are applied to.
+     * @param {object} options - Options for the result.
+     * @param {string} [options.name] - The name of the result. Defaults to the first part's name.
+     * @param {Instance} [options.parent] - The parent to attach to. Defaults to the first part's parent.
+     * @param {number} [options.segments=PartsService.CSG_SEGMENTS] - The segments around rounded parts
+     *     that don't have their own segments set.
+     * @returns {Shape} The new mesh part.
+     * @private
+     */
+    combine(operation, parts, options) {
+        if (!Array.isArray(parts) || parts.length < 2 || parts.some(part => !(part instanceof Shape))) {
+            throw new Error('The ' + operation + ' of parts needs at least two parts');
+        }
+        if (new Set(parts).size !== parts.length) {
+            throw new Error('The same part was given twice to ' + operation);
+        }
+        const segments = options.segments || PartsService.CSG_SEGMENTS;
+        let polygons = geometryToPolygons(parts[0].getWorldGeometry(segments));
+        parts.slice(1).forEach(part => {
+            polygons = CSGNode[operation](polygons, geometryToPolygons(part.getWorldGeometry(segments)));
+        });
+        
+        const base = parts[0];
+        const frame = base.getWorldCFrame();
+        const mesh = normalizeGeometry(polygonsToGeometry(polygons), frame.inverse().getMatrix());
+        if (!mesh) {
+            throw new Error('The ' + operation + ' of ' + parts.map(part => part.name).join(', ') + ' is empty');
+        }
+        const parent = options.parent !== undefined ? options.parent : base.parent || this.webthreedee.scene;
+        const worldFrame = frame.mul(CFrame.create(mesh.center));
+        const result = this.createShape('mesh', {
+            name: options.name || base.name,
+            parent,
+            cframe: parent ? parent.getWorldCFrame().toObjectSpace(worldFrame) : worldFrame,
+            size: mesh.size,
+            geometry: mesh.geometry,
+            material: base.material,
+            castShadow: base.castShadow,
+            receiveShadow: base.receiveShadow,
+            anchored: base.anchored,
+            canCollide: base.canCollide,
+            density: base.density,
+            friction: base.friction,
+            restitution: base.restitution
+        });
+        result.csgSource = {
+            operation,
+            parts: parts.map(part => ({ part, cframe: worldFrame.toObjectSpace(part.getWorldCFrame()) })),
+            constraints: []
+        };
+        const frames = new Map(result.csgSource.parts.map(entry => [entry.part, entry.cframe]));
+        this.constraints.slice().forEach(constraint => {
+            const frame0 = frames.get(constraint.part0);
+            const frame1 = frames.get(constraint.part1);
+            if (!frame0 && !frame1) {
+                return;
+            }
+            const { part0, part1, c0, c1 } = constraint;
+            const internal = !!(frame0 && frame1);
+            result.csgSource.constraints.push({ constraint, part0, part1, c0, c1, internal });
+            if (internal) {
+                this.removeConstraint(constraint);
+            } else if (frame0) {
+                constraint.part0 = result;
+                constraint.c0 = frame0.mul(c0);
+            } else {
+                constraint.part1 = result;
+                constraint.c1 = frame1.mul(c1);
+            }
+        });
+        parts.forEach(part => this.setParent(part, null));
+        return result;
+    }
+    
+    /**
+     * Creates a constraint that holds two parts together. Unanchored parts are kept in
+     * place by the physics simulation, and an anchored part1 is moved to keep up with part0.
+     * @param {string} type - The type of constraint ('weld', 'hinge', 'ball', 'rope', 'spring').
+     * @param {Shape} part0 - The first part.
+     * @param {Shape} part1 - The second part.
+     * @param {object} [options={}] - Options for the constraint. See {@link Constraint}.
+     * @returns {Constraint} The created constraint.
+     */
+    createConstraint(type, part0, part1, options = {}) {
+        if (!(part0 instanceof Shape) || !(part1 instanceof Shape) || part0 === part1) {
+            throw new Error('A constraint needs two different parts');
+        }
+        const constraint = new Constraint(type, part0, part1, options);
+        this.constraints.push(constraint);
+        return constraint;
+    }
+    
+    /**
+     * Removes a constraint, letting its parts move independently again.
+     * @param {Constraint} constraint - The constraint to remove.
+     */
+    removeConstraint(constraint) {
+        const index = this.constraints.indexOf(constraint);
+        if (index !== -1) {
+            this.constraints.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Finds the first child of a parent with the given name.
+     * @param {Instance|null} parent - The parent to search. Null searches the scene root.
+     * @param {string} name - The name to look for.
+     * @param {boolean} [recursive=false] - Whether to search all descendants instead of only direct children.
+     * @returns {Instance|null} The matching instance, or null if none was found.
+     */
+    findFirstChild(parent, name, recursive = false) {
+        return (parent || this.webthreedee.scene).findFirstChild(name, recursive);
+    }
+    
+    /**
+     * Checks whether an instance is currently part of the rendered scene.
+     * @param {Instance} instance - The instance to check.
+     * @returns {boolean} True if the instance is the scene root or one of its descendants.
+     * @private
+     */
+    isInScene(instance) {
+        const scene = this.webthreedee.scene;
+        return instance === scene || instance.isDescendantOf(scene);
+    }
+    
+    /**
+     * Collects an instance and its descendants that are shapes.
+     * @param {Instance} instance - The instance to collect from.
+     * @returns {Shape[]} The shapes in tree order.
+     * @private
+     */
+    getShapes(instance) {
+        return [instance, ...instance.getDescendants()].filter(node => node instanceof Shape);
+    }
+}
+
+/**
+ * The segments around rounded parts when they are combined, unless they have their own
+ * segments set. Their level of detail changes with the view, but the result doesn't.
+ */
+PartsService.CSG_SEGMENTS = 32;
+
+/**
+ * Holds two parts together. Each part has an attachment frame (c0 and c1, relative to
+ * the part) and the constraint keeps those frames together in a way that depends on its type:
+ * - weld: the frames stay identical, so the parts move as one.
+ * - hinge: the frames share a position and X axis, and can spin around that axis.
+ * - ball: the frames share a position and can rotate freely.
+ * - rope: the frames stay no farther apart than `length`.
+ * - spring: the frames are pulled towards being `restLength` apart.
+ * @class
+ */
+class Constraint {
+    /**
+     * @param {string} type - The type of constraint.
+     * @param {Shape} part0 - The first part.
+     * @param {Shape} part1 - The second part.
+     * @param {object} [options={}] - Options for the constraint.
+     * @param {Vector} [options.point] - World position of the joint for welds, hinges and balls. Defaults to part1's position.
+     * @param {Vector} [options.axis] - World direction a hinge spins around. Defaults to the X axis.
+     * @param {Vector} [options.point0] - World position where a rope or spring attaches to part0. Defaults to its center.
+     * @param {Vector} [options.point1] - World position where a rope or spring attaches to part1. Defaults to its center.
+     * @param {CFrame} [options.c0] - The attachment frame relative to part0, instead of working it out from the points.
+     * @param {CFrame} [options.c1] - The attachment frame relative to part1.
+     * @param {number|null} [options.motorSpeed=null] - Hinge motor speed in radians per second, or null for no motor.
+     * @param {number} [options.motorMaxTorque=Infinity] - The most torque the hinge motor can apply.
+     * @param {number|null} [options.lowerAngle=null] - Lowest hinge angle in degrees, or null for no limit.
+     * @param {number|null} [options.upperAngle=null] - Highest hinge angle in degrees, or null for no limit.
+     * @param {number} [options.length] - Rope length. Defaults to the distance between the points.
+     * @param {number} [options.restLength] - Spring length with no force. Defaults to the distance between the points.
+     * @param {number} [options.stiffness=50] - Spring force per unit it is stretched or squashed.
+     * @param {number} [options.damping=1] - Spring force per unit of speed it is stretching or squashing at.
+     */
+    constructor(type, part0, part1, options = {}) {
+        if (!Constraint.TYPES.includes(type)) {
+            throw new Error(`Unknown constraint type: ${type}`);
+        }
+        this.type = type;
+        this.part0 = part0;
+        this.part1 = part1;
+        /** Whether the constraint is applied. */
+        this.enabled = options.enabled !== false;
+        
+        const world0 = part0.getWorldCFrame();
+        const world1 = part1.getWorldCFrame();
+        let frame0, frame1;
+        if (type === 'rope' || type === 'spring') {
+            frame0 = CFrame.create(options.point0 || world0.position);
+            frame1 = CFrame.create(options.point1 || world1.position);
+        } else {
+            const point = options.point || world1.position;
+            frame0 = frame1 = type === 'weld' && !options.point
+                ? world1
+                : CFrame.fromQuaternion(point, rotationFromXAxis(options.axis || vector(1, 0, 0)));
+        }
+        this.c0 = options.c0 || world0.toObjectSpace(frame0);
+        this.c1 = options.c1 || world1.toObjectSpace(frame1);
+        
+        const distance = this.getLength();
+        this.motorSpeed = options.motorSpeed !== undefined ? options.motorSpeed : null;
+        this.motorMaxTorque = options.motorMaxTorque !== undefined ? options.motorMaxTorque : Infinity;
+        this.lowerAngle = options.lowerAngle !== undefined ? options.lowerAngle : null;
+        this.upperAngle = options.upperAngle !== undefined ? options.upperAngle : null;
+        this.length = options.length !== undefined ? options.length : distance;
+        this.restLength = options.restLength !== undefined ? options.restLength : distance;
+        this.stiffness = options.stiffness !== undefined ? options.stiffness : 50;
+        this.damping = options.damping !== undefined ? options.damping : 1;
+    }
+    
+    /**
+     * Gets the world CFrame of each attachment frame.
+     * @returns {CFrame[]} The frames on part0 and part1.
+     */
+    getWorldFrames() {
+        return [this.part0.getWorldCFrame().mul(this.c0), this.part1.getWorldCFrame().mul(this.c1)];
+    }
+    
+    /**
+     * Gets the distance between the two attachment points.
+     * @returns {number} The distance.
+     */
+    getLength() {
+        const [frame0, frame1] = this.getWorldFrames();
+        return frame1.position.sub(frame0.position).magnitude();
+    }
+    
+    /**
+     * Gets how far a hinge has turned from where it started.
+     * @returns {number} The angle in degrees, from -180 to 180.
+     */
+    getAngle() {
+        const [frame0, frame1] = this.getWorldFrames();
+        return hingeAngle(frame0.rightVector(), frame0.upVector(), frame1.upVector()) * 180 / Math.PI;
+    }
+}
+
+Constraint.TYPES = ['weld', 'hinge', 'ball', 'rope', 'spring'];
+
+/**
+ * Creates a rotation that turns the X axis to point along a direction.
+ * @param {Vector} direction - The direction.
+ * @returns {Quaternion} The rotation.
+ * @private
+ */
+function rotationFromXAxis(direction) {
+    const axis = direction.unit();
+    if (axis.x < -0.999999) {
+        return Quaternion.fromAxisAngle(vector(0, 1, 0), 180);
+    }
+    const cross = vector(1, 0, 0).cross(axis);
+    return new Quaternion(cross.x, cross.y, cross.z, 1 + axis.x).normalize();
+}
+
+/**
+ * Creates the smallest rotation that turns one direction into another.
+ * @param {Vector} from - The starting direction.
+ * @param {Vector} to - The direction to turn it to.
+ * @returns {Quaternion} The rotation.
+ * @private
+ */
+function rotationBetween(from, to) {
+    const a = from.unit();
+    const b = to.unit();
+    const dot = a.dot(b);
+    if (dot < -0.999999) {
+        // Opposite directions can turn half way around any axis perpendicular to them
+        const axis = Math.abs(a.x) < 0.9 ? vector(1, 0, 0).cross(a) : vector(0, 1, 0).cross(a);
+        return Quaternion.fromAxisAngle(axis, 180);
+    }
+    const cross = a.cross(b);
+    return new Quaternion(cross.x, cross.y, cross.z, 1 + dot).normalize();
+}
+
+/**
+ * Measures how far one reference direction has turned from another around an axis.
+ * @param {Vector} axis - The unit axis.
+ * @param {Vector} from - The starting direction, perpendicular to the axis.
+ * @param {Vector} to - The turned direction.
+ * @returns {number} The angle in radians, from -PI to PI.
+ * @private
+ */
+function hingeAngle(axis, from, to) {
+    return Math.atan2(axis.dot(from.cross(to)), from.dot(to));
+}
+
+/**
+ * Service for creating and managing the lights in the scene.
+ * @class
+ */
+class LightingService {
+    constructor() {
+        /** The lights in the scene, in the order they were created. */
+        this.lights = [];
+        /** The RGB color of the scene's base ambient light. */
+        this.ambientColor = [0.1, 0.1, 0.1];
+        
+        // Default light, so a new scene isn't pitch black
+        this.createLight('point', { position: vector(10, 10, 10) });
+    }
+    
+    /**
+     * Creates a new light and adds it to the scene.
+     * @param {string} type - The type of light ('directional', 'point', 'spot', 'ambient').
+     * @param {object} [options={}] - Light options, see Light.
+     * @returns {Light} The new Light object.
+     */
+    createLight(type, options = {}) {
+        if (this.lights.length >= LightingService.MAX_LIGHTS) {
+            throw new Error('Cannot have more than ' + LightingService.MAX_LIGHTS + ' lights');
+        }
+        const light = new Light(type, options);
+        this.lights.push(light);
+        return light;
+    }
+    
+    /**
+     * Removes a light from the scene.
+     * @param {Light} light - The light to remove.
+     */
+    removeLight(light) {
+        const index = this.lights.indexOf(light);
+        if (index !== -1) {
+            this.lights.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Removes every light from the scene, including the default one.
+     */
+    clearLights() {
+        this.lights = [];
+    }
+    
+    /**
+     * Gets the light that currently casts shadows: the first enabled directional
+     * or spot light with castShadow set. Only one light casts shadows at a time.
+     * @returns {Light|null} The shadow-casting light, or null if there is none.
+     */
+    getShadowLight() {
+        return this.lights.find(light =>
+            light.enabled && light.castShadow && (light.type === 'directional' || light.type === 'spot')
+        ) || null;
+    }
+    
+    /**
+     * Calculates the matrix that projects world positions into a light's shadow map.
+     * Directional lights cover a box of shadowDistance around the camera, spot
+     * lights cover their cone out to their range.
+     * @param {Light} light - The shadow-casting light.
+     * @param {Camera} camera - The camera the scene is viewed from.
+     * @returns {mat4} The combined projection and view matrix.
+     * @private
+     */
+    getLightSpaceMatrix(light, camera) {
+        const projection = mat4.create();
+        let eye, target;
+        if (light.type === 'directional') {
+            const extent = light.shadowDistance;
+            target = vector(camera.position[0], camera.position[1], camera.position[2]);
+            eye = target.sub(light.direction.unit().scale(extent * 2));
+            mat4.ortho(projection, -extent, extent, -extent, extent, 0.1, extent * 4);
+        } else {
+            eye = light.position;
+            target = light.position.add(light.direction.unit());
+            const far = light.range > 0 ? light.range : light.shadowDistance * 4;
+            mat4.perspective(projection, Math.min(light.outerAngle * 2, 170) * Math.PI / 180, 1, 0.1, far);
+        }
+        const view = CFrame.lookAt(eye, target).inverse().getMatrix();
+        return mat4.multiply(projection, projection, view);
+    }
+    
+    /**
+     * Uploads the lights to the shader's uniform arrays.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {object} uniforms - The shader uniform locations.
+     * @private
+     */
+    applyUniforms(gl, uniforms) {
+        const ambient = this.ambientColor.slice();
+        const types = [];
+        const positions = [];
+        const directions = [];
+        const colors = [];
+        const ranges = [];
+        const attenuations = [];
+        const cones = [];
+        const shadowLight = this.getShadowLight();
+        let shadowLightIndex = -1;
+        
+        this.lights.forEach(light => {
+            if (!light.enabled) {
+                return;
+            }
+            if (light.type === 'ambient') {
+                for (let i = 0; i < 3; i++) {
+                    ambient[i] += light.color[i] * light.intensity;
+                }
+                return;
+            }
+            if (light === shadowLight) {
+                shadowLightIndex = types.length;
+            }
+            types.push(Light.TYPES.indexOf(light.type));
+            positions.push(light.position.x, light.position.y, light.position.z);
+            directions.push(light.direction.x, light.direction.y, light.direction.z);
+            colors.push(...light.color.map(c => c * light.intensity));
+            ranges.push(light.range);
+            attenuations.push(...light.attenuation);
+            cones.push(
+                Math.cos(light.innerAngle * Math.PI / 180),
+                Math.cos(light.outerAngle * Math.PI / 180)
+            );
+        });
+        
+        gl.uniform3fv(uniforms.ambientColor, ambient);
+        gl.uniform1i(uniforms.lightCount, types.length);
+        gl.uniform1i(uniforms.shadowLightIndex, shadowLightIndex);
+        if (types.length > 0) {
+            gl.uniform1iv(uniforms.lightType, types);
+            gl.uniform3fv(uniforms.lightPosition, positions);
+            gl.uniform3fv(uniforms.lightDirection, directions);
+            gl.uniform3fv(uniforms.lightColor, colors);
+            gl.uniform1fv(uniforms.lightRange, ranges);
+            gl.uniform3fv(uniforms.lightAttenuation, attenuations);
+            gl.uniform2fv(uniforms.lightCone, cones);
+        }
+    }
+}
+
+/**
+ * The most lights the shader can handle at once.
+ * @type {number}
+ */
+LightingService.MAX_LIGHTS = 16;
+
+/**
+ * A light in the scene. Change its properties at any time; they are picked up
+ * on the next frame.
+ * @class
+ */
+class Light {
+    /**
+     * @param {string} type - The type of light ('directional', 'point', 'spot', 'ambient').
+     * @param {object} [options={}] - Light options.
+     * @param {number[]} [options.color=[1, 1, 1]] - The RGB color of the light.
+     * @param {number} [options.intensity=1] - Brightness multiplier for the color.
+     * @param {Vector} [options.position=vector(0, 0, 0)] - Where point and spot lights shine from.
+     * @param {Vector} [options.direction=vector(0, -1, 0)] - The direction directional and spot lights shine in.
+     * @param {number} [options.range=0] - Distance at which point and spot lights fade out completely. 0 means unlimited.
+     * @param {number[]} [options.attenuation=[1, 0, 0]] - Constant, linear and quadratic distance falloff factors.
+     * @param {number} [options.innerAngle=20] - Angle from the spot direction, in degrees, where the light starts to fade.
+     * @param {number} [options.outerAngle=30] - Angle from the spot direction, in degrees, where the light is gone.
+     * @param {boolean} [options.castShadow=false] - Whether this light casts shadows. Only directional and spot lights can.
+     * @param {number} [options.shadowBias=0.005] - Depth offset that stops surfaces from shadowing themselves.
+     * @param {number} [options.shadowMapSize=2048] - Width and height of the shadow map in pixels.
+     * @param {number} [options.shadowDistance=20] - How far from the camera directional light shadows reach.
+     */
+    constructor(type, options = {}) {
+        if (!Light.TYPES.includes(type) && type !== 'ambient') {
+            throw new Error('Unknown light type "' + type + '"');
+        }
+        this.type = type;
+        this.color = options.color || [1, 1, 1];
+        this.intensity = options.intensity !== undefined ? options.intensity : 1;
+        this.position = options.position || vector(0, 0, 0);
+        this.direction = options.direction || vector(0, -1, 0);
+        this.range = options.range || 0;
+        this.attenuation = options.attenuation || [1, 0, 0];
+        this.innerAngle = options.innerAngle !== undefined ? options.innerAngle : 20;
+        this.outerAngle = options.outerAngle !== undefined ? options.outerAngle : 30;
+        this.castShadow = options.castShadow || false;
+        this.shadowBias = options.shadowBias !== undefined ? options.shadowBias : 0.005;
+        this.shadowMapSize = options.shadowMapSize || 2048;
+        this.shadowDistance = options.shadowDistance || 20;
+        this.enabled = true;
+    }
+}
+
+/**
+ * Light types in the order the shader numbers them. Ambient lights are folded
+ * into the ambient color instead.
+ * @type {string[]}
+ */
+Light.TYPES = ['directional', 'point', 'spot'];
+
+/**
+ * Service that simulates rigid-body physics for parts that are not anchored.
+ * Parts collide with each other using their shape, cframe and size, and
+ * anchored parts act as immovable obstacles.
+ * @class
+ */
+class PhysicsService {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The main WebThreeDee instance.
+     */
+    constructor(webthreedeeInstance) {
+        this.webthreedee = webthreedeeInstance;
+        /** Acceleration applied to every unanchored part, in units per second squared. */
+        this.gravity = vector(0, -9.81, 0);
+        /** Length of each simulation step in seconds. Frames run as many steps as fit. */
+        this.fixedTimeStep = 1 / 60;
+        /** The most steps run in one frame, so slow frames can't snowball. */
+        this.maxSubSteps = 5;
+        /** Solver iterations per step. More is stiffer and more stable but slower. */
+        this.iterations = 10;
+        /** Whether the simulation runs. */
+        this.enabled = true;
+        
+        this.accumulator = 0;
+        this.manifolds = new Map();
+        this.bodyIds = new WeakMap();
+        this.nextBodyId = 0;
+    }
+    
+    /**
+     * Advances the simulation by a frame's worth of time, in fixed steps.
+     * @param {number} deltaTime - The frame time in seconds.
+     */
+    step(deltaTime) {
+        if (this.enabled) {
+            this.accumulator = Math.min(this.accumulator + deltaTime, this.fixedTimeStep * this.maxSubSteps);
+            while (this.accumulator >= this.fixedTimeStep) {
+                this.simulate(this.fixedTimeStep);
+                this.accumulator -= this.fixedTimeStep;
+            }
+        }
+        this.followConstraints();
+    }
+    
+    /**
+     * Moves anchored parts that are constrained to another part so they keep up with it,
+     * since the simulation never moves them. Welds carry part1 along, hinges and balls keep
+     * the joint together (hinges also keep their axis and angle limits), ropes keep it within
+     * their length and springs at their rest length. Constraints are applied in the order
+     * they were created, so chains of them follow through.
+     * @private
+     */
+    followConstraints() {
+        this.webthreedee.partsService.constraints.forEach(constraint => {
+            const part = constraint.part1;
+            if (!constraint.enabled || !part.anchored) {
+                return;
+            }
+            const frame0 = constraint.part0.getWorldCFrame().mul(constraint.c0);
+            const world = part.getWorldCFrame();
+            const frame1 = world.mul(constraint.c1);
+            let target;
+            if (constraint.type === 'weld') {
+                target = frame0;
+            } else if (constraint.type === 'hinge') {
+                const axis = frame0.rightVector();
+                let rotation = rotationBetween(frame1.rightVector(), axis).mul(frame1.getQuaternion());
+                const angle = hingeAngle(axis, frame0.upVector(), rotation.rotateVector(vector(0, 1, 0)));
+                const lower = constraint.lowerAngle !== null ? constraint.lowerAngle * Math.PI / 180 : -Infinity;
+                const upper = constraint.upperAngle !== null ? constraint.upperAngle * Math.PI / 180 : Infinity;
+                const limited = Math.min(Math.max(angle, lower), upper);
+                if (limited !== angle) {
+                    rotation = Quaternion.fromAxisAngle(axis, (limited - angle) * 180 / Math.PI).mul(rotation);
+                }
+                target = CFrame.fromQuaternion(frame0.position, rotation);
+            } else {
+                // Balls, ropes and springs only move the part, they don't turn it
+                let point = frame0.position;
+                if (constraint.type !== 'ball') {
+                    const offset = frame1.position.sub(frame0.position);
+                    const distance = offset.magnitude();
+                    const length = constraint.type === 'rope' ? Math.min(distance, constraint.length) : constraint.restLength;
+                    if (distance < 1e-9) {
+                        return;
+                    }
+                    point = frame0.position.add(offset.scale(length / distance));
+                }
+                const position = world.position.add(point.sub(frame1.position));
+                if (position.sub(world.position).magnitude() > 1e-9) {
+                    part.setWorldCFrame(CFrame.create(position, world.rotation));
+                }
+                return;
+            }
+            const next = target.mul(constraint.c1.inverse());
+            // Leave parts that are already in place alone, so they aren't marked as moved every frame
+            if (next.position.sub(world.position).magnitude() > 1e-9 ||
+                Math.abs(next.getQuaternion().dot(world.getQuaternion())) < 1 - 1e-12) {
+                part.setWorldCFrame(next);
+            }
+        });
+    }
+    
+    /**
+     * Runs a single simulation step.
+     * @param {number} h - The step length in seconds.
+     * @private
+     */
+    simulate(h) {
+        const parts = this.webthreedee.shapes;
+        if (!parts.some(part => !part.anchored)) {
+            this.manifolds.clear();
+            return;
+        }
+        this.webthreedee.scene.updateWorldMatrix();
+        
+        const bodies = new Map();
+        parts.forEach(part => bodies.set(part, this.createBody(part)));
+        
+        // Apply gravity
+        bodies.forEach(body => {
+            if (body.invMass > 0) {
+                body.velocity = body.velocity.add(this.gravity.scale(h));
+            }
+        });
+        
+        // Parts joined by a constraint don't collide with each other
+        const joints = [];
+        const joined = new Set();
+        this.webthreedee.partsService.constraints.forEach(constraint => {
+            const a = bodies.get(constraint.part0);
+            const b = bodies.get(constraint.part1);
+            if (constraint.enabled && a && b) {
+                joints.push(new ConstraintSolver(constraint, a, b));
+                joined.add(this.getBodyId(a.part) + ':' + this.getBodyId(b.part));
+                joined.add(this.getBodyId(b.part) + ':' + this.getBodyId(a.part));
+            }
+        });
+        
+        // Find contacts, reusing last step's contacts between the same parts
+        const manifolds = new Map();
+        this.findPairs([...bodies.values()]).forEach(([a, b]) => {
+            const key = this.getBodyId(a.part) + ':' + this.getBodyId(b.part);
+            if (joined.has(key)) {
+                return;
+            }
+            // Concave parts are checked a convex piece at a time, each pair of pieces with its own contacts
+            this.getPieces(a).forEach((pieceA, i) => this.getPieces(b).forEach((pieceB, j) => {
+                if (pieceA.bounds.min.x > pieceB.bounds.max.x || pieceB.bounds.min.x > pieceA.bounds.max.x ||
+                    pieceA.bounds.min.y > pieceB.bounds.max.y || pieceB.bounds.min.y > pieceA.bounds.max.y ||
+                    pieceA.bounds.min.z > pieceB.bounds.max.z || pieceB.bounds.min.z > pieceA.bounds.max.z) {
+                    return;
+                }
+                const pairKey = key + ':' + i + ':' + j;
+                const manifold = this.manifolds.get(pairKey) || new ContactManifold();
+                const contact = collideConvex(pieceA, pieceB);
+                if (contact) {
+                    const { normal, points } = findContactPoints(pieceA, pieceB, contact);
+                    manifold.update(a, b, normal, points);
+                } else {
+                    manifold.update(a, b, null, []);
+                }
+                if (manifold.contacts.length > 0) {
+                    manifold.a = a;
+                    manifold.b = b;
+                    manifolds.set(pairKey, manifold);
+                }
+            }));
+        });
+        this.manifolds = manifolds;
+        
+        // Solve contacts with sequential impulses
+        joints.forEach(joint => joint.prepare(h));
+        manifolds.forEach(manifold => manifold.prepare(h));
+        for (let i = 0; i < this.iterations; i++) {
+            joints.forEach(joint => joint.solve());
+            manifolds.forEach(manifold => manifold.solve());
+        }
+        joints.forEach(joint => joint.store());
+        
+        // Integrate and write the results back to the parts
+        bodies.forEach(body => {
+            if (body.invMass === 0) {
+                return;
+            }
+            const part = body.part;
+            part.velocity = body.velocity;
+            part.angularVelocity = body.angularVelocity;
+            
+            const position = body.position.add(body.velocity.scale(h));
+            const w = body.angularVelocity;
+            const q = body.orientation;
+            const spin = new Quaternion(w.x, w.y, w.z, 0).mul(q);
+            const orientation = new Quaternion(
+                q.x + spin.x * h / 2,
+                q.y + spin.y * h / 2,
+                q.z + spin.z * h / 2,
+                q.w + spin.w * h / 2
+            ).normalize();
+            part.setWorldCFrame(CFrame.fromQuaternion(position, orientation));
+        });
+    }
+    
+    /**
+     * Gets a stable id for a part, used to match up contacts between steps.
+     * @param {Shape} part - The part.
+     * @returns {number} The id.
+     * @private
+     */
+    getBodyId(part) {
+        if (!this.bodyIds.has(part)) {
+            this.bodyIds.set(part, this.nextBodyId++);
+        }
+        return this.bodyIds.get(part);
+    }
+    
+    /**
+     * Captures the state of a part for one simulation step.
+     * @param {Shape} part - The part.
+     * @returns {object} The rigid body state.
+     * @private
+     */
+    createBody(part) {
+        const cframe = part.getWorldCFrame();
+        const orientation = cframe.getQuaternion();
+        const modelMatrix = part.getModelMatrix();
+        const dynamic = !part.anchored;
+        const mass = dynamic ? part.getMass() : Infinity;
+        
+        // World-space inverse inertia: R * I^-1 * R^T
+        let invInertia = null;
+        if (dynamic) {
+            const inertia = part.getLocalInertia(mass);
+            const rotation = mat4.fromRotationTranslation(new Float64Array(16), orientation, [0, 0, 0]);
+            invInertia = v => {
+                const local = mat4.transformDirection(mat4.transpose(new Float64Array(16), rotation), v);
+                return mat4.transformDirection(rotation, vector(local.x / inertia.x, local.y / inertia.y, local.z / inertia.z));
+            };
+        }
+        
+        const body = {
+            part,
+            position: cframe.position,
+            orientation,
+            velocity: dynamic ? part.velocity : vector(0, 0, 0),
+            angularVelocity: dynamic ? part.angularVelocity : vector(0, 0, 0),
+            invMass: dynamic ? 1 / mass : 0,
+            invInertia: invInertia || (() => vector(0, 0, 0)),
+            modelMatrix,
+            // Shapes without an exact support function collide as the convex hull of their geometry
+            localSupport: Shape.SUPPORT[part.type.toLowerCase()] || farthestPoint.bind(null, getGeometryPoints(part.geometry)),
+            bounds: getWorldBounds(modelMatrix),
+            pieces: null
+        };
+        body.support = worldSupport(modelMatrix, body.localSupport);
+        return body;
+    }
+    
+    /**
+     * Gets the convex pieces a body collides as. Parts made by union, subtract or intersect
+     * can be concave, so they are split into pieces the first time they touch something,
+     * and every other part is a single piece.
+     * @param {object} body - The body.
+     * @returns {object[]} The pieces, each with the part, model matrix, support function and bounds.
+     * @private
+     */
+    getPieces(body) {
+        if (!body.pieces) {
+            const pieces = body.part.csgSource ? getConvexPieces(body.part.geometry) : [];
+            const m = body.modelMatrix;
+            body.pieces = pieces.length === 0 ? [body] : pieces.map(piece => {
+                // The piece's box in world space, like getWorldBounds
+                const center = mat4.transformPoint(m, piece.min.lerp(piece.max, 0.5));
+                const size = piece.max.sub(piece.min).scale(0.5);
+                const extent = i => Math.abs(m[i]) * size.x + Math.abs(m[i + 4]) * size.y + Math.abs(m[i + 8]) * size.z;
+                const half = vector(extent(0), extent(1), extent(2));
+                return {
+                    part: body.part,
+                    modelMatrix: m,
+                    support: worldSupport(m, farthestPoint.bind(null, piece.points)),
+                    featurePoints: piece.points,
+                    bounds: { min: center.sub(half), max: center.add(half) }
+                };
+            });
+        }
+        return body.pieces;
+    }
+    
+    /**
+     * Finds pairs of bodies whose bounding boxes overlap, using sort and sweep.
+     * @param {object[]} bodies - The bodies.
+     * @returns {Array} Pairs of bodies that might be touching.
+     * @private
+     */
+    findPairs(bodies) {
+        const sorted = bodies.slice().sort((a, b) => a.bounds.min.x - b.bounds.min.x);
+        const pairs = [];
+        for (let i = 0; i < sorted.length; i++) {
+            const a = sorted[i];
+            for (let j = i + 1; j < sorted.length && sorted[j].bounds.min.x <= a.bounds.max.x; j++) {
+                const b = sorted[j];
+                if (a.invMass === 0 && b.invMass === 0) {
+                    continue;
+                }
+                if (!a.part.canCollide || !b.part.canCollide) {
+                    continue;
+                }
+                if (a.bounds.min.y > b.bounds.max.y || b.bounds.min.y > a.bounds.max.y ||
+                    a.bounds.min.z > b.bounds.max.z || b.bounds.min.z > a.bounds.max.z) {
+                    continue;
+                }
+                // Keep a consistent order so contacts can be matched between steps
+                pairs.push(this.getBodyId(a.part) < this.getBodyId(b.part) ? [a, b] : [b, a]);
+            }
+        }
+        return pairs;
+    }
+}
+
+/**
+ * Contact points between two parts, kept across steps so resting parts get a
+ * stable set of up to four points instead of one that jumps around.
+ * @class
+ * @private
+ */
+class ContactManifold {
+    constructor() {
+        this.contacts = [];
+        this.normal = null;
+        this.a = null;
+        this.b = null;
+    }
+    
+    /**
+     * Refreshes the contacts for this step. When only a single point was found,
+     * contacts from earlier steps that still touch are kept alongside it.
+     * @param {object} a - The first body.
+     * @param {object} b - The second body.
+     * @param {Vector|null} normal - The contact normal from A to B, or null if they're apart.
+     * @param {{pointA: Vector, pointB: Vector}[]} points - This step's contact points.
+     */
+    update(a, b, normal, points) {
+        if (!normal) {
+            this.contacts = [];
+            return;
+        }
+        this.normal = normal;
+        const toWorldA = CFrame.fromQuaternion(a.position, a.orientation);
+        const toWorldB = CFrame.fromQuaternion(b.position, b.orientation);
+        const previous = this.contacts;
+        
+        if (points.length > 1) {
+            this.contacts = [];
+        } else {
+            // Drop contacts that have separated or slid apart
+            this.contacts = previous.filter(c => {
+                c.pointA = toWorldA.pointToWorldSpace(c.localA);
+                c.pointB = toWorldB.pointToWorldSpace(c.localB);
+                const offset = c.pointA.sub(c.pointB);
+                c.depth = offset.dot(normal);
+                const drift = offset.sub(normal.scale(c.depth)).magnitude();
+                return c.depth > -ContactManifold.BREAK_DISTANCE && drift < ContactManifold.BREAK_DISTANCE;
+            });
+        }
+        
+        points.forEach(({ pointA, pointB }) => {
+            const fresh = {
+                localA: toWorldA.pointToObjectSpace(pointA),
+                localB: toWorldB.pointToObjectSpace(pointB),
+                pointA,
+                pointB,
+                depth: pointA.sub(pointB).dot(normal),
+                normalImpulse: 0,
+                tangentImpulse: [0, 0]
+            };
+            // Carry over the impulse from the same contact last step (warm starting)
+            const match = previous.find(c => c.pointA.sub(pointA).magnitude() < ContactManifold.BREAK_DISTANCE);
+            if (match) {
+                fresh.normalImpulse = match.normalImpulse;
+                fresh.tangentImpulse = match.tangentImpulse.slice();
+            }
+            const duplicate = this.contacts.indexOf(match);
+            if (duplicate !== -1) {
+                this.contacts[duplicate] = fresh;
+            } else {
+                this.contacts.push(fresh);
+            }
+        });
+        
+        if (this.contacts.length > 4) {
+            this.reduce();
+        }
+    }
+    
+    /**
+     * Keeps the four contacts that cover the most area, always including the deepest.
+     * @private
+     */
+    reduce() {
+        const contacts = this.contacts;
+        const deepest = contacts.reduce((best, c) => (c.depth > best.depth ? c : best));
+        const far = contacts.reduce((best, c) =>
+            (c.pointA.sub(deepest.pointA).magnitude() > best.pointA.sub(deepest.pointA).magnitude() ? c : best));
+        const area = (p, q, r) => q.pointA.sub(p.pointA).cross(r.pointA.sub(p.pointA)).magnitude();
+        const third = contacts.reduce((best, c) => (area(deepest, far, c) > area(deepest, far, best) ? c : best));
+        const fourth = contacts.reduce((best, c) => {
+            const score = c2 => area(deepest, far, c2) + area(far, third, c2) + area(third, deepest, c2);
+            return score(c) > score(best) ? c : best;
+        });
+        this.contacts = [...new Set([deepest, far, third, fourth])];
+    }
+    
+    /**
+     * Precomputes per-contact solver values and applies last step's impulses (warm starting).
+     * @param {number} h - The step length in seconds.
+     */
+    prepare(h) {
+        const { a, b, normal } = this;
+        const restitution = Math.max(a.part.restitution, b.part.restitution);
+        this.friction = Math.sqrt(a.part.friction * b.part.friction);
+        
+        // Two tangent directions perpendicular to the normal
+        const helper = Math.abs(normal.x) > 0.57 ? vector(0, 1, 0) : vector(1, 0, 0);
+        this.tangents = [normal.cross(helper).unit()];
+        this.tangents.push(normal.cross(this.tangents[0]));
+        
+        this.contacts.forEach(c => {
+            const point = c.pointA.add(c.pointB).scale(0.5);
+            c.rA = point.sub(a.position);
+            c.rB = point.sub(b.position);
+            c.normalMass = 1 / this.effectiveMass(normal, c);
+            c.tangentMass = this.tangents.map(t => 1 / this.effectiveMass(t, c));
+            
+            // Push apart penetration beyond the slop, and bounce off fast impacts
+            const approach = this.relativeVelocity(c).dot(normal);
+            // Separated points let the parts close the gap this step, but no further
+            const correction = c.depth < 0 ? c.depth / h : ContactManifold.BAUMGARTE / h * Math.max(c.depth - ContactManifold.SLOP, 0);
+            const bounce = approach < -ContactManifold.BOUNCE_THRESHOLD && c.depth >= 0 ? -restitution * approach : 0;
+            c.bias = Math.max(correction, bounce);
+            
+            this.applyImpulse(c, normal.scale(c.normalImpulse)
+                .add(this.tangents[0].scale(c.tangentImpulse[0]))
+                .add(this.tangents[1].scale(c.tangentImpulse[1])));
+        });
+    }
+    
+    /**
+     * Runs one solver iteration over every contact.
+     */
+    solve() {
+        const normal = this.normal;
+        this.contacts.forEach(c => {
+            // Friction, limited by the normal impulse
+            this.tangents.forEach((tangent, i) => {
+                const speed = this.relativeVelocity(c).dot(tangent);
+                const limit = this.friction * c.normalImpulse;
+                const previous = c.tangentImpulse[i];
+                c.tangentImpulse[i] = Math.max(-limit, Math.min(limit, previous - speed * c.tangentMass[i]));
+                this.applyImpulse(c, tangent.scale(c.tangentImpulse[i] - previous));
+            });
+            
+            // Non-penetration, accumulated impulse clamped so contacts only push
+            const speed = this.relativeVelocity(c).dot(normal);
+            const previous = c.normalImpulse;
+            c.normalImpulse = Math.max(previous + (c.bias - speed) * c.normalMass, 0);
+            this.applyImpulse(c, normal.scale(c.normalImpulse - previous));
+        });
+    }
+    
+    /**
+     * Gets the velocity of B relative to A at a contact.
+     * @param {object} c - The contact.
+     * @returns {Vector} The relative velocity.
+     * @private
+     */
+    relativeVelocity(c) {
+        const { a, b } = this;
+        const velocityA = a.velocity.add(a.angularVelocity.cross(c.rA));
+        const velocityB = b.velocity.add(b.angularVelocity.cross(c.rB));
+        return velocityB.sub(velocityA);
+    }
+    
+    /**
+     * Gets how hard it is to change the relative velocity along a direction at a contact.
+     * @param {Vector} direction - The unit direction.
+     * @param {object} c - The contact.
+     * @returns {number} The inverse effective mass.
+     * @private
+     */
+    effectiveMass(direction, c) {
+        const { a, b } = this;
+        const angularA = a.invInertia(c.rA.cross(direction)).cross(c.rA);
+        const angularB = b.invInertia(c.rB.cross(direction)).cross(c.rB);
+        return a.invMass + b.invMass + direction.dot(angularA.add(angularB));
+    }
+    
+    /**
+     * Applies an impulse at a contact, pushing B along it and A the opposite way.
+     * @param {object} c - The contact.
+     * @param {Vector} impulse - The impulse.
+     * @private
+     */
+    applyImpulse(c, impulse) {
+        const { a, b } = this;
+        a.velocity = a.velocity.sub(impulse.scale(a.invMass));
+        a.angularVelocity = a.angularVelocity.sub(a.invInertia(c.rA.cross(impulse)));
+        b.velocity = b.velocity.add(impulse.scale(b.invMass));
+        b.angularVelocity = b.angularVelocity.add(b.invInertia(c.rB.cross(impulse)));
+    }
+}
+
+/** Penetration allowed before contacts push back, which keeps resting contacts from jittering. */
+ContactManifold.SLOP = 0.005;
+/** Fraction of the remaining penetration corrected per step. */
+ContactManifold.BAUMGARTE = 0.2;
+/** Impact speed below which parts don't bounce. */
+ContactManifold.BOUNCE_THRESHOLD = 1;
+/** Distance at which a stored contact is considered broken. */
+ContactManifold.BREAK_DISTANCE = 0.05;
+/** How far below the farthest corner other corners can be and still count as the same face. */
+ContactManifold.FEATURE_TOLERANCE = 0.02;
+/** Angle in radians within which a cylinder counts as lying flat on its cap or its side. */
+ContactManifold.FEATURE_ANGLE = 0.05;
+
+/**
+ * Solves a constraint between two bodies for one step. Each constraint is broken into
+ * rows that each control the relative motion along one direction, solved with
+ * sequential impulses like contacts.
+ * @class
+ * @private
+ */
+class ConstraintSolver {
+    /**
+     * @param {Constraint} constraint - The constraint.
+     * @param {object} a - The body of part0.
+     * @param {object} b - The body of part1.
+     */
+    constructor(constraint, a, b) {
+        this.constraint = constraint;
+        this.a = a;
+        this.b = b;
+        this.rows = [];
+    }
+    
+    /**
+     * Builds the rows for this step, applies spring forces, and warm starts from last step.
+     * @param {number} h - The step length in seconds.
+     */
+    prepare(h) {
+        const { constraint, a, b } = this;
+        if (a.invMass === 0 && b.invMass === 0) {
+            return;
+        }
+        const frame0 = CFrame.fromQuaternion(a.position, a.orientation).mul(constraint.c0);
+        const frame1 = CFrame.fromQuaternion(b.position, b.orientation).mul(constraint.c1);
+        const rA = frame0.position.sub(a.position);
+        const rB = frame1.position.sub(b.position);
+        const offset = frame1.position.sub(frame0.position);
+        const correction = ConstraintSolver.BAUMGARTE / h;
+        const axes = [vector(1, 0, 0), vector(0, 1, 0), vector(0, 0, 1)];
+        
+        if (constraint.type === 'weld' || constraint.type === 'hinge' || constraint.type === 'ball') {
+            // Keep the attachment points together
+            axes.forEach(axis => this.addRow(axis, rA, rB, -correction * offset.dot(axis)));
+        }
+        
+        if (constraint.type === 'weld') {
+            // Rotation that takes part1's frame back to part0's
+            const error = frame1.getQuaternion().mul(frame0.getQuaternion().inverse());
+            const sign = error.w < 0 ? -2 : 2;
+            const angularError = vector(error.x * sign, error.y * sign, error.z * sign);
+            axes.forEach(axis => this.addRow(axis, null, null, -correction * angularError.dot(axis)));
+        } else if (constraint.type === 'hinge') {
+            const axis0 = frame0.rightVector();
+            const axis1 = frame1.rightVector();
+            // Only allow spinning around the hinge axis
+            const helper = Math.abs(axis0.x) > 0.57 ? vector(0, 1, 0) : vector(1, 0, 0);
+            const u = axis0.cross(helper).unit();
+            const v = axis0.cross(u);
+            const angularError = axis0.cross(axis1);
+            this.addRow(u, null, null, -correction * angularError.dot(u));
+            this.addRow(v, null, null, -correction * angularError.dot(v));
+            
+            const angle = hingeAngle(axis0, frame0.upVector(), frame1.upVector());
+            if (constraint.lowerAngle !== null && angle < constraint.lowerAngle * Math.PI / 180) {
+                this.addRow(axis0, null, null, correction * (constraint.lowerAngle * Math.PI / 180 - angle), 0, Infinity);
+            }
+            if (constraint.upperAngle !== null && angle > constraint.upperAngle * Math.PI / 180) {
+                this.addRow(axis0, null, null, -correction * (angle - constraint.upperAngle * Math.PI / 180), -Infinity, 0);
+            }
+            if (constraint.motorSpeed !== null) {
+                const limit = constraint.motorMaxTorque * h;
+                this.addRow(axis0, null, null, constraint.motorSpeed, -limit, limit);
+            }
+        } else if (constraint.type === 'rope') {
+            const distance = offset.magnitude();
+            if (distance > constraint.length && distance > 1e-9) {
+                const direction = offset.scale(1 / distance);
+                this.addRow(direction, rA, rB, -correction * (distance - constraint.length), -Infinity, 0);
+            }
+        } else if (constraint.type === 'spring') {
+            const distance = offset.magnitude();
+            if (distance > 1e-9) {
+                const direction = offset.scale(1 / distance);
+                const row = this.createRow(direction, rA, rB);
+                const speed = this.relativeVelocity(row);
+                const force = -constraint.stiffness * (distance - constraint.restLength) - constraint.damping * speed;
+                this.applyImpulse(row, force * h);
+            }
+        }
+        
+        // Warm start when the constraint has the same rows as last step
+        const previous = constraint.solverImpulses;
+        if (previous && previous.length === this.rows.length) {
+            this.rows.forEach((row, i) => {
+                row.impulse = Math.max(row.min, Math.min(row.max, previous[i]));
+                this.applyImpulse(row, row.impulse);
+            });
+        }
+    }
+    
+    /**
+     * Runs one solver iteration over every row.
+     */
+    solve() {
+        this.rows.forEach(row => {
+            if (row.mass === 0) {
+                return;
+            }
+            const previous = row.impulse;
+            row.impulse = Math.max(row.min, Math.min(row.max, previous + (row.bias - this.relativeVelocity(row)) * row.mass));
+            this.applyImpulse(row, row.impulse - previous);
+        });
+    }
+    
+    /**
+     * Remembers this step's impulses for warm starting the next step.
+     */
+    store() {
+        this.constraint.solverImpulses = this.rows.map(row => row.impulse);
+    }
+    
+    /**
+     * Creates a row without adding it to the solver.
+     * @param {Vector} direction - The unit direction the row acts along.
+     * @param {Vector|null} rA - Offset of the point on A from its center, or null for a rotation-only row.
+     * @param {Vector|null} rB - Offset of the point on B from its center.
+     * @returns {object} The row.
+     * @private
+     */
+    createRow(direction, rA, rB) {
+        const { a, b } = this;
+        let inverseMass;
+        if (rA) {
+            const angularA = a.invInertia(rA.cross(direction)).cross(rA);
+            const angularB = b.invInertia(rB.cross(direction)).cross(rB);
+            inverseMass = a.invMass + b.invMass + direction.dot(angularA.add(angularB));
+        } else {
+            inverseMass = direction.dot(a.invInertia(direction).add(b.invInertia(direction)));
+        }
+        return { direction, rA, rB, mass: inverseMass > 1e-12 ? 1 / inverseMass : 0, impulse: 0 };
+    }
+    
+    /**
+     * Adds a row that drives the relative velocity along a direction to a target.
+     * @param {Vector} direction - The unit direction the row acts along.
+     * @param {Vector|null} rA - Offset of the point on A from its center, or null for a rotation-only row.
+     * @param {Vector|null} rB - Offset of the point on B from its center.
+     * @param {number} bias - The target relative velocity.
+     * @param {number} [min=-Infinity] - The lowest total impulse.
+     * @param {number} [max=Infinity] - The highest total impulse.
+     * @private
+     */
+    addRow(direction, rA, rB, bias, min = -Infinity, max = Infinity) {
+        const row = this.createRow(direction, rA, rB);
+        row.bias = bias;
+        row.min = min;
+        row.max = max;
+        this.rows.push(row);
+    }
+    
+    /**
+     * Gets the velocity of B relative to A along a row.
+     * @param {object} row - The row.
+     * @returns {number} The relative velocity, linear or angular.
+     * @private
+     */
+    relativeVelocity(row) {
+        const { a, b } = this;
+        if (!row.rA) {
+            return b.angularVelocity.sub(a.angularVelocity).dot(row.direction);
+        }
+        const velocityA = a.velocity.add(a.angularVelocity.cross(row.rA));
+        const velocityB = b.velocity.add(b.angularVelocity.cross(row.rB));
+        return velocityB.sub(velocityA).dot(row.direction);
+    }
+    
+    /**
+     * Applies an impulse along a row, to B and the opposite way to A.
+     * @param {object} row - The row.
+     * @param {number} amount - The size of the impulse.
+     * @private
+     */
+    applyImpulse(row, amount) {
+        const { a, b } = this;
+        const impulse = row.direction.scale(amount);
+        if (row.rA) {
+            a.velocity = a.velocity.sub(impulse.scale(a.invMass));
+            a.angularVelocity = a.angularVelocity.sub(a.invInertia(row.rA.cross(impulse)));
+            b.velocity = b.velocity.add(impulse.scale(b.invMass));
+            b.angularVelocity = b.angularVelocity.add(b.invInertia(row.rB.cross(impulse)));
+        } else {
+            a.angularVelocity = a.angularVelocity.sub(a.invInertia(impulse));
+            b.angularVelocity = b.angularVelocity.add(b.invInertia(impulse));
+        }
+    }
+}
+
+/** Fraction of a constraint's drift corrected per step. */
+ConstraintSolver.BAUMGARTE = 0.2;
+
+/**
+ * Gets the world-space bounding box of a shape's unit geometry under a model matrix.
+ * @param {mat4} m - The model matrix.
+ * @returns {{min: Vector, max: Vector}} The bounding box.
+ * @private
+ */
+function getWorldBounds(m) {
+    // Every primitive fits in the unit cube, so bound its transformed corners
+    const extent = i => Math.abs(m[i]) + Math.abs(m[i + 4]) + Math.abs(m[i + 8]);
+    const half = vector(extent(0), extent(1), extent(2));
+    const center = vector(m[12], m[13], m[14]);
+    return { min: center.sub(half), max: center.add(half) };
+}
+
+/**
+ * Makes a world-space support function from one in a shape's unit space.
+ * @param {mat4} m - The model matrix.
+ * @param {function(Vector): Vector} localSupport - The support function in unit space.
+ * @returns {function(Vector): Vector} The support function in world space.
+ * @private
+ */
+function worldSupport(m, localSupport) {
+    return direction => {
+        // For an affine transform A, support(d) = A * localSupport(A^T * d)
+        const local = vector(
+            m[0] * direction.x + m[1] * direction.y + m[2] * direction.z,
+            m[4] * direction.x + m[5] * direction.y + m[6] * direction.z,
+            m[8] * direction.x + m[9] * direction.y + m[10] * direction.z
+        );
+        return mat4.transformPoint(m, localSupport(local));
+    };
+}
+
+/**
+ * Finds the deepest contact between two convex bodies using GJK to detect the
+ * overlap and EPA to measure it.
+ * @param {object} a - The first body, with a support function.
+ * @param {object} b - The second body, with a support function.
+ * @returns {{normal: Vector, depth: number, pointA: Vector, pointB: Vector}|null} The contact,
+ *     with the normal pointing from A to B, or null if they don't overlap.
+ * @private
+ */
+function collideConvex(a, b) {
+    const support = direction => {
+        const pointA = a.support(direction);
+        const pointB = b.support(direction.scale(-1));
+        return { p: pointA.sub(pointB), a: pointA, b: pointB };
+    };
+    const simplex = gjk(support);
+    return simplex ? epa(support, simplex) : null;
+}
+
+/**
+ * Turns the deepest contact between two bodies into a set of contact points. Flat
+ * features touching (a box resting on its face, a cylinder on its side) are clipped
+ * against each other so they get a contact at each corner of the overlap.
+ * @param {object} a - The first body.
+ * @param {object} b - The second body.
+ * @param {{normal: Vector, pointA: Vector, pointB: Vector}} contact - The deepest contact.
+ * @returns {{normal: Vector, points: {pointA: Vector, pointB: Vector}[]}} The contact normal,
+ *     which is snapped to the touching face when there is one, and the contact points.
+ * @private
+ */
+function findContactPoints(a, b, contact) {
+    let normal = contact.normal;
+    const featureA = getSupportFeature(a, normal);
+    const featureB = getSupportFeature(b, normal.scale(-1));
+    const single = { normal, points: [{ pointA: contact.pointA, pointB: contact.pointB }] };
+    
+    // The feature with more points is the reference the other is clipped against
+    const referenceIsA = featureA.length >= featureB.length;
+    const reference = referenceIsA ? featureA : featureB;
+    const incident = referenceIsA ? featureB : featureA;
+    if (reference.length < 3) {
+        return single;
+    }
+    
+    // EPA's normal is only approximate against curved shapes, so use the face's own
+    let faceNormal = reference[1].sub(reference[0]).cross(reference[2].sub(reference[0])).unit();
+    if (faceNormal.dot(normal) < 0) {
+        faceNormal = faceNormal.scale(-1);
+    }
+    normal = faceNormal;
+    
+    const center = reference.reduce((sum, p) => sum.add(p), vector(0, 0, 0)).scale(1 / reference.length);
+    let clipped = incident;
+    for (let i = 0; i < reference.length && clipped.length > 0; i++) {
+        const start = reference[i];
+        const edge = reference[(i + 1) % reference.length].sub(start);
+        let inward = normal.cross(edge);
+        if (inward.dot(center.sub(start)) < 0) {
+            inward = inward.scale(-1);
+        }
+        clipped = clipToPlane(clipped, inward, inward.dot(start));
+    }
+    
+    const points = [];
+    const referenceDistance = normal.dot(center);
+    clipped.forEach(point => {
+        // Project onto the reference face to find the matching point on the other body
+        const projected = point.add(normal.scale(referenceDistance - normal.dot(point)));
+        const pair = referenceIsA ? { pointA: projected, pointB: point } : { pointA: point, pointB: projected };
+        if (pair.pointA.sub(pair.pointB).dot(normal) > -ContactManifold.BREAK_DISTANCE) {
+            points.push(pair);
+        }
+    });
+    return points.length > 0 ? { normal, points } : single;
+}
+
+/**
+ * Gets the points of a body that are farthest along a direction: one point for a
+ * vertex, two for an edge, or the outline of a face, in order around it.
+ * @param {object} body - The body.
+ * @param {Vector} direction - The unit direction in world space.
+ * @returns {Vector[]} The points in world space.
+ * @private
+ */
+function getSupportFeature(body, direction) {
+    const type = body.part.type.toLowerCase();
+    const m = body.modelMatrix;
+    let points;
+    if (type === 'cylinder') {
+        // Same direction transform as the support function
+        const local = vector(
+            m[0] * direction.x + m[1] * direction.y + m[2] * direction.z,
+            m[4] * direction.x + m[5] * direction.y + m[6] * direction.z,
+            m[8] * direction.x + m[9] * direction.y + m[10] * direction.z
+        ).unit();
+        const y = local.y >= 0 ? 1 : -1;
+        const radial = Math.hypot(local.x, local.z);
+        if (Math.abs(local.y) > Math.cos(ContactManifold.FEATURE_ANGLE)) {
+            points = [];
+            for (let i = 0; i < 16; i++) {
+                const angle = i / 16 * Math.PI * 2;
+                points.push(vector(Math.cos(angle), y, Math.sin(angle)));
+            }
+        } else if (Math.abs(local.y) < Math.sin(ContactManifold.FEATURE_ANGLE)) {
+            points = [vector(local.x / radial, -1, local.z / radial), vector(local.x / radial, 1, local.z / radial)];
+        } else {
+            return [body.support(direction)];
+        }
+        return points.map(p => mat4.transformPoint(m, p));
+    }
+    const vertices = body.featurePoints || Shape.FEATURE_VERTICES[type] ||
+        (Shape.SUPPORT[type] ? null : getGeometryPoints(body.part.geometry));
+    if (!vertices) {
+        return [body.support(direction)];
+    }
+    
+    points = vertices.map(p => mat4.transformPoint(m, p));
+    const farthest = Math.max(...points.map(p => p.dot(direction)));
+    points = points.filter(p => p.dot(direction) > farthest - ContactManifold.FEATURE_TOLERANCE);
+    if (points.length < 3) {
+        return points;
+    }
+    
+    // Order the face's corners around its center so its edges can be walked
+    const center = points.reduce((sum, p) => sum.add(p), vector(0, 0, 0)).scale(1 / points.length);
+    const tangent = points[0].sub(center).unit();
+    const bitangent = direction.cross(tangent);
+    const angle = p => Math.atan2(p.sub(center).dot(bitangent), p.sub(center).dot(tangent));
+    return points.sort((p, q) => angle(p) - angle(q));
+}
+
+/**
+ * The distinct vertex positions of each mesh geometry, cached for collision detection.
+ * @type {WeakMap<object, Vector[]>}
+ * @private
+ */
+const geometryPoints = new WeakMap();
+
+/**
+ * Gets the distinct vertex positions of a geometry. Meshes collide as the convex
+ * hull of these points.
+ * @param {{vertices: number[]}} geometry - The geometry.
+ * @returns {Vector[]} The positions in unit space.
+ * @private
+ */
+function getGeometryPoints(geometry) {
+    if (!geometryPoints.has(geometry)) {
+        const v = geometry.vertices;
+        const seen = new Set();
+        const points = [];
+        for (let i = 0; i < v.length; i += Shape.VERTEX_STRIDE) {
+            const key = v[i] + ',' + v[i + 1] + ',' + v[i + 2];
+            if (!seen.has(key)) {
+                seen.add(key);
+                points.push(vector(v[i], v[i + 1], v[i + 2]));
+            }
+        }
+        geometryPoints.set(geometry, points);
+    }
+    return geometryPoints.get(geometry);
+}
+
+/**
+ * The volume of each mesh geometry, cached for mass calculations.
+ * @type {WeakMap<object, number>}
+ * @private
+ */
+const geometryVolumes = new WeakMap();
+
+/**
+ * Gets the volume a closed geometry encloses, by adding up the signed volumes of the
+ * tetrahedrons between the origin and each triangle.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry.
+ * @returns {number} The volume in unit space, or NaN if the geometry doesn't enclose any space.
+ * @private
+ */
+function getGeometryVolume(geometry) {
+    if (!geometryVolumes.has(geometry)) {
+        const v = geometry.vertices;
+        const point = i => vector(v[i * Shape.VERTEX_STRIDE], v[i * Shape.VERTEX_STRIDE + 1], v[i * Shape.VERTEX_STRIDE + 2]);
+        let volume = 0;
+        for (let i = 0; i + 2 < geometry.indices.length; i += 3) {
+            const p0 = point(geometry.indices[i]);
+            volume += p0.dot(point(geometry.indices[i + 1]).cross(point(geometry.indices[i + 2]))) / 6;
+        }
+        geometryVolumes.set(geometry, volume > 0 ? volume : NaN);
+    }
+    return geometryVolumes.get(geometry);
+}
+
+/**
+ * The convex pieces of each CSG result's geometry, cached for collision detection.
+ * @type {WeakMap<object, object[]>}
+ * @private
+ */
+const convexPieces = new WeakMap();
+
+/**
+ * Splits the solid of a closed geometry into convex pieces, so a CSG result like a wall with
+ * a doorway collides as what it is instead of as its convex hull. The BSP tree of the geometry
+ * already divides space into convex cells, and the ones behind a leaf are solid, so each of
+ * those is clipped out of a box and becomes a piece.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry, in unit space.
+ * @returns {{points: Vector[], min: Vector, max: Vector}[]} The corners and bounds of each piece.
+ * @private
+ */
+function getConvexPieces(geometry) {
+    if (!convexPieces.has(geometry)) {
+        const pieces = [];
+        const walk = (node, cell) => {
+            const { front, back } = splitCell(cell, node.plane);
+            if (front.length > 0 && node.front) {
+                walk(node.front, front);
+            }
+            if (back.length > 0 && node.back) {
+                walk(node.back, back);
+            } else if (back.length > 0) {
+                const piece = cellToPiece(back);
+                if (piece) {
+                    pieces.push(piece);
+                }
+            }
+        };
+        const polygons = geometryToPolygons(geometry);
+        if (polygons.length > 0) {
+            // A little bigger than the unit cube the geometry fits in
+            const extent = 1 + 1e-3;
+            const corners = [];
+            [-extent, extent].forEach(x => [-extent, extent].forEach(y => [-extent, extent].forEach(z => corners.push(vector(x, y, z)))));
+            const box = [];
+            ['x', 'y', 'z'].forEach(axis => [-1, 1].forEach(sign => {
+                const normal = vector(axis === 'x' ? sign : 0, axis === 'y' ? sign : 0, axis === 'z' ? sign : 0);
+                box.push(makeCellFace(corners.filter(p => p[axis] * sign > 0), normal));
+            }));
+            walk(new CSGNode(polygons), box);
+        }
+        convexPieces.set(geometry, pieces);
+    }
+    return convexPieces.get(geometry);
+}
+
+/**
+ * Cuts a convex cell in two along a plane, closing each half with a face in the plane.
+ * @param {object[]} cell - The outward-facing polygons of the cell.
+ * @param {{normal: Vector, w: number}} plane - The plane.
+ * @returns {{front: object[], back: object[]}} The polygons of each half, empty if the cell
+ *     isn't on that side.
+ * @private
+ */
+function splitCell(cell, plane) {
+    const front = [];
+    const back = [];
+    // A face lying in the plane that faces the same way is on the back of the cell
+    cell.forEach(polygon => splitPolygon(plane, polygon, back, front, front, back));
+    if (front.length === 0 || back.length === 0) {
+        return { front, back };
+    }
+    const cap = [];
+    front.forEach(polygon => polygon.vertices.forEach(({ position }) => {
+        if (Math.abs(plane.normal.dot(position) - plane.w) <= CSGNode.EPSILON &&
+            !cap.some(p => p.sub(position).magnitude() <= CSGNode.EPSILON)) {
+            cap.push(position);
+        }
+    }));
+    if (cap.length >= 3) {
+        back.push(makeCellFace(cap, plane.normal));
+        front.push(makeCellFace(cap, plane.normal.scale(-1)));
+    }
+    return { front, back };
+}
+
+/**
+ * Makes a polygon for CSGNode from the corners of a convex face, in order around its normal.
+ * @param {Vector[]} points - The corners, in any order.
+ * @param {Vector} normal - The direction the face faces.
+ * @returns {object} The polygon.
+ * @private
+ */
+function makeCellFace(points, normal) {
+    const center = points.reduce((sum, p) => sum.add(p), vector(0, 0, 0)).scale(1 / points.length);
+    const tangent = points[0].sub(center).unit();
+    const bitangent = normal.cross(tangent);
+    const angle = p => Math.atan2(p.sub(center).dot(bitangent), p.sub(center).dot(tangent));
+    return {
+        vertices: points.slice().sort((p, q) => angle(p) - angle(q)).map(position => ({ position, normal, uv: [0, 0] })),
+        plane: { normal, w: normal.dot(center) }
+    };
+}
+
+/**
+ * Gets the corners and bounds of a convex cell, leaving out cells too thin to collide with.
+ * @param {object[]} cell - The outward-facing polygons of the cell.
+ * @returns {{points: Vector[], min: Vector, max: Vector}|null} The piece, or null if it has no volume.
+ * @private
+ */
+function cellToPiece(cell) {
+    const points = [];
+    const seen = new Set();
+    let volume = 0;
+    cell.forEach(polygon => {
+        const vertices = polygon.vertices.map(vertex => vertex.position);
+        vertices.forEach(p => {
+            const key = p.x.toFixed(5) + ',' + p.y.toFixed(5) + ',' + p.z.toFixed(5);
+            if (!seen.has(key)) {
+                seen.add(key);
+                points.push(p);
+            }
+        });
+        for (let i = 2; i < vertices.length; i++) {
+            volume += vertices[0].dot(vertices[i - 1].cross(vertices[i])) / 6;
+        }
+    });
+    if (points.length < 4 || volume < 1e-6) {
+        return null;
+    }
+    const min = vector(Math.min(...points.map(p => p.x)), Math.min(...points.map(p => p.y)), Math.min(...points.map(p => p.z)));
+    const max = vector(Math.max(...points.map(p => p.x)), Math.max(...points.map(p => p.y)), Math.max(...points.map(p => p.z)));
+    return { points, min, max };
+}
+
+/**
+ * Finds the point farthest along a direction.
+ * @param {Vector[]} points - The points.
+ * @param {Vector} direction - The direction.
+ * @returns {Vector} The farthest point.
+ * @private
+ */
+function farthestPoint(points, direction) {
+    let best = points[0];
+    let bestDot = -Infinity;
+    points.forEach(p => {
+        const dot = p.dot(direction);
+        if (dot > bestDot) {
+            best = p;
+            bestDot = dot;
+        }
+    });
+    return best;
+}
+
+/**
+ * Clips a polygon, segment or point against a plane, keeping the part on the
+ * side the normal points towards.
+ * @param {Vector[]} points - The points, in order.
+ * @param {Vector} normal - The plane normal.
+ * @param {number} distance - The plane's distance along the normal.
+ * @returns {Vector[]} The clipped points.
+ * @private
+ */
+function clipToPlane(points, normal, distance) {
+    const result = [];
+    // A segment is clipped as an open line rather than a closed loop
+    const count = points.length === 2 ? 1 : points.length;
+    if (points.length === 1) {
+        return normal.dot(points[0]) >= distance ? points : [];
+    }
+    for (let i = 0; i < count; i++) {
+        const current = points[i];
+        const next = points[(i + 1) % points.length];
+        const dc = normal.dot(current) - distance;
+        const dn = normal.dot(next) - distance;
+        if (dc >= 0) {
+            result.push(current);
+        }
+        if ((dc >= 0) !== (dn >= 0)) {
+            result.push(current.lerp(next, dc / (dc - dn)));
+        }
+        if (points.length === 2 && dn >= 0) {
+            result.push(next);
+        }
+    }
+    return result;
+}
+
+/**
+ * Tests whether the Minkowski difference of two shapes contains the origin.
+ * @param {Function} support - Support function of the Minkowski difference.
+ * @returns {object[]|null} A tetrahedron containing the origin, or null if the shapes are apart.
+ * @private
+ */
+function gjk(support) {
+    let simplex = [support(vector(1, 0, 0))];
+    let direction = simplex[0].p.scale(-1);
+    
+    for (let iteration = 0; iteration < 64; iteration++) {
+        if (direction.dot(direction) < 1e-20) {
+            // The origin is on the simplex: touching, but not overlapping
+            return null;
+        }
+        const point = support(direction);
+        if (point.p.dot(direction) < 0) {
+            return null;
+        }
+        simplex = [point, ...simplex];
+        
+        const a = simplex[0].p;
+        const ao = a.scale(-1);
+        if (simplex.length === 2) {
+            const ab = simplex[1].p.sub(a);
+            if (ab.dot(ao) > 0) {
+                direction = ab.cross(ao).cross(ab);
+            } else {
+                simplex = [simplex[0]];
+                direction = ao;
+            }
+        } else if (simplex.length === 3) {
+            [simplex, direction] = gjkTriangle(simplex);
+        } else {
+            const [, b, c, d] = simplex;
+            const ab = b.p.sub(a), ac = c.p.sub(a), ad = d.p.sub(a);
+            if (ab.cross(ac).dot(ao) > 0) {
+                [simplex, direction] = gjkTriangle([simplex[0], b, c]);
+            } else if (ac.cross(ad).dot(ao) > 0) {
+                [simplex, direction] = gjkTriangle([simplex[0], c, d]);
+            } else if (ad.cross(ab).dot(ao) > 0) {
+                [simplex, direction] = gjkTriangle([simplex[0], d, b]);
+            } else {
+                return simplex;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Reduces a GJK triangle simplex to the feature closest to the origin.
+ * @param {object[]} simplex - The triangle, newest point first.
+ * @returns {Array} The reduced simplex and the next search direction.
+ * @private
+ */
+function gjkTriangle(simplex) {
+    const [a, b, c] = simplex;
+    const ao = a.p.scale(-1);
+    const ab = b.p.sub(a.p);
+    const ac = c.p.sub(a.p);
+    const abc = ab.cross(ac);
+    
+    if (abc.cross(ac).dot(ao) > 0) {
+        if (ac.dot(ao) > 0) {
+            return [[a, c], ac.cross(ao).cross(ac)];
+        }
+        return ab.dot(ao) > 0 ? [[a, b], ab.cross(ao).cross(ab)] : [[a], ao];
+    }
+    if (ab.cross(abc).dot(ao) > 0) {
+        return ab.dot(ao) > 0 ? [[a, b], ab.cross(ao).cross(ab)] : [[a], ao];
+    }
+    // Keep the winding so that abc faces the origin, which the tetrahedron case relies on
+    return abc.dot(ao) > 0 ? [[a, b, c], abc] : [[a, c, b], abc.scale(-1)];
+}
+
+/**
+ * Expands a GJK tetrahedron to find the penetration normal and depth.
+ * @param {Function} support - Support function of the Minkowski difference.
+ * @param {object[]} simplex - A tetrahedron containing the origin.
+ * @returns {{normal: Vector, depth: number, pointA: Vector, pointB: Vector}|null} The contact.
+ * @private
+ */
+function epa(support, simplex) {
+    const points = simplex.slice();
+    let faces = [];
+    const addFace = (i, j, k) => {
+        const p0 = points[i].p;
+        let normal = points[j].p.sub(p0).cross(points[k].p.sub(p0));
+        if (normal.magnitude() < 1e-12) {
+            return;
+        }
+        normal = normal.unit();
+        let distance = normal.dot(p0);
+        if (distance < 0) {
+            // Wound the wrong way: flip so the normal points away from the origin
+            faces.push({ indices: [i, k, j], normal: normal.scale(-1), distance: -distance });
+        } else {
+            faces.push({ indices: [i, j, k], normal, distance });
+        }
+    };
+    addFace(0, 1, 2);
+    addFace(0, 3, 1);
+    addFace(0, 2, 3);
+    addFace(1, 3, 2);
+    
+    let closest = null;
+    for (let iteration = 0; iteration < 64 && faces.length > 0; iteration++) {
+        closest = faces.reduce((best, face) => (face.distance < best.distance ? face : best));
+        const point = support(closest.normal);
+        if (point.p.dot(closest.normal) - closest.distance < 1e-4) {
+            break;
+        }
+        
+        // Remove every face the new point can see, keeping the edges of the hole
+        points.push(point);
+        const newIndex = points.length - 1;
+        const edges = new Map();
+        faces = faces.filter(face => {
+            if (face.normal.dot(point.p.sub(points[face.indices[0]].p)) <= 0) {
+                return true;
+            }
+            for (let e = 0; e < 3; e++) {
+                const from = face.indices[e];
+                const to = face.indices[(e + 1) % 3];
+                const reverse = to + ',' + from;
+                if (edges.has(reverse)) {
+                    edges.delete(reverse);
+                } else {
+                    edges.set(from + ',' + to, [from, to]);
+                }
+            }
+            return false;
+        });
+        edges.forEach(([from, to]) => addFace(from, to, newIndex));
+    }
+    if (!closest) {
+        return null;
+    }
+    
+    // Barycentric coordinates of the origin's projection on the closest face
+    // give matching points on each shape
+    const [i, j, k] = closest.indices;
+    const projected = closest.normal.scale(closest.distance);
+    const weights = barycentric(projected, points[i].p, points[j].p, points[k].p);
+    const blend = key => points[i][key].scale(weights[0])
+        .add(points[j][key].scale(weights[1]))
+        .add(points[k][key].scale(weights[2]));
+    return {
+        normal: closest.normal,
+        depth: closest.distance,
+        pointA: blend('a'),
+        pointB: blend('b')
+    };
+}
+
+/**
+ * Calculates the barycentric coordinates of a point in a triangle.
+ * @param {Vector} p - The point.
+ * @param {Vector} a - The first corner.
+ * @param {Vector} b - The second corner.
+ * @param {Vector} c - The third corner.
+ * @returns {number[]} The weights of a, b and c.
+ * @private
+ */
+function barycentric(p, a, b, c) {
+    const v0 = b.sub(a), v1 = c.sub(a), v2 = p.sub(a);
+    const d00 = v0.dot(v0), d01 = v0.dot(v1), d11 = v1.dot(v1);
+    const d20 = v2.dot(v0), d21 = v2.dot(v1);
+    const denom = d00 * d11 - d01 * d01;
+    if (Math.abs(denom) < 1e-12) {
+        return [1, 0, 0];
+    }
+    const v = (d11 * d20 - d01 * d21) / denom;
+    const w = (d00 * d21 - d01 * d20) / denom;
+    return [1 - v - w, v, w];
+}
+
+/**
+ * Service for animating properties smoothly over time, either with tweens between
+ * two values or with animations made of keyframes.
+ * @class
+ */
+class TweenService {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The main WebThreeDee instance.
+     */
+    constructor(webthreedeeInstance) {
+        this.webthreedee = webthreedeeInstance;
+        /** The tweens that are playing. */
+        this.tweens = [];
+        /** The animations that are playing or fading out. */
+        this.animations = [];
+        // Values of properties before animations started driving them, for blending
+        this.baseValues = new Map();
+        // Property accessors by target and path, cached so the same property always gets the same one
+        this.bindings = new WeakMap();
+    }
+    
+    /**
+     * Creates a tween that animates properties of an object towards goal values.
+     * Properties can be numbers, Vectors, CFrames, Quaternions or arrays of numbers
+     * (like colors and camera positions). Nested properties can be given as paths,
+     * like 'cframe.position'.
+     * @param {object} target - The object to animate, e.g. a Shape, CFrame, Vector, Material or Camera.
+     * @param {object} [tweenInfo={}] - How the tween plays.
+     * @param {number} [tweenInfo.duration=1] - Length of the tween in seconds.
+     * @param {string} [tweenInfo.easingStyle='quad'] - One of TweenService.EASING_STYLES.
+     * @param {string} [tweenInfo.easingDirection='out'] - 'in', 'out' or 'inOut'.
+     * @param {number} [tweenInfo.repeatCount=0] - How many times to play again after the first time. -1 repeats forever.
+     * @param {boolean} [tweenInfo.reverses=false] - Whether each repeat plays back to the start.
+     * @param {number} [tweenInfo.delay=0] - Seconds to wait before starting.
+     * @param {object} goals - Property paths mapped to the values to animate them to.
+     * @returns {Tween} The tween, which must be played to start.
+     */
+    create(target, tweenInfo, goals) {
+        return new Tween(this, target, tweenInfo || {}, goals);
+    }
+    
+    /**
+     * Creates an animation made of tracks of keyframes.
+     * @param {object[]} tracks - The tracks. Each animates one property with `target`, `property`
+     *     (a path like in tweens) and `keyframes`, a list of `{time, value, easingStyle, easingDirection}`.
+     *     A keyframe's easing describes how its value is reached from the previous keyframe.
+     * @param {object} [options={}] - Options for the animation.
+     * @param {boolean} [options.looped=false] - Whether the animation starts over when it ends.
+     * @param {number} [options.speed=1] - How fast the animation plays.
+     * @param {number} [options.weight=1] - How strongly the animation affects its properties when blended.
+     * @returns {Animation} The animation, which must be played to start.
+     */
+    createAnimation(tracks, options = {}) {
+        return new Animation(this, tracks, options);
+    }
+    
+    /**
+     * Advances every playing tween and animation.
+     * @param {number} deltaTime - The time since the last update, in seconds.
+     */
+    update(deltaTime) {
+        this.tweens.slice().forEach(tween => tween.advance(deltaTime));
+        this.animations.slice().forEach(animation => animation.advance(deltaTime));
+        this.applyAnimations();
+    }
+    
+    /**
+     * Blends the values of every playing animation and writes them to their properties.
+     * Each property ends up as the weighted average of the animations driving it, mixed
+     * with its original value when their total weight is under 1.
+     * @private
+     */
+    applyAnimations() {
+        const blends = new Map();
+        this.animations.forEach(animation => {
+            const weight = animation.getEffectiveWeight();
+            if (weight <= 0) {
+                return;
+            }
+            animation.tracks.forEach(track => {
+                const key = track.binding;
+                if (!this.baseValues.has(key)) {
+                    this.baseValues.set(key, { binding: track.binding, value: track.binding.get() });
+                }
+                const value = track.sample(animation.timePosition);
+                const blend = blends.get(key);
+                if (!blend) {
+                    blends.set(key, { value, weight });
+                } else {
+                    blend.value = interpolateValue(blend.value, value, weight / (blend.weight + weight));
+                    blend.weight += weight;
+                }
+            });
+        });
+        
+        this.baseValues.forEach((base, key) => {
+            const blend = blends.get(key);
+            if (!blend) {
+                // No animation drives this property any more; it keeps its last value
+                this.baseValues.delete(key);
+                return;
+            }
+            base.binding.set(blend.weight >= 1 ? blend.value : interpolateValue(base.value, blend.value, blend.weight));
+        });
+    }
+    
+    /**
+     * Makes accessors for a property path. The path is followed from the target on every
+     * get and set, so replacing an object along it (like assigning a part a new cframe)
+     * doesn't leave the accessors pointing at the old one.
+     * @param {object} target - The object the path starts from.
+     * @param {string} path - The property path, with parts separated by dots.
+     * @returns {{get: Function, set: Function}} Accessors for the property.
+     * @private
+     */
+    bind(target, path) {
+        path = String(path);
+        const keys = path.split('.');
+        const last = keys.pop();
+        const findOwner = () => {
+            let owner = target;
+            keys.forEach(key => {
+                if (owner === null || typeof owner !== 'object' || !(key in owner)) {
+                    throw new Error(`Cannot animate missing property: ${path}`);
+                }
+                owner = owner[key];
+            });
+            if (owner === null || typeof owner !== 'object' || !(last in owner)) {
+                throw new Error(`Cannot animate missing property: ${path}`);
+            }
+            return owner;
+        };
+        if (!isInterpolatable(findOwner()[last])) {
+            throw new Error(`Cannot animate property that isn't a number, Vector, CFrame, Quaternion or array: ${path}`);
+        }
+        if (!this.bindings.has(target)) {
+            this.bindings.set(target, new Map());
+        }
+        const bindings = this.bindings.get(target);
+        if (!bindings.has(path)) {
+            bindings.set(path, {
+                get: () => findOwner()[last],
+                set: value => { findOwner()[last] = value; }
+            });
+        }
+        return bindings.get(path);
+    }
+}
+
+/**
+ * The easing styles tweens and keyframes can use. Each takes the progress from 0 to 1
+ * and returns the eased progress for the 'in' direction.
+ * @type {Object<string, Function>}
+ */
+TweenService.EASING_STYLES = {
+    linear: t => t,
+    sine: t => 1 - Math.cos(t * Math.PI / 2),
+    quad: t => t * t,
+    cubic: t => t * t * t,
+    quart: t => t * t * t * t,
+    quint: t => t * t * t * t * t,
+    exponential: t => (t === 0 ? 0 : Math.pow(2, 10 * (t - 1))),
+    circular: t => 1 - Math.sqrt(1 - t * t),
+    back: t => t * t * (2.70158 * t - 1.70158),
+    elastic: t => (t === 0 || t === 1 ? t : -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.075) * 2 * Math.PI / 0.3)),
+    bounce: t => 1 - bounceOut(1 - t)
+};
+
+/**
+ * The bounce easing in the 'out' direction.
+ * @param {number} t - The progress from 0 to 1.
+ * @returns {number} The eased progress.
+ * @private
+ */
+function bounceOut(t) {
+    if (t < 1 / 2.75) {
+        return 7.5625 * t * t;
+    } else if (t < 2 / 2.75) {
+        return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+    } else if (t < 2.5 / 2.75) {
+        return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    }
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+}
+
+/**
+ * Eases a progress value.
+ * @param {number} t - The progress from 0 to 1.
+ * @param {string} [style='linear'] - The easing style.
+ * @param {string} [direction='out'] - 'in', 'out' or 'inOut'.
+ * @returns {number} The eased progress.
+ * @private
+ */
+function ease(t, style = 'linear', direction = 'out') {
+    const easing = TweenService.EASING_STYLES[style];
+    if (!easing) {
+        throw new Error(`Unknown easing style: ${style}`);
+    }
+    switch (direction) {
+        case 'in':
+            return easing(t);
+        case 'out':
+            return 1 - easing(1 - t);
+        case 'inOut':
+            return t < 0.5 ? easing(t * 2) / 2 : 1 - easing((1 - t) * 2) / 2;
+        default:
+            throw new Error(`Unknown easing direction: ${direction}`);
+    }
+}
+
+/**
+ * Checks whether a value can be animated.
+ * @param {*} value - The value.
+ * @returns {boolean} True for numbers, Vectors, CFrames, Quaternions and arrays of numbers.
+ * @private
+ */
+function isInterpolatable(value) {
+    return typeof value === 'number' ||
+        value instanceof Vector ||
+        value instanceof CFrame ||
+        value instanceof Quaternion ||
+        (Array.isArray(value) && value.every(n => typeof n === 'number'));
+}
+
+/**
+ * Interpolates between two animatable values of the same kind.
+ * @param {*} from - The starting value.
+ * @param {*} to - The goal value.
+ * @param {number} alpha - The interpolation amount. Can go outside 0 to 1 for overshooting easings.
+ * @returns {*} A new value.
+ * @private
+ */
+function interpolateValue(from, to, alpha) {
+    if (typeof from === 'number') {
+        return from + (to - from) * alpha;
+    }
+    if (Array.isArray(from)) {
+        return from.map((n, i) => n + ((to[i] !== undefined ? to[i] : n) - n) * alpha);
+    }
+    if (from instanceof Quaternion) {
+        return from.slerp(to, alpha);
+    }
+    return from.lerp(to, alpha);
+}
+
+/**
+ * Animates properties of an object from their current values to goal values.
+ * Create tweens with TweenService.create.
+ * @class
+ */
+class Tween {
+    /**
+     * @param {TweenService} service - The service that updates the tween.
+     * @param {object} target - The object to animate.
+     * @param {object} tweenInfo - How the tween plays. See TweenService.create.
+     * @param {object} goals - Property paths mapped to goal values.
+     */
+    constructor(service, target, tweenInfo, goals) {
+        this.service = service;
+        this.target = target;
+        this.duration = tweenInfo.duration !== undefined ? tweenInfo.duration : 1;
+        this.easingStyle = tweenInfo.easingStyle || 'quad';
+        this.easingDirection = tweenInfo.easingDirection || 'out';
+        this.repeatCount = tweenInfo.repeatCount || 0;
+        this.reverses = tweenInfo.reverses || false;
+        this.delay = tweenInfo.delay || 0;
+        // Checks the easing up front rather than on the first frame
+        ease(0, this.easingStyle, this.easingDirection);
+        
+        if (!goals || typeof goals !== 'object') {
+            throw new Error('A tween needs goals to animate to');
+        }
+        this.properties = Object.keys(goals).map(path => {
+            const binding = service.bind(target, path);
+            const goal = goals[path];
+            if (!isInterpolatable(goal) || (typeof goal === 'number') !== (typeof binding.get() === 'number')) {
+                throw new Error(`Goal for ${path} doesn't match the property's type`);
+            }
+            return { binding, goal, start: null };
+        });
+        
+        /** 'idle', 'playing', 'paused', 'completed' or 'cancelled'. */
+        this.playbackState = 'idle';
+        this.elapsed = 0;
+        /** Fires with the playback state, 'completed' or 'cancelled', each time the tween ends. */
+        this.completed = new Signal();
+        this.resetFinished();
+    }
+    
+    /**
+     * Starts or resumes the tween. Playing a finished tween starts it over from the
+     * properties' current values. Other tweens animating the same properties are cancelled.
+     */
+    play() {
+        if (this.playbackState === 'playing') {
+            return;
+        }
+        if (this.playbackState !== 'paused') {
+            if (this.playbackState !== 'idle') {
+                this.resetFinished();
+            }
+            this.elapsed = 0;
+            this.properties.forEach(property => { property.start = null; });
+        }
+        this.service.tweens.slice().forEach(other => {
+            if (other !== this && other.properties.some(p => this.properties.some(q => p.binding === q.binding))) {
+                other.cancel();
+            }
+        });
+        this.playbackState = 'playing';
+        this.service.tweens.push(this);
+    }
+    
+    /**
+     * Pauses the tween where it is. Play resumes it.
+     */
+    pause() {
+        if (this.playbackState === 'playing') {
+            this.playbackState = 'paused';
+            this.stopUpdating();
+        }
+    }
+    
+    /**
+     * Stops the tween, leaving the properties where they are.
+     */
+    cancel() {
+        if (this.playbackState === 'playing' || this.playbackState === 'paused') {
+            this.stopUpdating();
+            this.finish('cancelled');
+        }
+    }
+    
+    /**
+     * Advances the tween and updates its properties.
+     * @param {number} deltaTime - The time since the last update, in seconds.
+     * @private
+     */
+    advance(deltaTime) {
+        this.elapsed += deltaTime;
+        const time = this.elapsed - this.delay;
+        if (time < 0) {
+            return;
+        }
+        this.properties.forEach(property => {
+            if (property.start === null) {
+                property.start = property.binding.get();
+            }
+        });
+        
+        const cycle = this.duration * (this.reverses ? 2 : 1);
+        const cycles = this.repeatCount < 0 ? Infinity : this.repeatCount + 1;
+        if (cycle <= 0 || time >= cycle * cycles) {
+            this.apply(this.reverses ? 0 : 1);
+            this.stopUpdating();
+            this.finish('completed');
+            return;
+        }
+        const cycleTime = time % cycle;
+        const progress = cycleTime < this.duration ? cycleTime / this.duration : 2 - cycleTime / this.duration;
+        this.apply(ease(progress, this.easingStyle, this.easingDirection));
+    }
+    
+    /**
+     * Sets every property to a point between its start and goal.
+     * @param {number} alpha - The eased progress.
+     * @private
+     */
+    apply(alpha) {
+        this.properties.forEach(property => {
+            property.binding.set(interpolateValue(property.start, property.goal, alpha));
+        });
+    }
+    
+    /**
+     * Removes the tween from the service's update list.
+     * @private
+     */
+    stopUpdating() {
+        const index = this.service.tweens.indexOf(this);
+        if (index !== -1) {
+            this.service.tweens.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Ends the current play and notifies listeners.
+     * @param {string} state - 'completed' or 'cancelled'.
+     * @private
+     */
+    finish(state) {
+        this.playbackState = state;
+        this.resolveFinished(state);
+        this.completed.fire(state);
+    }
+    
+    /**
+     * Creates a new promise for the next time the tween finishes.
+     * @private
+     */
+    resetFinished() {
+        /** A promise that resolves with 'completed' or 'cancelled' when the current play ends. */
+        this.finished = new Promise(resolve => { this.resolveFinished = resolve; });
+    }
+}
+
+/**
+ * One animated property in an animation, with its keyframes sorted by time.
+ * @class
+ * @private
+ */
+class AnimationTrack {
+    /**
+     * @param {TweenService} service - The service, used to bind the property.
+     * @param {object} track - The track description. See TweenService.createAnimation.
+     */
+    constructor(service, track) {
+        if (!track.keyframes || track.keyframes.length === 0) {
+            throw new Error(`Animation track for ${track.property} has no keyframes`);
+        }
+        this.binding = service.bind(track.target, track.property);
+        this.keyframes = track.keyframes.slice().sort((a, b) => a.time - b.time);
+        this.keyframes.forEach(keyframe => {
+            if (!isInterpolatable(keyframe.value)) {
+                throw new Error(`Keyframe value for ${track.property} can't be animated`);
+            }
+            ease(0, keyframe.easingStyle, keyframe.easingDirection);
+        });
+    }
+    
+    /**
+     * Gets the track's value at a time.
+     * @param {number} time - The time in seconds.
+     * @returns {*} The value.
+     */
+    sample(time) {
+        const keyframes = this.keyframes;
+        const next = keyframes.findIndex(keyframe => keyframe.time > time);
+        if (next === -1) {
+            return keyframes[keyframes.length - 1].value;
+        }
+        if (next === 0) {
+            return keyframes[0].value;
+        }
+        const from = keyframes[next - 1];
+        const to = keyframes[next];
+        const t = (time - from.time) / (to.time - from.time);
+        return interpolateValue(from.value, to.value, ease(t, to.easingStyle, to.easingDirection));
+    }
+}
+
+/**
+ * A clip of keyframe tracks that can be played, paused, seeked and blended with
+ * other animations. Create animations with TweenService.createAnimation.
+ * @class
+ */
+class Animation {
+    /**
+     * @param {TweenService} service - The service that updates the animation.
+     * @param {object[]} tracks - The track descriptions.
+     * @param {object} options - Options for the animation. See TweenService.createAnimation.
+     */
+    constructor(service, tracks, options) {
+        this.service = service;
+        this.tracks = tracks.map(track => new AnimationTrack(service, track));
+        /** Length of the animation in seconds: the time of its last keyframe. */
+        this.length = Math.max(...this.tracks.map(track => track.keyframes[track.keyframes.length - 1].time));
+        this.looped = options.looped || false;
+        this.speed = options.speed !== undefined ? options.speed : 1;
+        this.weight = options.weight !== undefined ? options.weight : 1;
+        /** The current time in the animation, in seconds. */
+        this.timePosition = 0;
+        this.isPlaying = false;
+        // Fading multiplies the weight, moving towards fadeTarget
+        this.fade = 0;
+        this.fadeTarget = 0;
+        this.fadeSpeed = Infinity;
+        /** Fires with the animation each time it reaches its end without looping. */
+        this.completed = new Signal();
+    }
+    
+    /**
+     * Starts or resumes the animation, fading it in over a time.
+     * @param {number} [fadeTime=0] - Seconds to blend in from whatever is playing.
+     */
+    play(fadeTime = 0) {
+        if (!this.isPlaying && this.fadeTarget === 0 && this.timePosition >= this.length) {
+            this.timePosition = 0;
+        }
+        this.isPlaying = true;
+        this.fadeTo(1, fadeTime);
+        if (!this.service.animations.includes(this)) {
+            this.service.animations.push(this);
+        }
+    }
+    
+    /**
+     * Pauses the animation, holding its current pose. Play resumes it.
+     */
+    pause() {
+        this.isPlaying = false;
+    }
+    
+    /**
+     * Stops the animation, fading it out over a time. Its properties keep the values
+     * they had when it finished fading.
+     * @param {number} [fadeTime=0] - Seconds to blend out.
+     */
+    stop(fadeTime = 0) {
+        this.fadeTo(0, fadeTime);
+        if (fadeTime <= 0) {
+            this.remove();
+        }
+    }
+    
+    /**
+     * Jumps to a time in the animation.
+     * @param {number} time - The time in seconds.
+     */
+    seek(time) {
+        this.timePosition = Math.max(0, Math.min(time, this.length));
+        if (this.service.animations.includes(this)) {
+            this.service.applyAnimations();
+        }
+    }
+    
+    /**
+     * Changes how strongly the animation is blended, over a time.
+     * @param {number} weight - The new weight.
+     * @param {number} [fadeTime=0] - Seconds to reach it.
+     */
+    adjustWeight(weight, fadeTime = 0) {
+        const current = this.getEffectiveWeight();
+        this.weight = weight;
+        this.fade = weight > 0 ? current / weight : 0;
+        this.fadeTo(this.fadeTarget, fadeTime);
+    }
+    
+    /**
+     * Gets the weight the animation is blended with right now, including fading.
+     * @returns {number} The weight.
+     */
+    getEffectiveWeight() {
+        return this.weight * this.fade;
+    }
+    
+    /**
+     * Starts fading towards a fade level.
+     * @param {number} target - 0 for faded out, 1 for fully in.
+     * @param {number} fadeTime - Seconds to get there.
+     * @private
+     */
+    fadeTo(target, fadeTime) {
+        this.fadeTarget = target;
+        this.fadeSpeed = fadeTime > 0 ? 1 / fadeTime : Infinity;
+        if (fadeTime <= 0) {
+            this.fade = target;
+        }
+    }
+    
+    /**
+     * Advances the animation's time and fading.
+     * @param {number} deltaTime - The time since the last update, in seconds.
+     * @private
+     */
+    advance(deltaTime) {
+        const step = this.fadeSpeed * deltaTime;
+        this.fade = this.fade < this.fadeTarget
+            ? Math.min(this.fade + step, this.fadeTarget)
+            : Math.max(this.fade - step, this.fadeTarget);
+        if (this.fade === 0 && this.fadeTarget === 0) {
+            this.remove();
+            return;
+        }
+        if (!this.isPlaying) {
+            return;
+        }
+        
+        this.timePosition += deltaTime * this.speed;
+        if (this.looped && this.length > 0) {
+            this.timePosition = ((this.timePosition % this.length) + this.length) % this.length;
+        } else if (this.timePosition >= this.length || this.timePosition < 0) {
+            this.timePosition = Math.max(0, Math.min(this.timePosition, this.length));
+            // Hold the last pose until stopped, like a finished tween
+            this.isPlaying = false;
+            this.completed.fire(this);
+        }
+    }
+    
+    /**
+     * Takes the animation out of the service's update list.
+     * @private
+     */
+    remove() {
+        this.isPlaying = false;
+        this.fade = 0;
+        const index = this.service.animations.indexOf(this);
+        if (index !== -1) {
+            this.service.animations.splice(index, 1);
+        }
+    }
+}
+
+/**
+ * A 3D vector class.
+ * @class
+ */
+class Vector {
+    /**
+     * @param {number} [x=0] - The x component.
+     * @param {number} [y=0] - The y component.
+     * @param {number} [z=0] - The z component.
+     */
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+    
+    /**
+     * Static method to create a new Vector.
+     * @param {number} x - The x component.
+     * @param {number} y - The y component.
+     * @param {number} z - The z component.
+     * @returns {Vector} A new Vector object.
+     */
+    static create(x, y, z) {
+        return new Vector(x, y, z);
+    }
+    
+    /**
+     * Returns a copy of this vector.
+     * @returns {Vector} A new Vector object.
+     */
+    clone() {
+        return new Vector(this.x, this.y, this.z);
+    }
+    
+    /**
+     * Adds another vector to this one.
+     * @param {Vector} v - The vector to add.
+     * @returns {Vector} A new Vector object.
+     */
+    add(v) {
+        return new Vector(this.x + v.x, this.y + v.y, this.z + v.z);
+    }
+    
+    /**
+     * Subtracts another vector from this one.
+     * @param {Vector} v - The vector to subtract.
+     * @returns {Vector} A new Vector object.
+     */
+    sub(v) {
+        return new Vector(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+    
+    /**
+     * Multiplies every component by a number.
+     * @param {number} s - The scale factor.
+     * @returns {Vector} A new Vector object.
+     */
+    scale(s) {
+        return new Vector(this.x * s, this.y * s, this.z * s);
+    }
+    
+    /**
+     * Calculates the dot product with another vector.
+     * @param {Vector} v - The other vector.
+     * @returns {number} The dot product.
+     */
+    dot(v) {
+        return this.x * v.x + this.y * v.y + this.z * v.z;
+    }
+    
+    /**
+     * Calculates the cross product with another vector.
+     * @param {Vector} v - The other vector.
+     * @returns {Vector} A new Vector object.
+     */
+    cross(v) {
+        return new Vector(
+            this.y * v.z - this.z * v.y,
+            this.z * v.x - this.x * v.z,
+            this.x * v.y - this.y * v.x
+        );
+    }
+    
+    /**
+     * Gets the length of this vector.
+     * @returns {number} The magnitude.
+     */
+    magnitude() {
+        return Math.sqrt(this.dot(this));
+    }
+    
+    /**
+     * Gets a vector with the same direction and a length of 1.
+     * The zero vector is returned unchanged.
+     * @returns {Vector} A new Vector object.
+     */
+    unit() {
+        const length = this.magnitude();
+        return length > 0 ? this.scale(1 / length) : new Vector();
+    }
+    
+    /**
+     * Linearly interpolates towards another vector.
+     * @param {Vector} goal - The vector to interpolate to.
+     * @param {number} alpha - The interpolation amount, from 0 (this) to 1 (goal).
+     * @returns {Vector} A new Vector object.
+     */
+    lerp(goal, alpha) {
+        return new Vector(
+            this.x + (goal.x - this.x) * alpha,
+            this.y + (goal.y - this.y) * alpha,
+            this.z + (goal.z - this.z) * alpha
+        );
+    }
+    
+    /**
+     * Gets the components as an array, for passing to WebGL.
+     * @returns {number[]} The [x, y, z] array.
+     */
+    toArray() {
+        return [this.x, this.y, this.z];
+    }
+}
+
+/**
+ * A global helper function for creating vectors.
+ * @param {number} x - The x component.
+ * @param {number} y - The y component.
+ * @param {number} z - The z component.
+ * @returns {Vector} A new Vector object.
+ */
+function vector(x, y, z) {
+    return new Vector(x, y, z);
+}
+
+/**
+ * A unit quaternion, used to compose and interpolate rotations.
+ * @class
+ */
+class Quaternion {
+    /**
+     * @param {number} [x=0] - The x component.
+     * @param {number} [y=0] - The y component.
+     * @param {number} [z=0] - The z component.
+     * @param {number} [w=1] - The w (scalar) component.
+     */
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+    
+    /**
+     * Creates a quaternion that rotates around an axis.
+     * @param {Vector} axis - The axis to rotate around.
+     * @param {number} angle - The angle in degrees.
+     * @returns {Quaternion} A new Quaternion object.
+     */
+    static fromAxisAngle(axis, angle) {
+        const unit = axis.unit();
+        const half = angle * Math.PI / 360;
+        const s = Math.sin(half);
+        return new Quaternion(unit.x * s, unit.y * s, unit.z * s, Math.cos(half));
+    }
+    
+    /**
+     * Creates a quaternion from Euler angles applied in the same X, Y, Z order as CFrame.
+     * @param {number} x - Rotation around the X axis in degrees.
+     * @param {number} y - Rotation around the Y axis in degrees.
+     * @param {number} z - Rotation around the Z axis in degrees.
+     * @returns {Quaternion} A new Quaternion object.
+     */
+    static fromEuler(x, y, z) {
+        return Quaternion.fromAxisAngle(new Vector(1, 0, 0), x)
+            .mul(Quaternion.fromAxisAngle(new Vector(0, 1, 0), y))
+            .mul(Quaternion.fromAxisAngle(new Vector(0, 0, 1), z));
+    }
+    
+    /**
+     * Multiplies this quaternion by another. The result applies the other rotation first.
+     * @param {Quaternion} q - The other quaternion.
+     * @returns {Quaternion} A new Quaternion object.
+     */
+    mul(q) {
+        return new Quaternion(
+            this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+            this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+            this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w,
+            this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z
+        );
+    }
+    
+    /**
+     * Gets the inverse rotation. For unit quaternions this is the conjugate.
+     * @returns {Quaternion} A new Quaternion object.
+     */
+    inverse() {
+        return new Quaternion(-this.x, -this.y, -this.z, this.w);
+    }
+    
+    /**
+     * Scales the quaternion back to unit length.
+     * @returns {Quaternion} A new Quaternion object.
+     */
+    normalize() {
+        const length = Math.hypot(this.x, this.y, this.z, this.w) || 1;
+        return new Quaternion(this.x / length, this.y / length, this.z / length, this.w / length);
+    }
+    
+    /**
+     * Calculates the dot product with another quaternion.
+     * @param {Quaternion} q - The other quaternion.
+     * @returns {number} The dot product.
+     */
+    dot(q) {
+        return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+    }
+    
+    /**
+     * Spherically interpolates towards another quaternion along the shortest arc.
+     * @param {Quaternion} goal - The quaternion to interpolate to.
+     * @param {number} alpha - The interpolation amount, from 0 (this) to 1 (goal).
+     * @returns {Quaternion} A new Quaternion object.
+     */
+    slerp(goal, alpha) {
+        let cosHalfTheta = this.dot(goal);
+        let target = goal;
+        if (cosHalfTheta < 0) {
+            target = new Quaternion(-goal.x, -goal.y, -goal.z, -goal.w);
+            cosHalfTheta = -cosHalfTheta;
+        }
+        
+        let a = 1 - alpha;
+        let b = alpha;
+        if (cosHalfTheta < 0.9995) {
+            const halfTheta = Math.acos(cosHalfTheta);
+            const sinHalfTheta = Math.sin(halfTheta);
+            a = Math.sin((1 - alpha) * halfTheta) / sinHalfTheta;
+            b = Math.sin(alpha * halfTheta) / sinHalfTheta;
+        }
+        
+        return new Quaternion(
+            this.x * a + target.x * b,
+            this.y * a + target.y * b,
+            this.z * a + target.z * b,
+            this.w * a + target.w * b
+        ).normalize();
+    }
+    
+    /**
+     * Rotates a vector by this quaternion.
+     * @param {Vector} v - The vector to rotate.
+     * @returns {Vector} A new Vector object.
+     */
+    rotateVector(v) {
+        // v' = v + 2w(q x v) + 2(q x (q x v))
+        const q = new Vector(this.x, this.y, this.z);
+        const t = q.cross(v).scale(2);
+        return v.add(t.scale(this.w)).add(q.cross(t));
+    }
+}
+
+/**
+ * CFrame (Coordinate Frame) class, represents position and rotation.
+ * @class
+ */
+class CFrame {
+    /**
+     * @param {Vector} [position=new Vector()] - The position vector.
+     * @param {Vector} [rotation=new Vector()] - The rotation vector (in degrees).
+     */
+    constructor(position = new Vector(), rotation = new Vector()) {
+        this.position = position;
+        this.rotation = rotation;
+    }
+    
+    /**
+     * Static method to create a new CFrame.
+     * @param {Vector} position - The position vector.
+     * @param {Vector} rotation - The rotation vector (in degrees).
+     * @returns {CFrame} A new CFrame object.
+     */
+    static create(position, rotation) {
+        return new CFrame(position, rotation);
+    }
+    
+    /**
+     * Creates a CFrame from a position and a quaternion rotation.
+     * @param {Vector} position - The position vector.
+     * @param {Quaternion} quaternion - The rotation.
+     * @returns {CFrame} A new CFrame object.
+     */
+    static fromQuaternion(position, quaternion) {
+        const matrix = mat4.fromRotationTranslation(new Float64Array(16), quaternion, position.toArray());
+        return CFrame.fromMatrix(matrix);
+    }
+    
+    /**
+     * Creates a CFrame at a position that faces a target. Like the camera, the
+     * CFrame's forward direction is its negative Z axis.
+     * @param {Vector} eye - The position of the CFrame.
+     * @param {Vector} target - The point to look at.
+     * @param {Vector} [up=vector(0, 1, 0)] - The direction considered up.
+     * @returns {CFrame} A new CFrame object.
+     */
+    static lookAt(eye, target, up = new Vector(0, 1, 0)) {
+        const back = eye.sub(target).unit();
+        if (back.magnitude() === 0) {
+            return new CFrame(eye.clone(), new Vector());
+        }
+        let right = up.cross(back);
+        if (right.magnitude() < 1e-6) {
+            // Looking straight along the up vector, so any perpendicular will do
+            right = new Vector(1, 0, 0).cross(back);
+        }
+        right = right.unit();
+        const upAxis = back.cross(right);
+        
+        const matrix = new Float64Array([
+            right.x, right.y, right.z, 0,
+            upAxis.x, upAxis.y, upAxis.z, 0,
+            back.x, back.y, back.z, 0,
+            eye.x, eye.y, eye.z, 1
+        ]);
+        return CFrame.fromMatrix(matrix);
+    }
+    
+    /**
+     * Creates a CFrame from a rigid transformation matrix (rotation and translation only).
+     * The rotation is decomposed into the same X, Y, Z Euler order used by getMatrix.
+     * @param {mat4} matrix - The 4x4 transformation matrix.
+     * @returns {CFrame} A new CFrame object.
+     */
+    static fromMatrix(matrix) {
+        const m = matrix;
+        const position = new Vector(m[12], m[13], m[14]);
+        const rotation = new Vector();
+        const sinY = Math.max(-1, Math.min(1, m[8]));
+        rotation.y = Math.asin(sinY);
+        if (Math.abs(sinY) < 0.9999999) {
+            rotation.x = Math.atan2(-m[9], m[10]);
+            rotation.z = Math.atan2(-m[4], m[0]);
+        } else {
+            // Gimbal lock: X and Z rotate about the same axis, so fold it all into X
+            rotation.x = Math.atan2(m[6], m[5]);
+            rotation.z = 0;
+        }
+        rotation.x *= 180 / Math.PI;
+        rotation.y *= 180 / Math.PI;
+        rotation.z *= 180 / Math.PI;
+        return new CFrame(position, rotation);
+    }
+    
+    /**
+     * Returns a copy of this CFrame.
+     * @returns {CFrame} A new CFrame object.
+     */
+    clone() {
+        return new CFrame(this.position.clone(), this.rotation.clone());
+    }
+    
+    /**
+     * Gets the rotation of this CFrame as a quaternion.
+     * @returns {Quaternion} The rotation.
+     */
+    getQuaternion() {
+        return Quaternion.fromEuler(this.rotation.x, this.rotation.y, this.rotation.z);
+    }
+    
+    /**
+     * Composes this CFrame with another, treating the other as relative to this one.
+     * Equivalent to multiplying their matrices.
+     * @param {CFrame} cframe - The CFrame to apply after this one.
+     * @returns {CFrame} A new CFrame object.
+     */
+    mul(cframe) {
+        const rotation = this.getQuaternion().mul(cframe.getQuaternion());
+        return CFrame.fromQuaternion(this.pointToWorldSpace(cframe.position), rotation);
+    }
+    
+    /**
+     * Gets the inverse of this CFrame, so that cf.mul(cf.inverse()) is the identity.
+     * @returns {CFrame} A new CFrame object.
+     */
+    inverse() {
+        const rotation = this.getQuaternion().inverse();
+        const position = rotation.rotateVector(this.position).scale(-1);
+        return CFrame.fromQuaternion(position, rotation);
+    }
+    
+    /**
+     * Converts a CFrame relative to this one into world space.
+     * @param {CFrame} cframe - The object-space CFrame.
+     * @returns {CFrame} A new CFrame object.
+     */
+    toWorldSpace(cframe) {
+        return this.mul(cframe);
+    }
+    
+    /**
+     * Converts a world-space CFrame into one relative to this CFrame.
+     * @param {CFrame} cframe - The world-space CFrame.
+     * @returns {CFrame} A new CFrame object.
+     */
+    toObjectSpace(cframe) {
+        return this.inverse().mul(cframe);
+    }
+    
+    /**
+     * Converts a point relative to this CFrame into world space.
+     * @param {Vector} point - The object-space point.
+     * @returns {Vector} A new Vector object.
+     */
+    pointToWorldSpace(point) {
+        return this.getQuaternion().rotateVector(point).add(this.position);
+    }
+    
+    /**
+     * Converts a world-space point into one relative to this CFrame.
+     * @param {Vector} point - The world-space point.
+     * @returns {Vector} A new Vector object.
+     */
+    pointToObjectSpace(point) {
+        return this.getQuaternion().inverse().rotateVector(point.sub(this.position));
+    }
+    
+    /**
+     * Rotates a direction relative to this CFrame into world space, ignoring position.
+     * @param {Vector} direction - The object-space direction.
+     * @returns {Vector} A new Vector object.
+     */
+    vectorToWorldSpace(direction) {
+        return this.getQuaternion().rotateVector(direction);
+    }
+    
+    /**
+     * Rotates a world-space direction into one relative to this CFrame, ignoring position.
+     * @param {Vector} direction - The world-space direction.
+     * @returns {Vector} A new Vector object.
+     */
+    vectorToObjectSpace(direction) {
+        return this.getQuaternion().inverse().rotateVector(direction);
+    }
+    
+    /**
+     * Gets the direction this CFrame faces (its negative Z axis).
+     * @returns {Vector} The forward unit vector.
+     */
+    lookVector() {
+        return this.vectorToWorldSpace(new Vector(0, 0, -1));
+    }
+    
+    /**
+     * Gets the direction of this CFrame's X axis.
+     * @returns {Vector} The right unit vector.
+     */
+    rightVector() {
+        return this.vectorToWorldSpace(new Vector(1, 0, 0));
+    }
+    
+    /**
+     * Gets the direction of this CFrame's Y axis.
+     * @returns {Vector} The up unit vector.
+     */
+    upVector() {
+        return this.vectorToWorldSpace(new Vector(0, 1, 0));
+    }
+    
+    /**
+     * Interpolates towards another CFrame. Positions are interpolated linearly and
+     * rotations are spherically interpolated through quaternions, so the path
+     * takes the shortest arc and does not suffer from gimbal lock.
+     * @param {CFrame} goal - The CFrame to interpolate to.
+     * @param {number} alpha - The interpolation amount, from 0 (this) to 1 (goal).
+     * @returns {CFrame} A new CFrame object.
+     */
+    lerp(goal, alpha) {
+        const rotation = this.getQuaternion().slerp(goal.getQuaternion(), alpha);
+        return CFrame.fromQuaternion(this.position.lerp(goal.position, alpha), rotation);
+    }
+    
+    /**
+     * Gets the transformation matrix for this CFrame.
+     * @returns {mat4} The 4x4 transformation matrix.
+     */
+    getMatrix() {
+        const matrix = mat4.create();
+        mat4.translate(matrix, matrix, [this.position.x, this.position.y, this.position.z]);
+        mat4.rotateX(matrix, matrix, this.rotation.x * Math.PI / 180);
+        mat4.rotateY(matrix, matrix, this.rotation.y * Math.PI / 180);
+        mat4.rotateZ(matrix, matrix, this.rotation.z * Math.PI / 180);
+        return matrix;
+    }
+}
+
+/**
+ * Service for creating and managing materials.
+ * @class
+ */
+class MaterialService {
+    constructor() {
+        /** The environment reflected by materials that don't have their own envMap. */
+        this.environmentMap = null;
+        /** Reflection probes that are rendered from the scene. */
+        this.probes = [];
+    }
+    
+    /**
+     * Creates a new material.
+     * @param {number[]} color - The RGB color array, e.g., [1, 0, 0] for red. A fourth value is used as alpha.
+     * @param {object} [options={}] - Material options.
+     * @param {number} [options.shininess=0.5] - Shininess factor (0 to 1).
+     * @param {number} [options.transparency=0] - 0 for fully opaque, 1 for invisible.
+     * @param {string} [options.blendMode='alpha'] - 'alpha' to blend over what is behind, 'additive' to brighten it.
+     * @param {boolean} [options.transparent=false] - Draw in the transparent pass even when fully opaque,
+     *     e.g. for textures with see-through pixels.
+     * @param {number} [options.reflectance] - How much of the environment is reflected (0 to 1).
+     * @param {boolean} [options.mirror=false] - Shorthand for a reflectance of 1.
+     * @param {EnvironmentMap} [options.envMap] - The environment to reflect instead of environmentMap.
+     * @param {Texture} [options.map] - Albedo texture, multiplied by the color.
+     * @param {Texture} [options.normalMap] - Tangent-space normal map.
+     * @param {Texture} [options.roughnessMap] - Roughness texture (green channel), reduces shininess.
+     * @param {Texture} [options.emissiveMap] - Emissive texture, multiplied by the emissive color.
+     * @param {Texture} [options.aoMap] - Ambient occlusion texture (red channel), darkens ambient light.
+     * @param {number[]} [options.emissive] - RGB color the surface glows with regardless of lighting.
+     * @param {number[]} [options.tiling=[1, 1]] - How many times the textures repeat across each face.
+     * @param {number[]} [options.offset=[0, 0]] - Offset added to texture coordinates after tiling.
+     * @returns {Material} The new Material object.
+     */
+    createMat(color, options = {}) {
+        return new Material(color, options);
+    }
+    
+    /**
+     * Alias for createMat for compatibility.
+     */
+    CreateMat(color, options = {}) {
+        return this.createMat(color, options);
+    }
+    
+    /**
+     * Creates a physically based material using the metallic-roughness model,
+     * the one used by glTF and most modern art tools.
+     * @param {object} [options={}] - Material options.
+     * @param {number[]} [options.baseColor=[1, 1, 1]] - The RGB base color. A fourth value is used as alpha.
+     * @param {number} [options.metallic=0] - 0 for dielectrics like plastic or wood, 1 for metals.
+     * @param {number} [options.roughness=0.5] - 0 for a perfectly smooth surface, 1 for a fully matte one.
+     * @param {number[]} [options.emissive] - RGB color the surface glows with regardless of lighting.
+     * @param {Texture} [options.map] - Base color texture, multiplied by baseColor.
+     * @param {Texture} [options.roughnessMap] - Roughness texture (green channel), multiplied by roughness.
+     * @param {Texture} [options.metallicMap] - Metallic texture (blue channel), multiplied by metallic.
+     *     A glTF metallicRoughness texture can be used for both.
+     * @param {Texture} [options.aoMap] - Ambient occlusion texture (red channel).
+     * @param {Texture} [options.normalMap] - Tangent-space normal map.
+     * @param {Texture} [options.emissiveMap] - Emissive texture.
+     * @param {EnvironmentMap} [options.envMap] - The environment to reflect instead of environmentMap.
+     * @param {number} [options.transparency=0] - 0 for fully opaque, 1 for invisible.
+     * @param {string} [options.blendMode='alpha'] - 'alpha' or 'additive'.
+     * @param {number[]} [options.tiling=[1, 1]] - How many times the textures repeat across each face.
+     * @param {number[]} [options.offset=[0, 0]] - Offset added to texture coordinates after tiling.
+     * @returns {PBRMaterial} The new PBRMaterial object.
+     */
+    createPBRMat(options = {}) {
+        return new PBRMaterial(options);
+    }
+    
+    /**
+     * Creates a texture for use as a material map.
+     * @param {string|HTMLImageElement|HTMLCanvasElement|ImageBitmap|object} source - An image, canvas,
+     *     ImageBitmap, URL, or raw pixels as {width, height, data} with RGBA bytes, top row first.
+     * @param {object} [options={}] - Sampler options, see Texture.
+     * @returns {Texture} The new Texture object.
+     */
+    createTexture(source, options = {}) {
+        return new Texture(source, options);
+    }
+    
+    /**
+     * Creates an environment cubemap from six images, one per side.
+     * @param {Array|object} faces - The images in the order [+X, -X, +Y, -Y, +Z, -Z], or an object
+     *     with px, nx, py, ny, pz and nz keys. Each can be an image, canvas, ImageBitmap or URL.
+     * @returns {EnvironmentMap} The new EnvironmentMap object.
+     */
+    createEnvironmentMap(faces) {
+        return new EnvironmentMap(faces);
+    }
+    
+    /**
+     * Creates a reflection probe, an environment cubemap that is rendered from the scene.
+     * @param {Vector} position - Where the probe sees the scene from, usually the center of the reflective part.
+     * @param {object} [options={}] - Probe options, see ReflectionProbe.
+     * @returns {ReflectionProbe} The new ReflectionProbe object.
+     */
+    createReflectionProbe(position, options = {}) {
+        const probe = new ReflectionProbe(position, options);
+        this.probes.push(probe);
+        return probe;
+    }
+    
+    /**
+     * Stops rendering a reflection probe and frees its cubemap.
+     * @param {ReflectionProbe} probe - The probe to remove.
+     */
+    removeReflectionProbe(probe) {
+        const index = this.probes.indexOf(probe);
+        if (index !== -1) {
+            this.probes.splice(index, 1);
+        }
+        probe.release();
+    }
+}
+
+/**
+ * A 2D texture used by material maps.
+ * @class
+ */
+class Texture {
+    /**
+     * @param {string|HTMLImageElement|HTMLCanvasElement|ImageBitmap|object} source - The texture source,
+     *     see MaterialService.createTexture.
+     * @param {object} [options={}] - Sampler options.
+     * @param {string} [options.wrap='repeat'] - How coordinates outside 0-1 are handled: 'repeat', 'clamp' or 'mirror'.
+     * @param {string} [options.wrapS] - Horizontal wrap mode, overrides wrap.
+     * @param {string} [options.wrapT] - Vertical wrap mode, overrides wrap.
+     * @param {string} [options.filter='linear'] - 'linear' for smooth or 'nearest' for pixelated sampling.
+     * @param {boolean} [options.mipmaps=true] - Whether to generate mipmaps, which keep distant surfaces from shimmering.
+     * @param {boolean} [options.flipY=true] - Whether to flip the image so its top row is at the top of each face.
+     */
+    constructor(source, options = {}) {
+        this.wrapS = options.wrapS || options.wrap || 'repeat';
+        this.wrapT = options.wrapT || options.wrap || 'repeat';
+        this.filter = options.filter || 'linear';
+        this.mipmaps = options.mipmaps !== false;
+        this.flipY = options.flipY !== false;
+        this.gl = null;
+        this.texture = null;
+        this.image = null;
+        this.ready = false;
+        /** What the texture was created from. URLs and raw pixels are saved by exportScene. */
+        this.source = source;
+        /** Resolves once the source has loaded. */
+        this.loaded = loadImage(source).then(image => {
+            this.image = image;
+            this.ready = true;
+            return this;
+        });
+    }
+    
+    /**
+     * Gets the WebGL texture, uploading the source the first time.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @returns {WebGLTexture|null} The texture, or null if the source is still loading.
+     * @private
+     */
+    getTexture(gl) {
+        if (!this.ready) {
+            return null;
+        }
+        if (this.gl !== gl) {
+            this.release();
+            this.gl = gl;
+            this.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.texture);
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, this.flipY);
+            const image = this.image;
+            if (image.data && !(typeof ImageData !== 'undefined' && image instanceof ImageData)) {
+                gl.texImage2D(
+                    gl.TEXTURE_2D, 0, gl.RGBA, image.width, image.height, 0,
+                    gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(image.data)
+                );
+            } else {
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+            }
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+            
+            const wrapModes = { repeat: gl.REPEAT, clamp: gl.CLAMP_TO_EDGE, mirror: gl.MIRRORED_REPEAT };
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrapModes[this.wrapS]);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrapModes[this.wrapT]);
+            const nearest = this.filter === 'nearest';
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, nearest ? gl.NEAREST : gl.LINEAR);
+            if (this.mipmaps) {
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, nearest ? gl.NEAREST_MIPMAP_NEAREST : gl.LINEAR_MIPMAP_LINEAR);
+                gl.generateMipmap(gl.TEXTURE_2D);
+            } else {
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, nearest ? gl.NEAREST : gl.LINEAR);
+            }
+        }
+        return this.texture;
+    }
+    
+    /**
+     * Deletes the WebGL texture, if it has one.
+     * @private
+     */
+    release() {
+        if (this.gl) {
+            this.gl.deleteTexture(this.texture);
+        }
+        this.gl = null;
+        this.texture = null;
+    }
+}
+
+/**
+ * An environment cubemap that reflective materials sample.
+ * @class
+ */
+class EnvironmentMap {
+    /**
+     * @param {Array|object|null} faces - The six face images, see MaterialService.createEnvironmentMap.
+     *     Null for cubemaps that are rendered instead of loaded.
+     */
+    constructor(faces) {
+        this.gl = null;
+        this.texture = null;
+        /** Number of mipmap levels in the cubemap, once it has been uploaded. */
+        this.levels = 1;
+        this.ready = faces === null;
+        this.faces = null;
+        /** Resolves once every face image has loaded. */
+        this.loaded = Promise.resolve(this);
+        
+        if (faces !== null) {
+            const list = Array.isArray(faces)
+                ? faces
+                : ['px', 'nx', 'py', 'ny', 'pz', 'nz'].map(key => faces[key]);
+            if (list.length !== 6 || list.some(face => !face)) {
+                throw new Error('An environment map needs exactly six faces');
+            }
+            this.loaded = Promise.all(list.map(loadImage)).then(images => {
+                this.faces = images;
+                this.ready = true;
+                return this;
+            });
+        }
+    }
+    
+    /**
+     * Gets the cubemap texture, uploading the face images the first time.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @returns {WebGLTexture|null} The texture, or null if the images are still loading.
+     * @private
+     */
+    getTexture(gl) {
+        if (!this.ready) {
+            return null;
+        }
+        if (this.gl !== gl) {
+            this.release();
+            this.gl = gl;
+            this.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+            this.faces.forEach((image, i) => {
+                gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+            });
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
+            this.levels = Math.floor(Math.log2(Math.max(this.faces[0].width, 1))) + 1;
+        }
+        return this.texture;
+    }
+    
+    /**
+     * Deletes the cubemap texture, if it has one.
+     * @private
+     */
+    release() {
+        if (this.gl) {
+            this.gl.deleteTexture(this.texture);
+        }
+        this.gl = null;
+        this.texture = null;
+    }
+}
+
+/**
+ * An environment cubemap rendered from a point in the scene, so reflective
+ * parts show the parts around them.
+ * @class
+ */
+class ReflectionProbe extends EnvironmentMap {
+    /**
+     * @param {Vector} position - Where the probe sees the scene from.
+     * @param {object} [options={}] - Probe options.
+     * @param {number} [options.size=256] - Width and height of each cubemap face in pixels.
+     * @param {string} [options.updateMode='once'] - 'once' renders on the next frame and again after each
+     *     refresh(), 'always' re-renders every frame for moving scenes.
+     * @param {number} [options.near=0.1] - Near clipping distance.
+     * @param {number} [options.far=100] - Far clipping distance.
+     */
+    constructor(position, options = {}) {
+        super(null);
+        this.position = position;
+        this.size = options.size || 256;
+        this.updateMode = options.updateMode || 'once';
+        this.near = options.near || 0.1;
+        this.far = options.far || 100;
+        this.needsUpdate = true;
+        this.framebuffer = null;
+        this.depthBuffer = null;
+    }
+    
+    /**
+     * Re-renders the probe on the next frame.
+     */
+    refresh() {
+        this.needsUpdate = true;
+    }
+    
+    /**
+     * Gets the cubemap texture, or null if it hasn't been rendered on this context yet.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @returns {WebGLTexture|null} The texture.
+     * @private
+     */
+    getTexture(gl) {
+        return this.gl === gl ? this.texture : null;
+    }
+    
+    /**
+     * Gets the cubemap and framebuffer to render into, creating them if needed.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}} The render target.
+     * @private
+     */
+    getRenderTarget(gl) {
+        if (this.gl !== gl) {
+            this.release();
+            this.gl = gl;
+            
+            this.levels = Math.floor(Math.log2(this.size)) + 1;
+            this.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+            gl.texStorage2D(gl.TEXTURE_CUBE_MAP, this.levels, gl.RGBA8, this.size, this.size);
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            
+            this.depthBuffer = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer);
+            gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, this.size, this.size);
+            
+            this.framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+        }
+        return { texture: this.texture, framebuffer: this.framebuffer };
+    }
+    
+    /**
+     * Deletes the cubemap and framebuffer, if it has them.
+     * @private
+     */
+    release() {
+        if (this.gl) {
+            this.gl.deleteFramebuffer(this.framebuffer);
+            this.gl.deleteRenderbuffer(this.depthBuffer);
+        }
+        super.release();
+        this.framebuffer = null;
+        this.depthBuffer = null;
+        this.needsUpdate = true;
+    }
+}
+
+/**
+ * View directions for each cubemap face, in WebGL's face order.
+ * @type {{direction: Vector, up: Vector}[]}
+ */
+ReflectionProbe.FACES = [
+    { direction: vector(1, 0, 0), up: vector(0, -1, 0) },
+    { direction: vector(-1, 0, 0), up: vector(0, -1, 0) },
+    { direction: vector(0, 1, 0), up: vector(0, 0, 1) },
+    { direction: vector(0, -1, 0), up: vector(0, 0, -1) },
+    { direction: vector(0, 0, 1), up: vector(0, -1, 0) },
+    { direction: vector(0, 0, -1), up: vector(0, -1, 0) }
+];
+
+/**
+ * Resolves an image source, loading it first if it is a URL.
+ * @param {string|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source - The image or its URL.
+ * @returns {Promise} Resolves with something that can be passed to texImage2D.
+ * @private
+ */
+function loadImage(source) {
+    if (typeof source !== 'string') {
+        return Promise.resolve(source);
+    }
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Failed to load image "' + source + '"'));
+        image.src = source;
+    });
+}
+
+/**
+ * Represents the material properties of a shape.
+ * @class
+ */
+class Material {
+    /**
+     * @param {number[]} color - The RGB or RGBA color array.
+     * @param {object} [options={}] - Material options.
+     * @param {number} [options.shininess=0.5] - Shininess factor.
+     * @param {number} [options.transparency=0] - 0 for fully opaque, 1 for invisible.
+     * @param {string} [options.blendMode='alpha'] - 'alpha' or 'additive'.
+     * @param {boolean} [options.transparent=false] - Always draw in the transparent pass.
+     * @param {number} [options.reflectance] - How much of the environment is reflected (0 to 1).
+     * @param {boolean} [options.mirror=false] - Shorthand for a reflectance of 1.
+     * @param {EnvironmentMap} [options.envMap] - The environment to reflect instead of the scene's.
+     * @param {Texture} [options.map] - Albedo texture.
+     * @param {Texture} [options.normalMap] - Tangent-space normal map.
+     * @param {Texture} [options.roughnessMap] - Roughness texture.
+     * @param {Texture} [options.emissiveMap] - Emissive texture.
+     * @param {Texture} [options.aoMap] - Ambient occlusion texture.
+     * @param {number[]} [options.emissive] - Emissive RGB color.
+     * @param {number[]} [options.tiling=[1, 1]] - Texture repeat count.
+     * @param {number[]} [options.offset=[0, 0]] - Texture offset.
+     */
+    constructor(color, options = {}) {
+        this.color = color;
+        this.shininess = options.shininess || 0.5;
+        this.reflectance = options.reflectance !== undefined ? options.reflectance : (options.mirror ? 1 : 0);
+        this.envMap = options.envMap || null;
+        this.map = options.map || null;
+        this.normalMap = options.normalMap || null;
+        this.roughnessMap = options.roughnessMap || null;
+        this.emissiveMap = options.emissiveMap || null;
+        this.metallicMap = options.metallicMap || null;
+        this.aoMap = options.aoMap || null;
+        // An emissive map on its own should show up at full strength
+        this.emissive = options.emissive || (options.emissiveMap ? [1, 1, 1] : [0, 0, 0]);
+        this.tiling = options.tiling || [1, 1];
+        this.offset = options.offset || [0, 0];
+        this.transparency = options.transparency || 0;
+        this.blendMode = options.blendMode || 'alpha';
+        this.transparent = options.transparent || false;
+    }
+    
+    /**
+     * How opaque the material is, from 0 (invisible) to 1 (solid). The inverse of transparency.
+     * @type {number}
+     */
+    get opacity() {
+        return 1 - this.transparency;
+    }
+    
+    set opacity(value) {
+        this.transparency = 1 - value;
+    }
+    
+    /**
+     * Gets the final opacity, combining transparency with the color's alpha.
+     * @returns {number} The opacity from 0 to 1.
+     */
+    getOpacity() {
+        const alpha = this.color.length > 3 ? this.color[3] : 1;
+        return (1 - this.transparency) * alpha;
+    }
+    
+    /**
+     * Checks whether shapes with this material are drawn in the blended, sorted pass.
+     * @returns {boolean} True if the material needs blending.
+     */
+    isTransparent() {
+        return this.transparent || this.blendMode === 'additive' || this.getOpacity() < 1;
+    }
+    
+    /**
+     * Uploads the material's uniforms and binds its textures.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {object} uniforms - The shader uniform locations.
+     * @private
+     */
+    applyUniforms(gl, uniforms) {
+        gl.uniform1i(uniforms.pbr, false);
+        gl.uniform3f(uniforms.color, this.color[0], this.color[1], this.color[2]);
+        gl.uniform1f(uniforms.opacity, this.getOpacity());
+        gl.uniform1f(uniforms.shininess, this.shininess);
+        gl.uniform1f(uniforms.reflectance, this.reflectance);
+        gl.uniform3fv(uniforms.emissive, this.emissive);
+        gl.uniform4f(uniforms.uvTransform, this.tiling[0], this.tiling[1], this.offset[0], this.offset[1]);
+        
+        Material.MAPS.forEach((name, i) => {
+            const texture = this[name] ? this[name].getTexture(gl) : null;
+            const hasUniform = 'has' + name[0].toUpperCase() + name.slice(1);
+            gl.uniform1i(uniforms[hasUniform], texture !== null);
+            if (texture) {
+                gl.activeTexture(gl.TEXTURE0 + WebThreeDee.MATERIAL_MAP_UNIT + i);
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+            }
+        });
+    }
+    
+    /**
+     * Writes the values that instanced and batched drawing passes per instance
+     * instead of as uniforms: color and opacity, emissive, then shininess,
+     * metallic, roughness and reflectance.
+     * @param {Float32Array} data - The array to write to.
+     * @param {number} offset - Where to start writing.
+     * @private
+     */
+    writeInstanceData(data, offset) {
+        data[offset] = this.color[0];
+        data[offset + 1] = this.color[1];
+        data[offset + 2] = this.color[2];
+        data[offset + 3] = this.getOpacity();
+        data[offset + 4] = this.emissive[0];
+        data[offset + 5] = this.emissive[1];
+        data[offset + 6] = this.emissive[2];
+        data[offset + 7] = this.shininess;
+        data[offset + 8] = 0;
+        data[offset + 9] = 0;
+        data[offset + 10] = this.reflectance;
+    }
+    
+    /**
+     * Whether the material reflects its environment. Kept for compatibility,
+     * setting it is the same as setting reflectance to 1 or 0.
+     * @type {boolean}
+     */
+    get mirror() {
+        return this.reflectance > 0;
+    }
+    
+    set mirror(value) {
+        this.reflectance = value ? 1 : 0;
+    }
+}
+
+/**
+ * The texture map properties of a material, in texture unit order.
+ * @type {string[]}
+ */
+Material.MAPS = ['map', 'normalMap', 'roughnessMap', 'emissiveMap', 'metallicMap', 'aoMap'];
+
+/**
+ * A physically based material using the metallic-roughness model. Shapes
+ * using it are shaded with a Cook-Torrance BRDF instead of Phong.
+ * @class
+ */
+class PBRMaterial extends Material {
+    /**
+     * @param {object} [options={}] - Material options, see MaterialService.createPBRMat.
+     */
+    constructor(options = {}) {
+        super(options.baseColor || [1, 1, 1], options);
+        this.metallic = options.metallic !== undefined ? options.metallic : 0;
+        this.roughness = options.roughness !== undefined ? options.roughness : 0.5;
+    }
+    
+    /**
+     * The RGB base color. Same as color.
+     * @type {number[]}
+     */
+    get baseColor() {
+        return this.color;
+    }
+    
+    set baseColor(value) {
+        this.color = value;
+    }
+    
+    /**
+     * Uploads the material's uniforms and binds its textures.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {object} uniforms - The shader uniform locations.
+     * @private
+     */
+    applyUniforms(gl, uniforms) {
+        super.applyUniforms(gl, uniforms);
+        gl.uniform1i(uniforms.pbr, true);
+        gl.uniform1f(uniforms.metallic, this.metallic);
+        gl.uniform1f(uniforms.roughness, this.roughness);
+    }
+    
+    /**
+     * Writes the values that instanced and batched drawing passes per instance.
+     * @param {Float32Array} data - The array to write to.
+     * @param {number} offset - Where to start writing.
+     * @private
+     */
+    writeInstanceData(data, offset) {
+        super.writeInstanceData(data, offset);
+        data[offset + 8] = this.metallic;
+        data[offset + 9] = this.roughness;
+    }
+}
+
+/**
+ * Base class for everything that lives in the scene graph. An instance has a
+ * name, a cframe relative to its parent, and any number of children.
+ * Use PartsService to change the hierarchy so the scene stays in sync.
+ * @class
+ */
+class Instance {
+    /**
+     * @param {object} [options={}] - Instance options.
+     * @param {string} [options.name] - The name used by findFirstChild.
+     * @param {CFrame} [options.cframe] - The coordinate frame relative to the parent.
+     */
+    constructor(options = {}) {
+        /** Fires with a child when it is added to this instance. */
+        this.childAdded = new Signal();
+        /** Fires with a child when it is removed from this instance. */
+        this.childRemoved = new Signal();
+        /** Fires with the property name and new value when a property is assigned a new value. */
+        this.changed = new Signal();
+        /** Fires with the attribute name and new value when an attribute is set or removed. */
+        this.attributeChanged = new Signal();
+        /** @private Backing values for the properties that fire changed. */
+        this.propertyValues = {};
+        /** @private Custom attributes, see setAttribute. */
+        this.attributes = new Map();
+        this.name = options.name || 'Instance';
+        this.cframe = options.cframe || new CFrame();
+        /** @readonly Use PartsService.setParent to change it. */
+        this.parent = null;
+        /** @readonly Use PartsService.setParent to change it. */
+        this.children = [];
+        /** The world matrix as of the last render, excluding size. */
+        this.worldMatrix = mat4.create();
+    }
+    
+    /**
+     * Computes this instance's world transformation matrix by walking up its ancestors.
+     * @returns {mat4} The 4x4 world transformation matrix.
+     */
+    getWorldMatrix() {
+        const matrix = this.cframe.getMatrix();
+        if (this.parent) {
+            mat4.multiply(matrix, this.parent.getWorldMatrix(), matrix);
+        }
+        return matrix;
+    }
+    
+    /**
+     * Recomputes the cached world matrix of this instance and all of its descendants.
+     * @param {mat4} [parentMatrix] - The parent's world matrix. Identity if omitted.
+     * @private
+     */
+    updateWorldMatrix(parentMatrix) {
+        const local = this.cframe.getMatrix();
+        if (parentMatrix) {
+            mat4.multiply(this.worldMatrix, parentMatrix, local);
+        } else {
+            mat4.copy(this.worldMatrix, local);
+        }
+        this.children.forEach(child => child.updateWorldMatrix(this.worldMatrix));
+    }
+    
+    /**
+     * Gets the CFrame of this instance in world space.
+     * @returns {CFrame} A new CFrame object.
+     */
+    getWorldCFrame() {
+        return this.parent ? this.parent.getWorldCFrame().mul(this.cframe) : this.cframe.clone();
+    }
+    
+    /**
+     * Positions this instance in world space by updating its parent-relative cframe.
+     * @param {CFrame} cframe - The desired world CFrame.
+     */
+    setWorldCFrame(cframe) {
+        this.cframe = this.parent ? this.parent.getWorldCFrame().toObjectSpace(cframe) : cframe.clone();
+    }
+    
+    /**
+     * Finds the first child with the given name.
+     * @param {string} name - The name to look for.
+     * @param {boolean} [recursive=false] - Whether to search all descendants instead of only direct children.
+     * @returns {Instance|null} The matching instance, or null if none was found.
+     */
+    findFirstChild(name, recursive = false) {
+        const nodes = recursive ? this.getDescendants() : this.children;
+        return nodes.find(node => node.name === name) || null;
+    }
+    
+    /**
+     * Gets all descendants of this instance in depth-first order.
+     * @returns {Instance[]} The descendants.
+     */
+    getDescendants() {
+        const descendants = [];
+        this.children.forEach(child => {
+            descendants.push(child, ...child.getDescendants());
+        });
+        return descendants;
+    }
+    
+    /**
+     * Checks whether this instance is a descendant of another.
+     * @param {Instance} ancestor - The possible ancestor.
+     * @returns {boolean} True if ancestor is somewhere above this instance.
+     */
+    isDescendantOf(ancestor) {
+        for (let node = this.parent; node; node = node.parent) {
+            if (node === ancestor) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Sets a custom attribute, for game data like health or a spawn point. Attributes are
+     * saved with the scene by exportScene.
+     * @param {string} name - The attribute name.
+     * @param {string|number|boolean|Vector|CFrame|number[]|null} value - The value, or null to remove the attribute.
+     */
+    setAttribute(name, value) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Attribute names must be non-empty strings');
+        }
+        if (value === null || value === undefined) {
+            if (!this.attributes.delete(name)) {
+                return;
+            }
+            value = null;
+        } else if (!isAttributeValue(value)) {
+            throw new Error('Attribute "' + name + '" must be a string, number, boolean, Vector, CFrame or array of numbers');
+        } else if (this.attributes.get(name) === value) {
+            return;
+        } else {
+            this.attributes.set(name, value);
+        }
+        this.attributeChanged.fire(name, value);
+    }
+    
+    /**
+     * Gets a custom attribute.
+     * @param {string} name - The attribute name.
+     * @returns {*} The value, or null if the attribute isn't set.
+     */
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+    
+    /**
+     * Gets all custom attributes.
+     * @returns {object} A new object mapping attribute names to values.
+     */
+    getAttributes() {
+        const attributes = {};
+        this.attributes.forEach((value, name) => {
+            attributes[name] = value;
+        });
+        return attributes;
+    }
+}
+
+/**
+ * Checks whether a value can be stored as an attribute.
+ * @param {*} value - The value.
+ * @returns {boolean} True for strings, finite numbers, booleans, Vectors, CFrames and arrays of finite numbers.
+ * @private
+ */
+function isAttributeValue(value) {
+    if (typeof value === 'number') {
+        return isFinite(value);
+    }
+    if (Array.isArray(value)) {
+        return value.every(item => typeof item === 'number' && isFinite(item));
+    }
+    return typeof value === 'string' || typeof value === 'boolean' || value instanceof Vector || value instanceof CFrame;
+}
+
+/**
+ * Turns properties of a class into accessors that fire the instance's changed
+ * signal when they are assigned a different value. Changing a value in place,
+ * like part.size.x = 2, doesn't fire it; assign a new value instead.
+ * @param {Function} cls - The class.
+ * @param {string[]} names - The property names.
+ * @private
+ */
+function defineChangedProperties(cls, names) {
+    names.forEach(name => {
+        Object.defineProperty(cls.prototype, name, {
+            get() {
+                return this.propertyValues[name];
+            },
+            set(value) {
+                if (this.propertyValues[name] === value) {
+                    return;
+                }
+                this.propertyValues[name] = value;
+                this.changed.fire(name, value);
+            },
+            configurable: true,
+            enumerable: true
+        });
+    });
+}
+
+defineChangedProperties(Instance, ['name', 'cframe']);
+
+/**
+ * A group node without geometry, used to build parts out of other parts.
+ * Moving a model moves all of its descendants with it.
+ * @class
+ */
+class Model extends Instance {
+    /**
+     * @param {object} [options={}] - Model options (name, cframe).
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = options.name || 'Model';
+    }
+}
+
+/**
+ * Represents a 3D shape in the scene.
+ * @class
+ */
+class Shape extends Instance {
+    /**
+     * @param {string} type - The geometry type, one of Shape.TYPES. 'mesh' is for custom geometry.
+     * @param {object} [options={}] - Shape options.
+     * @param {string} [options.name='Part'] - The name of the shape.
+     * @param {{vertices: number[], indices: number[]}} [options.geometry] - The geometry of a mesh, with
+     *     Shape.VERTEX_STRIDE interleaved floats per vertex. Like the primitives, it should fit between -1 and 1
+     *     so that size is half its extent; the importers in PartsService take care of this.
+     * @param {CFrame} [options.cframe] - The coordinate frame (position/rotation), relative to the parent.
+     * @param {Vector} [options.size=vector(1,1,1)] - The size of the shape.
+     * @param {Material} [options.material] - The material of the shape.
+     * @param {boolean} [options.castShadow=true] - Whether the shape casts shadows.
+     * @param {boolean} [options.receiveShadow=true] - Whether shadows are drawn on the shape.
+     * @param {boolean} [options.anchored=true] - Anchored shapes are never moved by physics.
+     * @param {boolean} [options.canCollide=true] - Whether other shapes collide with this one.
+     * @param {number} [options.density=1] - Mass per unit of volume.
+     * @param {number} [options.friction=0.5] - How much the shape resists sliding, from 0 up.
+     * @param {number} [options.restitution=0.2] - How bouncy the shape is, from 0 to 1.
+     * @param {Vector} [options.velocity] - Initial velocity in units per second.
+     * @param {Vector} [options.angularVelocity] - Initial spin in radians per second, around each world axis.
+     * @param {string|number} [options.lod='auto'] - How finely rounded primitives are tessellated: 'auto'
+     *     to pick a level from how big the shape is on screen, or an index into Shape.LOD_SEGMENTS to always use.
+     * @param {number} [options.segments] - A fixed number of segments around rounded primitives, instead of lod.
+     * @param {number} [options.thickness=0.25] - How much of the radius of a torus, ring or tube is solid, from 0 to 1.
+     */
+    constructor(type, options = {}) {
+        super(options);
+        this.name = options.name || 'Part';
+        this.type = type;
+        this.size = options.size || vector(1, 1, 1);
+        this.material = options.material || new Material([1, 1, 1]);
+        this.castShadow = options.castShadow !== false;
+        this.receiveShadow = options.receiveShadow !== false;
+        this.anchored = options.anchored !== false;
+        this.canCollide = options.canCollide !== false;
+        this.density = options.density || 1;
+        this.friction = options.friction !== undefined ? options.friction : 0.5;
+        this.restitution = options.restitution !== undefined ? options.restitution : 0.2;
+        this.velocity = options.velocity || vector(0, 0, 0);
+        this.angularVelocity = options.angularVelocity || vector(0, 0, 0);
+        this.lod = options.lod !== undefined ? options.lod : 'auto';
+        this.segments = options.segments !== undefined ? options.segments : null;
+        this.thickness = options.thickness !== undefined ? options.thickness : 0.25;
+        /**
+         * The index into Shape.LOD_SEGMENTS of the current geometry.
+         * @private
+         */
+        this.detail = typeof this.lod === 'number' ? clampDetail(this.lod) : Shape.DEFAULT_DETAIL;
+        this.geometry = this.createGeometry(type, options.geometry);
+        /** The WebGL context the shape's buffers live on, set the first time it is rendered. */
+        this.gl = null;
+        /**
+         * The shared buffers for the shape's geometry, see acquireGeometryBuffers.
+         * @private
+         */
+        this.buffers = null;
+        /**
+         * The parts a mesh made by union, subtract or intersect was made from, and the
+         * constraints it took over from them, for separate.
+         * @private
+         */
+        this.csgSource = null;
+    }
+    
+    /**
+     * Gets the geometry data for a given shape type. Primitives with the same type
+     * and parameters share one geometry object (and one set of GPU buffers), so it
+     * must not be modified.
+     * @param {string} type - The shape type.
+     * @param {object} [geometry] - The geometry of a mesh.
+     * @param {number|null} [segments] - The number of segments around rounded primitives. Defaults to the segments property.
+     * @returns {{vertices: number[], indices: number[]}} The geometry data, with Shape.VERTEX_STRIDE interleaved floats per vertex.
+     * @private
+     */
+    createGeometry(type, geometry, segments) {
+        if (type.toLowerCase() === 'mesh') {
+            if (!geometry || !geometry.vertices || !geometry.indices) {
+                throw new Error('A mesh needs geometry with vertices and indices');
+            }
+            return geometry;
+        }
+        const key = this.getGeometryKey(type, segments);
+        if (!primitiveGeometries.has(key)) {
+            const [name, segments, parameter] = key.split(' ');
+            primitiveGeometries.set(key, this.createPrimitive(name, Number(segments), Number(parameter)));
+        }
+        return primitiveGeometries.get(key);
+    }
+    
+    /**
+     * Gets the key that primitives share geometry by: the type, then the
+     * segments and parameter of the types that have them.
+     * @param {string} type - The shape type.
+     * @param {number|null} [count=this.segments] - The number of segments, or null to go by the level of detail.
+     * @returns {string} The key.
+     * @private
+     */
+    getGeometryKey(type, count = this.segments) {
+        const segments = count !== null ? Math.max(3, Math.round(count)) : Shape.LOD_SEGMENTS[this.detail];
+        const thickness = Math.max(0.01, Math.min(1, this.thickness));
+        switch (type.toLowerCase()) {
+            case 'cuboid':
+            case 'cube':
+                return 'cuboid';
+            case 'wedge':
+            case 'cornerwedge':
+            case 'plane':
+                return type.toLowerCase();
+            case 'ellipsoid':
+            case 'sphere':
+                return 'ellipsoid ' + segments;
+            case 'cylinder':
+            case 'cone':
+                return type.toLowerCase() + ' ' + segments;
+            case 'torus':
+            case 'ring':
+            case 'tube':
+                return type.toLowerCase() + ' ' + segments + ' ' + thickness;
+            case 'capsule':
+                return 'capsule ' + segments + ' ' + this.getCapHeight();
+            default:
+                throw new Error('Unknown shape type "' + type + '". Valid types are: ' + Shape.TYPES.join(', '));
+        }
+    }
+    
+    /**
+     * Creates the geometry for a primitive.
+     * @param {string} name - The primitive's type, without aliases.
+     * @param {number} segments - The number of segments around rounded primitives.
+     * @param {number} parameter - The thickness of a torus, ring or tube, or the cap height of a capsule.
+     * @returns {{vertices: number[], indices: number[]}} The geometry.
+     * @private
+     */
+    createPrimitive(name, segments, parameter) {
+        switch (name) {
+            case 'ellipsoid':
+                return this.createSphere(segments);
+            case 'cylinder':
+                return this.createCylinder(segments);
+            case 'wedge':
+                return this.createWedge();
+            case 'cornerwedge':
+                return this.createCornerWedge();
+            case 'plane':
+                return this.createPlane();
+            case 'cone':
+                return this.createCone(segments);
+            case 'torus':
+                return this.createTorus(segments, parameter);
+            case 'ring':
+                return this.createRing(segments, parameter);
+            case 'tube':
+                return this.createTube(segments, parameter);
+            case 'capsule':
+                return this.createCapsule(segments, parameter);
+            default:
+                return this.createCuboid();
+        }
+    }
+    
+    /**
+     * Gets how much of a capsule's half height each rounded cap takes up. The caps
+     * are as tall as the capsule is wide, so they stay round however it is sized.
+     * @returns {number} The cap height, from 0.01 to 1.
+     * @private
+     */
+    getCapHeight() {
+        const cap = Math.min(1, Math.min(this.size.x, this.size.z) / this.size.y);
+        // Rounded so resizing doesn't make a new geometry for every size
+        return Math.max(0.01, Math.round(cap * 100) / 100 || 0);
+    }
+    
+    /**
+     * Rebuilds a primitive's geometry if its segments, thickness, level of detail
+     * or (for capsules) proportions have changed.
+     * @private
+     */
+    refreshGeometry() {
+        if (this.type.toLowerCase() === 'mesh') {
+            return;
+        }
+        const geometry = primitiveGeometries.get(this.getGeometryKey(this.type));
+        if (geometry !== this.geometry) {
+            this.geometry = this.createGeometry(this.type);
+        }
+    }
+    
+    createCuboid() {
+        // Position, normal, texture coordinate
+        const vertices = [
+            -1, -1,  1,   0,  0,  1,   0, 0,
+             1, -1,  1,   0,  0,  1,   1, 0,
+             1,  1,  1,   0,  0,  1,   1, 1,
+            -1,  1,  1,   0,  0,  1,   0, 1,
+            -1, -1, -1,   0,  0, -1,   1, 0,
+            -1,  1, -1,   0,  0, -1,   1, 1,
+             1,  1, -1,   0,  0, -1,   0, 1,
+             1, -1, -1,   0,  0, -1,   0, 0,
+            -1,  1, -1,   0,  1,  0,   0, 1,
+            -1,  1,  1,   0,  1,  0,   0, 0,
+             1,  1,  1,   0,  1,  0,   1, 0,
+             1,  1, -1,   0,  1,  0,   1, 1,
+            -1, -1, -1,   0, -1,  0,   0, 0,
+             1, -1, -1,   0, -1,  0,   1, 0,
+             1, -1,  1,   0, -1,  0,   1, 1,
+            -1, -1,  1,   0, -1,  0,   0, 1,
+             1, -1, -1,   1,  0,  0,   1, 0,
+             1,  1, -1,   1,  0,  0,   1, 1,
+             1,  1,  1,   1,  0,  0,   0, 1,
+             1, -1,  1,   1,  0,  0,   0, 0,
+            -1, -1, -1,  -1,  0,  0,   0, 0,
+            -1, -1,  1,  -1,  0,  0,   1, 0,
+            -1,  1,  1,  -1,  0,  0,   1, 1,
+            -1,  1, -1,  -1,  0,  0,   0, 1,
+        ];
+        
+        const indices = [
+            0, 1, 2,   0, 2, 3,
+            4, 5, 6,   4, 6, 7,
+            8, 9, 10,  8, 10, 11,
+            12, 13, 14, 12, 14, 15,
+            16, 17, 18, 16, 18, 19,
+            20, 21, 22, 20, 22, 23
+        ];
+        
+        return { vertices, indices };
+    }
+    
+    createSphere(segments = 16) {
+        const profile = [];
+        for (let lat = 0; lat <= segments; lat++) {
+            const theta = lat * Math.PI / segments;
+            const radius = lat === 0 || lat === segments ? 0 : Math.sin(theta);
+            profile.push([radius, Math.cos(theta), radius, Math.cos(theta), 1 - lat / segments]);
+        }
+        return createLathe(profile, segments);
+    }
+    
+    createCylinder(segments = 16) {
+        const vertices = [];
+        const indices = [];
+        const radius = 1;
+        const height = 2;
+        
+        // Center vertices for top and bottom caps
+        vertices.push(0, height / 2, 0);   // Top center
+        vertices.push(0, 1, 0);            // Normal up
+        vertices.push(0.5, 0.5);           // uv
+        vertices.push(0, -height / 2, 0);  // Bottom center
+        vertices.push(0, -1, 0);           // Normal down
+        vertices.push(0.5, 0.5);           // uv
+        
+        // Top and bottom circle vertices
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const x = Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+            
+            // Top circle
+            vertices.push(x, height / 2, z);
+            vertices.push(0, 1, 0);
+            vertices.push(x * 0.5 + 0.5, 0.5 - z * 0.5);
+            
+            // Bottom circle
+            vertices.push(x, -height / 2, z);
+            vertices.push(0, -1, 0);
+            vertices.push(x * 0.5 + 0.5, z * 0.5 + 0.5);
+        }
+        
+        // Side vertices
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const x = Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+            
+            // Top side vertex
+            vertices.push(x, height / 2, z);
+            vertices.push(x, 0, z);
+            vertices.push(1 - i / segments, 1);
+            
+            // Bottom side vertex
+            vertices.push(x, -height / 2, z);
+            vertices.push(x, 0, z);
+            vertices.push(1 - i / segments, 0);
+        }
+        
+        // Top cap indices
+        for (let i = 0; i < segments; i++) {
+            const topRing = 2 + i * 2;
+            const nextTopRing = 2 + ((i + 1) % segments) * 2;
+            indices.push(0, nextTopRing, topRing);
+        }
+        
+        // Bottom cap indices
+        for (let i = 0; i < segments; i++) {
+            const bottomRing = 3 + i * 2;
+            const nextBottomRing = 3 + ((i + 1) % segments) * 2;
+            indices.push(1, bottomRing, nextBottomRing);
+        }
+        
+        // Side faces indices. The seam has its own vertices so the texture
+        // coordinates wrap cleanly instead of sharing the first column.
+        const sideStart = 2 + (segments + 1) * 2;
+        for (let i = 0; i < segments; i++) {
+            const current = sideStart + i * 2;
+            const next = sideStart + (i + 1) * 2;
+            
+            indices.push(current, next, current + 1);
+            indices.push(current + 1, next, next + 1);
+        }
+        
+        return { vertices, indices };
+    }
+    
+    createCone(segments = 16) {
+        // The side's normal leans up by the slope: 1 across for every 2 down
+        const side = 1 / Math.sqrt(5);
+        return createLathe([
+            [0, 1, 2 * side, side, 1],
+            [1, -1, 2 * side, side, 0],
+            [1, -1, 0, -1, 1],
+            [0, -1, 0, -1, 0]
+        ], segments);
+    }
+    
+    createCapsule(segments = 16, cap = 0.5) {
+        const rings = Math.max(2, Math.round(segments / 4));
+        const profile = [];
+        // Top cap, then bottom cap; the straight side joins their equators
+        [1 - cap, cap - 1].forEach((center, half) => {
+            for (let i = 0; i <= rings; i++) {
+                const theta = (half + i / rings) * Math.PI / 2;
+                const radius = (half === 0 && i === 0) || (half === 1 && i === rings) ? 0 : Math.sin(theta);
+                const y = center + cap * Math.cos(theta);
+                profile.push([radius, y, radius, Math.cos(theta) / cap, (y + 1) / 2]);
+            }
+        });
+        return createLathe(profile, segments);
+    }
+    
+    createTorus(segments = 16, thickness = 0.25) {
+        // A tube around the y axis, as wide as thickness and as tall as the torus
+        const sides = Math.max(3, Math.round(segments / 2));
+        const center = 1 - thickness;
+        const profile = [];
+        for (let i = 0; i <= sides; i++) {
+            const angle = i / sides * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            profile.push([center + thickness * cos, -sin, cos / thickness, -sin, i / sides]);
+        }
+        return createLathe(profile, segments);
+    }
+    
+    createRing(segments = 16, thickness = 0.25) {
+        // Flat at y = 0, facing up and down
+        const inner = 1 - thickness;
+        return createLathe([
+            [inner, 0, 0, 1, 0],
+            [1, 0, 0, 1, 1],
+            [1, 0, 0, -1, 1],
+            [inner, 0, 0, -1, 0]
+        ], segments);
+    }
+    
+    createTube(segments = 16, thickness = 0.25) {
+        const inner = 1 - thickness;
+        return createLathe([
+            [inner, 1, 0, 1, 0],
+            [1, 1, 0, 1, 1],
+            [1, 1, 1, 0, 1],
+            [1, -1, 1, 0, 0],
+            [1, -1, 0, -1, 1],
+            [inner, -1, 0, -1, 0],
+            [inner, -1, -1, 0, 0],
+            [inner, 1, -1, 0, 1]
+        ], segments);
+    }
+    
+    createPlane() {
+        // Flat at y = 0, with a face on each side so it shows from below too
+        const vertices = [
+            -1, 0, -1,   0,  1, 0,   0, 1,
+             1, 0, -1,   0,  1, 0,   1, 1,
+             1, 0,  1,   0,  1, 0,   1, 0,
+            -1, 0,  1,   0,  1, 0,   0, 0,
+            -1, 0, -1,   0, -1, 0,   0, 0,
+             1, 0, -1,   0, -1, 0,   1, 0,
+             1, 0,  1,   0, -1, 0,   1, 1,
+            -1, 0,  1,   0, -1, 0,   0, 1,
+        ];
+        
+        const indices = [
+            3, 2, 1,   3, 1, 0,
+            4, 5, 6,   4, 6, 7
+        ];
+        
+        return { vertices, indices };
+    }
+    
+    createCornerWedge() {
+        // A pyramid over the bottom face with its tip above the (1, -1) corner.
+        // Positions and texture coordinates; the normals are worked out per face.
+        const corners = [
+            [-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1], [1, 1, -1]
+        ];
+        const faces = [
+            [[0, 0, 0], [1, 1, 0], [2, 1, 1]],
+            [[0, 0, 0], [2, 1, 1], [3, 0, 1]],
+            [[1, 0, 0], [4, 0, 1], [2, 1, 0]],
+            [[0, 1, 0], [4, 0, 1], [1, 0, 0]],
+            [[2, 0, 0], [4, 1, 1], [3, 1, 0]],
+            [[3, 0, 0], [4, 1, 1], [0, 1, 0]]
+        ];
+        const vertices = [];
+        const indices = [];
+        faces.forEach(face => face.forEach(([corner, u, v]) => {
+            indices.push(indices.length);
+            vertices.push(...corners[corner], 0, 0, 0, u, v);
+        }));
+        return computeFlatNormals({ vertices, indices });
+    }
+    
+    createWedge() {
+        // Position, normal, texture coordinate
+        const vertices = [
+            -1, -1, 1,   0, 0, 1,    0, 0,
+             1, -1, 1,   0, 0, 1,    1, 0,
+             0,  1, 1,   0, 0, 1,    0.5, 1,
+            -1, -1, -1,  0, 0, -1,   1, 0,
+             0,  1, -1,  0, 0, -1,   0.5, 1,
+             1, -1, -1,  0, 0, -1,   0, 0,
+            -1, -1, -1,  0, -1, 0,   0, 0,
+             1, -1, -1,  0, -1, 0,   1, 0,
+             1, -1,  1,  0, -1, 0,   1, 1,
+            -1, -1,  1,  0, -1, 0,   0, 1,
+            -1, -1, -1,  -1, 0, 0,   0, 0,
+            -1, -1,  1,  -1, 0, 0,   1, 0,
+             0,  1,  1,  -1, 0, 0,   1, 1,
+             0,  1, -1,  -1, 0, 0,   0, 1,
+             1, -1, -1,  1, 0, 0,    1, 0,
+             0,  1, -1,  1, 0, 0,    1, 1,
+             0,  1,  1,  1, 0, 0,    0, 1,
+             1, -1,  1,  1, 0, 0,    0, 0,
+        ];
+        
+        const indices = [
+            0, 1, 2,
+            3, 4, 5,
+            6, 7, 8,   6, 8, 9,
+            10, 11, 12, 10, 12, 13,
+            14, 15, 16, 14, 16, 17
+        ];
+        
+        return { vertices, indices };
+    }
+    
+    /**
+     * Sets up the WebGL buffers for the shape's geometry. Shapes with the same
+     * geometry share buffers, which are only created for the first of them.
+     * @param {WebGL2RenderingContext} gl - The WebGL context to create the buffers on.
+     * @private
+     */
+    setupBuffers(gl) {
+        this.gl = gl;
+        this.buffers = acquireGeometryBuffers(gl, this.geometry);
+    }
+    
+    /**
+     * Lets go of the shape's WebGL buffers, if it has any. They are deleted
+     * once no shape uses them.
+     * @private
+     */
+    releaseBuffers() {
+        if (!this.gl) {
+            return;
+        }
+        releaseGeometryBuffers(this.gl, this.buffers);
+        this.gl = null;
+        this.buffers = null;
+    }
+    
+    /**
+     * Renders the shape.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {object} uniforms - The shader uniform locations.
+     * @private
+     */
+    render(gl, uniforms) {
+        this.bindBuffers(gl);
+        
+        // Set model matrix
+        const modelMatrix = this.getModelMatrix();
+        gl.uniformMatrix4fv(uniforms.modelMatrix, false, modelMatrix);
+        
+        // Set normal matrix
+        const normalMatrix = mat4.create();
+        mat4.invert(normalMatrix, modelMatrix);
+        mat4.transpose(normalMatrix, normalMatrix);
+        gl.uniformMatrix4fv(uniforms.normalMatrix, false, normalMatrix);
+        
+        // Set material uniforms
+        this.material.applyUniforms(gl, uniforms);
+        gl.uniform1i(uniforms.receiveShadow, this.receiveShadow);
+        
+        gl.drawElements(gl.TRIANGLES, this.buffers.indexCount, this.buffers.indexType, 0);
+    }
+    
+    /**
+     * Renders only the shape's depth, for the shadow map pass.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {object} uniforms - The depth shader uniform locations.
+     * @private
+     */
+    renderDepth(gl, uniforms) {
+        this.bindBuffers(gl);
+        gl.uniformMatrix4fv(uniforms.modelMatrix, false, this.getModelMatrix());
+        gl.drawElements(gl.TRIANGLES, this.buffers.indexCount, this.buffers.indexType, 0);
+    }
+    
+    /**
+     * Binds the shape's vertex array, creating its buffers on the first draw.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @private
+     */
+    bindBuffers(gl) {
+        if (this.gl !== gl || this.buffers.geometry !== this.geometry) {
+            // First draw, the shape moved to another instance, or its geometry was replaced
+            this.releaseBuffers();
+            this.setupBuffers(gl);
+        }
+        gl.bindVertexArray(this.buffers.vao);
+    }
+    
+    /**
+     * Gets the matrix that transforms the shape's geometry into world space,
+     * including its size.
+     * @returns {mat4} The 4x4 model matrix.
+     * @private
+     */
+    getModelMatrix() {
+        const modelMatrix = mat4.copy(mat4.create(), this.worldMatrix);
+        return mat4.scale(modelMatrix, modelMatrix, [this.size.x, this.size.y, this.size.z]);
+    }
+    
+    /**
+     * Gets the shape's triangles in world space, with its cframe and size applied.
+     * @param {number} [segments] - The number of segments around a rounded primitive, if it doesn't have its
+     *     own segments set. Defaults to the current level of detail.
+     * @returns {{vertices: number[], indices: number[]}} The geometry, with Shape.VERTEX_STRIDE interleaved
+     *     floats per vertex like the geometry property.
+     */
+    getWorldGeometry(segments) {
+        this.refreshGeometry();
+        const matrix = this.getWorldMatrix();
+        mat4.scale(matrix, matrix, [this.size.x, this.size.y, this.size.z]);
+        const geometry = segments === undefined || this.segments !== null || this.type.toLowerCase() === 'mesh' ?
+            this.geometry : this.createGeometry(this.type, null, segments);
+        return transformGeometry(geometry, matrix) || { vertices: [], indices: [] };
+    }
+    
+    /**
+     * Gets the axis-aligned box around the shape in world space.
+     * @returns {{min: Vector, max: Vector}} The corners of the box.
+     */
+    getBoundingBox() {
+        const matrix = this.getWorldMatrix();
+        mat4.scale(matrix, matrix, [this.size.x, this.size.y, this.size.z]);
+        return transformBounds(matrix, getGeometryBounds(this.geometry));
+    }
+    
+    /**
+     * Gets a sphere around the shape in world space. It is the sphere around
+     * the bounding box, so it isn't always the tightest fit.
+     * @returns {{center: Vector, radius: number}} The sphere.
+     */
+    getBoundingSphere() {
+        const box = this.getBoundingBox();
+        return {
+            center: box.min.add(box.max).scale(0.5),
+            radius: box.max.sub(box.min).magnitude() / 2
+        };
+    }
+    
+    /**
+     * Switches a rounded primitive to the tessellation for its segments or lod
+     * setting, or for how big it is on screen if that is 'auto'.
+     * @param {number} pixelRadius - The radius of the shape's bounding sphere on screen, in pixels.
+     * @private
+     */
+    updateDetail(pixelRadius) {
+        if (!Shape.LOD_TYPES.includes(this.type.toLowerCase())) {
+            return;
+        }
+        let detail;
+        if (this.lod === 'auto') {
+            detail = Shape.LOD_SCREEN_SIZES.findIndex(size => pixelRadius >= size);
+            if (detail === -1) {
+                detail = Shape.LOD_SCREEN_SIZES.length;
+            }
+        } else {
+            detail = clampDetail(this.lod);
+        }
+        this.detail = detail;
+        this.refreshGeometry();
+    }
+    
+    /**
+     * Gets the volume of the shape. Its size is half its extent along each axis.
+     * @returns {number} The volume.
+     */
+    getVolume() {
+        const { x, y, z } = this.size;
+        switch (this.type.toLowerCase()) {
+            case 'ellipsoid':
+            case 'sphere':
+                return 4 / 3 * Math.PI * x * y * z;
+            case 'cylinder':
+                return Math.PI * x * z * 2 * y;
+            case 'cone':
+                return 2 / 3 * Math.PI * x * y * z;
+            case 'capsule': {
+                const cap = this.getCapHeight();
+                return Math.PI * x * y * z * (2 * (1 - cap) + 4 / 3 * cap);
+            }
+            case 'torus': {
+                // The tube's cross-section times the distance its center goes around
+                const thickness = Math.max(0.01, Math.min(1, this.thickness));
+                return 2 * Math.PI * Math.PI * (1 - thickness) * thickness * x * y * z;
+            }
+            case 'ring':
+            case 'tube': {
+                // Rings are flat, so they weigh as much as a tube as tall as their size
+                const inner = 1 - Math.max(0.01, Math.min(1, this.thickness));
+                return Math.PI * (1 - inner * inner) * 2 * x * y * z;
+            }
+            case 'wedge':
+                return 4 * x * y * z;
+            case 'cornerwedge':
+                return 8 / 3 * x * y * z;
+            case 'mesh': {
+                // Open meshes don't enclose anything, so they weigh as much as their box
+                const volume = getGeometryVolume(this.geometry);
+                return isFinite(volume) ? volume * x * y * z : 8 * x * y * z;
+            }
+            default:
+                return 8 * x * y * z;
+        }
+    }
+    
+    /**
+     * Gets the mass of the shape from its density and volume.
+     * @returns {number} The mass.
+     */
+    getMass() {
+        return this.density * this.getVolume();
+    }
+    
+    /**
+     * Gets the moments of inertia around the shape's own axes.
+     * @param {number} mass - The mass of the shape.
+     * @returns {Vector} The diagonal of the inertia tensor.
+     * @private
+     */
+    getLocalInertia(mass) {
+        const x2 = this.size.x * this.size.x;
+        const y2 = this.size.y * this.size.y;
+        const z2 = this.size.z * this.size.z;
+        switch (this.type.toLowerCase()) {
+            case 'ellipsoid':
+            case 'sphere':
+                return vector(mass / 5 * (y2 + z2), mass / 5 * (x2 + z2), mass / 5 * (x2 + y2));
+            case 'cylinder':
+            case 'cone':
+            case 'capsule':
+            case 'torus':
+            case 'ring':
+            case 'tube':
+                // Exact for cylinders, close enough for the other round shapes
+                return vector(mass / 12 * (3 * z2 + 4 * y2), mass / 4 * (x2 + z2), mass / 12 * (3 * x2 + 4 * y2));
+            default:
+                // Boxes, and a close enough approximation for wedges
+                return vector(mass / 3 * (y2 + z2), mass / 3 * (x2 + z2), mass / 3 * (x2 + y2));
+        }
+    }
+    
+    /**
+     * Instantly changes the velocity of an unanchored shape, as if it were struck.
+     * @param {Vector} impulse - The impulse (mass times change in velocity).
+     * @param {Vector} [point] - Where in world space it is applied. Defaults to the center,
+     *     which doesn't make the shape spin.
+     */
+    applyImpulse(impulse, point) {
+        if (this.anchored) {
+            return;
+        }
+        const mass = this.getMass();
+        this.velocity = this.velocity.add(impulse.scale(1 / mass));
+        if (point) {
+            const cframe = this.getWorldCFrame();
+            const torque = cframe.vectorToObjectSpace(point.sub(cframe.position).cross(impulse));
+            const inertia = this.getLocalInertia(mass);
+            const spin = vector(torque.x / inertia.x, torque.y / inertia.y, torque.z / inertia.z);
+            this.angularVelocity = this.angularVelocity.add(cframe.vectorToWorldSpace(spin));
+        }
+    }
+    
+    /**
+     * Intersects a world-space ray with the shape, as of its last world matrix update.
+     * The ray is moved into the shape's unit space, where each primitive has a
+     * simple exact test, and the result is moved back out.
+     * @param {Vector} origin - Where the ray starts.
+     * @param {Vector} direction - The unit direction of the ray.
+     * @returns {{distance: number, normal: Vector}|null} The nearest hit in front of the origin, or null.
+     * @private
+     */
+    intersectRay(origin, direction) {
+        const inverse = mat4.invert(mat4.create(), this.getModelMatrix());
+        if (!inverse) {
+            return null;
+        }
+        const localOrigin = mat4.transformPoint(inverse, origin);
+        const localDirection = mat4.transformDirection(inverse, direction);
+        
+        let hit;
+        switch (this.type.toLowerCase()) {
+            case 'cuboid':
+            case 'cube':
+                hit = intersectConvex(localOrigin, localDirection, Shape.CUBOID_PLANES);
+                break;
+            case 'ellipsoid':
+            case 'sphere':
+                hit = intersectUnitSphere(localOrigin, localDirection);
+                break;
+            case 'cylinder':
+                hit = intersectUnitCylinder(localOrigin, localDirection);
+                break;
+            case 'wedge':
+                hit = intersectConvex(localOrigin, localDirection, Shape.WEDGE_PLANES);
+                break;
+            default:
+                hit = intersectTriangles(localOrigin, localDirection, this.geometry);
+        }
+        if (!hit) {
+            return null;
+        }
+        
+        // Because the local direction is the world direction transformed, t is
+        // the same along both rays. Normals use the inverse transpose.
+        const normalMatrix = mat4.transpose(mat4.create(), inverse);
+        return {
+            distance: hit.t,
+            normal: mat4.transformDirection(normalMatrix, hit.normal).unit()
+        };
+    }
+}
+
+/**
+ * Number of floats per vertex in shape geometry: position (3), normal (3)
+ * and texture coordinate (2).
+ * @type {number}
+ */
+Shape.VERTEX_STRIDE = 8;
+
+/**
+ * The geometry types a shape can be created with.
+ * @type {string[]}
+ */
+Shape.TYPES = [
+    'cuboid', 'cube', 'ellipsoid', 'sphere', 'cylinder', 'wedge', 'cornerwedge', 'cone',
+    'capsule', 'torus', 'ring', 'tube', 'plane', 'mesh'
+];
+
+/**
+ * The shape types whose tessellation changes with their level of detail or segments.
+ * @type {string[]}
+ */
+Shape.LOD_TYPES = ['ellipsoid', 'sphere', 'cylinder', 'cone', 'capsule', 'torus', 'ring', 'tube'];
+
+/**
+ * The number of segments around ellipsoids and cylinders at each level of
+ * detail, from the finest to the coarsest. Ellipsoids use as many bands from
+ * pole to pole.
+ * @type {number[]}
+ */
+Shape.LOD_SEGMENTS = [48, 32, 16, 8];
+
+/**
+ * The radius in pixels a shape needs on screen to use each level of detail
+ * when its lod is 'auto'. Anything smaller uses the last level.
+ * @type {number[]}
+ */
+Shape.LOD_SCREEN_SIZES = [240, 80, 20];
+
+/**
+ * The level of detail shapes start at, before they have been drawn.
+ * @type {number}
+ * @private
+ */
+Shape.DEFAULT_DETAIL = 2;
+
+defineChangedProperties(Shape, [
+    'size', 'material', 'castShadow', 'receiveShadow', 'anchored', 'canCollide',
+    'density', 'friction', 'restitution', 'velocity', 'angularVelocity', 'lod'
+]);
+
+/**
+ * Turns a fixed lod setting into a valid index into Shape.LOD_SEGMENTS.
+ * @param {number} lod - The setting.
+ * @returns {number} The level of detail.
+ * @private
+ */
+function clampDetail(lod) {
+    return Math.max(0, Math.min(Shape.LOD_SEGMENTS.length - 1, Math.round(lod)));
+}
+
+/**
+ * The local bounds of each geometry, worked out on first use.
+ * @type {WeakMap<object, {min: Vector, max: Vector}>}
+ * @private
+ */
+const geometryBounds = new WeakMap();
+
+/**
+ * Gets the box around a geometry's vertices.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry.
+ * @returns {{min: Vector, max: Vector}} The corners of the box.
+ * @private
+ */
+function getGeometryBounds(geometry) {
+    if (!geometryBounds.has(geometry)) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        const vertices = geometry.vertices;
+        for (let i = 0; i < vertices.length; i += Shape.VERTEX_STRIDE) {
+            for (let j = 0; j < 3; j++) {
+                min[j] = Math.min(min[j], vertices[i + j]);
+                max[j] = Math.max(max[j], vertices[i + j]);
+            }
+        }
+        if (vertices.length === 0) {
+            min.fill(0);
+            max.fill(0);
+        }
+        geometryBounds.set(geometry, { min: vector(...min), max: vector(...max) });
+    }
+    return geometryBounds.get(geometry);
+}
+
+/**
+ * Gets the world-space box around a transformed local box.
+ * @param {mat4} m - The transform.
+ * @param {{min: Vector, max: Vector}} bounds - The local box.
+ * @returns {{min: Vector, max: Vector}} The corners of the transformed box.
+ * @private
+ */
+function transformBounds(m, bounds) {
+    const center = mat4.transformPoint(m, bounds.min.add(bounds.max).scale(0.5));
+    const h = bounds.max.sub(bounds.min).scale(0.5);
+    const extent = i => Math.abs(m[i]) * h.x + Math.abs(m[i + 4]) * h.y + Math.abs(m[i + 8]) * h.z;
+    const half = vector(extent(0), extent(1), extent(2));
+    return { min: center.sub(half), max: center.add(half) };
+}
+
+/**
+ * Bounding planes of the unit cuboid, as [normal, distance] with inside where dot(normal, p) <= distance.
+ * @type {Array}
+ * @private
+ */
+Shape.CUBOID_PLANES = [
+    [vector(1, 0, 0), 1], [vector(-1, 0, 0), 1],
+    [vector(0, 1, 0), 1], [vector(0, -1, 0), 1],
+    [vector(0, 0, 1), 1], [vector(0, 0, -1), 1]
+];
+
+/**
+ * Bounding planes of the unit wedge, in the same form as CUBOID_PLANES.
+ * @type {Array}
+ * @private
+ */
+Shape.WEDGE_PLANES = [
+    [vector(0, 0, 1), 1], [vector(0, 0, -1), 1],
+    [vector(0, -1, 0), 1],
+    [vector(-2, 1, 0).unit(), 1 / Math.sqrt(5)],
+    [vector(2, 1, 0).unit(), 1 / Math.sqrt(5)]
+];
+
+/**
+ * Support functions for each primitive in its unit space: the farthest point of
+ * the shape in a given direction. Used for collision detection.
+ * @type {Object<string, Function>}
+ * @private
+ */
+Shape.SUPPORT = {
+    cuboid: d => vector(d.x >= 0 ? 1 : -1, d.y >= 0 ? 1 : -1, d.z >= 0 ? 1 : -1),
+    ellipsoid: d => d.unit(),
+    cylinder: d => {
+        const radial = Math.hypot(d.x, d.z);
+        const y = d.y >= 0 ? 1 : -1;
+        return radial > 1e-12 ? vector(d.x / radial, y, d.z / radial) : vector(0, y, 0);
+    },
+    wedge: d => {
+        const z = d.z >= 0 ? 1 : -1;
+        const corners = [vector(-1, -1, z), vector(1, -1, z), vector(0, 1, z)];
+        return corners.reduce((best, p) => (p.dot(d) > best.dot(d) ? p : best));
+    }
+};
+Shape.SUPPORT.cube = Shape.SUPPORT.cuboid;
+
+/**
+ * Corners of the polyhedral primitives in unit space, used to find the faces
+ * and edges that touch during a collision.
+ * @type {Object<string, Vector[]>}
+ * @private
+ */
+Shape.FEATURE_VERTICES = {
+    cuboid: [-1, 1].flatMap(x => [-1, 1].flatMap(y => [-1, 1].map(z => vector(x, y, z)))),
+    wedge: [-1, 1].flatMap(z => [vector(-1, -1, z), vector(1, -1, z), vector(0, 1, z)])
+};
+Shape.FEATURE_VERTICES.cube = Shape.FEATURE_VERTICES.cuboid;
+Shape.SUPPORT.sphere = Shape.SUPPORT.ellipsoid;
+
+/**
+ * The geometry shared by every primitive of a type, created on first use.
+ * @type {Map<string, {vertices: number[], indices: number[]}>}
+ * @private
+ */
+const primitiveGeometries = new Map();
+
+/**
+ * Builds a surface of revolution by spinning a profile around the y axis.
+ * The profile runs so that the outside of the surface is on its right, the
+ * way a sphere's runs from the top pole to the bottom one. Where two points
+ * in a row are at the same place, like the corner of a cap, no faces join them,
+ * which makes a sharp edge.
+ * @param {Array<number[]>} profile - The points as [radius, y, normal radius, normal y, v].
+ * @param {number} segments - The number of segments around.
+ * @returns {{vertices: number[], indices: number[]}} The geometry.
+ * @private
+ */
+function createLathe(profile, segments) {
+    const vertices = [];
+    const indices = [];
+    profile.forEach(([radius, y, normalRadius, normalY, v]) => {
+        const length = Math.hypot(normalRadius, normalY) || 1;
+        for (let i = 0; i <= segments; i++) {
+            const angle = i / segments * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            vertices.push(
+                cos * radius, y, sin * radius,
+                cos * normalRadius / length, normalY / length, sin * normalRadius / length,
+                i / segments, v
+            );
+        }
+    });
+    
+    for (let p = 0; p + 1 < profile.length; p++) {
+        const [radius, y] = profile[p];
+        const [nextRadius, nextY] = profile[p + 1];
+        if (radius === nextRadius && y === nextY) {
+            continue;
+        }
+        for (let i = 0; i < segments; i++) {
+            const first = p * (segments + 1) + i;
+            const second = first + segments + 1;
+            // Skip the triangle that would have no area at a pole
+            if (radius !== 0) {
+                indices.push(first, first + 1, second);
+            }
+            if (nextRadius !== 0) {
+                indices.push(second, first + 1, second + 1);
+            }
+        }
+    }
+    return { vertices, indices };
+}
+
+/**
+ * GPU buffers for each geometry, per WebGL context.
+ * @type {WeakMap<WebGL2RenderingContext, Map<object, object>>}
+ * @private
+ */
+const geometryBuffers = new WeakMap();
+
+/**
+ * Gets the vertex array and buffers for a geometry, creating them if no other
+ * shape is using them yet. Each call must be matched by releaseGeometryBuffers.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry.
+ * @returns {{geometry: object, vao: WebGLVertexArrayObject, vertexBuffer: WebGLBuffer, indexBuffer: WebGLBuffer,
+ *     indexCount: number, indexType: number, users: number}} The shared buffers.
+ * @private
+ */
+function acquireGeometryBuffers(gl, geometry) {
+    if (!geometryBuffers.has(gl)) {
+        geometryBuffers.set(gl, new Map());
+    }
+    const cache = geometryBuffers.get(gl);
+    let buffers = cache.get(geometry);
+    if (!buffers) {
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+        
+        const vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(geometry.vertices), gl.STATIC_DRAW);
+        setVertexAttributes(gl, Shape.VERTEX_STRIDE);
+        
+        const indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+        // Imported meshes can have more vertices than 16-bit indices can reach
+        const vertexCount = geometry.vertices.length / Shape.VERTEX_STRIDE;
+        const IndexArray = vertexCount > 65536 ? Uint32Array : Uint16Array;
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new IndexArray(geometry.indices), gl.STATIC_DRAW);
+        
+        buffers = {
+            geometry,
+            vao,
+            vertexBuffer,
+            indexBuffer,
+            indexCount: geometry.indices.length,
+            indexType: IndexArray === Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+            // Created by RenderBatcher the first time the geometry is drawn instanced
+            instancedVao: null,
+            users: 0
+        };
+        cache.set(geometry, buffers);
+    }
+    buffers.users++;
+    return buffers;
+}
+
+/**
+ * Lets go of buffers from acquireGeometryBuffers, deleting them when nothing uses them anymore.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {object} buffers - The shared buffers.
+ * @private
+ */
+function releaseGeometryBuffers(gl, buffers) {
+    buffers.users--;
+    if (buffers.users > 0) {
+        return;
+    }
+    gl.deleteVertexArray(buffers.vao);
+    if (buffers.instancedVao) {
+        gl.deleteVertexArray(buffers.instancedVao);
+    }
+    gl.deleteBuffer(buffers.vertexBuffer);
+    gl.deleteBuffer(buffers.indexBuffer);
+    geometryBuffers.get(gl).delete(buffers.geometry);
+}
+
+/**
+ * Points the position, normal and texture coordinate attributes (locations 0, 1
+ * and 2 in every shader) at the bound vertex buffer.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} stride - The number of floats per vertex.
+ * @private
+ */
+function setVertexAttributes(gl, stride) {
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 3, gl.FLOAT, false, stride * 4, 0);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 3, gl.FLOAT, false, stride * 4, 3 * 4);
+    gl.enableVertexAttribArray(2);
+    gl.vertexAttribPointer(2, 2, gl.FLOAT, false, stride * 4, 6 * 4);
+}
+
+/**
+ * Cuts down the draw calls for opaque shapes. Anchored parts that have stopped
+ * changing are merged into static batches, baked in world space, and the other
+ * shapes are grouped by geometry and drawn with one instanced call per group.
+ * Whatever can't be grouped is drawn one shape at a time. Every frame it also
+ * builds a bounding volume hierarchy over the batches and shapes, so each view
+ * only draws what it can see.
+ * @class
+ * @private
+ */
+class RenderBatcher {
+    /**
+     * @param {WebThreeDee} webthreedee - The instance to draw for.
+     */
+    constructor(webthreedee) {
+        this.webthreedee = webthreedee;
+        /** The instance data, keys, bounds and batch of every opaque shape drawn last frame. */
+        this.records = new Map();
+        /** Lists of static batches by draw key and cell. */
+        this.batches = new Map();
+        /** This frame's batches and the shapes that aren't in one, with their bounds. */
+        this.items = [];
+        this.hierarchy = new BoundingVolumeHierarchy([]);
+        this.instanceData = new Float32Array(0);
+        this.instanceBuffer = null;
+        this.scratch = new Float32Array(RenderBatcher.INSTANCE_STRIDE);
+        this.frame = 0;
+    }
+    
+    /**
+     * Sorts the opaque shapes into static batches and the rest, rebuilds the
+     * batches whose parts changed and builds the hierarchy for culling.
+     * Call once per frame after world matrices are updated.
+     */
+    update() {
+        const webthreedee = this.webthreedee;
+        const stride = RenderBatcher.INSTANCE_STRIDE;
+        const data = this.scratch;
+        const items = [];
+        this.frame++;
+        
+        webthreedee.shapes.forEach(shape => {
+            if (shape.material.isTransparent()) {
+                const bounds = transformBounds(shape.getModelMatrix(), getGeometryBounds(shape.geometry));
+                items.push({ min: bounds.min, max: bounds.max, shape, transparent: true });
+                return;
+            }
+            let record = this.records.get(shape);
+            if (!record) {
+                record = { data: new Float32Array(stride), key: null, geometry: null, bounds: null, batch: null, frame: 0 };
+                this.records.set(shape, record);
+            }
+            const key = this.getDrawKey(shape);
+            data.set(shape.getModelMatrix());
+            shape.material.writeInstanceData(data, 16);
+            let unchanged = key === record.key && shape.geometry === record.geometry;
+            for (let i = 0; unchanged && i < stride; i++) {
+                unchanged = data[i] === record.data[i];
+            }
+            record.data.set(data);
+            record.key = key;
+            record.geometry = shape.geometry;
+            record.frame = this.frame;
+            if (!unchanged) {
+                record.bounds = transformBounds(data, getGeometryBounds(shape.geometry));
+            }
+            
+            // Anchored parts join a batch once they have stayed the same for a frame
+            if (webthreedee.staticBatching && shape.anchored && unchanged) {
+                if (!record.batch) {
+                    this.addToBatch(shape, record);
+                }
+                return;
+            }
+            if (record.batch) {
+                this.removeFromBatch(shape, record);
+            }
+            record.groupKey = objectId(shape.geometry) + ' ' + key;
+            items.push({ min: record.bounds.min, max: record.bounds.max, shape, transparent: false });
+        });
+        
+        // Forget shapes that were removed or became transparent
+        this.records.forEach((record, shape) => {
+            if (record.frame !== this.frame) {
+                if (record.batch) {
+                    this.removeFromBatch(shape, record);
+                }
+                this.records.delete(shape);
+            }
+        });
+        
+        this.batches.forEach((batches, key) => {
+            batches.forEach(batch => {
+                if (batch.dirty) {
+                    this.buildBatch(batch);
+                }
+            });
+            const remaining = batches.filter(batch => batch.shapes.size > 0);
+            if (remaining.length > 0) {
+                this.batches.set(key, remaining);
+                remaining.forEach(batch => items.push({ min: batch.min, max: batch.max, batch }));
+            } else {
+                this.batches.delete(key);
+            }
+        });
+        
+        this.items = items;
+        this.hierarchy = new BoundingVolumeHierarchy(items.slice());
+    }
+    
+    /**
+     * Finds what a view can see, or everything if frustum culling is off.
+     * @param {mat4} matrix - The view's combined projection and view matrix.
+     * @returns {{batches: object[], shapes: Shape[], transparent: Shape[]}} The visible static batches,
+     *     opaque shapes that aren't in a batch, and transparent shapes.
+     */
+    cull(matrix) {
+        const visible = { batches: [], shapes: [], transparent: [] };
+        const add = item => {
+            if (item.batch) {
+                visible.batches.push(item.batch);
+            } else {
+                (item.transparent ? visible.transparent : visible.shapes).push(item.shape);
+            }
+        };
+        if (this.webthreedee.frustumCulling) {
+            this.hierarchy.query(getFrustumPlanes(matrix), add);
+        } else {
+            this.items.forEach(add);
+        }
+        return visible;
+    }
+    
+    /**
+     * Draws the visible opaque shapes with the main shader.
+     * @param {object} visible - What the view can see, from cull.
+     * @param {object} uniforms - The shader uniform locations.
+     * @param {function(Shape): boolean} prepare - Called before each draw with a shape that stands in for
+     *     everything in it, to bind its environment map. Returns false to skip the draw.
+     */
+    draw(visible, uniforms, prepare) {
+        const gl = this.webthreedee.gl;
+        const { groups, singles } = this.group(visible.shapes);
+        gl.uniform1i(uniforms.instanced, true);
+        const drawWith = (shape, draw) => {
+            if (prepare(shape)) {
+                shape.material.applyUniforms(gl, uniforms);
+                gl.uniform1i(uniforms.receiveShadow, shape.receiveShadow);
+                draw();
+            }
+        };
+        visible.batches.forEach(batch => {
+            drawWith(batch.shape, () => this.drawBatch(batch));
+        });
+        groups.forEach(group => {
+            drawWith(group.shapes[0], () => this.drawGroup(group));
+        });
+        gl.uniform1i(uniforms.instanced, false);
+        
+        singles.forEach(shape => {
+            if (prepare(shape)) {
+                shape.render(gl, uniforms);
+            }
+        });
+    }
+    
+    /**
+     * Draws the depth of the visible opaque shapes that cast shadows, with the depth shader.
+     * @param {object} visible - What the light can see, from cull.
+     * @param {object} uniforms - The depth shader uniform locations.
+     */
+    drawDepth(visible, uniforms) {
+        const gl = this.webthreedee.gl;
+        const { groups, singles } = this.group(visible.shapes.filter(shape => shape.castShadow));
+        gl.uniform1i(uniforms.instanced, true);
+        visible.batches.forEach(batch => {
+            if (batch.shape.castShadow) {
+                this.drawBatch(batch);
+            }
+        });
+        groups.forEach(group => this.drawGroup(group));
+        gl.uniform1i(uniforms.instanced, false);
+        
+        singles.forEach(shape => shape.renderDepth(gl, uniforms));
+    }
+    
+    /**
+     * Groups shapes that share geometry and draw key and uploads the instance
+     * data of every group. Shapes that can't be grouped are drawn on their own.
+     * @param {Shape[]} shapes - The opaque shapes to draw.
+     * @returns {{groups: object[], singles: Shape[]}} The groups and the shapes that aren't in one.
+     * @private
+     */
+    group(shapes) {
+        const webthreedee = this.webthreedee;
+        const gl = webthreedee.gl;
+        const stride = RenderBatcher.INSTANCE_STRIDE;
+        const byKey = new Map();
+        shapes.forEach(shape => {
+            const key = this.records.get(shape).groupKey;
+            if (!byKey.has(key)) {
+                byKey.set(key, { shapes: [], offset: 0 });
+            }
+            byKey.get(key).shapes.push(shape);
+        });
+        
+        const groups = [];
+        const singles = [];
+        let count = 0;
+        byKey.forEach(group => {
+            if (webthreedee.instancing && group.shapes.length > 1) {
+                groups.push(group);
+                count += group.shapes.length;
+            } else {
+                group.shapes.forEach(shape => singles.push(shape));
+            }
+        });
+        if (count === 0) {
+            return { groups, singles };
+        }
+        
+        if (this.instanceData.length < count * stride) {
+            // Grow with room to spare so adding a few parts doesn't reallocate every frame
+            this.instanceData = new Float32Array(count * stride * 2);
+        }
+        let offset = 0;
+        groups.forEach(group => {
+            group.offset = offset * 4;
+            group.shapes.forEach(shape => {
+                this.instanceData.set(this.records.get(shape).data, offset);
+                offset += stride;
+            });
+        });
+        if (!this.instanceBuffer) {
+            this.instanceBuffer = gl.createBuffer();
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.instanceData.subarray(0, offset), gl.DYNAMIC_DRAW);
+        return { groups, singles };
+    }
+    
+    /**
+     * Draws every shape in a group with one instanced call.
+     * @param {object} group - The group.
+     * @private
+     */
+    drawGroup(group) {
+        const gl = this.webthreedee.gl;
+        const shape = group.shapes[0];
+        shape.bindBuffers(gl);
+        const buffers = shape.buffers;
+        if (!buffers.instancedVao) {
+            buffers.instancedVao = gl.createVertexArray();
+            gl.bindVertexArray(buffers.instancedVao);
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexBuffer);
+            setVertexAttributes(gl, Shape.VERTEX_STRIDE);
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indexBuffer);
+        }
+        gl.bindVertexArray(buffers.instancedVao);
+        
+        // Groups share one instance buffer, so point the attributes at this one's part of it
+        const stride = RenderBatcher.INSTANCE_STRIDE * 4;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        for (let i = 0; i < 4; i++) {
+            gl.enableVertexAttribArray(3 + i);
+            gl.vertexAttribPointer(3 + i, 4, gl.FLOAT, false, stride, group.offset + i * 16);
+            gl.vertexAttribDivisor(3 + i, 1);
+        }
+        setMaterialAttributes(gl, stride, group.offset + 16 * 4, 1);
+        
+        gl.drawElementsInstanced(gl.TRIANGLES, buffers.indexCount, buffers.indexType, 0, group.shapes.length);
+    }
+    
+    /**
+     * Draws a static batch. Its vertices are already in world space.
+     * @param {object} batch - The batch.
+     * @private
+     */
+    drawBatch(batch) {
+        const gl = this.webthreedee.gl;
+        gl.bindVertexArray(batch.vao);
+        // The instance matrix isn't an array in a batch, so give it the identity as its constant value
+        gl.vertexAttrib4f(3, 1, 0, 0, 0);
+        gl.vertexAttrib4f(4, 0, 1, 0, 0);
+        gl.vertexAttrib4f(5, 0, 0, 1, 0);
+        gl.vertexAttrib4f(6, 0, 0, 0, 1);
+        gl.drawElements(gl.TRIANGLES, batch.indexCount, batch.indexType, 0);
+    }
+    
+    /**
+     * Adds a part to a static batch with room for it, starting a new batch if
+     * they are all full.
+     * @param {Shape} shape - The part.
+     * @param {object} record - The part's record.
+     * @private
+     */
+    addToBatch(shape, record) {
+        // Batches only take parts from one cell of space, so they can be culled
+        const cell = [12, 13, 14].map(i => Math.floor(record.data[i] / RenderBatcher.BATCH_CELL_SIZE));
+        const key = record.key + ' ' + cell.join(' ');
+        if (!this.batches.has(key)) {
+            this.batches.set(key, []);
+        }
+        const batches = this.batches.get(key);
+        let batch = batches.find(b => b.shapes.size < RenderBatcher.STATIC_BATCH_SIZE);
+        if (!batch) {
+            batch = { shapes: new Set(), shape: null, dirty: true, vao: null, vertexBuffer: null, indexBuffer: null };
+            batches.push(batch);
+        }
+        batch.shapes.add(shape);
+        batch.dirty = true;
+        record.batch = batch;
+    }
+    
+    /**
+     * Takes a part out of its static batch.
+     * @param {Shape} shape - The part.
+     * @param {object} record - The part's record.
+     * @private
+     */
+    removeFromBatch(shape, record) {
+        record.batch.shapes.delete(shape);
+        record.batch.dirty = true;
+        record.batch = null;
+    }
+    
+    /**
+     * Bakes the parts of a static batch into one vertex and index buffer, or
+     * deletes its buffers if it has no parts left.
+     * @param {object} batch - The batch.
+     * @private
+     */
+    buildBatch(batch) {
+        const gl = this.webthreedee.gl;
+        batch.dirty = false;
+        if (batch.shapes.size === 0) {
+            if (batch.vao) {
+                gl.deleteVertexArray(batch.vao);
+                gl.deleteBuffer(batch.vertexBuffer);
+                gl.deleteBuffer(batch.indexBuffer);
+            }
+            return;
+        }
+        
+        const parts = [];
+        let vertexCount = 0;
+        let indexCount = 0;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        batch.shapes.forEach(shape => {
+            const record = this.records.get(shape);
+            ['x', 'y', 'z'].forEach((axis, i) => {
+                min[i] = Math.min(min[i], record.bounds.min[axis]);
+                max[i] = Math.max(max[i], record.bounds.max[axis]);
+            });
+            const geometry = transformGeometry(shape.geometry, record.data.subarray(0, 16));
+            if (geometry) {
+                parts.push({ geometry, values: record.data.subarray(16) });
+                vertexCount += geometry.vertices.length / Shape.VERTEX_STRIDE;
+                indexCount += geometry.indices.length;
+            }
+        });
+        batch.shape = batch.shapes.values().next().value;
+        batch.min = vector(...min);
+        batch.max = vector(...max);
+        
+        // Each vertex gets its part's material values after the usual position, normal and uv
+        const stride = RenderBatcher.BATCH_VERTEX_STRIDE;
+        const vertices = new Float32Array(vertexCount * stride);
+        const IndexArray = vertexCount > 65536 ? Uint32Array : Uint16Array;
+        const indices = new IndexArray(indexCount);
+        let first = 0;
+        let index = 0;
+        parts.forEach(({ geometry, values }) => {
+            const source = geometry.vertices;
+            const count = source.length / Shape.VERTEX_STRIDE;
+            for (let v = 0; v < count; v++) {
+                const offset = (first + v) * stride;
+                for (let j = 0; j < Shape.VERTEX_STRIDE; j++) {
+                    vertices[offset + j] = source[v * Shape.VERTEX_STRIDE + j];
+                }
+                vertices.set(values, offset + Shape.VERTEX_STRIDE);
+            }
+            geometry.indices.forEach(i => {
+                indices[index++] = first + i;
+            });
+            first += count;
+        });
+        
+        if (!batch.vao) {
+            batch.vao = gl.createVertexArray();
+            batch.vertexBuffer = gl.createBuffer();
+            batch.indexBuffer = gl.createBuffer();
+            gl.bindVertexArray(batch.vao);
+            gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertexBuffer);
+            setVertexAttributes(gl, stride);
+            setMaterialAttributes(gl, stride * 4, Shape.VERTEX_STRIDE * 4, 0);
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indexBuffer);
+        }
+        gl.bindVertexArray(batch.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+        gl.bindVertexArray(null);
+        batch.indexCount = indexCount;
+        batch.indexType = IndexArray === Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    }
+    
+    /**
+     * Deletes the instance buffer and the buffers of every static batch.
+     * @private
+     */
+    release() {
+        const gl = this.webthreedee.gl;
+        this.batches.forEach(batches => {
+            batches.forEach(batch => {
+                if (batch.vao) {
+                    gl.deleteVertexArray(batch.vao);
+                    gl.deleteBuffer(batch.vertexBuffer);
+                    gl.deleteBuffer(batch.indexBuffer);
+                }
+            });
+        });
+        if (this.instanceBuffer) {
+            gl.deleteBuffer(this.instanceBuffer);
+        }
+        this.records.clear();
+        this.batches.clear();
+        this.items = [];
+        this.hierarchy = new BoundingVolumeHierarchy([]);
+        this.instanceBuffer = null;
+    }
+    
+    /**
+     * Gets a key that is the same for shapes that can be drawn together: ones
+     * whose materials only differ in values that are passed per instance.
+     * @param {Shape} shape - The shape.
+     * @returns {string} The key.
+     * @private
+     */
+    getDrawKey(shape) {
+        const material = shape.material;
+        const envMap = material.envMap || this.webthreedee.materialService.environmentMap;
+        let key = (material instanceof PBRMaterial ? 'pbr ' : 'phong ') + objectId(envMap);
+        for (const name of Material.MAPS) {
+            key += ' ' + objectId(material[name]);
+        }
+        return key + ' ' + material.tiling[0] + ' ' + material.tiling[1] + ' ' + material.offset[0] + ' ' +
+            material.offset[1] + ' ' + shape.receiveShadow + ' ' + shape.castShadow;
+    }
+}
+
+/**
+ * Floats of instance data per shape: the model matrix, then the values from
+ * Material.writeInstanceData.
+ * @type {number}
+ */
+RenderBatcher.INSTANCE_STRIDE = 27;
+
+/**
+ * Floats per vertex in a static batch: the usual Shape.VERTEX_STRIDE plus the
+ * material values from Material.writeInstanceData.
+ * @type {number}
+ */
+RenderBatcher.BATCH_VERTEX_STRIDE = 19;
+
+/**
+ * The size of the cells of space that static batches are split into, in units.
+ * @type {number}
+ */
+RenderBatcher.BATCH_CELL_SIZE = 64;
+
+/**
+ * The most parts in one static batch. Smaller batches are cheaper to rebuild
+ * when one of their parts changes, bigger ones save draw calls.
+ * @type {number}
+ */
+RenderBatcher.STATIC_BATCH_SIZE = 256;
+
+/**
+ * Points the per-instance material attributes (color, emissive and material
+ * values, locations 7, 8 and 9) at the bound buffer.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} stride - The bytes between values.
+ * @param {number} offset - The byte offset of the first color.
+ * @param {number} divisor - 1 to step once per instance, 0 once per vertex.
+ * @private
+ */
+function setMaterialAttributes(gl, stride, offset, divisor) {
+    [[7, 4, 0], [8, 3, 4], [9, 4, 7]].forEach(([location, size, start]) => {
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset + start * 4);
+        gl.vertexAttribDivisor(location, divisor);
+    });
+}
+
+/**
+ * Ids for objects, for building keys out of them.
+ * @type {WeakMap<object, number>}
+ * @private
+ */
+const objectIds = new WeakMap();
+let nextObjectId = 1;
+
+/**
+ * Gets a number that is unique to an object.
+ * @param {object} object - The object, or null.
+ * @returns {number} The id, or 0 for null.
+ * @private
+ */
+function objectId(object) {
+    if (!object) {
+        return 0;
+    }
+    if (!objectIds.has(object)) {
+        objectIds.set(object, nextObjectId++);
+    }
+    return objectIds.get(object);
+}
+
+/**
+ * A bounding volume hierarchy: a tree of boxes, each around the items below
+ * it, for finding the items a view can see without testing all of them.
+ * @class
+ * @private
+ */
+class BoundingVolumeHierarchy {
+    /**
+     * @param {Array<{min: Vector, max: Vector}>} items - The items, each with the corners of its box.
+     *     The array is reordered.
+     */
+    constructor(items) {
+        this.root = items.length > 0 ? this.build(items, 0, items.length) : null;
+    }
+    
+    /**
+     * Builds the node for a range of items, splitting them in half along the
+     * axis their centers are most spread out on.
+     * @param {object[]} items - All the items.
+     * @param {number} start - The first item in the range.
+     * @param {number} end - One past the last item in the range.
+     * @returns {object} The node.
+     * @private
+     */
+    build(items, start, end) {
+        const min = vector(Infinity, Infinity, Infinity);
+        const max = vector(-Infinity, -Infinity, -Infinity);
+        const centerMin = vector(Infinity, Infinity, Infinity);
+        const centerMax = vector(-Infinity, -Infinity, -Infinity);
+        for (let i = start; i < end; i++) {
+            const item = items[i];
+            ['x', 'y', 'z'].forEach(axis => {
+                const center = (item.min[axis] + item.max[axis]) / 2;
+                min[axis] = Math.min(min[axis], item.min[axis]);
+                max[axis] = Math.max(max[axis], item.max[axis]);
+                centerMin[axis] = Math.min(centerMin[axis], center);
+                centerMax[axis] = Math.max(centerMax[axis], center);
+            });
+        }
+        if (end - start <= BoundingVolumeHierarchy.LEAF_SIZE) {
+            return { min, max, items: items.slice(start, end) };
+        }
+        
+        const spread = centerMax.sub(centerMin);
+        const axis = spread.x >= spread.y && spread.x >= spread.z ? 'x' : (spread.y >= spread.z ? 'y' : 'z');
+        const range = items.slice(start, end).sort((a, b) => (a.min[axis] + a.max[axis]) - (b.min[axis] + b.max[axis]));
+        range.forEach((item, i) => {
+            items[start + i] = item;
+        });
+        const middle = (start + end) >> 1;
+        return { min, max, left: this.build(items, start, middle), right: this.build(items, middle, end) };
+    }
+    
+    /**
+     * Calls back with every item whose box is at least partly inside a set of planes.
+     * @param {number[][]} planes - The planes, see getFrustumPlanes.
+     * @param {function(object)} callback - Called with each item.
+     */
+    query(planes, callback) {
+        const visit = (node, inside) => {
+            if (!inside) {
+                const result = classifyBox(planes, node.min, node.max);
+                if (result < 0) {
+                    return;
+                }
+                // Everything under a node that is all inside is too, so stop testing
+                inside = result > 0;
+            }
+            if (node.items) {
+                node.items.forEach(item => {
+                    if (inside || classifyBox(planes, item.min, item.max) >= 0) {
+                        callback(item);
+                    }
+                });
+            } else {
+                visit(node.left, inside);
+                visit(node.right, inside);
+            }
+        };
+        if (this.root) {
+            visit(this.root, false);
+        }
+    }
+}
+
+/**
+ * The most items in a leaf of the hierarchy.
+ * @type {number}
+ */
+BoundingVolumeHierarchy.LEAF_SIZE = 4;
+
+/**
+ * Gets the six planes of the frustum a projection and view matrix sees.
+ * Works for perspective and orthographic projections alike.
+ * @param {mat4} m - The combined projection and view matrix.
+ * @returns {number[][]} The planes as [a, b, c, d], with the inside where ax + by + cz + d >= 0.
+ * @private
+ */
+function getFrustumPlanes(m) {
+    const row = i => [m[i], m[i + 4], m[i + 8], m[i + 12]];
+    const w = row(3);
+    const planes = [];
+    [0, 1, 2].forEach(i => {
+        const r = row(i);
+        planes.push(w.map((value, j) => value + r[j]), w.map((value, j) => value - r[j]));
+    });
+    return planes;
+}
+
+/**
+ * Tests a box against a set of planes.
+ * @param {number[][]} planes - The planes, see getFrustumPlanes.
+ * @param {Vector} min - The smallest corner of the box.
+ * @param {Vector} max - The largest corner of the box.
+ * @returns {number} -1 if the box is outside a plane, 1 if it is inside all of them, 0 otherwise.
+ * @private
+ */
+function classifyBox(planes, min, max) {
+    let result = 1;
+    for (const [a, b, c, d] of planes) {
+        // The corners farthest along and against the plane's normal
+        const far = a * (a > 0 ? max.x : min.x) + b * (b > 0 ? max.y : min.y) + c * (c > 0 ? max.z : min.z) + d;
+        if (far < 0) {
+            return -1;
+        }
+        const near = a * (a > 0 ? min.x : max.x) + b * (b > 0 ? min.y : max.y) + c * (c > 0 ? min.z : max.z) + d;
+        if (near < 0) {
+            result = 0;
+        }
+    }
+    return result;
+}
+
+/**
+ * Intersects a ray with a convex solid bounded by planes.
+ * @param {Vector} origin - The ray origin.
+ * @param {Vector} direction - The ray direction.
+ * @param {Array} planes - The bounding planes as [normal, distance].
+ * @returns {{t: number, normal: Vector}|null} The entry point, or null.
+ * @private
+ */
+function intersectConvex(origin, direction, planes) {
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    let normal = null;
+    for (const [n, d] of planes) {
+        const denom = n.dot(direction);
+        const dist = d - n.dot(origin);
+        if (Math.abs(denom) < 1e-12) {
+            if (dist < 0) {
+                return null;
+            }
+            continue;
+        }
+        const t = dist / denom;
+        if (denom < 0) {
+            if (t > tEnter) {
+                tEnter = t;
+                normal = n;
+            }
+        } else if (t < tExit) {
+            tExit = t;
+        }
+    }
+    if (tEnter > tExit || tEnter < 0 || !normal) {
+        return null;
+    }
+    return { t: tEnter, normal };
+}
+
+/**
+ * Intersects a ray with the unit sphere.
+ * @param {Vector} origin - The ray origin.
+ * @param {Vector} direction - The ray direction.
+ * @returns {{t: number, normal: Vector}|null} The entry point, or null.
+ * @private
+ */
+function intersectUnitSphere(origin, direction) {
+    const a = direction.dot(direction);
+    const b = 2 * origin.dot(direction);
+    const c = origin.dot(origin) - 1;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+        return null;
+    }
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (t < 0) {
+        return null;
+    }
+    return { t, normal: origin.add(direction.scale(t)) };
+}
+
+/**
+ * Intersects a ray with the unit cylinder: radius 1 around the Y axis, from y = -1 to 1.
+ * @param {Vector} origin - The ray origin.
+ * @param {Vector} direction - The ray direction.
+ * @returns {{t: number, normal: Vector}|null} The entry point, or null.
+ * @private
+ */
+function intersectUnitCylinder(origin, direction) {
+    let best = null;
+    
+    // Curved side
+    const a = direction.x * direction.x + direction.z * direction.z;
+    if (a > 1e-12) {
+        const b = 2 * (origin.x * direction.x + origin.z * direction.z);
+        const c = origin.x * origin.x + origin.z * origin.z - 1;
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant >= 0) {
+            const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+            const y = origin.y + direction.y * t;
+            if (t >= 0 && Math.abs(y) <= 1) {
+                const p = origin.add(direction.scale(t));
+                best = { t, normal: vector(p.x, 0, p.z) };
+            }
+        }
+    }
+    
+    // Caps
+    if (Math.abs(direction.y) > 1e-12) {
+        [1, -1].forEach(y => {
+            const t = (y - origin.y) / direction.y;
+            const p = origin.add(direction.scale(t));
+            if (t >= 0 && p.x * p.x + p.z * p.z <= 1 && (!best || t < best.t) && direction.y * y < 0) {
+                best = { t, normal: vector(0, y, 0) };
+            }
+        });
+    }
+    return best;
+}
+
+/**
+ * Intersects a ray with every triangle of a geometry, for shapes without an exact test.
+ * @param {Vector} origin - The ray origin.
+ * @param {Vector} direction - The ray direction.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry data.
+ * @returns {{t: number, normal: Vector}|null} The nearest hit, or null.
+ * @private
+ */
+function intersectTriangles(origin, direction, geometry) {
+    const v = geometry.vertices;
+    const stride = Shape.VERTEX_STRIDE;
+    const point = i => vector(v[i * stride], v[i * stride + 1], v[i * stride + 2]);
+    let best = null;
+    
+    // Möller-Trumbore, front and back faces
+    for (let i = 0; i < geometry.indices.length; i += 3) {
+        const p0 = point(geometry.indices[i]);
+        const edge1 = point(geometry.indices[i + 1]).sub(p0);
+        const edge2 = point(geometry.indices[i + 2]).sub(p0);
+        const h = direction.cross(edge2);
+        const det = edge1.dot(h);
+        if (Math.abs(det) < 1e-12) {
+            continue;
+        }
+        const s = origin.sub(p0);
+        const u = s.dot(h) / det;
+        if (u < 0 || u > 1) {
+            continue;
+        }
+        const q = s.cross(edge1);
+        const w = direction.dot(q) / det;
+        if (w < 0 || u + w > 1) {
+            continue;
+        }
+        const t = edge2.dot(q) / det;
+        if (t >= 0 && (!best || t < best.t)) {
+            let normal = edge1.cross(edge2);
+            if (normal.dot(direction) > 0) {
+                normal = normal.scale(-1);
+            }
+            best = { t, normal };
+        }
+    }
+    return best;
+}
+
+/**
+ * Service for screen effects. When it has passes, the scene is rendered into an
+ * offscreen framebuffer instead of the canvas, then each pass draws a full-screen
+ * triangle that reads the result of the one before, and the last one draws to the canvas.
+ * @class
+ */
+class PostProcessingService {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The main WebThreeDee instance.
+     */
+    constructor(webthreedeeInstance) {
+        this.webthreedee = webthreedeeInstance;
+        /** The passes the scene goes through, in order. Disabled passes are skipped. */
+        this.passes = [];
+        /**
+         * Samples per pixel of multisample antialiasing for the offscreen scene, since the
+         * canvas's own antialiasing doesn't apply to it. 0 turns it off.
+         * @type {number}
+         */
+        this.samples = 4;
+        /**
+         * Makes passes by type name.
+         * @private
+         */
+        this.passTypes = new Map(Object.entries(PostProcessingService.PASS_TYPES));
+        /**
+         * Compiled programs by fragment shader source, with their uniforms.
+         * @private
+         */
+        this.programs = new Map();
+        /**
+         * The offscreen scene and the two targets the passes take turns drawing into.
+         * @private
+         */
+        this.targets = null;
+        /**
+         * The passes being drawn this frame, between begin and finish.
+         * @private
+         */
+        this.activePasses = [];
+        /**
+         * Uniforms every pass gets this frame, like the depth buffer and projection.
+         * @private
+         */
+        this.frameUniforms = {};
+        /**
+         * Whether the GPU can draw into half float textures, once checked.
+         * @private
+         */
+        this.floatColor = null;
+        /** @private */
+        this.startTime = currentTime();
+        /** @private */
+        this.vao = null;
+    }
+    
+    /**
+     * Adds a pass to the end of the chain.
+     * @param {string|PostProcessPass} type - A built-in pass type ('ssao', 'bloom', 'toneMapping', 'colorGrading',
+     *     'vignette' or 'fxaa'), the name of a pass added with registerPass, or a pass object.
+     * @param {object} [options={}] - Options for the pass, see its class. For registered passes these are
+     *     uniform values. Every pass takes enabled.
+     * @returns {PostProcessPass} The new pass.
+     */
+    addPass(type, options = {}) {
+        let pass = type;
+        if (!(type instanceof PostProcessPass)) {
+            const names = Array.from(this.passTypes.keys());
+            const name = names.find(key => key.toLowerCase() === String(type).toLowerCase());
+            if (!name) {
+                throw new Error('Unknown pass type "' + type + '". Valid types are: ' + names.join(', '));
+            }
+            pass = this.passTypes.get(name)(options);
+            pass.enabled = options.enabled !== false;
+        }
+        // Compile straight away so a broken shader fails here instead of in the render loop
+        if (pass.fragmentSource) {
+            this.getProgram(pass.fragmentSource);
+        }
+        this.passes.push(pass);
+        return pass;
+    }
+    
+    /**
+     * Removes a pass from the chain and frees its framebuffers.
+     * @param {PostProcessPass} pass - The pass to remove.
+     */
+    removePass(pass) {
+        const index = this.passes.indexOf(pass);
+        if (index !== -1) {
+            this.passes.splice(index, 1);
+        }
+        pass.release();
+    }
+    
+    /**
+     * Removes every pass, so the scene is drawn straight to the canvas again.
+     */
+    clearPasses() {
+        this.passes.slice().forEach(pass => this.removePass(pass));
+    }
+    
+    /**
+     * Adds a pass type made from a GLSL ES 3.00 fragment shader. It gets `in vec2 v_uv` and can use
+     * these uniforms: u_input (the image so far), u_depth (the scene's depth buffer), u_resolution
+     * (the size of what it draws to, in pixels), u_time (seconds), u_projectionMatrix and
+     * u_inverseProjectionMatrix. Its own uniforms are set from the pass's uniforms by name without
+     * the u_ prefix: numbers, booleans, arrays, vectors, matrices and Textures.
+     * @param {string} name - The type name to pass to addPass.
+     * @param {string} fragmentSource - The fragment shader source.
+     * @param {object} [uniforms={}] - Default values for the shader's own uniforms.
+     */
+    registerPass(name, fragmentSource, uniforms = {}) {
+        this.passTypes.set(name, options => new PostProcessPass(name, fragmentSource, Object.assign({}, uniforms, options)));
+    }
+    
+    /**
+     * Points rendering at the offscreen scene if any passes are enabled and ready.
+     * @returns {boolean} Whether the scene should be post-processed, in which case finish must be called after drawing it.
+     * @private
+     */
+    begin() {
+        const gl = this.webthreedee.gl;
+        this.activePasses = this.passes.filter(pass => pass.enabled && pass.isReady(gl));
+        if (this.activePasses.length === 0) {
+            return false;
+        }
+        const targets = this.getTargets(gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, targets.multisample ? targets.multisample.framebuffer : targets.scene.framebuffer);
+        return true;
+    }
+    
+    /**
+     * Runs the passes over the offscreen scene, the last one drawing to the canvas.
+     * @private
+     */
+    finish() {
+        const gl = this.webthreedee.gl;
+        const targets = this.targets;
+        const { width, height } = targets.scene;
+        if (targets.multisample) {
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, targets.multisample.framebuffer);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, targets.scene.framebuffer);
+            gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT, gl.NEAREST);
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+        }
+        
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.CULL_FACE);
+        gl.disable(gl.BLEND);
+        if (!this.vao) {
+            // The full-screen triangle comes from gl_VertexID, so it has no attributes
+            this.vao = gl.createVertexArray();
+        }
+        gl.bindVertexArray(this.vao);
+        
+        const projection = this.webthreedee.camera.getProjectionMatrix();
+        this.frameUniforms = {
+            depth: { texture: targets.depth },
+            time: (currentTime() - this.startTime) / 1000,
+            projectionMatrix: projection,
+            inverseProjectionMatrix: mat4.invert(mat4.create(), projection) || mat4.create()
+        };
+        let input = targets.scene;
+        this.activePasses.forEach((pass, i) => {
+            const output = i === this.activePasses.length - 1 ? null : targets.swap[i % 2];
+            pass.render(this, input, output);
+            input = output;
+        });
+        
+        gl.bindVertexArray(null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.disable(gl.BLEND);
+        gl.enable(gl.DEPTH_TEST);
+        gl.enable(gl.CULL_FACE);
+        gl.useProgram(this.webthreedee.program);
+    }
+    
+    /**
+     * Draws a full-screen triangle with a fragment shader. Passes call this for each step they take.
+     * @param {string} fragmentSource - The fragment shader source.
+     * @param {object} uniforms - Values for the shader's uniforms, by name without the u_ prefix.
+     * @param {object|null} output - The target to draw into, from createTarget, or null for the canvas.
+     */
+    draw(fragmentSource, uniforms, output) {
+        const gl = this.webthreedee.gl;
+        const program = this.getProgram(fragmentSource);
+        const width = output ? output.width : gl.drawingBufferWidth;
+        const height = output ? output.height : gl.drawingBufferHeight;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+        gl.viewport(0, 0, width, height);
+        gl.useProgram(program.program);
+        
+        const values = Object.assign({ resolution: [width, height] }, this.frameUniforms, uniforms);
+        let unit = WebThreeDee.POST_PROCESSING_UNIT;
+        program.uniforms.forEach((uniform, name) => {
+            let value = values[name];
+            if (value === undefined || value === null) {
+                return;
+            }
+            if (value instanceof Vector) {
+                value = value.toArray();
+            }
+            const location = uniform.location;
+            switch (uniform.type) {
+                case gl.SAMPLER_2D:
+                    gl.activeTexture(gl.TEXTURE0 + unit);
+                    gl.bindTexture(gl.TEXTURE_2D, value instanceof Texture ? value.getTexture(gl) : value.texture);
+                    gl.uniform1i(location, unit++);
+                    break;
+                case gl.FLOAT:
+                    if (uniform.size > 1) {
+                        gl.uniform1fv(location, value);
+                    } else {
+                        gl.uniform1f(location, value);
+                    }
+                    break;
+                case gl.FLOAT_VEC2:
+                    gl.uniform2fv(location, value);
+                    break;
+                case gl.FLOAT_VEC3:
+                    gl.uniform3fv(location, value);
+                    break;
+                case gl.FLOAT_VEC4:
+                    gl.uniform4fv(location, value);
+                    break;
+                case gl.FLOAT_MAT3:
+                    gl.uniformMatrix3fv(location, false, value);
+                    break;
+                case gl.FLOAT_MAT4:
+                    gl.uniformMatrix4fv(location, false, value);
+                    break;
+                default:
+                    // Ints and bools
+                    if (uniform.size > 1) {
+                        gl.uniform1iv(location, value.map(Number));
+                    } else {
+                        gl.uniform1i(location, Number(value));
+                    }
+            }
+        });
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+    
+    /**
+     * Creates a color texture and framebuffer to draw into, in the same format as the scene.
+     * @param {number} width - The width in pixels.
+     * @param {number} height - The height in pixels.
+     * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer, width: number, height: number}} The target.
+     */
+    createTarget(width, height) {
+        const gl = this.webthreedee.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, this.getColorFormat(), width, height);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, framebuffer, width, height };
+    }
+    
+    /**
+     * Deletes a target made by createTarget.
+     * @param {object} target - The target.
+     */
+    releaseTarget(target) {
+        const gl = this.webthreedee.gl;
+        gl.deleteTexture(target.texture);
+        gl.deleteFramebuffer(target.framebuffer);
+    }
+    
+    /**
+     * Gets the color format of the scene and the targets. Half floats keep colors brighter
+     * than white for bloom and tone mapping, where the GPU can draw into them.
+     * @returns {number} The internal format.
+     * @private
+     */
+    getColorFormat() {
+        const gl = this.webthreedee.gl;
+        if (this.floatColor === null) {
+            this.floatColor = !!gl.getExtension('EXT_color_buffer_float');
+        }
+        return this.floatColor ? gl.RGBA16F : gl.RGBA8;
+    }
+    
+    /**
+     * Gets the offscreen scene and swap targets, creating them again if the size or samples changed.
+     * @param {number} width - The width in pixels.
+     * @param {number} height - The height in pixels.
+     * @returns {object} The targets.
+     * @private
+     */
+    getTargets(width, height) {
+        const gl = this.webthreedee.gl;
+        const samples = Math.min(Math.max(0, Math.floor(this.samples)), gl.getParameter(gl.MAX_SAMPLES));
+        const current = this.targets;
+        if (current && current.scene.width === width && current.scene.height === height && current.samples === samples) {
+            return current;
+        }
+        this.releaseTargets();
+        
+        const scene = this.createTarget(width, height);
+        const depth = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, depth);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.DEPTH_COMPONENT24, width, height);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, scene.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, depth, 0);
+        
+        // The scene is drawn multisampled, then resolved into the textures the passes read
+        let multisample = null;
+        if (samples > 0) {
+            const color = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, color);
+            gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, this.getColorFormat(), width, height);
+            const depthBuffer = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+            gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, gl.DEPTH_COMPONENT24, width, height);
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, color);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+            multisample = { framebuffer, color, depth: depthBuffer };
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        this.targets = {
+            scene,
+            depth,
+            multisample,
+            samples,
+            swap: [this.createTarget(width, height), this.createTarget(width, height)]
+        };
+        return this.targets;
+    }
+    
+    /**
+     * Deletes the offscreen scene and swap targets, if they exist.
+     * @private
+     */
+    releaseTargets() {
+        const targets = this.targets;
+        if (!targets) {
+            return;
+        }
+        const gl = this.webthreedee.gl;
+        this.releaseTarget(targets.scene);
+        gl.deleteTexture(targets.depth);
+        if (targets.multisample) {
+            gl.deleteFramebuffer(targets.multisample.framebuffer);
+            gl.deleteRenderbuffer(targets.multisample.color);
+            gl.deleteRenderbuffer(targets.multisample.depth);
+        }
+        targets.swap.forEach(target => this.releaseTarget(target));
+        this.targets = null;
+    }
+    
+    /**
+     * Deletes everything the service and its passes made: targets, programs and the vertex array.
+     * @private
+     */
+    release() {
+        const gl = this.webthreedee.gl;
+        this.passes.forEach(pass => pass.release());
+        this.releaseTargets();
+        this.programs.forEach(entry => gl.deleteProgram(entry.program));
+        this.programs.clear();
+        if (this.vao) {
+            gl.deleteVertexArray(this.vao);
+            this.vao = null;
+        }
+    }
+    
+    /**
+     * Gets the program for a fragment shader, compiling it the first time, along with
+     * its active uniforms by name without the u_ prefix.
+     * @param {string} fragmentSource - The fragment shader source.
+     * @returns {{program: WebGLProgram, uniforms: Map}} The program.
+     * @private
+     */
+    getProgram(fragmentSource) {
+        if (!this.programs.has(fragmentSource)) {
+            const gl = this.webthreedee.gl;
+            const program = this.webthreedee.createProgram(PostProcessingService.VERTEX_SOURCE, fragmentSource);
+            const uniforms = new Map();
+            const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+            for (let i = 0; i < count; i++) {
+                const info = gl.getActiveUniform(program, i);
+                const name = info.name.replace(/\[0\]$/, '').replace(/^u_/, '');
+                uniforms.set(name, { location: gl.getUniformLocation(program, info.name), type: info.type, size: info.size });
+            }
+            this.programs.set(fragmentSource, { program, uniforms });
+        }
+        return this.programs.get(fragmentSource);
+    }
+}
+
+/**
+ * The vertex shader of every pass: one triangle that covers the screen, with
+ * texture coordinates that go from 0 to 1 across it.
+ * @type {string}
+ */
+PostProcessingService.VERTEX_SOURCE = `#version 300 es
+    out vec2 v_uv;
+    
+    void main() {
+        vec2 corner = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+        v_uv = corner;
+        gl_Position = vec4(corner * 2.0 - 1.0, 0.0, 1.0);
+    }
+`;
+
+/**
+ * The built-in pass types, making a pass from its options.
+ * @type {Object<string, Function>}
+ */
+PostProcessingService.PASS_TYPES = {
+    ssao: options => new SSAOPass(options),
+    bloom: options => new BloomPass(options),
+    toneMapping: options => new ToneMappingPass(options),
+    colorGrading: options => new ColorGradingPass(options),
+    vignette: options => new VignettePass(options),
+    fxaa: options => new FXAAPass(options)
+};
+
+/**
+ * A full-screen effect in the PostProcessingService chain. On its own it runs one fragment
+ * shader (see PostProcessingService.registerPass); the built-in passes extend it. Passes
+ * that take more than one step override render.
+ * @class
+ */
+class PostProcessPass {
+    /**
+     * @param {string} type - The pass type.
+     * @param {string|null} fragmentSource - The fragment shader, or null if render is overridden.
+     * @param {object} [uniforms={}] - Values for the shader's own uniforms, by name without the u_ prefix.
+     */
+    constructor(type, fragmentSource, uniforms = {}) {
+        this.type = type;
+        /** Whether the pass is drawn. */
+        this.enabled = true;
+        /** @private */
+        this.fragmentSource = fragmentSource;
+        /** Values for the shader's uniforms. Change them at any time. */
+        this.uniforms = {};
+        Object.keys(uniforms).forEach(key => {
+            if (key !== 'enabled') {
+                this.uniforms[key] = uniforms[key];
+            }
+        });
+    }
+    
+    /**
+     * Checks whether every texture the pass uses has loaded. Passes that aren't ready are skipped.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @returns {boolean} True if the pass can be drawn.
+     */
+    isReady(gl) {
+        const values = this.getUniforms();
+        return Object.keys(values).every(key => !(values[key] instanceof Texture) || values[key].getTexture(gl) !== null);
+    }
+    
+    /**
+     * Gets the values for the shader's uniforms.
+     * @returns {object} The values, by name without the u_ prefix.
+     */
+    getUniforms() {
+        return this.uniforms;
+    }
+    
+    /**
+     * Draws the pass.
+     * @param {PostProcessingService} service - The service, for drawing and making targets.
+     * @param {object} input - The target holding the image so far.
+     * @param {object|null} output - The target to draw into, or null for the canvas.
+     */
+    render(service, input, output) {
+        service.draw(this.fragmentSource, Object.assign({ input }, this.getUniforms()), output);
+    }
+    
+    /**
+     * Frees any targets the pass made for itself. Called when it is removed.
+     */
+    release() {}
+}
+
+/**
+ * Screen-space ambient occlusion: darkens creases and corners where ambient light
+ * wouldn't reach, from the scene's depth buffer. Put it first, before bloom and tone mapping.
+ * @class
+ */
+class SSAOPass extends PostProcessPass {
+    /**
+     * @param {object} [options={}] - Pass options.
+     * @param {number} [options.radius=0.5] - How far around each point to look for things blocking it, in units.
+     * @param {number} [options.intensity=1] - How dark occluded places get.
+     * @param {number} [options.bias=0.025] - Depth difference to ignore, in units, so flat surfaces don't shade themselves.
+     */
+    constructor(options = {}) {
+        super('ssao', null);
+        this.radius = options.radius !== undefined ? options.radius : 0.5;
+        this.intensity = options.intensity !== undefined ? options.intensity : 1;
+        this.bias = options.bias !== undefined ? options.bias : 0.025;
+        /**
+         * Where the occlusion is drawn before it is blurred.
+         * @private
+         */
+        this.target = null;
+        /** @private */
+        this.service = null;
+    }
+    
+    getUniforms() {
+        return { radius: this.radius, intensity: this.intensity, bias: this.bias };
+    }
+    
+    render(service, input, output) {
+        if (!this.target || this.target.width !== input.width || this.target.height !== input.height) {
+            this.release();
+            this.service = service;
+            this.target = service.createTarget(input.width, input.height);
+        }
+        const uniforms = this.getUniforms();
+        service.draw(SSAOPass.OCCLUSION_SOURCE, uniforms, this.target);
+        service.draw(SSAOPass.FRAGMENT_SOURCE, Object.assign({ input, occlusion: this.target }, uniforms), output);
+    }
+    
+    release() {
+        if (this.target) {
+            this.service.releaseTarget(this.target);
+            this.target = null;
+        }
+    }
+}
+
+/**
+ * Works out how much of the hemisphere over each pixel is blocked, by testing points
+ * around it against the depth buffer.
+ * @type {string}
+ */
+SSAOPass.OCCLUSION_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_depth;
+    uniform mat4 u_projectionMatrix;
+    uniform mat4 u_inverseProjectionMatrix;
+    uniform float u_radius;
+    uniform float u_bias;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    const int SAMPLES = 16;
+    
+    vec3 viewPosition(vec2 uv) {
+        float depth = texture(u_depth, uv).r;
+        vec4 position = u_inverseProjectionMatrix * vec4(vec3(uv, depth) * 2.0 - 1.0, 1.0);
+        return position.xyz / position.w;
+    }
+    
+    void main() {
+        if (texture(u_depth, v_uv).r >= 1.0) {
+            // Nothing was drawn here
+            fragColor = vec4(1.0);
+            return;
+        }
+        vec2 texel = 1.0 / vec2(textureSize(u_depth, 0));
+        vec3 position = viewPosition(v_uv);
+        // Use the neighbours closest in depth, so normals along edges don't point sideways
+        vec3 left = position - viewPosition(v_uv - vec2(texel.x, 0.0));
+        vec3 right = viewPosition(v_uv + vec2(texel.x, 0.0)) - position;
+        vec3 down = position - viewPosition(v_uv - vec2(0.0, texel.y));
+        vec3 up = viewPosition(v_uv + vec2(0.0, texel.y)) - position;
+        vec3 normal = normalize(cross(
+            abs(left.z) < abs(right.z) ? left : right,
+            abs(down.z) < abs(up.z) ? down : up
+        ));
+        
+        // Each pixel of a 4x4 tile turns the samples a different way, and the blur averages the tiles out
+        vec2 cell = mod(floor(gl_FragCoord.xy), 4.0);
+        float angle = (cell.x * 4.0 + cell.y) * 2.39996323;
+        vec3 random = vec3(cos(angle), sin(angle), 0.0);
+        vec3 tangent = normalize(random - normal * dot(random, normal));
+        mat3 tbn = mat3(tangent, cross(normal, tangent), normal);
+        
+        float occlusion = 0.0;
+        for (int i = 0; i < SAMPLES; i++) {
+            // Spread over the hemisphere, more of them close to the point
+            float t = (float(i) + 0.5) / float(SAMPLES);
+            float theta = float(i) * 2.39996323;
+            vec3 direction = vec3(cos(theta) * sqrt(t), sin(theta) * sqrt(t), sqrt(1.0 - t));
+            float scale = mix(0.1, 1.0, pow(fract(float(i) * 0.618034 + 0.5), 2.0));
+            vec3 samplePosition = position + tbn * direction * u_radius * scale;
+            
+            vec4 projected = u_projectionMatrix * vec4(samplePosition, 1.0);
+            float sceneDepth = viewPosition(projected.xy / projected.w * 0.5 + 0.5).z;
+            // Things much closer to the camera than the point don't shade it
+            float range = smoothstep(0.0, 1.0, u_radius / abs(position.z - sceneDepth));
+            occlusion += (sceneDepth >= samplePosition.z + u_bias ? 1.0 : 0.0) * range;
+        }
+        fragColor = vec4(vec3(1.0 - occlusion / float(SAMPLES)), 1.0);
+    }
+`;
+
+/**
+ * Blurs the occlusion over each 4x4 tile and darkens the image with it.
+ * @type {string}
+ */
+SSAOPass.FRAGMENT_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform sampler2D u_occlusion;
+    uniform float u_intensity;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    void main() {
+        vec2 texel = 1.0 / vec2(textureSize(u_occlusion, 0));
+        float occlusion = 0.0;
+        for (int x = -2; x < 2; x++) {
+            for (int y = -2; y < 2; y++) {
+                occlusion += texture(u_occlusion, v_uv + vec2(float(x), float(y)) * texel).r;
+            }
+        }
+        vec4 color = texture(u_input, v_uv);
+        fragColor = vec4(color.rgb * pow(occlusion / 16.0, u_intensity), 1.0);
+    }
+`;
+
+/**
+ * Makes bright parts, like emissive ones, glow into their surroundings. Put it
+ * before tone mapping, so it sees colors brighter than white.
+ * @class
+ */
+class BloomPass extends PostProcessPass {
+    /**
+     * @param {object} [options={}] - Pass options.
+     * @param {number} [options.threshold=0.8] - How bright a color has to be to glow, where 1 is white.
+     * @param {number} [options.strength=0.6] - How bright the glow is.
+     * @param {number} [options.radius=1] - How far the glow spreads, compared to normal.
+     * @param {number} [options.levels=5] - How many times the glow is halved in size and blurred. More reaches farther.
+     */
+    constructor(options = {}) {
+        super('bloom', null);
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.8;
+        this.strength = options.strength !== undefined ? options.strength : 0.6;
+        this.radius = options.radius !== undefined ? options.radius : 1;
+        this.levels = options.levels || 5;
+        /**
+         * The levels of the glow, each half the size of the one before.
+         * @private
+         */
+        this.targets = [];
+        /** @private */
+        this.service = null;
+    }
+    
+    getUniforms() {
+        return { threshold: this.threshold, strength: this.strength, radius: this.radius };
+    }
+    
+    render(service, input, output) {
+        const gl = service.webthreedee.gl;
+        const width = Math.max(1, input.width >> 1);
+        const height = Math.max(1, input.height >> 1);
+        const levels = Math.max(1, Math.min(Math.floor(this.levels), Math.floor(Math.log2(Math.min(width, height))) + 1));
+        if (this.targets.length !== levels || this.targets[0].width !== width || this.targets[0].height !== height) {
+            this.release();
+            this.service = service;
+            for (let i = 0; i < levels; i++) {
+                this.targets.push(service.createTarget(Math.max(1, width >> i), Math.max(1, height >> i)));
+            }
+        }
+        const uniforms = this.getUniforms();
+        const targets = this.targets;
+        
+        // Keep what is bright enough at half size, then halve it again and again
+        service.draw(BloomPass.PREFILTER_SOURCE, Object.assign({ input }, uniforms), targets[0]);
+        for (let i = 1; i < levels; i++) {
+            service.draw(BloomPass.DOWNSAMPLE_SOURCE, { input: targets[i - 1] }, targets[i]);
+        }
+        // Then blur each level back up into the one above it, so the glow fades out smoothly
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        for (let i = levels - 1; i > 0; i--) {
+            service.draw(BloomPass.UPSAMPLE_SOURCE, Object.assign({ input: targets[i] }, uniforms), targets[i - 1]);
+        }
+        gl.disable(gl.BLEND);
+        service.draw(BloomPass.FRAGMENT_SOURCE, Object.assign({ input, bloom: targets[0] }, uniforms), output);
+    }
+    
+    release() {
+        this.targets.forEach(target => this.service.releaseTarget(target));
+        this.targets = [];
+    }
+}
+
+/**
+ * Keeps the parts of the image brighter than the threshold, with a soft knee so glows fade in.
+ * @type {string}
+ */
+BloomPass.PREFILTER_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform float u_threshold;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    void main() {
+        vec2 texel = 1.0 / vec2(textureSize(u_input, 0));
+        vec3 color = (
+            texture(u_input, v_uv + texel * vec2(-1.0, -1.0)).rgb +
+            texture(u_input, v_uv + texel * vec2(1.0, -1.0)).rgb +
+            texture(u_input, v_uv + texel * vec2(-1.0, 1.0)).rgb +
+            texture(u_input, v_uv + texel * vec2(1.0, 1.0)).rgb
+        ) * 0.25;
+        float brightness = max(color.r, max(color.g, color.b));
+        float knee = u_threshold * 0.5 + 1e-4;
+        float soft = clamp(brightness - u_threshold + knee, 0.0, 2.0 * knee);
+        soft = soft * soft / (4.0 * knee);
+        fragColor = vec4(color * max(soft, brightness - u_threshold) / max(brightness, 1e-4), 1.0);
+    }
+`;
+
+/**
+ * Halves the image, averaging a 4x4 block of pixels for each one.
+ * @type {string}
+ */
+BloomPass.DOWNSAMPLE_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    void main() {
+        vec2 texel = 1.0 / vec2(textureSize(u_input, 0));
+        fragColor = vec4((
+            texture(u_input, v_uv + texel * vec2(-1.0, -1.0)).rgb +
+            texture(u_input, v_uv + texel * vec2(1.0, -1.0)).rgb +
+            texture(u_input, v_uv + texel * vec2(-1.0, 1.0)).rgb +
+            texture(u_input, v_uv + texel * vec2(1.0, 1.0)).rgb
+        ) * 0.25, 1.0);
+    }
+`;
+
+/**
+ * Blurs a level with a 3x3 tent filter as it is scaled up and added to the level above.
+ * @type {string}
+ */
+BloomPass.UPSAMPLE_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform float u_radius;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    void main() {
+        vec2 offset = u_radius / vec2(textureSize(u_input, 0));
+        vec3 color = texture(u_input, v_uv).rgb * 4.0;
+        color += (
+            texture(u_input, v_uv + offset * vec2(-1.0, 0.0)).rgb +
+            texture(u_input, v_uv + offset * vec2(1.0, 0.0)).rgb +
+            texture(u_input, v_uv + offset * vec2(0.0, -1.0)).rgb +
+            texture(u_input, v_uv + offset * vec2(0.0, 1.0)).rgb
+        ) * 2.0;
+        color +=
+            texture(u_input, v_uv + offset * vec2(-1.0, -1.0)).rgb +
+            texture(u_input, v_uv + offset * vec2(1.0, -1.0)).rgb +
+            texture(u_input, v_uv + offset * vec2(-1.0, 1.0)).rgb +
+            texture(u_input, v_uv + offset * vec2(1.0, 1.0)).rgb;
+        fragColor = vec4(color / 16.0, 1.0);
+    }
+`;
+
+/**
+ * Adds the glow to the image.
+ * @type {string}
+ */
+BloomPass.FRAGMENT_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform sampler2D u_bloom;
+    uniform float u_strength;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    void main() {
+        fragColor = vec4(texture(u_input, v_uv).rgb + texture(u_bloom, v_uv).rgb * u_strength, 1.0);
+    }
+`;
+
+/**
+ * Maps the scene's colors, which can be brighter than white, onto the screen's range,
+ * then encodes them for display. Put it after SSAO and bloom and before the passes
+ * that expect colors between 0 and 1, like color grading and FXAA.
+ * @class
+ */
+class ToneMappingPass extends PostProcessPass {
+    /**
+     * @param {object} [options={}] - Pass options.
+     * @param {string} [options.operator='aces'] - One of ToneMappingPass.OPERATORS: 'aces' for a filmic curve,
+     *     'reinhard' for a gentle one, or 'linear' to just clip at white.
+     * @param {number} [options.exposure=1] - Multiplies the colors before mapping them.
+     * @param {string} [options.encoding='linear'] - One of ToneMappingPass.ENCODINGS: 'linear' to leave the colors
+     *     as they are, 'srgb' for the sRGB curve or 'gamma' for a plain power curve with gamma. The lighting is
+     *     done in gamma space, so only use 'srgb' or 'gamma' with materials and passes that work in linear space.
+     * @param {number} [options.gamma=2.2] - The gamma for the 'gamma' encoding.
+     */
+    constructor(options = {}) {
+        super('toneMapping', ToneMappingPass.FRAGMENT_SOURCE);
+        this.operator = options.operator || 'aces';
+        this.exposure = options.exposure !== undefined ? options.exposure : 1;
+        this.encoding = options.encoding || 'linear';
+        this.gamma = options.gamma || 2.2;
+        if (!ToneMappingPass.OPERATORS.includes(this.operator)) {
+            throw new Error('Unknown tone mapping operator "' + this.operator + '". Valid operators are: ' + ToneMappingPass.OPERATORS.join(', '));
+        }
+        if (!ToneMappingPass.ENCODINGS.includes(this.encoding)) {
+            throw new Error('Unknown encoding "' + this.encoding + '". Valid encodings are: ' + ToneMappingPass.ENCODINGS.join(', '));
+        }
+    }
+    
+    getUniforms() {
+        return {
+            operator: ToneMappingPass.OPERATORS.indexOf(this.operator),
+            exposure: this.exposure,
+            encoding: ToneMappingPass.ENCODINGS.indexOf(this.encoding),
+            gamma: this.gamma
+        };
+    }
+}
+
+/**
+ * Tone mapping operators in the order the shader numbers them.
+ * @type {string[]}
+ */
+ToneMappingPass.OPERATORS = ['linear', 'aces', 'reinhard'];
+
+/**
+ * Output encodings in the order the shader numbers them.
+ * @type {string[]}
+ */
+ToneMappingPass.ENCODINGS = ['linear', 'srgb', 'gamma'];
+
+/** @type {string} */
+ToneMappingPass.FRAGMENT_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform int u_operator;
+    uniform float u_exposure;
+    uniform int u_encoding;
+    uniform float u_gamma;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    // Krzysztof Narkowicz's fit of the ACES filmic curve
+    vec3 aces(vec3 x) {
+        return (x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14);
+    }
+    
+    vec3 linearToSRGB(vec3 color) {
+        return mix(color * 12.92, 1.055 * pow(color, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, color));
+    }
+    
+    void main() {
+        vec3 color = max(texture(u_input, v_uv).rgb * u_exposure, 0.0);
+        if (u_operator == 1) {
+            color = aces(color);
+        } else if (u_operator == 2) {
+            color = color / (1.0 + color);
+        }
+        color = clamp(color, 0.0, 1.0);
+        if (u_encoding == 1) {
+            color = linearToSRGB(color);
+        } else if (u_encoding == 2) {
+            color = pow(color, vec3(1.0 / u_gamma));
+        }
+        fragColor = vec4(color, 1.0);
+    }
+`;
+
+/**
+ * Changes the colors of the image with a lookup table, the kind made by grading a
+ * screenshot with a neutral table in an image editor. Put it after tone mapping.
+ * @class
+ */
+class ColorGradingPass extends PostProcessPass {
+    /**
+     * @param {object} options - Pass options.
+     * @param {Texture} options.lut - The lookup table: `size` squares side by side, blue going up from one
+     *     square to the next, red going right and green going down inside each one, like the neutral
+     *     tables from Unreal and Unity. The pass is skipped until it has loaded.
+     * @param {number} [options.size=16] - How many colors the table has along each side.
+     * @param {number} [options.intensity=1] - How much of the graded color to use, from 0 to 1.
+     */
+    constructor(options = {}) {
+        super('colorGrading', ColorGradingPass.FRAGMENT_SOURCE);
+        if (!(options.lut instanceof Texture)) {
+            throw new Error('A color grading pass needs a lut texture');
+        }
+        this.lut = options.lut;
+        this.size = options.size || 16;
+        this.intensity = options.intensity !== undefined ? options.intensity : 1;
+    }
+    
+    getUniforms() {
+        return { lut: this.lut, size: this.size, intensity: this.intensity };
+    }
+}
+
+/** @type {string} */
+ColorGradingPass.FRAGMENT_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform sampler2D u_lut;
+    uniform float u_size;
+    uniform float u_intensity;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    void main() {
+        vec3 color = clamp(texture(u_input, v_uv).rgb, 0.0, 1.0);
+        // Blend between the squares for the two nearest blues. Sampling at texel centers keeps
+        // the filtering inside a square, and level 0 keeps the mipmaps out of it.
+        float blue = color.b * (u_size - 1.0);
+        float blue0 = floor(blue);
+        float blue1 = min(blue0 + 1.0, u_size - 1.0);
+        float x = (color.r * (u_size - 1.0) + 0.5) / (u_size * u_size);
+        float y = 1.0 - (color.g * (u_size - 1.0) + 0.5) / u_size;
+        vec3 graded = mix(
+            textureLod(u_lut, vec2(x + blue0 / u_size, y), 0.0).rgb,
+            textureLod(u_lut, vec2(x + blue1 / u_size, y), 0.0).rgb,
+            blue - blue0
+        );
+        fragColor = vec4(mix(color, graded, u_intensity), 1.0);
+    }
+`;
+
+/**
+ * Darkens the edges of the screen.
+ * @class
+ */
+class VignettePass extends PostProcessPass {
+    /**
+     * @param {object} [options={}] - Pass options.
+     * @param {number} [options.intensity=0.5] - How dark it gets, from 0 to 1.
+     * @param {number} [options.radius=1] - Where it is darkest, as a fraction of the way from the middle to the corners.
+     * @param {number} [options.softness=0.6] - How far in from the radius it starts to darken.
+     * @param {number[]} [options.color=[0, 0, 0]] - The RGB color the edges fade to.
+     */
+    constructor(options = {}) {
+        super('vignette', VignettePass.FRAGMENT_SOURCE);
+        this.intensity = options.intensity !== undefined ? options.intensity : 0.5;
+        this.radius = options.radius !== undefined ? options.radius : 1;
+        this.softness = options.softness !== undefined ? options.softness : 0.6;
+        this.color = options.color || [0, 0, 0];
+    }
+    
+    getUniforms() {
+        return { intensity: this.intensity, radius: this.radius, softness: this.softness, color: this.color };
+    }
+}
+
+/** @type {string} */
+VignettePass.FRAGMENT_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform vec2 u_resolution;
+    uniform float u_intensity;
+    uniform float u_radius;
+    uniform float u_softness;
+    uniform vec3 u_color;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    void main() {
+        // Round on any screen shape, and 1 at the corners
+        vec2 aspect = vec2(u_resolution.x / u_resolution.y, 1.0);
+        float edge = length((v_uv - 0.5) * aspect) / length(0.5 * aspect);
+        float amount = smoothstep(u_radius - u_softness, u_radius, edge) * u_intensity;
+        fragColor = vec4(mix(texture(u_input, v_uv).rgb, u_color, amount), 1.0);
+    }
+`;
+
+/**
+ * Fast approximate antialiasing: smooths jagged edges by blurring along them.
+ * Put it last, after tone mapping, since it judges edges by brightness.
+ * @class
+ */
+class FXAAPass extends PostProcessPass {
+    /**
+     * @param {object} [options={}] - Pass options.
+     * @param {number} [options.span=8] - The longest blur along an edge, in pixels.
+     */
+    constructor(options = {}) {
+        super('fxaa', FXAAPass.FRAGMENT_SOURCE);
+        this.span = options.span || 8;
+    }
+    
+    getUniforms() {
+        return { span: this.span };
+    }
+}
+
+/**
+ * Based on Timothy Lottes's FXAA 3.11, the simplified version without the edge search.
+ * @type {string}
+ */
+FXAAPass.FRAGMENT_SOURCE = `#version 300 es
+    precision highp float;
+    
+    uniform sampler2D u_input;
+    uniform float u_span;
+    
+    in vec2 v_uv;
+    out vec4 fragColor;
+    
+    const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+    
+    void main() {
+        vec2 texel = 1.0 / vec2(textureSize(u_input, 0));
+        vec3 rgbM = texture(u_input, v_uv).rgb;
+        float lumaNW = dot(texture(u_input, v_uv + texel * vec2(-1.0, -1.0)).rgb, LUMA);
+        float lumaNE = dot(texture(u_input, v_uv + texel * vec2(1.0, -1.0)).rgb, LUMA);
+        float lumaSW = dot(texture(u_input, v_uv + texel * vec2(-1.0, 1.0)).rgb, LUMA);
+        float lumaSE = dot(texture(u_input, v_uv + texel * vec2(1.0, 1.0)).rgb, LUMA);
+        float lumaM = dot(rgbM, LUMA);
+        float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+        float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+        
+        // The edge runs across the direction the brightness changes fastest
+        vec2 direction = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+        float reduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.03125, 1.0 / 128.0);
+        float scale = 1.0 / (min(abs(direction.x), abs(direction.y)) + reduce);
+        direction = clamp(direction * scale, -u_span, u_span) * texel;
+        
+        vec3 rgbA = 0.5 * (
+            texture(u_input, v_uv + direction * (1.0 / 3.0 - 0.5)).rgb +
+            texture(u_input, v_uv + direction * (2.0 / 3.0 - 0.5)).rgb
+        );
+        vec3 rgbB = rgbA * 0.5 + 0.25 * (
+            texture(u_input, v_uv - direction * 0.5).rgb +
+            texture(u_input, v_uv + direction * 0.5).rgb
+        );
+        float lumaB = dot(rgbB, LUMA);
+        // The wider blur went past the edge if it got brighter or darker than anything nearby
+        fragColor = vec4(lumaB < lumaMin || lumaB > lumaMax ? rgbA : rgbB, 1.0);
+    }
+`;
+
+/**
+ * Represents the camera in the scene.
+ * @class
+ */
+class Camera {
+    constructor() {
+        this.position = [0, 0, 10];
+        this.rotation = [0, 0];
+        /**
+         * How the view is projected: 'perspective', 'orthographic', or 'custom' to use
+         * projectionMatrix as it is. See setProjectionMatrix.
+         */
+        this.projection = 'perspective';
+        this.fov = 45;
+        /** Half the height of the view in units, for orthographic projection. */
+        this.orthographicSize = 10;
+        /** The projection matrix used with custom projection. */
+        this.projectionMatrix = null;
+        this.aspect = 1;
+        this.near = 0.1;
+        this.far = 100;
+        /** Size of the canvas in CSS pixels, kept up to date by WebThreeDee. */
+        this.viewportWidth = 1;
+        this.viewportHeight = 1;
+    }
+    
+    /**
+     * Creates a ray from the camera through a point on the screen, for picking parts with the mouse.
+     * @param {number} x - Pixels from the left edge of the canvas, like a mouse event's offsetX.
+     * @param {number} y - Pixels from the top edge of the canvas, like a mouse event's offsetY.
+     * @returns {{origin: Vector, direction: Vector}} The ray, starting on the near plane, with a unit direction.
+     */
+    screenPointToRay(x, y) {
+        const ndcX = (x / this.viewportWidth) * 2 - 1;
+        const ndcY = 1 - (y / this.viewportHeight) * 2;
+        
+        const viewProjection = mat4.multiply(mat4.create(), this.getProjectionMatrix(), this.getViewMatrix());
+        const inverse = mat4.invert(mat4.create(), viewProjection);
+        const near = mat4.transformPoint(inverse, vector(ndcX, ndcY, -1));
+        const far = mat4.transformPoint(inverse, vector(ndcX, ndcY, 1));
+        return { origin: near, direction: far.sub(near).unit() };
+    }
+    
+    /**
+     * Finds where a point in the world appears on the screen, for example to pin an
+     * HTML label to a part.
+     * @param {Vector} point - The point in world space.
+     * @returns {{x: number, y: number, depth: number, visible: boolean}} The position in pixels from
+     *     the top left of the canvas, the depth from 0 (near plane) to 1 (far plane), and whether
+     *     the point is in front of the camera and inside the view.
+     */
+    worldToScreenPoint(point) {
+        const m = mat4.multiply(mat4.create(), this.getProjectionMatrix(), this.getViewMatrix());
+        const x = m[0] * point.x + m[4] * point.y + m[8] * point.z + m[12];
+        const y = m[1] * point.x + m[5] * point.y + m[9] * point.z + m[13];
+        const z = m[2] * point.x + m[6] * point.y + m[10] * point.z + m[14];
+        const w = m[3] * point.x + m[7] * point.y + m[11] * point.z + m[15];
+        const ndcX = x / w, ndcY = y / w, ndcZ = z / w;
+        return {
+            x: (ndcX + 1) / 2 * this.viewportWidth,
+            y: (1 - ndcY) / 2 * this.viewportHeight,
+            depth: (ndcZ + 1) / 2,
+            visible: w > 0 && Math.max(Math.abs(ndcX), Math.abs(ndcY), Math.abs(ndcZ)) <= 1 + 1e-6
+        };
+    }
+    
+    /**
+     * Finds the point in the world under a point on the screen, at a given depth.
+     * The opposite of worldToScreenPoint.
+     * @param {number} x - Pixels from the left edge of the canvas.
+     * @param {number} y - Pixels from the top edge of the canvas.
+     * @param {number} [depth=0] - The depth from 0 (near plane) to 1 (far plane).
+     * @returns {Vector} The point in world space.
+     */
+    screenToWorldPoint(x, y, depth = 0) {
+        const ndc = vector((x / this.viewportWidth) * 2 - 1, 1 - (y / this.viewportHeight) * 2, depth * 2 - 1);
+        const viewProjection = mat4.multiply(mat4.create(), this.getProjectionMatrix(), this.getViewMatrix());
+        return mat4.transformPoint(mat4.invert(mat4.create(), viewProjection), ndc);
+    }
+    
+    /**
+     * Moves the camera by a given amount in world coordinates.
+     * @param {number} x - Amount to move on the X axis.
+     * @param {number} y - Amount to move on the Y axis.
+     * @param {number} z - Amount to move on the Z axis.
+     */
+    move(x, y, z) {
+        this.position[0] += x;
+        this.position[1] += y;
+        this.position[2] += z;
+    }
+    
+    /**
+     * Moves the camera relative to its current rotation.
+     * @param {number} right - Amount to move right.
+     * @param {number} up - Amount to move up.
+     * @param {number} forward - Amount to move forward.
+     */
+    moveRelative(right, up, forward) {
+        const yaw = this.rotation[0];
+        const pitch = this.rotation[1];
+        
+        const cosPitch = Math.cos(pitch);
+        const sinPitch = Math.sin(pitch);
+        const cosYaw = Math.cos(yaw);
+        const sinYaw = Math.sin(yaw);
+
+        // Forward vector
+        const fwdX = -sinYaw * cosPitch;
+        const fwdY = sinPitch;
+        const fwdZ = -cosYaw * cosPitch;
+
+        // Right vector
+        const rightX = cosYaw;
+        const rightY = 0;
+        const rightZ = -sinYaw;
+        
+        // Up vector
+        const upX = sinYaw * sinPitch;
+        const upY = cosPitch;
+        const upZ = cosYaw * sinPitch;
+
+        this.position[0] += (forward * fwdX + right * rightX + up * upX);
+        this.position[1] += (forward * fwdY + right * rightY + up * upY);
+        this.position[2] += (forward * fwdZ + right * rightZ + up * upZ);
+    }
+    
+    /**
+     * Gets the direction the camera is looking.
+     * @returns {Vector} The forward unit vector.
+     */
+    getLookVector() {
+        const pitch = this.rotation[1];
+        return vector(-Math.sin(this.rotation[0]) * Math.cos(pitch), Math.sin(pitch), -Math.cos(this.rotation[0]) * Math.cos(pitch));
+    }
+    
+    /**
+     * Gets the direction to the right of the camera. It is always level.
+     * @returns {Vector} The right unit vector.
+     */
+    getRightVector() {
+        return vector(Math.cos(this.rotation[0]), 0, -Math.sin(this.rotation[0]));
+    }
+    
+    /**
+     * Gets the direction of the top of the screen.
+     * @returns {Vector} The up unit vector.
+     */
+    getUpVector() {
+        return this.getRightVector().cross(this.getLookVector());
+    }
+    
+    /**
+     * Turns the camera to look at a point.
+     * @param {Vector} target - The point to look at.
+     */
+    lookAt(target) {
+        const direction = target.sub(vector(...this.position));
+        const length = direction.magnitude();
+        if (length < 1e-9) {
+            return;
+        }
+        this.rotation[0] = Math.atan2(-direction.x, -direction.z);
+        this.rotation[1] = Math.asin(Math.max(-1, Math.min(1, direction.y / length)));
+    }
+
+    /**
+     * Rotates the camera.
+     * @param {number} yaw - Rotation around the Y axis.
+     * @param {number} pitch - Rotation around the X axis.
+     */
+    rotate(yaw, pitch) {
+        this.rotation[0] += yaw;
+        this.rotation[1] = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.rotation[1] + pitch));
+    }
+    
+    /**
+     * Zooms the camera by moving it backward along the direction it is looking, or
+     * with orthographic projection, by showing more of the scene.
+     * @param {number} delta - The distance to move back, or the units to add to
+     *     orthographicSize. Negative values zoom in.
+     */
+    zoom(delta) {
+        if (this.projection === 'orthographic') {
+            this.orthographicSize = Math.max(0.01, this.orthographicSize + delta);
+        } else {
+            this.moveRelative(0, 0, -delta);
+        }
+    }
+    
+    /**
+     * Calculates and returns the view matrix.
+     * @returns {mat4} The view matrix.
+     */
+    getViewMatrix() {
+        const matrix = mat4.create();
+        mat4.translate(matrix, matrix, this.position);
+        mat4.rotateY(matrix, matrix, this.rotation[0]);
+        mat4.rotateX(matrix, matrix, this.rotation[1]);
+        mat4.invert(matrix, matrix);
+        return matrix;
+    }
+    
+    /**
+     * Calculates and returns the projection matrix.
+     * @returns {mat4} The projection matrix.
+     */
+    getProjectionMatrix() {
+        const matrix = mat4.create();
+        switch (this.projection) {
+            case 'perspective':
+                mat4.perspective(matrix, this.fov * Math.PI / 180, this.aspect, this.near, this.far);
+                break;
+            case 'orthographic': {
+                const height = this.orthographicSize;
+                const width = height * this.aspect;
+                mat4.ortho(matrix, -width, width, -height, height, this.near, this.far);
+                break;
+            }
+            case 'custom':
+                if (!this.projectionMatrix) {
+                    throw new Error('Custom projection needs a projectionMatrix');
+                }
+                mat4.copy(matrix, this.projectionMatrix);
+                break;
+            default:
+                throw new Error(`Unknown projection: ${this.projection}`);
+        }
+        return matrix;
+    }
+    
+    /**
+     * Uses a projection matrix of your own, such as an off-axis projection, instead
+     * of building one from the camera's settings.
+     * @param {mat4|number[]} matrix - The 4x4 projection matrix in column-major order.
+     */
+    setProjectionMatrix(matrix) {
+        if (!matrix || matrix.length !== 16) {
+            throw new Error('A projection matrix needs 16 numbers');
+        }
+        this.projectionMatrix = new Float32Array(matrix);
+        this.projection = 'custom';
+    }
+    
+    /**
+     * Gets the position lighting is calculated from. An orthographic camera looks
+     * along parallel lines, as if from infinitely far away, so it uses a point far
+     * behind the camera.
+     * @returns {number[]} The position.
+     * @private
+     */
+    getShadingPosition() {
+        if (this.projection !== 'orthographic') {
+            return this.position;
+        }
+        const back = this.getLookVector().scale(-Camera.ORTHOGRAPHIC_SHADING_DISTANCE);
+        return vector(...this.position).add(back).toArray();
+    }
+}
+
+/** How far behind an orthographic camera lighting is calculated from. See getShadingPosition. */
+Camera.ORTHOGRAPHIC_SHADING_DISTANCE = 1e4;
+
+/**
+ * Service that gathers mouse, keyboard, touch and gamepad input into one place,
+ * so game code and camera controllers can ask what is held down each frame
+ * instead of listening to events.
+ *
+ * Inputs are named by strings: keyboard keys by their KeyboardEvent.key in lower
+ * case ('w', 'shift', 'arrowup', 'space'), mouse buttons as 'mouseleft', 'mousemiddle'
+ * and 'mouseright', 'touch' while a finger is down, and gamepad buttons and sticks as
+ * 'gamepad:' followed by a name from InputService.GAMEPAD_BUTTONS or InputService.GAMEPAD_AXES.
+ * Actions give names to groups of inputs, so the same code works with any of them.
+ *
+ * The keyboard, and stopping the page from scrolling, zooming or showing its menu over the
+ * canvas, are only captured while something needs them: a camera controller that reads
+ * input, a bound action or axis, or capture being set.
+ * @class
+ */
+class InputService {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The main WebThreeDee instance.
+     * @param {object} [options={}] - Service options.
+     * @param {boolean} [options.attach=true] - Whether to start listening for input straight away.
+     */
+    constructor(webthreedeeInstance, options = {}) {
+        this.webthreedee = webthreedeeInstance;
+        /** Stick values smaller than this count as zero. */
+        this.deadzone = 0.15;
+        /**
+         * Whether to capture the keyboard, wheel and right-click even when no controller
+         * or binding needs them, e.g. to read raw keys with isDown.
+         * @type {boolean}
+         */
+        this.capture = false;
+        
+        /** Fires with the input name when an input is pressed. */
+        this.inputBegan = new Signal();
+        /** Fires with the input name when an input is released. */
+        this.inputEnded = new Signal();
+        /** Fires with the action name when an action is pressed. */
+        this.actionBegan = new Signal();
+        /** Fires with the action name when an action is released. */
+        this.actionEnded = new Signal();
+        
+        /** Where the mouse is, in CSS pixels from the top left of the canvas. */
+        this.mousePosition = { x: 0, y: 0 };
+        /** How far the mouse moved this frame, in pixels. Also works while the pointer is locked. */
+        this.mouseDelta = { x: 0, y: 0 };
+        /** How far the wheel scrolled this frame, in pixels. Positive scrolls down. */
+        this.wheelDelta = 0;
+        /** How far a single finger dragged this frame, in pixels. */
+        this.touchDelta = { x: 0, y: 0 };
+        /** How much two fingers spread apart this frame, as a ratio. Over 1 means spreading. */
+        this.pinchDelta = 1;
+        /** How far two fingers moved together this frame, in pixels. */
+        this.panDelta = { x: 0, y: 0 };
+        /** How many fingers are on the canvas. */
+        this.touchCount = 0;
+        
+        this.actions = new Map();
+        this.axes = new Map();
+        this.down = new Set();
+        this.analog = new Map();
+        this.touches = new Map();
+        this.listeners = [];
+        /**
+         * The listeners that keep the keyboard, wheel and right-click from the page, while capturing.
+         * @private
+         */
+        this.captureListeners = [];
+        /**
+         * Whether the keyboard, wheel and right-click are being captured.
+         * @private
+         */
+        this.capturing = false;
+        /**
+         * The canvas's touchAction style from before capturing, to put back after.
+         * @private
+         */
+        this.touchAction = null;
+        // Events arrive between frames; they are collected here and become
+        // visible all at once when the next frame starts
+        this.pending = this.createFrameState();
+        this.frame = this.createFrameState();
+        this.actionStates = new Map();
+        
+        if (options.attach !== false) {
+            this.attach();
+        }
+    }
+    
+    /**
+     * Gives a name to a group of inputs. The action is down while any of them is.
+     * @param {string} name - The action name.
+     * @param {string[]} inputs - The input names.
+     */
+    bindAction(name, inputs) {
+        this.actions.set(name, inputs.map(input => input.toLowerCase()));
+        this.updateCapture();
+    }
+    
+    /**
+     * Removes an action or axis.
+     * @param {string} name - The action or axis name.
+     */
+    unbind(name) {
+        this.actions.delete(name);
+        this.axes.delete(name);
+        this.actionStates.delete(name);
+        this.updateCapture();
+    }
+    
+    /**
+     * Gives a name to an axis made of buttons and sticks, like movement from
+     * WASD or a thumbstick.
+     * @param {string} name - The axis name.
+     * @param {object} binding - The inputs.
+     * @param {string[]} [binding.positive=[]] - Inputs that push the axis to 1.
+     * @param {string[]} [binding.negative=[]] - Inputs that push the axis to -1.
+     * @param {string[]} [binding.analog=[]] - Analog inputs like 'gamepad:leftx' added to it.
+     */
+    bindAxis(name, binding) {
+        const lower = list => (list || []).map(input => input.toLowerCase());
+        this.axes.set(name, {
+            positive: lower(binding.positive),
+            negative: lower(binding.negative),
+            analog: lower(binding.analog)
+        });
+        this.updateCapture();
+    }
+    
+    /**
+     * Checks whether an input or action is held down.
+     * @param {string} name - An input or action name.
+     * @returns {boolean} True while it is down.
+     */
+    isDown(name) {
+        return this.resolve(name).some(input => this.down.has(input));
+    }
+    
+    /**
+     * Checks whether an input or action was pressed since the last frame.
+     * @param {string} name - An input or action name.
+     * @returns {boolean} True on the frame it was pressed.
+     */
+    justPressed(name) {
+        if (this.actions.has(name)) {
+            const state = this.actionStates.get(name);
+            return !!state && state.began;
+        }
+        return this.frame.pressed.has(name.toLowerCase());
+    }
+    
+    /**
+     * Checks whether an input or action was released since the last frame.
+     * @param {string} name - An input or action name.
+     * @returns {boolean} True on the frame it was released.
+     */
+    justReleased(name) {
+        if (this.actions.has(name)) {
+            const state = this.actionStates.get(name);
+            return !!state && state.ended;
+        }
+        return this.frame.released.has(name.toLowerCase());
+    }
+    
+    /**
+     * Gets the value of an axis or analog input.
+     * @param {string} name - An axis name, or an analog input like 'gamepad:leftx'.
+     * @returns {number} The value from -1 to 1.
+     */
+    getAxis(name) {
+        const axis = this.axes.get(name);
+        if (!axis) {
+            return this.getAnalog(name.toLowerCase());
+        }
+        let value = 0;
+        if (axis.positive.some(input => this.down.has(input))) {
+            value += 1;
+        }
+        if (axis.negative.some(input => this.down.has(input))) {
+            value -= 1;
+        }
+        axis.analog.forEach(input => { value += this.getAnalog(input); });
+        return Math.max(-1, Math.min(1, value));
+    }
+    
+    /**
+     * Locks the mouse pointer to the canvas, hiding it, so mouseDelta keeps
+     * updating however far it moves. Browsers only allow this soon after a click or key press.
+     */
+    lockPointer() {
+        const canvas = this.webthreedee.canvas;
+        if (canvas && typeof canvas.requestPointerLock === 'function' && !this.isPointerLocked()) {
+            canvas.requestPointerLock();
+        }
+    }
+    
+    /**
+     * Releases a pointer lock.
+     */
+    unlockPointer() {
+        if (this.isPointerLocked()) {
+            document.exitPointerLock();
+        }
+    }
+    
+    /**
+     * Checks whether the pointer is locked to the canvas.
+     * @returns {boolean} True while it is locked.
+     */
+    isPointerLocked() {
+        return typeof document !== 'undefined' && !!this.webthreedee.canvas &&
+            document.pointerLockElement === this.webthreedee.canvas;
+    }
+    
+    /**
+     * Starts a new frame: makes the input since the last frame visible to the
+     * queries, polls gamepads, and fires the began and ended signals.
+     * WebThreeDee.step calls this at the start of every frame.
+     */
+    update() {
+        this.frame = this.pending;
+        this.pending = this.createFrameState();
+        this.mouseDelta = this.frame.mouseDelta;
+        this.wheelDelta = this.frame.wheelDelta;
+        this.touchDelta = this.frame.touchDelta;
+        this.pinchDelta = this.frame.pinchDelta;
+        this.panDelta = this.frame.panDelta;
+        this.pollGamepads();
+        this.updateCapture();
+        
+        this.frame.pressed.forEach(input => this.inputBegan.fire(input));
+        this.frame.released.forEach(input => this.inputEnded.fire(input));
+        this.actions.forEach((inputs, name) => {
+            const wasDown = this.actionStates.has(name) && this.actionStates.get(name).down;
+            // Taps that went down and up between frames still count as a press
+            const tapped = inputs.some(input => this.frame.pressed.has(input));
+            const isDown = this.isDown(name);
+            const state = { down: isDown, began: (isDown || tapped) && !wasDown, ended: false };
+            state.ended = !isDown && (wasDown || tapped);
+            this.actionStates.set(name, state);
+            if (state.began) {
+                this.actionBegan.fire(name);
+            }
+            if (state.ended) {
+                this.actionEnded.fire(name);
+            }
+        });
+    }
+    
+    /**
+     * Starts listening for input on the canvas. Called automatically when the service
+     * is created, unless the attach option is false.
+     */
+    attach() {
+        if (this.listeners.length > 0) {
+            return;
+        }
+        const canvas = this.webthreedee.canvas;
+        const win = typeof window !== 'undefined' ? window : null;
+        
+        this.listen(canvas, 'pointerdown', (e) => {
+            if (e.pointerType === 'touch') {
+                this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                this.updateTouchCount();
+            } else {
+                this.press(InputService.MOUSE_BUTTONS[e.button]);
+            }
+            if (typeof canvas.setPointerCapture === 'function') {
+                canvas.setPointerCapture(e.pointerId);
+            }
+        });
+        this.listen(canvas, 'pointermove', (e) => {
+            if (e.pointerType === 'touch') {
+                this.moveTouch(e.pointerId, e.clientX, e.clientY);
+                return;
+            }
+            this.mousePosition = { x: e.offsetX, y: e.offsetY };
+            this.pending.mouseDelta.x += e.movementX || 0;
+            this.pending.mouseDelta.y += e.movementY || 0;
+        });
+        const pointerEnd = (e) => {
+            if (e.pointerType === 'touch') {
+                this.touches.delete(e.pointerId);
+                this.updateTouchCount();
+            } else {
+                this.release(InputService.MOUSE_BUTTONS[e.button]);
+            }
+        };
+        this.listen(canvas, 'pointerup', pointerEnd);
+        this.listen(canvas, 'pointercancel', pointerEnd);
+        this.listen(canvas, 'wheel', (e) => this.scroll(e), { passive: true });
+        this.listen(win, 'blur', () => {
+            // Keys released while the window is in the background never send keyup
+            [...this.down].filter(input => !input.startsWith('gamepad:')).forEach(input => this.release(input));
+        });
+        this.updateCapture();
+    }
+    
+    /**
+     * Stops listening for input and forgets everything held down.
+     */
+    destroy() {
+        this.listeners.forEach(([target, type, handler, options]) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+        this.stopCapturing();
+        this.down.clear();
+        this.touches.clear();
+        this.touchCount = 0;
+        this.unlockPointer();
+    }
+    
+    /**
+     * Starts or stops capturing the keyboard, wheel and right-click, depending on
+     * whether the camera controller, a binding or the capture property needs them.
+     * @private
+     */
+    updateCapture() {
+        const controller = this.webthreedee.cameraController;
+        const needed = this.listeners.length > 0 && (this.capture || this.actions.size > 0 || this.axes.size > 0 ||
+            (!!controller && controller.usesInput));
+        if (needed && !this.capturing) {
+            this.startCapturing();
+        } else if (!needed && this.capturing) {
+            this.stopCapturing();
+        }
+    }
+    
+    /**
+     * Listens for keys on the document, and keeps scrolling, touch gestures and the
+     * right-click menu on the canvas from reaching the page.
+     * @private
+     */
+    startCapturing() {
+        const canvas = this.webthreedee.canvas;
+        const doc = typeof document !== 'undefined' ? document : null;
+        const list = this.captureListeners;
+        if (canvas && canvas.style) {
+            // Let touches reach us instead of scrolling or zooming the page
+            this.touchAction = canvas.style.touchAction;
+            canvas.style.touchAction = 'none';
+        }
+        // The passive wheel listener already counts the scrolling
+        this.listen(canvas, 'wheel', (e) => e.preventDefault(), { passive: false }, list);
+        this.listen(canvas, 'contextmenu', (e) => e.preventDefault(), undefined, list);
+        this.listen(doc, 'keydown', (e) => {
+            if (!isTyping(e) && !e.repeat) {
+                this.press(keyName(e.key));
+            }
+        }, undefined, list);
+        this.listen(doc, 'keyup', (e) => this.release(keyName(e.key)), undefined, list);
+        this.capturing = true;
+    }
+    
+    /**
+     * Gives the keyboard, wheel and right-click back to the page.
+     * @private
+     */
+    stopCapturing() {
+        this.captureListeners.forEach(([target, type, handler, options]) => target.removeEventListener(type, handler, options));
+        this.captureListeners = [];
+        this.capturing = false;
+        const canvas = this.webthreedee.canvas;
+        if (this.touchAction !== null && canvas && canvas.style) {
+            canvas.style.touchAction = this.touchAction;
+        }
+        this.touchAction = null;
+        // Keys can't be released once they aren't listened to
+        [...this.down].filter(input => !input.startsWith('gamepad:') && !input.startsWith('mouse') && input !== 'touch')
+            .forEach(input => this.release(input));
+    }
+    
+    /**
+     * Adds up a wheel event.
+     * @param {WheelEvent} e - The event.
+     * @private
+     */
+    scroll(e) {
+        // Lines and pages are rough guesses at a pixel size
+        const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+        this.pending.wheelDelta += e.deltaY * scale;
+    }
+    
+    /**
+     * Adds an event listener that is removed again by destroy.
+     * @param {EventTarget|null} target - What to listen to. Nothing happens if it is missing.
+     * @param {string} type - The event type.
+     * @param {Function} handler - The listener.
+     * @param {object} [options] - Listener options.
+     * @param {Array} [list=this.listeners] - The list to remember it in.
+     * @private
+     */
+    listen(target, type, handler, options, list = this.listeners) {
+        if (!target || typeof target.addEventListener !== 'function') {
+            return;
+        }
+        target.addEventListener(type, handler, options);
+        list.push([target, type, handler, options]);
+    }
+    
+    /**
+     * Creates the record of what happened during one frame.
+     * @returns {object} An empty frame state.
+     * @private
+     */
+    createFrameState() {
+        return {
+            pressed: new Set(),
+            released: new Set(),
+            mouseDelta: { x: 0, y: 0 },
+            wheelDelta: 0,
+            touchDelta: { x: 0, y: 0 },
+            pinchDelta: 1,
+            panDelta: { x: 0, y: 0 }
+        };
+    }
+    
+    /**
+     * Records an input being pressed.
+     * @param {string} input - The input name.
+     * @private
+     */
+    press(input) {
+        if (input && !this.down.has(input)) {
+            this.down.add(input);
+            this.pending.pressed.add(input);
+        }
+    }
+    
+    /**
+     * Records an input being released.
+     * @param {string} input - The input name.
+     * @private
+     */
+    release(input) {
+        if (input && this.down.has(input)) {
+            this.down.delete(input);
+            this.pending.released.add(input);
+        }
+    }
+    
+    /**
+     * Keeps the 'touch' input and gesture tracking in step with the fingers on the canvas.
+     * @private
+     */
+    updateTouchCount() {
+        this.touchCount = this.touches.size;
+        if (this.touchCount > 0) {
+            this.press('touch');
+        } else {
+            this.release('touch');
+        }
+    }
+    
+    /**
+     * Turns a finger moving into a drag, or with two fingers, a pinch and pan.
+     * @param {number} id - The pointer id.
+     * @param {number} x - The new x position in pixels.
+     * @param {number} y - The new y position in pixels.
+     * @private
+     */
+    moveTouch(id, x, y) {
+        const touch = this.touches.get(id);
+        if (!touch) {
+            return;
+        }
+        const before = [...this.touches.values()].slice(0, 2).map(t => ({ x: t.x, y: t.y }));
+        const deltaX = x - touch.x;
+        const deltaY = y - touch.y;
+        touch.x = x;
+        touch.y = y;
+        
+        if (this.touches.size === 1) {
+            this.pending.touchDelta.x += deltaX;
+            this.pending.touchDelta.y += deltaY;
+            return;
+        }
+        const after = [...this.touches.values()].slice(0, 2);
+        const spread = points => Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+        if (spread(before) > 0) {
+            this.pending.pinchDelta *= spread(after) / spread(before);
+        }
+        this.pending.panDelta.x += (after[0].x + after[1].x - before[0].x - before[1].x) / 2;
+        this.pending.panDelta.y += (after[0].y + after[1].y - before[0].y - before[1].y) / 2;
+    }
+    
+    /**
+     * Reads the buttons and sticks of every connected gamepad. Gamepads can't
+     * be listened to, so they are checked once a frame.
+     * @private
+     */
+    pollGamepads() {
+        this.analog.clear();
+        const pads = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function'
+            ? [...navigator.getGamepads()].filter(Boolean)
+            : [];
+        const held = new Set();
+        pads.forEach(pad => {
+            pad.buttons.forEach((button, i) => {
+                if (InputService.GAMEPAD_BUTTONS[i] && button.pressed) {
+                    held.add('gamepad:' + InputService.GAMEPAD_BUTTONS[i]);
+                }
+            });
+            pad.axes.forEach((value, i) => {
+                const name = InputService.GAMEPAD_AXES[i];
+                if (name && Math.abs(value) > Math.abs(this.analog.get('gamepad:' + name) || 0)) {
+                    this.analog.set('gamepad:' + name, value);
+                }
+            });
+        });
+        
+        InputService.GAMEPAD_BUTTONS.forEach(button => {
+            const input = 'gamepad:' + button;
+            if (held.has(input) && !this.down.has(input)) {
+                this.down.add(input);
+                this.frame.pressed.add(input);
+            } else if (!held.has(input) && this.down.has(input)) {
+                this.down.delete(input);
+                this.frame.released.add(input);
+            }
+        });
+    }
+    
+    /**
+     * Gets an analog input's value with the deadzone applied.
+     * @param {string} input - The input name.
+     * @returns {number} The value from -1 to 1.
+     * @private
+     */
+    getAnalog(input) {
+        const value = this.analog.get(input) || 0;
+        if (Math.abs(value) < this.deadzone) {
+            return 0;
+        }
+        // Rescale so the value starts from 0 at the edge of the deadzone
+        return Math.sign(value) * (Math.abs(value) - this.deadzone) / (1 - this.deadzone);
+    }
+    
+    /**
+     * Gets the inputs an input or action name stands for.
+     * @param {string} name - An input or action name.
+     * @returns {string[]} The input names.
+     * @private
+     */
+    resolve(name) {
+        return this.actions.get(name) || [name.toLowerCase()];
+    }
+}
+
+/** Input names of mouse buttons, by MouseEvent.button. */
+InputService.MOUSE_BUTTONS = ['mouseleft', 'mousemiddle', 'mouseright'];
+/** Gamepad button names, in the order of the standard gamepad layout. */
+InputService.GAMEPAD_BUTTONS = [
+    'a', 'b', 'x', 'y', 'lb', 'rb', 'lt', 'rt', 'back', 'start', 'ls', 'rs', 'up', 'down', 'left', 'right', 'home'
+];
+/** Gamepad stick names, in the order of the standard gamepad layout. Down is positive on the y axes. */
+InputService.GAMEPAD_AXES = ['leftx', 'lefty', 'rightx', 'righty'];
+
+/**
+ * Gets the input name of a keyboard key.
+ * @param {string} key - A KeyboardEvent.key value.
+ * @returns {string} The input name.
+ * @private
+ */
+function keyName(key) {
+    return key === ' ' ? 'space' : key.toLowerCase();
+}
+
+/**
+ * Checks whether a keyboard event is someone typing into a text field, which
+ * game input should ignore.
+ * @param {KeyboardEvent} e - The event.
+ * @returns {boolean} True if the event's target is editable.
+ * @private
+ */
+function isTyping(e) {
+    const target = e.target;
+    return !!target && (target.isContentEditable || /^(input|textarea|select)$/i.test(target.tagName || ''));
+}
+
+/**
+ * Base class for camera controllers, which move the camera each frame, usually in
+ * response to input from the InputService. Set one with WebThreeDee.setCameraController.
+ * @class
+ */
+class CameraController {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance whose camera is controlled.
+     */
+    constructor(webthreedeeInstance) {
+        this.webthreedee = webthreedeeInstance;
+        this.camera = webthreedeeInstance.camera;
+        this.input = webthreedeeInstance.inputService;
+        /** Whether the controller responds to input and moves the camera. */
+        this.enabled = true;
+        /**
+         * Whether the controller reads the keyboard, wheel or right mouse button, so the
+         * InputService keeps them from the page while it is the camera controller.
+         * @type {boolean}
+         */
+        this.usesInput = true;
+    }
+    
+    /**
+     * Moves the camera for this frame.
+     * @param {number} deltaTime - The time since the last frame, in seconds.
+     */
+    update(deltaTime) {}
+    
+    /**
+     * Cleans up when the controller is replaced or removed.
+     */
+    destroy() {}
+}
+
+/**
+ * Gets how far to move towards a goal this frame for a damping setting, independent
+ * of frame rate.
+ * @param {number} damping - The damping, from 0 (snap to the goal) towards 1 (very slow).
+ * @param {number} deltaTime - The frame time in seconds.
+ * @returns {number} The fraction of the remaining distance to move.
+ * @private
+ */
+function dampingFactor(damping, deltaTime) {
+    return damping > 0 ? 1 - Math.pow(damping, deltaTime * 60) : 1;
+}
+
+/**
+ * Orbits the camera around a target point. Drag with the left mouse button or one
+ * finger to rotate, the right mouse button, shift and left, or two fingers to pan,
+ * and scroll or pinch to zoom. The right stick of a gamepad rotates too.
+ * @class
+ */
+class OrbitController extends CameraController {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance whose camera is controlled.
+     * @param {object} [options={}] - Controller options.
+     * @param {Vector} [options.target] - The point to orbit around. Defaults to the origin.
+     * @param {number} [options.distance] - Starting distance from the target. Defaults to the camera's current distance.
+     * @param {number} [options.minDistance=1] - The closest the camera can zoom in.
+     * @param {number} [options.maxDistance=Infinity] - The farthest the camera can zoom out.
+     * @param {number} [options.minPitch=-89] - The lowest the camera can look from, in degrees.
+     * @param {number} [options.maxPitch=89] - The highest the camera can look from, in degrees.
+     * @param {number} [options.rotateSensitivity=0.005] - Radians turned per pixel dragged.
+     * @param {number} [options.panSensitivity=0.002] - Distance panned per pixel dragged, times the distance from the target.
+     * @param {number} [options.zoomSensitivity=0.001] - How much each pixel of scrolling zooms, as a fraction of the distance.
+     * @param {number} [options.gamepadSensitivity=3] - Radians turned per second with the stick pushed all the way.
+     * @param {number} [options.damping=0.75] - Smoothing from 0 (none) towards 1 (very smooth).
+     */
+    constructor(webthreedeeInstance, options = {}) {
+        super(webthreedeeInstance);
+        const camera = this.camera;
+        this.target = options.target || vector(0, 0, 0);
+        this.minDistance = options.minDistance !== undefined ? options.minDistance : 1;
+        this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
+        this.minPitch = options.minPitch !== undefined ? options.minPitch : -89;
+        this.maxPitch = options.maxPitch !== undefined ? options.maxPitch : 89;
+        this.rotateSensitivity = options.rotateSensitivity || 0.005;
+        this.panSensitivity = options.panSensitivity || 0.002;
+        this.zoomSensitivity = options.zoomSensitivity || 0.001;
+        this.gamepadSensitivity = options.gamepadSensitivity || 3;
+        this.damping = options.damping !== undefined ? options.damping : 0.75;
+        
+        // Start from wherever the camera is, looking at the target
+        const offset = vector(...camera.position).sub(this.target);
+        const distance = options.distance || offset.magnitude() || 10;
+        const direction = offset.magnitude() > 1e-9 ? offset.unit() : vector(0, 0, 1);
+        this.goal = {
+            yaw: Math.atan2(direction.x, direction.z),
+            pitch: Math.asin(Math.max(-1, Math.min(1, direction.y))),
+            distance: Math.max(this.minDistance, Math.min(this.maxDistance, distance)),
+            target: this.target
+        };
+        this.current = Object.assign({}, this.goal);
+    }
+    
+    /**
+     * Orbits around the target.
+     * @param {number} yaw - Radians to turn around the vertical axis.
+     * @param {number} pitch - Radians to raise the camera by.
+     */
+    rotate(yaw, pitch) {
+        const limit = angle => angle * Math.PI / 180;
+        this.goal.yaw += yaw;
+        this.goal.pitch = Math.max(limit(this.minPitch), Math.min(limit(this.maxPitch), this.goal.pitch + pitch));
+    }
+    
+    /**
+     * Moves the target across the screen.
+     * @param {number} deltaX - Pixels to pan right.
+     * @param {number} deltaY - Pixels to pan down.
+     */
+    pan(deltaX, deltaY) {
+        const scale = this.panSensitivity * this.goal.distance;
+        const right = this.camera.getRightVector();
+        const up = this.camera.getUpVector();
+        this.goal.target = this.goal.target.sub(right.scale(deltaX * scale)).add(up.scale(deltaY * scale));
+        this.target = this.goal.target;
+    }
+    
+    /**
+     * Changes the distance from the target.
+     * @param {number} factor - What to multiply the distance by. Over 1 zooms out.
+     */
+    zoom(factor) {
+        this.goal.distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.goal.distance * factor));
+        if (this.camera.projection === 'orthographic') {
+            // Moving closer doesn't change an orthographic view, so zoom the view itself
+            this.camera.orthographicSize = Math.max(0.01, this.camera.orthographicSize * factor);
+        }
+    }
+    
+    update(deltaTime) {
+        if (!this.enabled) {
+            return;
+        }
+        const input = this.input;
+        const panning = input.isDown('mouseright') || input.isDown('mousemiddle') ||
+            (input.isDown('mouseleft') && input.isDown('shift'));
+        if (panning) {
+            this.pan(input.mouseDelta.x, input.mouseDelta.y);
+        } else if (input.isDown('mouseleft')) {
+            this.rotate(-input.mouseDelta.x * this.rotateSensitivity, input.mouseDelta.y * this.rotateSensitivity);
+        }
+        this.rotate(-input.touchDelta.x * this.rotateSensitivity, input.touchDelta.y * this.rotateSensitivity);
+        this.pan(input.panDelta.x, input.panDelta.y);
+        this.zoom(Math.exp(input.wheelDelta * this.zoomSensitivity) / input.pinchDelta);
+        const turn = this.gamepadSensitivity * deltaTime;
+        this.rotate(-input.getAxis('gamepad:rightx') * turn, input.getAxis('gamepad:righty') * turn);
+        
+        // Picks up targets set directly on the controller
+        this.goal.target = this.target;
+        const alpha = dampingFactor(this.damping, deltaTime);
+        const current = this.current;
+        current.yaw += (this.goal.yaw - current.yaw) * alpha;
+        current.pitch += (this.goal.pitch - current.pitch) * alpha;
+        current.distance += (this.goal.distance - current.distance) * alpha;
+        current.target = current.target.lerp(this.goal.target, alpha);
+        
+        const cosPitch = Math.cos(current.pitch);
+        const offset = vector(Math.sin(current.yaw) * cosPitch, Math.sin(current.pitch), Math.cos(current.yaw) * cosPitch);
+        this.camera.position = current.target.add(offset.scale(current.distance)).toArray();
+        this.camera.lookAt(current.target);
+    }
+}
+
+/**
+ * Flies the camera around freely. Keys or the left stick move it relative to where
+ * it looks, and the mouse, a finger or the right stick turn it. The mouse turns it by
+ * dragging or, with pointer lock, by just moving. On touch screens two fingers move
+ * it, pinching to go forward and back.
+ * @class
+ */
+class FlyController extends CameraController {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance whose camera is controlled.
+     * @param {object} [options={}] - Controller options.
+     * @param {number} [options.speed=6] - Units moved per second.
+     * @param {number} [options.fastMultiplier=3] - How much faster to move while the fast key is held.
+     * @param {number} [options.lookSensitivity=0.005] - Radians turned per pixel the mouse moves.
+     * @param {number} [options.zoomSensitivity=0.001] - Units moved per pixel of scrolling.
+     * @param {number} [options.gamepadSensitivity=3] - Radians turned per second with the stick pushed all the way.
+     * @param {boolean} [options.pointerLock=false] - Whether clicking the canvas locks the pointer so
+     *     the mouse turns the camera without dragging, like in first-person games.
+     * @param {object} [options.keys] - Inputs to change, by action: forward, back, left, right, up, down
+     *     and fast. Each is an input name or a list of them, as used by InputService.
+     */
+    constructor(webthreedeeInstance, options = {}) {
+        super(webthreedeeInstance);
+        this.speed = options.speed || 6;
+        this.fastMultiplier = options.fastMultiplier || 3;
+        this.lookSensitivity = options.lookSensitivity || 0.005;
+        this.zoomSensitivity = options.zoomSensitivity || 0.001;
+        this.gamepadSensitivity = options.gamepadSensitivity || 3;
+        this.pointerLock = options.pointerLock || false;
+        this.keys = Object.assign({}, FlyController.DEFAULT_KEYS, options.keys);
+    }
+    
+    destroy() {
+        this.input.unlockPointer();
+    }
+    
+    update(deltaTime) {
+        if (!this.enabled) {
+            return;
+        }
+        const input = this.input;
+        const camera = this.camera;
+        if (this.pointerLock && input.justPressed('mouseleft')) {
+            input.lockPointer();
+        }
+        
+        // Looking around
+        if (input.isPointerLocked()) {
+            camera.rotate(-input.mouseDelta.x * this.lookSensitivity, -input.mouseDelta.y * this.lookSensitivity);
+        } else if (input.isDown('mouseleft')) {
+            camera.rotate(input.mouseDelta.x * this.lookSensitivity, input.mouseDelta.y * this.lookSensitivity);
+        }
+        camera.rotate(input.touchDelta.x * this.lookSensitivity, input.touchDelta.y * this.lookSensitivity);
+        const turn = this.gamepadSensitivity * deltaTime;
+        camera.rotate(-input.getAxis('gamepad:rightx') * turn, -input.getAxis('gamepad:righty') * turn);
+        
+        // Moving
+        const held = action => [].concat(this.keys[action]).some(key => input.isDown(key));
+        const axis = (positive, negative) => (held(positive) ? 1 : 0) - (held(negative) ? 1 : 0);
+        const distance = this.speed * deltaTime * (held('fast') ? this.fastMultiplier : 1);
+        const right = Math.max(-1, Math.min(1, axis('right', 'left') + input.getAxis('gamepad:leftx')));
+        const forward = Math.max(-1, Math.min(1, axis('forward', 'back') - input.getAxis('gamepad:lefty')));
+        camera.moveRelative(right * distance, 0, forward * distance);
+        // Up and down stay vertical however the camera is pitched
+        camera.move(0, axis('up', 'down') * distance, 0);
+        
+        // Scrolling, pinching and two-finger dragging move directly
+        camera.zoom(input.wheelDelta * this.zoomSensitivity);
+        camera.zoom(-Math.log(input.pinchDelta) * this.speed);
+        camera.moveRelative(-input.panDelta.x * this.lookSensitivity * this.speed, input.panDelta.y * this.lookSensitivity * this.speed, 0);
+    }
+}
+
+FlyController.DEFAULT_KEYS = {
+    forward: 'w',
+    back: 's',
+    left: 'a',
+    right: 'd',
+    up: 'e',
+    down: 'q',
+    fast: 'shift'
+};
+
+/**
+ * Keeps the camera behind a part, like a chase camera, smoothly following as it
+ * moves and turns.
+ * @class
+ */
+class FollowController extends CameraController {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance whose camera is controlled.
+     * @param {Instance} subject - The part or model to follow.
+     * @param {object} [options={}] - Controller options.
+     * @param {Vector} [options.offset] - Where the camera sits, relative to the subject. Defaults to behind and above it.
+     * @param {Vector} [options.lookOffset] - The point the camera looks at, relative to the subject. Defaults to its center.
+     * @param {boolean} [options.rotateWithSubject=true] - Whether the offset turns with the subject.
+     *     When false the camera keeps the same direction from the subject however it turns.
+     * @param {number} [options.damping=0.85] - Smoothing from 0 (rigidly attached) towards 1 (very loose).
+     */
+    constructor(webthreedeeInstance, subject, options = {}) {
+        super(webthreedeeInstance);
+        if (!(subject instanceof Instance)) {
+            throw new Error('FollowController needs a part or model to follow');
+        }
+        this.subject = subject;
+        this.offset = options.offset || vector(0, 3, 10);
+        this.lookOffset = options.lookOffset || vector(0, 0, 0);
+        this.rotateWithSubject = options.rotateWithSubject !== false;
+        this.damping = options.damping !== undefined ? options.damping : 0.85;
+        this.position = null;
+        this.usesInput = false;
+    }
+    
+    update(deltaTime) {
+        if (!this.enabled) {
+            return;
+        }
+        const cframe = this.subject.getWorldCFrame();
+        const goal = this.rotateWithSubject
+            ? cframe.pointToWorldSpace(this.offset)
+            : cframe.position.add(this.offset);
+        this.position = this.position ? this.position.lerp(goal, dampingFactor(this.damping, deltaTime)) : goal;
+        this.camera.position = this.position.toArray();
+        this.camera.lookAt(cframe.pointToWorldSpace(this.lookOffset));
+    }
+}
+
+/**
+ * A controller with no user input, for cutscenes and cameras driven by code. The
+ * camera stays wherever it is put, or is moved by a function each frame.
+ * @class
+ */
+class ScriptedController extends CameraController {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance whose camera is controlled.
+     * @param {Function} [callback] - Called each frame with the camera and the frame time in seconds.
+     */
+    constructor(webthreedeeInstance, callback) {
+        super(webthreedeeInstance);
+        this.callback = callback || null;
+        this.usesInput = false;
+    }
+    
+    update(deltaTime) {
+        if (this.enabled && this.callback) {
+            this.callback(this.camera, deltaTime);
+        }
+    }
+}
+
+/**
+ * Converts a scene to and from the plain JSON objects made by exportScene. Reading
+ * checks the whole document before anything is created, so a malformed scene
+ * throws without touching the current one.
+ * @class
+ * @private
+ */
+class SceneSerializer {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance whose scene is saved or loaded.
+     */
+    constructor(webthreedeeInstance) {
+        this.webthreedee = webthreedeeInstance;
+    }
+    
+    /**
+     * Saves the scene.
+     * @returns {object} The scene document.
+     */
+    write() {
+        const w = this.webthreedee;
+        const textures = [];
+        const materials = [];
+        const geometries = [];
+        const textureIndices = new Map();
+        const materialIndices = new Map();
+        const geometryIndices = new Map();
+        const ids = new Map();
+        // Constraints moved onto combined parts, linked up once the scene's constraints are written
+        const moved = [];
+        
+        const writeTexture = texture => {
+            if (!textureIndices.has(texture)) {
+                const source = texture.source;
+                let saved = null;
+                if (typeof source === 'string') {
+                    saved = source;
+                } else if (source && source.data && typeof source.width === 'number') {
+                    saved = { width: source.width, height: source.height, data: Array.from(source.data) };
+                } else {
+                    console.warn('Textures made from images or canvases are not saved, use a URL instead');
+                }
+                textureIndices.set(texture, saved === null ? null : textures.length);
+                if (saved !== null) {
+                    textures.push({
+                        source: saved,
+                        wrapS: texture.wrapS,
+                        wrapT: texture.wrapT,
+                        filter: texture.filter,
+                        mipmaps: texture.mipmaps,
+                        flipY: texture.flipY
+                    });
+                }
+            }
+            return textureIndices.get(texture);
+        };
+        
+        const writeMaterial = material => {
+            if (!materialIndices.has(material)) {
+                const saved = {
+                    kind: material instanceof PBRMaterial ? 'pbr' : 'standard',
+                    color: material.color.slice(),
+                    shininess: material.shininess,
+                    reflectance: material.reflectance,
+                    emissive: material.emissive.slice(),
+                    tiling: material.tiling.slice(),
+                    offset: material.offset.slice(),
+                    transparency: material.transparency,
+                    blendMode: material.blendMode,
+                    transparent: material.transparent
+                };
+                if (material instanceof PBRMaterial) {
+                    saved.metallic = material.metallic;
+                    saved.roughness = material.roughness;
+                }
+                Material.MAPS.forEach(map => {
+                    if (material[map]) {
+                        saved[map] = writeTexture(material[map]);
+                    }
+                });
+                materialIndices.set(material, materials.length);
+                materials.push(saved);
+            }
+            return materialIndices.get(material);
+        };
+        
+        const writeInstance = instance => {
+            const id = ids.size;
+            ids.set(instance, id);
+            const saved = {
+                id,
+                className: instance instanceof Shape ? 'Shape' : 'Model',
+                name: instance.name,
+                cframe: writeCFrame(instance.cframe)
+            };
+            if (instance instanceof Shape) {
+                Object.assign(saved, {
+                    type: instance.type,
+                    size: writeVector(instance.size),
+                    material: writeMaterial(instance.material),
+                    castShadow: instance.castShadow,
+                    receiveShadow: instance.receiveShadow,
+                    anchored: instance.anchored,
+                    canCollide: instance.canCollide,
+                    density: instance.density,
+                    friction: instance.friction,
+                    restitution: instance.restitution,
+                    velocity: writeVector(instance.velocity),
+                    angularVelocity: writeVector(instance.angularVelocity),
+                    lod: instance.lod,
+                    segments: instance.segments !== null ? instance.segments : undefined,
+                    thickness: instance.thickness
+                });
+                if (instance.type.toLowerCase() === 'mesh') {
+                    if (!geometryIndices.has(instance.geometry)) {
+                        geometryIndices.set(instance.geometry, geometries.length);
+                        geometries.push({
+                            vertices: Array.from(instance.geometry.vertices),
+                            indices: Array.from(instance.geometry.indices)
+                        });
+                    }
+                    saved.geometry = geometryIndices.get(instance.geometry);
+                }
+                if (instance.csgSource) {
+                    // The original parts, so separate still works after loading
+                    const source = instance.csgSource;
+                    saved.csg = {
+                        operation: source.operation,
+                        parts: source.parts.map(entry => ({ instance: writeInstance(entry.part), cframe: writeCFrame(entry.cframe) })),
+                        constraints: []
+                    };
+                    source.constraints.forEach(entry => {
+                        if (entry.internal) {
+                            saved.csg.constraints.push(writeConstraint(entry.constraint, entry));
+                        } else {
+                            moved.push({ list: saved.csg.constraints, entry });
+                        }
+                    });
+                }
+            }
+            saved.attributes = writeAttributes(instance);
+            saved.children = instance.children.map(writeInstance);
+            return saved;
+        };
+        
+        const writeConstraint = (c, joint = c) => ({
+            type: c.type,
+            part0: ids.get(joint.part0),
+            part1: ids.get(joint.part1),
+            enabled: c.enabled,
+            c0: writeCFrame(joint.c0),
+            c1: writeCFrame(joint.c1),
+            motorSpeed: c.motorSpeed,
+            // JSON has no Infinity, null means unlimited
+            motorMaxTorque: c.motorMaxTorque === Infinity ? null : c.motorMaxTorque,
+            lowerAngle: c.lowerAngle,
+            upperAngle: c.upperAngle,
+            length: c.length,
+            restLength: c.restLength,
+            stiffness: c.stiffness,
+            damping: c.damping
+        });
+        
+        const camera = w.camera;
+        const instances = w.scene.children.map(writeInstance);
+        // Constraints to parts outside the scene can't be loaded back, so they are left out
+        const constraints = w.partsService.constraints.filter(c => ids.has(c.part0) && ids.has(c.part1));
+        moved.forEach(({ list, entry }) => {
+            const index = constraints.indexOf(entry.constraint);
+            if (index !== -1) {
+                list.push({
+                    constraint: index,
+                    part0: ids.get(entry.part0),
+                    part1: ids.get(entry.part1),
+                    c0: writeCFrame(entry.c0),
+                    c1: writeCFrame(entry.c1)
+                });
+            }
+        });
+        return {
+            format: SceneSerializer.FORMAT,
+            version: WebThreeDee.SCENE_VERSION,
+            camera: {
+                position: camera.position.slice(),
+                rotation: camera.rotation.slice(),
+                projection: camera.projection,
+                fov: camera.fov,
+                orthographicSize: camera.orthographicSize,
+                near: camera.near,
+                far: camera.far,
+                projectionMatrix: camera.projectionMatrix ? Array.from(camera.projectionMatrix) : null
+            },
+            lighting: {
+                ambientColor: w.lightingService.ambientColor.slice(),
+                lights: w.lightingService.lights.map(light => ({
+                    type: light.type,
+                    color: light.color.slice(),
+                    intensity: light.intensity,
+                    position: writeVector(light.position),
+                    direction: writeVector(light.direction),
+                    range: light.range,
+                    attenuation: light.attenuation.slice(),
+                    innerAngle: light.innerAngle,
+                    outerAngle: light.outerAngle,
+                    castShadow: light.castShadow,
+                    shadowBias: light.shadowBias,
+                    shadowMapSize: light.shadowMapSize,
+                    shadowDistance: light.shadowDistance,
+                    enabled: light.enabled
+                }))
+            },
+            attributes: writeAttributes(w.scene),
+            textures,
+            materials,
+            geometries,
+            instances,
+            constraints: constraints.map(c => writeConstraint(c))
+        };
+    }
+    
+    /**
+     * Checks a scene document and converts it into options for the objects it describes.
+     * @param {object} data - The scene document.
+     * @returns {object} The checked scene, ready for build.
+     */
+    read(data) {
+        const reader = new SceneReader();
+        reader.object(data, 'scene');
+        if (data.format !== SceneSerializer.FORMAT) {
+            reader.fail('scene.format', 'must be "' + SceneSerializer.FORMAT + '"');
+        }
+        const version = reader.integer(data.version, 'scene.version', 1);
+        if (version > WebThreeDee.SCENE_VERSION) {
+            reader.fail('scene.version', 'is ' + version + ', but only versions up to ' + WebThreeDee.SCENE_VERSION +
+                ' can be loaded. Update webthreedee to load this scene');
+        }
+        
+        const textures = reader.list(data.textures, 'scene.textures', (texture, path) => {
+            reader.object(texture, path);
+            const source = texture.source;
+            if (typeof source !== 'string') {
+                if (!source || typeof source !== 'object') {
+                    reader.fail(path + '.source', 'must be a URL or an object with width, height and data');
+                }
+                const width = reader.integer(source.width, path + '.source.width', 1);
+                const height = reader.integer(source.height, path + '.source.height', 1);
+                reader.numbers(source.data, path + '.source.data', width * height * 4);
+            }
+            return {
+                source,
+                options: {
+                    wrapS: reader.choice(texture.wrapS, path + '.wrapS', ['repeat', 'clamp', 'mirror']),
+                    wrapT: reader.choice(texture.wrapT, path + '.wrapT', ['repeat', 'clamp', 'mirror']),
+                    filter: reader.choice(texture.filter, path + '.filter', ['linear', 'nearest']),
+                    mipmaps: reader.boolean(texture.mipmaps, path + '.mipmaps'),
+                    flipY: reader.boolean(texture.flipY, path + '.flipY')
+                }
+            };
+        });
+        
+        const materials = reader.list(data.materials, 'scene.materials', (material, path) => {
+            reader.object(material, path);
+            const kind = reader.choice(material.kind, path + '.kind', ['standard', 'pbr']) || 'standard';
+            const options = {
+                shininess: reader.number(material.shininess, path + '.shininess'),
+                reflectance: reader.number(material.reflectance, path + '.reflectance'),
+                emissive: reader.color(material.emissive, path + '.emissive'),
+                tiling: reader.numbers(material.tiling, path + '.tiling', 2),
+                offset: reader.numbers(material.offset, path + '.offset', 2),
+                transparency: reader.number(material.transparency, path + '.transparency'),
+                blendMode: reader.choice(material.blendMode, path + '.blendMode', ['alpha', 'additive']),
+                transparent: reader.boolean(material.transparent, path + '.transparent'),
+                metallic: reader.number(material.metallic, path + '.metallic'),
+                roughness: reader.number(material.roughness, path + '.roughness')
+            };
+            Material.MAPS.forEach(map => {
+                // null marks a texture that couldn't be saved
+                if (material[map] !== null) {
+                    options[map] = reader.index(material[map], path + '.' + map, textures.length);
+                }
+            });
+            return { kind, color: reader.color(material.color, path + '.color') || [1, 1, 1], options };
+        });
+        
+        const geometries = reader.list(data.geometries, 'scene.geometries', (geometry, path) => {
+            reader.object(geometry, path);
+            const { vertices, indices } = geometry;
+            if (!Array.isArray(vertices) || vertices.length % Shape.VERTEX_STRIDE !== 0 ||
+                !vertices.every(n => typeof n === 'number' && isFinite(n))) {
+                reader.fail(path + '.vertices', 'must be an array of numbers, ' + Shape.VERTEX_STRIDE + ' per vertex');
+            }
+            const count = vertices.length / Shape.VERTEX_STRIDE;
+            if (!Array.isArray(indices) || indices.length % 3 !== 0 ||
+                !indices.every(i => Number.isInteger(i) && i >= 0 && i < count)) {
+                reader.fail(path + '.indices', 'must be an array of vertex indices, 3 per triangle');
+            }
+            return { vertices: vertices.slice(), indices: indices.slice() };
+        });
+        
+        const ids = new Map();
+        const combined = [];
+        const readInstance = (instance, path) => {
+            reader.object(instance, path);
+            const className = reader.choice(instance.className, path + '.className', ['Model', 'Shape']);
+            if (!className) {
+                reader.fail(path + '.className', 'is required');
+            }
+            const options = {
+                name: reader.string(instance.name, path + '.name'),
+                cframe: reader.cframe(instance.cframe, path + '.cframe')
+            };
+            let type = null;
+            if (className === 'Shape') {
+                type = instance.type;
+                if (typeof type !== 'string') {
+                    reader.fail(path + '.type', 'is required');
+                }
+                // Types are case-insensitive, like in createGeometry
+                reader.choice(type.toLowerCase(), path + '.type', Shape.TYPES);
+                Object.assign(options, {
+                    size: reader.vector(instance.size, path + '.size'),
+                    material: reader.index(instance.material, path + '.material', materials.length),
+                    castShadow: reader.boolean(instance.castShadow, path + '.castShadow'),
+                    receiveShadow: reader.boolean(instance.receiveShadow, path + '.receiveShadow'),
+                    anchored: reader.boolean(instance.anchored, path + '.anchored'),
+                    canCollide: reader.boolean(instance.canCollide, path + '.canCollide'),
+                    density: reader.number(instance.density, path + '.density'),
+                    friction: reader.number(instance.friction, path + '.friction'),
+                    restitution: reader.number(instance.restitution, path + '.restitution'),
+                    velocity: reader.vector(instance.velocity, path + '.velocity'),
+                    angularVelocity: reader.vector(instance.angularVelocity, path + '.angularVelocity'),
+                    lod: instance.lod === 'auto' ? 'auto' : reader.index(instance.lod, path + '.lod', Shape.LOD_SEGMENTS.length),
+                    segments: instance.segments !== undefined ? reader.integer(instance.segments, path + '.segments', 3) : undefined,
+                    thickness: reader.number(instance.thickness, path + '.thickness')
+                });
+                if (type.toLowerCase() === 'mesh') {
+                    options.geometry = reader.index(instance.geometry, path + '.geometry', geometries.length);
+                    if (options.geometry === undefined) {
+                        reader.fail(path + '.geometry', 'is required for meshes');
+                    }
+                }
+            }
+            const read = {
+                className,
+                type,
+                options,
+                attributes: reader.attributes(instance.attributes, path + '.attributes'),
+                children: reader.list(instance.children, path + '.children', readInstance)
+            };
+            if (className === 'Shape' && type.toLowerCase() === 'mesh' && instance.csg !== undefined) {
+                const csg = reader.object(instance.csg, path + '.csg');
+                const operation = reader.choice(csg.operation, path + '.csg.operation', ['union', 'subtract', 'intersect']);
+                if (!operation) {
+                    reader.fail(path + '.csg.operation', 'is required');
+                }
+                const parts = reader.list(csg.parts, path + '.csg.parts', (entry, entryPath) => {
+                    reader.object(entry, entryPath);
+                    const part = readInstance(entry.instance, entryPath + '.instance');
+                    if (part.className !== 'Shape') {
+                        reader.fail(entryPath + '.instance', 'must be a Shape');
+                    }
+                    return { part, cframe: reader.cframe(entry.cframe, entryPath + '.cframe') || new CFrame() };
+                });
+                if (parts.length < 2) {
+                    reader.fail(path + '.csg.parts', 'must have at least two parts');
+                }
+                // Constraints refer to parts by id, so they are read once every instance has been
+                read.csg = { operation, parts, constraints: [] };
+                combined.push({ read, constraints: csg.constraints, path: path + '.csg.constraints' });
+            }
+            if (instance.id !== undefined) {
+                const id = reader.integer(instance.id, path + '.id', 0);
+                if (ids.has(id)) {
+                    reader.fail(path + '.id', 'is used by more than one instance');
+                }
+                ids.set(id, read);
+            }
+            return read;
+        };
+        const instances = reader.list(data.instances, 'scene.instances', readInstance);
+        
+        const readParts = (constraint, path) => ['part0', 'part1'].map(key => {
+            const part = ids.get(reader.integer(constraint[key], path + '.' + key, 0));
+            if (!part || part.className !== 'Shape') {
+                reader.fail(path + '.' + key, 'must be the id of a Shape');
+            }
+            return part;
+        });
+        const readConstraint = (constraint, path) => {
+            reader.object(constraint, path);
+            const type = reader.choice(constraint.type, path + '.type', Constraint.TYPES);
+            const parts = readParts(constraint, path);
+            if (!type) {
+                reader.fail(path + '.type', 'is required');
+            }
+            if (parts[0] === parts[1]) {
+                reader.fail(path, 'must join two different parts');
+            }
+            const nullable = (value, key) => value === null ? null : reader.number(value, path + '.' + key);
+            return {
+                type,
+                parts,
+                options: {
+                    enabled: reader.boolean(constraint.enabled, path + '.enabled'),
+                    c0: reader.cframe(constraint.c0, path + '.c0'),
+                    c1: reader.cframe(constraint.c1, path + '.c1'),
+                    motorSpeed: nullable(constraint.motorSpeed, 'motorSpeed'),
+                    motorMaxTorque: constraint.motorMaxTorque === null ? undefined
+                        : reader.number(constraint.motorMaxTorque, path + '.motorMaxTorque'),
+                    lowerAngle: nullable(constraint.lowerAngle, 'lowerAngle'),
+                    upperAngle: nullable(constraint.upperAngle, 'upperAngle'),
+                    length: reader.number(constraint.length, path + '.length'),
+                    restLength: reader.number(constraint.restLength, path + '.restLength'),
+                    stiffness: reader.number(constraint.stiffness, path + '.stiffness'),
+                    damping: reader.number(constraint.damping, path + '.damping')
+                }
+            };
+        };
+        const constraints = reader.list(data.constraints, 'scene.constraints', readConstraint);
+        
+        // Constraints of combined parts are either between their original parts, or ones in the
+        // scene's list that were moved onto the combined part from one of the originals
+        combined.forEach(({ read, constraints: saved, path }) => {
+            read.csg.constraints = reader.list(saved, path, (entry, entryPath) => {
+                if (!entry || entry.constraint === undefined) {
+                    return readConstraint(entry, entryPath);
+                }
+                const index = reader.index(entry.constraint, entryPath + '.constraint', constraints.length);
+                return {
+                    constraint: index,
+                    parts: readParts(entry, entryPath),
+                    c0: reader.cframe(entry.c0, entryPath + '.c0') || new CFrame(),
+                    c1: reader.cframe(entry.c1, entryPath + '.c1') || new CFrame()
+                };
+            });
+        });
+        
+        let camera = null;
+        if (data.camera !== undefined) {
+            const saved = data.camera;
+            reader.object(saved, 'scene.camera');
+            camera = {
+                position: reader.numbers(saved.position, 'scene.camera.position', 3),
+                rotation: reader.numbers(saved.rotation, 'scene.camera.rotation', 2),
+                projection: reader.choice(saved.projection, 'scene.camera.projection', ['perspective', 'orthographic', 'custom']),
+                fov: reader.number(saved.fov, 'scene.camera.fov'),
+                orthographicSize: reader.number(saved.orthographicSize, 'scene.camera.orthographicSize'),
+                near: reader.number(saved.near, 'scene.camera.near'),
+                far: reader.number(saved.far, 'scene.camera.far'),
+                projectionMatrix: saved.projectionMatrix === null ? null
+                    : reader.numbers(saved.projectionMatrix, 'scene.camera.projectionMatrix', 16)
+            };
+            if (camera.projection === 'custom' && !camera.projectionMatrix) {
+                reader.fail('scene.camera.projectionMatrix', 'is required for custom projection');
+            }
+        }
+        
+        let lighting = null;
+        if (data.lighting !== undefined) {
+            reader.object(data.lighting, 'scene.lighting');
+            const lights = reader.list(data.lighting.lights, 'scene.lighting.lights', (light, path) => {
+                reader.object(light, path);
+                const type = reader.choice(light.type, path + '.type', [...Light.TYPES, 'ambient']);
+                if (!type) {
+                    reader.fail(path + '.type', 'is required');
+                }
+                return {
+                    type,
+                    enabled: reader.boolean(light.enabled, path + '.enabled'),
+                    options: {
+                        color: reader.color(light.color, path + '.color'),
+                        intensity: reader.number(light.intensity, path + '.intensity'),
+                        position: reader.vector(light.position, path + '.position'),
+                        direction: reader.vector(light.direction, path + '.direction'),
+                        range: reader.number(light.range, path + '.range'),
+                        attenuation: reader.numbers(light.attenuation, path + '.attenuation', 3),
+                        innerAngle: reader.number(light.innerAngle, path + '.innerAngle'),
+                        outerAngle: reader.number(light.outerAngle, path + '.outerAngle'),
+                        castShadow: reader.boolean(light.castShadow, path + '.castShadow'),
+                        shadowBias: reader.number(light.shadowBias, path + '.shadowBias'),
+                        shadowMapSize: reader.integer(light.shadowMapSize, path + '.shadowMapSize', 1),
+                        shadowDistance: reader.number(light.shadowDistance, path + '.shadowDistance')
+                    }
+                };
+            });
+            if (lights.length > LightingService.MAX_LIGHTS) {
+                reader.fail('scene.lighting.lights', 'has more than ' + LightingService.MAX_LIGHTS + ' lights');
+            }
+            lighting = {
+                ambientColor: reader.numbers(data.lighting.ambientColor, 'scene.lighting.ambientColor', 3),
+                lights
+            };
+        }
+        
+        return {
+            camera,
+            lighting,
+            attributes: reader.attributes(data.attributes, 'scene.attributes'),
+            textures,
+            materials,
+            geometries,
+            instances,
+            constraints
+        };
+    }
+    
+    /**
+     * Creates the objects in a scene returned by read.
+     * @param {object} scene - The checked scene.
+     * @param {object} options - See WebThreeDee.importScene.
+     * @returns {Instance[]} The new top-level instances.
+     */
+    build(scene, options) {
+        const w = this.webthreedee;
+        const parent = options.parent || w.scene;
+        if (options.clear !== false) {
+            w.scene.children.slice().forEach(child => w.partsService.destroy(child));
+            w.partsService.constraints.slice().forEach(c => w.partsService.removeConstraint(c));
+            setAttributes(w.scene, scene.attributes, true);
+            if (scene.camera) {
+                const camera = w.camera;
+                Object.keys(scene.camera).forEach(key => {
+                    if (scene.camera[key] !== undefined) {
+                        camera[key] = scene.camera[key];
+                    }
+                });
+                if (camera.projectionMatrix) {
+                    camera.projectionMatrix = new Float32Array(camera.projectionMatrix);
+                }
+            }
+            if (scene.lighting) {
+                const lighting = w.lightingService;
+                if (scene.lighting.ambientColor) {
+                    lighting.ambientColor = scene.lighting.ambientColor;
+                }
+                lighting.clearLights();
+                scene.lighting.lights.forEach(saved => {
+                    const light = lighting.createLight(saved.type, withoutUndefined(saved.options));
+                    if (saved.enabled !== undefined) {
+                        light.enabled = saved.enabled;
+                    }
+                });
+            }
+        }
+        
+        const textures = scene.textures.map(texture =>
+            w.materialService.createTexture(texture.source, withoutUndefined(texture.options)));
+        const materials = scene.materials.map(material => {
+            const materialOptions = withoutUndefined(material.options);
+            Material.MAPS.forEach(map => {
+                if (materialOptions[map] !== undefined) {
+                    materialOptions[map] = textures[materialOptions[map]];
+                }
+            });
+            return material.kind === 'pbr'
+                ? w.materialService.createPBRMat(Object.assign({ baseColor: material.color }, materialOptions))
+                : w.materialService.createMat(material.color, materialOptions);
+        });
+        
+        const created = new Map();
+        const combined = [];
+        const buildInstance = (saved, instanceParent) => {
+            const instanceOptions = withoutUndefined(saved.options);
+            instanceOptions.parent = instanceParent;
+            if (instanceOptions.material !== undefined) {
+                instanceOptions.material = materials[instanceOptions.material];
+            }
+            if (instanceOptions.geometry !== undefined) {
+                instanceOptions.geometry = scene.geometries[instanceOptions.geometry];
+            }
+            const instance = saved.className === 'Shape'
+                ? w.partsService.createShape(saved.type, instanceOptions)
+                : w.partsService.createModel(instanceOptions);
+            setAttributes(instance, saved.attributes, false);
+            created.set(saved, instance);
+            saved.children.forEach(child => buildInstance(child, instance));
+            if (saved.csg) {
+                // The original parts are kept out of the scene until the part is separated
+                instance.csgSource = {
+                    operation: saved.csg.operation,
+                    parts: saved.csg.parts.map(entry => ({ part: buildInstance(entry.part, null), cframe: entry.cframe })),
+                    constraints: []
+                };
+                combined.push({ instance, saved });
+            }
+            return instance;
+        };
+        const instances = scene.instances.map(saved => buildInstance(saved, parent));
+        
+        const constraints = scene.constraints.map(saved =>
+            w.partsService.createConstraint(saved.type, created.get(saved.parts[0]), created.get(saved.parts[1]),
+                withoutUndefined(saved.options)));
+        combined.forEach(({ instance, saved }) => {
+            saved.csg.constraints.forEach(entry => {
+                const part0 = created.get(entry.parts[0]);
+                const part1 = created.get(entry.parts[1]);
+                if (entry.constraint !== undefined) {
+                    const { c0, c1 } = entry;
+                    instance.csgSource.constraints.push({ constraint: constraints[entry.constraint], part0, part1, c0, c1, internal: false });
+                } else {
+                    // Constraints between the original parts aren't in the scene while they're combined
+                    const constraint = new Constraint(entry.type, part0, part1, withoutUndefined(entry.options));
+                    const { c0, c1 } = constraint;
+                    instance.csgSource.constraints.push({ constraint, part0, part1, c0, c1, internal: true });
+                }
+            });
+        });
+        return instances;
+    }
+}
+
+/**
+ * The format name stored in every scene document.
+ * @type {string}
+ */
+SceneSerializer.FORMAT = 'webthreedee-scene';
+
+/**
+ * Checks the values in a scene document, throwing an error that says where the
+ * problem is. Every check returns undefined for a missing value so defaults apply.
+ * @class
+ * @private
+ */
+class SceneReader {
+    fail(path, message) {
+        throw new Error('Invalid scene: ' + path + ' ' + message);
+    }
+    
+    object(value, path) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            this.fail(path, 'must be an object');
+        }
+        return value;
+    }
+    
+    list(value, path, readItem) {
+        if (value === undefined) {
+            return [];
+        }
+        if (!Array.isArray(value)) {
+            this.fail(path, 'must be an array');
+        }
+        return value.map((item, i) => readItem(item, path + '[' + i + ']'));
+    }
+    
+    number(value, path) {
+        if (value !== undefined && (typeof value !== 'number' || !isFinite(value))) {
+            this.fail(path, 'must be a number');
+        }
+        return value;
+    }
+    
+    integer(value, path, min) {
+        if (!Number.isInteger(value) || value < min) {
+            this.fail(path, 'must be an integer of at least ' + min);
+        }
+        return value;
+    }
+    
+    index(value, path, length) {
+        if (value !== undefined && (!Number.isInteger(value) || value < 0 || value >= length)) {
+            this.fail(path, 'must be an index from 0 to ' + (length - 1));
+        }
+        return value;
+    }
+    
+    boolean(value, path) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            this.fail(path, 'must be true or false');
+        }
+        return value;
+    }
+    
+    string(value, path) {
+        if (value !== undefined && typeof value !== 'string') {
+            this.fail(path, 'must be a string');
+        }
+        return value;
+    }
+    
+    choice(value, path, choices) {
+        if (value !== undefined && !choices.includes(value)) {
+            this.fail(path, 'must be one of ' + choices.map(choice => '"' + choice + '"').join(', '));
+        }
+        return value;
+    }
+    
+    numbers(value, path, length) {
+        if (value === undefined) {
+            return undefined;
+        }
+        if (!Array.isArray(value) || value.length !== length || !value.every(n => typeof n === 'number' && isFinite(n))) {
+            this.fail(path, 'must be an array of ' + length + ' numbers');
+        }
+        return value.slice();
+    }
+    
+    color(value, path) {
+        if (value !== undefined && Array.isArray(value) && value.length === 4) {
+            return this.numbers(value, path, 4);
+        }
+        return this.numbers(value, path, 3);
+    }
+    
+    vector(value, path) {
+        const xyz = this.numbers(value, path, 3);
+        return xyz && new Vector(xyz[0], xyz[1], xyz[2]);
+    }
+    
+    cframe(value, path) {
+        if (value === undefined) {
+            return undefined;
+        }
+        this.object(value, path);
+        return new CFrame(
+            this.vector(value.position, path + '.position') || new Vector(),
+            this.vector(value.rotation, path + '.rotation') || new Vector()
+        );
+    }
+    
+    attributes(value, path) {
+        if (value === undefined) {
+            return {};
+        }
+        this.object(value, path);
+        const attributes = {};
+        Object.keys(value).forEach(name => {
+            const saved = value[name];
+            const attributePath = path + '.' + name;
+            if (saved && saved.$type === 'Vector') {
+                attributes[name] = this.vector(saved.value, attributePath + '.value');
+            } else if (saved && saved.$type === 'CFrame') {
+                attributes[name] = this.cframe(saved, attributePath);
+            } else if (isAttributeValue(saved)) {
+                attributes[name] = Array.isArray(saved) ? saved.slice() : saved;
+            } else {
+                this.fail(attributePath, 'must be a string, number, boolean, array of numbers, Vector or CFrame');
+            }
+            if (attributes[name] === undefined) {
+                this.fail(attributePath, 'is missing its value');
+            }
+        });
+        return attributes;
+    }
+}
+
+/**
+ * Converts a vector to an [x, y, z] array for saving.
+ * @param {Vector} v - The vector.
+ * @returns {number[]} The components.
+ * @private
+ */
+function writeVector(v) {
+    return [v.x, v.y, v.z];
+}
+
+/**
+ * Converts a CFrame to a plain object for saving.
+ * @param {CFrame} cframe - The CFrame.
+ * @returns {{position: number[], rotation: number[]}} The position and rotation in degrees.
+ * @private
+ */
+function writeCFrame(cframe) {
+    return { position: writeVector(cframe.position), rotation: writeVector(cframe.rotation) };
+}
+
+/**
+ * Converts an instance's attributes to plain values for saving. Vectors and CFrames
+ * are tagged with $type so they can be told apart from other objects.
+ * @param {Instance} instance - The instance.
+ * @returns {object} The attributes.
+ * @private
+ */
+function writeAttributes(instance) {
+    const attributes = {};
+    instance.attributes.forEach((value, name) => {
+        if (value instanceof Vector) {
+            attributes[name] = { $type: 'Vector', value: writeVector(value) };
+        } else if (value instanceof CFrame) {
+            attributes[name] = Object.assign({ $type: 'CFrame' }, writeCFrame(value));
+        } else {
+            attributes[name] = Array.isArray(value) ? value.slice() : value;
+        }
+    });
+    return attributes;
+}
+
+/**
+ * Sets attributes on an instance.
+ * @param {Instance} instance - The instance.
+ * @param {object} attributes - The attribute values by name.
+ * @param {boolean} replace - Whether to remove attributes that aren't in the list first.
+ * @private
+ */
+function setAttributes(instance, attributes, replace) {
+    if (replace) {
+        Array.from(instance.attributes.keys()).forEach(name => instance.setAttribute(name, null));
+    }
+    Object.keys(attributes).forEach(name => instance.setAttribute(name, attributes[name]));
+}
+
+/**
+ * Copies an options object without its undefined values, so they don't override
+ * defaults that are picked with ||.
+ * @param {object} options - The options.
+ * @returns {object} A new object.
+ * @private
+ */
+function withoutUndefined(options) {
+    const copy = {};
+    Object.keys(options).forEach(key => {
+        if (options[key] !== undefined) {
+            copy[key] = options[key];
+        }
+    });
+    return copy;
+}
+
+/**
+ * Builds parts from a glTF 2.0 asset. See PartsService.importGLTF.
+ * @class
+ * @private
+ */
+class GLTFImporter {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance to create parts in.
+     * @param {object} options - See PartsService.importGLTF.
+     */
+    constructor(webthreedeeInstance, options) {
+        this.webthreedee = webthreedeeInstance;
+        this.options = options;
+        this.json = null;
+        this.buffers = [];
+        this.materials = new Map();
+        this.textures = new Map();
+        this.geometries = new Map();
+    }
+    
+    /**
+     * Loads the asset and builds its parts.
+     * @param {ArrayBuffer|ArrayBufferView|string|object} data - The .glb or .gltf contents, or the parsed JSON.
+     * @returns {Promise<Model>} The model holding the parts.
+     */
+    load(data) {
+        let binary = null;
+        return Promise.resolve().then(() => {
+            const container = this.parseContainer(data);
+            this.json = container.json;
+            binary = container.binary;
+            const asset = this.json.asset;
+            if (!asset || typeof asset.version !== 'string' || asset.version.split('.')[0] !== '2') {
+                throw new Error('Only glTF 2.0 assets can be imported');
+            }
+            const unsupported = (this.json.extensionsRequired || []).filter(name => !GLTFImporter.EXTENSIONS.includes(name));
+            if (unsupported.length > 0) {
+                throw new Error('Unsupported glTF extensions: ' + unsupported.join(', '));
+            }
+            return Promise.all((this.json.buffers || []).map(buffer => this.loadBuffer(buffer, binary)));
+        }).then(buffers => {
+            this.buffers = buffers;
+            return this.build();
+        });
+    }
+    
+    /**
+     * Splits a .glb file into its JSON and binary chunks, or parses a .gltf file.
+     * @param {ArrayBuffer|ArrayBufferView|string|object} data - The file contents.
+     * @returns {{json: object, binary: Uint8Array|null}} The parts of the file.
+     * @private
+     */
+    parseContainer(data) {
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            const bytes = data instanceof ArrayBuffer
+                ? new Uint8Array(data)
+                : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            if (bytes.length < 12 || view.getUint32(0, true) !== GLTFImporter.GLB_MAGIC) {
+                return { json: parseJSON(new TextDecoder().decode(bytes), 'glTF'), binary: null };
+            }
+            if (view.getUint32(4, true) !== 2) {
+                throw new Error('Only version 2 .glb files can be imported');
+            }
+            const length = Math.min(view.getUint32(8, true), bytes.length);
+            let json = null;
+            let binary = null;
+            for (let offset = 12; offset + 8 <= length;) {
+                const chunkLength = view.getUint32(offset, true);
+                const chunkType = view.getUint32(offset + 4, true);
+                const chunk = bytes.subarray(offset + 8, offset + 8 + chunkLength);
+                if (chunkType === GLTFImporter.JSON_CHUNK) {
+                    json = parseJSON(new TextDecoder().decode(chunk), 'glTF');
+                } else if (chunkType === GLTFImporter.BIN_CHUNK && !binary) {
+                    binary = chunk;
+                }
+                // Chunks are padded to 4 bytes
+                offset += 8 + Math.ceil(chunkLength / 4) * 4;
+            }
+            if (!json) {
+                throw new Error('Invalid glTF: the .glb file has no JSON chunk');
+            }
+            return { json, binary };
+        }
+        if (typeof data === 'string') {
+            return { json: parseJSON(data, 'glTF'), binary: null };
+        }
+        if (!data || typeof data !== 'object') {
+            throw new Error('importGLTF needs an ArrayBuffer, a JSON string or a glTF object');
+        }
+        return { json: data, binary: null };
+    }
+    
+    /**
+     * Gets the bytes of a buffer from the .glb binary chunk, a data URI or a URL.
+     * @param {object} buffer - The glTF buffer.
+     * @param {Uint8Array|null} binary - The .glb binary chunk.
+     * @returns {Promise<Uint8Array>|Uint8Array} The bytes.
+     * @private
+     */
+    loadBuffer(buffer, binary) {
+        if (buffer.uri === undefined) {
+            if (!binary) {
+                throw new Error('Invalid glTF: a buffer has no uri and there is no .glb binary chunk');
+            }
+            return binary;
+        }
+        if (buffer.uri.startsWith('data:')) {
+            return decodeDataURI(buffer.uri);
+        }
+        const url = resolveURL(this.options.baseUrl, buffer.uri);
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error('Failed to load glTF buffer "' + url + '"');
+            }
+            return response.arrayBuffer();
+        }).then(data => new Uint8Array(data));
+    }
+    
+    /**
+     * Creates the model for the chosen scene and everything in it.
+     * @returns {Model} The model, added to its parent.
+     * @private
+     */
+    build() {
+        const json = this.json;
+        const partsService = this.webthreedee.partsService;
+        const sceneIndex = this.options.scene !== undefined ? this.options.scene : (json.scene || 0);
+        const scene = (json.scenes || [])[sceneIndex];
+        let roots;
+        if (scene) {
+            roots = scene.nodes || [];
+        } else {
+            // No scenes: every node that isn't another node's child is a root
+            const children = new Set((json.nodes || []).flatMap(node => node.children || []));
+            roots = (json.nodes || []).map((node, i) => i).filter(i => !children.has(i));
+        }
+        
+        const root = partsService.createModel({
+            name: this.options.name || (scene && scene.name) || 'Model',
+            cframe: this.options.cframe,
+            parent: null
+        });
+        try {
+            roots.forEach(index => this.buildNode(index, mat4.create(), new CFrame(), root, new Set()));
+        } catch (e) {
+            partsService.destroy(root);
+            throw e;
+        }
+        partsService.setParent(root, this.options.parent === undefined ? this.webthreedee.scene : this.options.parent);
+        return root;
+    }
+    
+    /**
+     * Creates the parts and models for a node and its children. Instances can't be
+     * scaled, so any scale is baked into the node's mesh geometry instead.
+     * @param {number} index - The node index.
+     * @param {mat4} parentMatrix - The parent node's full transform, relative to the asset.
+     * @param {CFrame} parentFrame - The parent node's transform without scale.
+     * @param {Instance} parent - The instance to add to.
+     * @param {Set<number>} ancestors - The nodes above this one, to catch cycles.
+     * @private
+     */
+    buildNode(index, parentMatrix, parentFrame, parent, ancestors) {
+        const node = (this.json.nodes || [])[index];
+        if (!node || ancestors.has(index)) {
+            throw new Error('Invalid glTF: node ' + index + ' does not exist or is its own ancestor');
+        }
+        const matrix = mat4.multiply(mat4.create(), parentMatrix, getNodeMatrix(node));
+        const frame = rigidFrame(matrix);
+        const residual = mat4.multiply(mat4.create(), mat4.invert(mat4.create(), frame.getMatrix()), matrix);
+        const cframe = parentFrame.toObjectSpace(frame);
+        
+        const mesh = node.mesh !== undefined ? (this.json.meshes || [])[node.mesh] : null;
+        if (node.mesh !== undefined && !mesh) {
+            throw new Error('Invalid glTF: node ' + index + ' uses mesh ' + node.mesh + ', which does not exist');
+        }
+        const primitives = mesh ? mesh.primitives || [] : [];
+        const children = node.children || [];
+        const name = node.name || (mesh && mesh.name) || 'Node' + index;
+        const partsService = this.webthreedee.partsService;
+        
+        // A lone mesh becomes a part of its own instead of a model holding one part
+        if (primitives.length === 1 && children.length === 0) {
+            this.createPart(node.mesh, 0, residual, { name, cframe, parent });
+            return;
+        }
+        const model = partsService.createModel({ name, cframe, parent });
+        primitives.forEach((primitive, i) => {
+            this.createPart(node.mesh, i, residual, { name: name + (primitives.length > 1 ? i + 1 : ''), parent: model });
+        });
+        const nodeAncestors = new Set(ancestors).add(index);
+        children.forEach(child => this.buildNode(child, matrix, frame, model, nodeAncestors));
+    }
+    
+    /**
+     * Creates a mesh part for one primitive of a mesh.
+     * @param {number} meshIndex - The mesh index.
+     * @param {number} primitiveIndex - The primitive index.
+     * @param {mat4} residual - The scale left over from the node's transform, baked into the geometry.
+     * @param {object} options - Part options (name, cframe, parent).
+     * @returns {Shape|null} The part, or null if the primitive has no triangles.
+     * @private
+     */
+    createPart(meshIndex, primitiveIndex, residual, options) {
+        // Nodes that use the same mesh at the same scale share geometry
+        const key = meshIndex + ':' + primitiveIndex + ':' + Array.from(residual, n => n.toFixed(6)).join(',');
+        if (!this.geometries.has(key)) {
+            const primitive = this.json.meshes[meshIndex].primitives[primitiveIndex];
+            const geometry = this.readPrimitive(primitive);
+            this.geometries.set(key, geometry && normalizeGeometry(geometry, residual));
+        }
+        const mesh = this.geometries.get(key);
+        if (!mesh) {
+            return null;
+        }
+        const primitive = this.json.meshes[meshIndex].primitives[primitiveIndex];
+        return this.webthreedee.partsService.createShape('mesh', {
+            name: options.name,
+            parent: options.parent,
+            cframe: (options.cframe || new CFrame()).mul(CFrame.create(mesh.center)),
+            size: mesh.size,
+            geometry: mesh.geometry,
+            material: this.getMaterial(primitive.material)
+        });
+    }
+    
+    /**
+     * Reads the triangles of a mesh primitive.
+     * @param {object} primitive - The glTF primitive.
+     * @returns {{vertices: number[], indices: number[]}|null} The geometry, or null for points and lines.
+     * @private
+     */
+    readPrimitive(primitive) {
+        const attributes = primitive.attributes || {};
+        const mode = primitive.mode !== undefined ? primitive.mode : GLTFImporter.TRIANGLES;
+        if (attributes.POSITION === undefined || ![4, 5, 6].includes(mode)) {
+            console.warn('Skipping a glTF primitive without triangles');
+            return null;
+        }
+        const positions = this.readAccessor(attributes.POSITION);
+        const normals = attributes.NORMAL !== undefined ? this.readAccessor(attributes.NORMAL) : null;
+        const uvs = attributes.TEXCOORD_0 !== undefined ? this.readAccessor(attributes.TEXCOORD_0) : null;
+        const count = positions.length / 3;
+        const vertices = [];
+        for (let i = 0; i < count; i++) {
+            vertices.push(
+                positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2],
+                normals ? normals[i * 3] : 0, normals ? normals[i * 3 + 1] : 0, normals ? normals[i * 3 + 2] : 0,
+                uvs ? uvs[i * 2] : 0, uvs ? uvs[i * 2 + 1] : 0
+            );
+        }
+        
+        let order = primitive.indices !== undefined
+            ? Array.from(this.readAccessor(primitive.indices))
+            : Array.from({ length: count }, (_, i) => i);
+        if (order.some(i => i >= count)) {
+            throw new Error('Invalid glTF: a primitive has indices past the end of its vertices');
+        }
+        let indices = order;
+        if (mode === GLTFImporter.TRIANGLE_STRIP) {
+            indices = [];
+            for (let i = 0; i + 2 < order.length; i++) {
+                // Every other triangle is flipped to keep the winding consistent
+                indices.push(...(i % 2 === 0 ? [order[i], order[i + 1], order[i + 2]] : [order[i + 1], order[i], order[i + 2]]));
+            }
+        } else if (mode === GLTFImporter.TRIANGLE_FAN) {
+            indices = [];
+            for (let i = 1; i + 1 < order.length; i++) {
+                indices.push(order[0], order[i], order[i + 1]);
+            }
+        } else {
+            indices = order.slice(0, order.length - order.length % 3);
+        }
+        const geometry = { vertices, indices };
+        // Without normals, glTF meshes are flat shaded
+        return normals ? geometry : computeFlatNormals(geometry);
+    }
+    
+    /**
+     * Reads the values of an accessor, converting normalized integers to floats.
+     * @param {number} index - The accessor index.
+     * @returns {Float64Array} The values, with all components of each element in a row.
+     * @private
+     */
+    readAccessor(index) {
+        const accessor = (this.json.accessors || [])[index];
+        if (!accessor) {
+            throw new Error('Invalid glTF: accessor ' + index + ' does not exist');
+        }
+        const size = GLTFImporter.TYPE_SIZES[accessor.type];
+        if (!size || !GLTFImporter.COMPONENT_TYPES[accessor.componentType]) {
+            throw new Error('Invalid glTF: accessor ' + index + ' has an unknown type');
+        }
+        let values = new Float64Array(accessor.count * size);
+        if (accessor.bufferView !== undefined) {
+            values = this.readBufferView(accessor.bufferView, accessor.byteOffset || 0, accessor.componentType, accessor.count, size);
+        }
+        if (accessor.sparse) {
+            // Sparse accessors replace some elements of the base values
+            const sparse = accessor.sparse;
+            const targets = this.readBufferView(sparse.indices.bufferView, sparse.indices.byteOffset || 0,
+                sparse.indices.componentType, sparse.count, 1);
+            const replacements = this.readBufferView(sparse.values.bufferView, sparse.values.byteOffset || 0,
+                accessor.componentType, sparse.count, size);
+            targets.forEach((target, i) => {
+                for (let j = 0; j < size; j++) {
+                    values[target * size + j] = replacements[i * size + j];
+                }
+            });
+        }
+        if (accessor.normalized) {
+            const max = GLTFImporter.NORMALIZED_MAX[accessor.componentType];
+            values = values.map(value => Math.max(value / max, -1));
+        }
+        return values;
+    }
+    
+    /**
+     * Reads elements from a buffer view.
+     * @param {number} index - The buffer view index.
+     * @param {number} byteOffset - Where the elements start in the view.
+     * @param {number} componentType - The glTF component type.
+     * @param {number} count - The number of elements.
+     * @param {number} size - The number of components per element.
+     * @returns {Float64Array} The values.
+     * @private
+     */
+    readBufferView(index, byteOffset, componentType, count, size) {
+        const view = (this.json.bufferViews || [])[index];
+        const bytes = view && this.buffers[view.buffer];
+        if (!bytes) {
+            throw new Error('Invalid glTF: buffer view ' + index + ' does not exist');
+        }
+        const [getter, componentBytes] = GLTFImporter.COMPONENT_TYPES[componentType];
+        const stride = view.byteStride || size * componentBytes;
+        const start = (view.byteOffset || 0) + byteOffset;
+        if (count > 0 && start + (count - 1) * stride + size * componentBytes > bytes.length) {
+            throw new Error('Invalid glTF: buffer view ' + index + ' reads past the end of its buffer');
+        }
+        const data = new DataView(bytes.buffer, bytes.byteOffset + start);
+        const values = new Float64Array(count * size);
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < size; j++) {
+                values[i * size + j] = data[getter](i * stride + j * componentBytes, true);
+            }
+        }
+        return values;
+    }
+    
+    /**
+     * Gets the material for a glTF material index, creating it the first time.
+     * @param {number} [index] - The material index. Primitives without one get plain white.
+     * @returns {PBRMaterial} The material.
+     * @private
+     */
+    getMaterial(index) {
+        if (!this.materials.has(index)) {
+            const material = index !== undefined ? (this.json.materials || [])[index] : {};
+            if (!material) {
+                throw new Error('Invalid glTF: material ' + index + ' does not exist');
+            }
+            const pbr = material.pbrMetallicRoughness || {};
+            const alphaMode = material.alphaMode || 'OPAQUE';
+            const baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+            const metallicRoughness = this.getTexture(pbr.metallicRoughnessTexture);
+            this.materials.set(index, this.webthreedee.materialService.createPBRMat({
+                // Opaque materials ignore alpha
+                baseColor: alphaMode === 'OPAQUE' ? baseColor.slice(0, 3) : baseColor.slice(),
+                metallic: pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1,
+                roughness: pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1,
+                emissive: material.emissiveFactor ? material.emissiveFactor.slice() : [0, 0, 0],
+                map: this.getTexture(pbr.baseColorTexture),
+                roughnessMap: metallicRoughness,
+                metallicMap: metallicRoughness,
+                normalMap: this.getTexture(material.normalTexture),
+                aoMap: this.getTexture(material.occlusionTexture),
+                emissiveMap: this.getTexture(material.emissiveTexture),
+                transparent: alphaMode !== 'OPAQUE'
+            }));
+        }
+        return this.materials.get(index);
+    }
+    
+    /**
+     * Gets the texture for a glTF texture reference, creating it the first time.
+     * Embedded images become data URIs, so the scene can still be saved with exportScene.
+     * @param {object} [info] - The texture info, with the texture index.
+     * @returns {Texture|null} The texture, or null if there is none.
+     * @private
+     */
+    getTexture(info) {
+        if (!info) {
+            return null;
+        }
+        if (!this.textures.has(info.index)) {
+            const json = this.json;
+            const texture = (json.textures || [])[info.index];
+            const image = texture && (json.images || [])[texture.source];
+            let result = null;
+            if (image) {
+                let source;
+                if (image.bufferView !== undefined) {
+                    const view = json.bufferViews[image.bufferView];
+                    const offset = view.byteOffset || 0;
+                    const bytes = this.buffers[view.buffer].subarray(offset, offset + view.byteLength);
+                    source = 'data:' + (image.mimeType || 'image/png') + ';base64,' + encodeBase64(bytes);
+                } else {
+                    source = image.uri.startsWith('data:') ? image.uri : resolveURL(this.options.baseUrl, image.uri);
+                }
+                const sampler = (json.samplers || [])[texture.sampler] || {};
+                result = this.webthreedee.materialService.createTexture(source, {
+                    wrapS: GLTFImporter.WRAP_MODES[sampler.wrapS] || 'repeat',
+                    wrapT: GLTFImporter.WRAP_MODES[sampler.wrapT] || 'repeat',
+                    filter: sampler.magFilter === GLTFImporter.NEAREST ? 'nearest' : 'linear',
+                    // glTF texture coordinates start at the top of the image
+                    flipY: false
+                });
+            }
+            this.textures.set(info.index, result);
+        }
+        return this.textures.get(info.index);
+    }
+}
+
+/**
+ * The magic number at the start of .glb files, "glTF" in ASCII.
+ * @type {number}
+ */
+GLTFImporter.GLB_MAGIC = 0x46546C67;
+
+/**
+ * The type of the JSON chunk in a .glb file.
+ * @type {number}
+ */
+GLTFImporter.JSON_CHUNK = 0x4E4F534A;
+
+/**
+ * The type of the binary chunk in a .glb file.
+ * @type {number}
+ */
+GLTFImporter.BIN_CHUNK = 0x004E4942;
+
+/**
+ * The primitive mode for separate triangles.
+ * @type {number}
+ */
+GLTFImporter.TRIANGLES = 4;
+
+/**
+ * The primitive mode for a strip of triangles that each share an edge with the last.
+ * @type {number}
+ */
+GLTFImporter.TRIANGLE_STRIP = 5;
+
+/**
+ * The primitive mode for a fan of triangles around the first vertex.
+ * @type {number}
+ */
+GLTFImporter.TRIANGLE_FAN = 6;
+
+/**
+ * The sampler filter value for nearest neighbor sampling.
+ * @type {number}
+ */
+GLTFImporter.NEAREST = 9728;
+
+/**
+ * The sampler filter value for linear sampling.
+ * @type {number}
+ */
+GLTFImporter.LINEAR = 9729;
+
+/**
+ * The number of components in each accessor type.
+ * @type {Object<string, number>}
+ */
+GLTFImporter.TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+/**
+ * The DataView getter and byte size of each component type.
+ * @type {Object<number, Array>}
+ */
+GLTFImporter.COMPONENT_TYPES = {
+    5120: ['getInt8', 1],
+    5121: ['getUint8', 1],
+    5122: ['getInt16', 2],
+    5123: ['getUint16', 2],
+    5125: ['getUint32', 4],
+    5126: ['getFloat32', 4]
+};
+
+/**
+ * The largest value of each integer component type, which normalized values are divided by.
+ * @type {Object<number, number>}
+ */
+GLTFImporter.NORMALIZED_MAX = { 5120: 127, 5121: 255, 5122: 32767, 5123: 65535, 5125: 4294967295 };
+
+/**
+ * Texture wrap modes by their glTF sampler values.
+ * @type {Object<number, string>}
+ */
+GLTFImporter.WRAP_MODES = { 33071: 'clamp', 33648: 'mirror', 10497: 'repeat' };
+
+/**
+ * Required extensions that can be imported. Anything else is refused.
+ * @type {string[]}
+ */
+GLTFImporter.EXTENSIONS = ['KHR_mesh_quantization'];
+
+/**
+ * Builds parts from Wavefront OBJ and MTL files. See PartsService.importOBJ.
+ * @class
+ * @private
+ */
+class OBJImporter {
+    /**
+     * @param {WebThreeDee} webthreedeeInstance - The instance to create parts in.
+     * @param {object} options - See PartsService.importOBJ.
+     */
+    constructor(webthreedeeInstance, options) {
+        this.webthreedee = webthreedeeInstance;
+        this.options = options;
+        this.materials = new Map();
+    }
+    
+    /**
+     * Parses the file and builds its parts.
+     * @param {string|ArrayBuffer|ArrayBufferView} data - The .obj contents.
+     * @returns {Model} The model holding the parts.
+     */
+    load(data) {
+        const text = decodeText(data);
+        if (this.options.mtl !== undefined) {
+            this.parseMTL(decodeText(this.options.mtl));
+        }
+        
+        const positions = [];
+        const uvs = [];
+        const normals = [];
+        const objects = [];
+        let object = null;
+        let chunk = null;
+        let material = '';
+        const startObject = name => {
+            object = { name, chunks: new Map() };
+            objects.push(object);
+            chunk = null;
+        };
+        const useMaterial = name => {
+            if (!object) {
+                startObject('Mesh');
+            }
+            if (!object.chunks.has(name)) {
+                object.chunks.set(name, { material: name, vertices: [], indices: [], keys: new Map(), missingNormals: false });
+            }
+            chunk = object.chunks.get(name);
+            material = name;
+        };
+        
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            const tokens = line.trim().split(/\s+/);
+            const values = tokens.slice(1).map(Number);
+            const fail = message => {
+                throw new Error('Invalid OBJ: line ' + (lineIndex + 1) + ' ' + message);
+            };
+            switch (tokens[0]) {
+                case 'v':
+                    positions.push(values[0], values[1], values[2]);
+                    break;
+                case 'vt':
+                    uvs.push(values[0], values[1] || 0);
+                    break;
+                case 'vn':
+                    normals.push(values[0], values[1], values[2]);
+                    break;
+                case 'o':
+                case 'g':
+                    startObject(tokens.slice(1).join(' ') || 'Mesh');
+                    break;
+                case 'usemtl':
+                    useMaterial(tokens.slice(1).join(' '));
+                    break;
+                case 'f': {
+                    if (!chunk) {
+                        // Materials carry on into new objects
+                        useMaterial(material);
+                    }
+                    const corners = tokens.slice(1).map(corner => {
+                        // Corners are position/uv/normal, and the last two are optional
+                        const parts = corner.split('/');
+                        const [p, t, n] = [0, 1, 2].map(i => (parts[i] ? Number(parts[i]) : null));
+                        // Negative indices count back from the latest vertex
+                        const resolve = (index, list, size) => {
+                            if (index === null) {
+                                return null;
+                            }
+                            const resolved = index < 0 ? list.length / size + index : index - 1;
+                            if (!(resolved >= 0 && resolved < list.length / size)) {
+                                fail('refers to a vertex that does not exist');
+                            }
+                            return resolved;
+                        };
+                        const position = resolve(p, positions, 3);
+                        if (position === null) {
+                            fail('has a face corner without a position');
+                        }
+                        const uv = resolve(t, uvs, 2);
+                        const normal = resolve(n, normals, 3);
+                        const key = position + '/' + uv + '/' + normal;
+                        if (!chunk.keys.has(key)) {
+                            chunk.keys.set(key, chunk.vertices.length / Shape.VERTEX_STRIDE);
+                            chunk.vertices.push(
+                                positions[position * 3], positions[position * 3 + 1], positions[position * 3 + 2],
+                                normal === null ? 0 : normals[normal * 3],
+                                normal === null ? 0 : normals[normal * 3 + 1],
+                                normal === null ? 0 : normals[normal * 3 + 2],
+                                uv === null ? 0 : uvs[uv * 2], uv === null ? 0 : uvs[uv * 2 + 1]
+                            );
+                            chunk.missingNormals = chunk.missingNormals || normal === null;
+                        }
+                        return chunk.keys.get(key);
+                    });
+                    // Polygons are split into a fan of triangles
+                    for (let i = 1; i + 1 < corners.length; i++) {
+                        chunk.indices.push(corners[0], corners[i], corners[i + 1]);
+                    }
+                    break;
+                }
+                default:
+                    // Comments, smoothing groups, mtllib and anything else are ignored
+                    break;
+            }
+        });
+        
+        const partsService = this.webthreedee.partsService;
+        const root = partsService.createModel({ name: this.options.name || 'Model', cframe: this.options.cframe, parent: null });
+        objects.forEach(({ name, chunks }) => {
+            const meshes = Array.from(chunks.values()).filter(c => c.indices.length > 0);
+            const parent = meshes.length > 1 ? partsService.createModel({ name, parent: root }) : root;
+            meshes.forEach(c => {
+                const geometry = { vertices: c.vertices, indices: c.indices };
+                const mesh = normalizeGeometry(c.missingNormals ? computeFlatNormals(geometry) : geometry, mat4.create());
+                partsService.createShape('mesh', {
+                    name: meshes.length > 1 ? c.material || name : name,
+                    parent,
+                    cframe: CFrame.create(mesh.center),
+                    size: mesh.size,
+                    geometry: mesh.geometry,
+                    material: this.getMaterial(c.material)
+                });
+            });
+        });
+        partsService.setParent(root, this.options.parent === undefined ? this.webthreedee.scene : this.options.parent);
+        return root;
+    }
+    
+    /**
+     * Reads the materials in an MTL file.
+     * @param {string} text - The .mtl contents.
+     * @private
+     */
+    parseMTL(text) {
+        let current = null;
+        text.split(/\r?\n/).forEach(line => {
+            const tokens = line.trim().split(/\s+/);
+            const values = tokens.slice(1).map(Number);
+            // Map statements can have options before the file name, which comes last
+            const texture = () => this.webthreedee.materialService.createTexture(
+                resolveURL(this.options.baseUrl, tokens[tokens.length - 1]));
+            if (tokens[0] === 'newmtl') {
+                current = { color: [1, 1, 1], options: {} };
+                this.materials.set(tokens.slice(1).join(' '), current);
+                return;
+            }
+            if (!current) {
+                return;
+            }
+            switch (tokens[0]) {
+                case 'Kd':
+                    current.color = values.slice(0, 3);
+                    break;
+                case 'Ke':
+                    current.options.emissive = values.slice(0, 3);
+                    break;
+                case 'Ns':
+                    // MTL specular exponents go up to 1000
+                    current.options.shininess = Math.min(values[0] / 1000, 1);
+                    break;
+                case 'd':
+                    current.options.transparency = 1 - values[0];
+                    break;
+                case 'Tr':
+                    current.options.transparency = values[0];
+                    break;
+                case 'map_Kd':
+                    current.options.map = texture();
+                    break;
+                case 'map_Ke':
+                    current.options.emissiveMap = texture();
+                    break;
+                case 'map_Bump':
+                case 'map_bump':
+                case 'bump':
+                case 'norm':
+                    current.options.normalMap = texture();
+                    break;
+                default:
+                    break;
+            }
+        });
+    }
+    
+    /**
+     * Gets the material with a name from the MTL file, creating it the first time.
+     * @param {string} name - The material name.
+     * @returns {Material} The material, plain white if the name isn't in the MTL file.
+     * @private
+     */
+    getMaterial(name) {
+        let material = this.materials.get(name);
+        if (!material) {
+            material = { color: [1, 1, 1], options: {} };
+            this.materials.set(name, material);
+        }
+        if (!material.created) {
+            material.created = this.webthreedee.materialService.createMat(material.color, material.options);
+        }
+        return material.created;
+    }
+}
+
+/**
+ * Gets the local transform of a glTF node.
+ * @param {object} node - The node.
+ * @returns {mat4} The matrix.
+ * @private
+ */
+function getNodeMatrix(node) {
+    if (node.matrix) {
+        return mat4.copy(mat4.create(), node.matrix);
+    }
+    const r = node.rotation || [0, 0, 0, 1];
+    const matrix = mat4.fromRotationTranslation(mat4.create(), new Quaternion(r[0], r[1], r[2], r[3]), node.translation || [0, 0, 0]);
+    return mat4.scale(matrix, matrix, node.scale || [1, 1, 1]);
+}
+
+/**
+ * Gets the rotation and translation of a transform, leaving out any scale or shear.
+ * @param {mat4} m - The transform.
+ * @returns {CFrame} The rigid part of the transform.
+ * @private
+ */
+function rigidFrame(m) {
+    let x = vector(m[0], m[1], m[2]).unit();
+    let y = vector(m[4], m[5], m[6]);
+    y = y.sub(x.scale(x.dot(y))).unit();
+    if (x.magnitude() === 0 || y.magnitude() === 0) {
+        // Scaled to nothing, there is no rotation to keep
+        x = vector(1, 0, 0);
+        y = vector(0, 1, 0);
+    }
+    const z = x.cross(y);
+    return CFrame.fromMatrix([
+        x.x, x.y, x.z, 0,
+        y.x, y.y, y.z, 0,
+        z.x, z.y, z.z, 0,
+        m[12], m[13], m[14], 1
+    ]);
+}
+
+/**
+ * Applies a transform to geometry, turning its normals to match.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry.
+ * @param {mat4} matrix - The transform.
+ * @returns {{vertices: number[], indices: number[]}|null} The transformed geometry, or null if the
+ *     transform flattens it to nothing.
+ * @private
+ */
+function transformGeometry(geometry, matrix) {
+    const inverse = mat4.invert(mat4.create(), matrix);
+    if (!inverse) {
+        return null;
+    }
+    const normalMatrix = mat4.transpose(mat4.create(), inverse);
+    const stride = Shape.VERTEX_STRIDE;
+    const source = geometry.vertices;
+    const vertices = Array.from(source);
+    for (let i = 0; i < source.length; i += stride) {
+        const p = mat4.transformPoint(matrix, vector(source[i], source[i + 1], source[i + 2]));
+        const n = mat4.transformDirection(normalMatrix, vector(source[i + 3], source[i + 4], source[i + 5])).unit();
+        vertices[i] = p.x;
+        vertices[i + 1] = p.y;
+        vertices[i + 2] = p.z;
+        vertices[i + 3] = n.x;
+        vertices[i + 4] = n.y;
+        vertices[i + 5] = n.z;
+    }
+    
+    const indices = Array.from(geometry.indices);
+    const m = matrix;
+    const determinant = m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]);
+    if (determinant < 0) {
+        // A mirroring transform turns triangles inside out, so flip them back
+        for (let i = 0; i < indices.length; i += 3) {
+            [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+        }
+    }
+    return { vertices, indices };
+}
+
+/**
+ * Transforms geometry and fits it between -1 and 1 on each axis, the way the
+ * built-in primitives are, so that a mesh part's size is half its extent.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry.
+ * @param {mat4} matrix - A transform to bake into the geometry first.
+ * @returns {{geometry: object, center: Vector, size: Vector}|null} The fitted geometry, where its
+ *     center was and the size that puts it back, or null if there is nothing left of it.
+ * @private
+ */
+function normalizeGeometry(geometry, matrix) {
+    const transformed = transformGeometry(geometry, matrix);
+    if (!transformed || transformed.indices.length === 0) {
+        return null;
+    }
+    const stride = Shape.VERTEX_STRIDE;
+    const vertices = transformed.vertices;
+    const min = vector(Infinity, Infinity, Infinity);
+    const max = vector(-Infinity, -Infinity, -Infinity);
+    for (let i = 0; i < vertices.length; i += stride) {
+        min.x = Math.min(min.x, vertices[i]);
+        min.y = Math.min(min.y, vertices[i + 1]);
+        min.z = Math.min(min.z, vertices[i + 2]);
+        max.x = Math.max(max.x, vertices[i]);
+        max.y = Math.max(max.y, vertices[i + 1]);
+        max.z = Math.max(max.z, vertices[i + 2]);
     }
     
-    /**
-     * Renders the shape.
-     * @param {WebGL2RenderingContext} gl - The WebGL context.
-     * @param {object} uniforms - The shader uniform locations.
-     * @private
-     */
-    render(gl, uniforms) {
-        gl.bindVertexArray(this.vao);
-        
-        // Set model matrix
-        const modelMatrix = this.cframe.getMatrix();
-        mat4.scale(modelMatrix, modelMatrix, [this.size.x, this.size.y, this.size.z]);
-        gl.uniformMatrix4fv(uniforms.modelMatrix, false, modelMatrix);
-        
-        // Set normal matrix
-        const normalMatrix = mat4.create();
-        mat4.invert(normalMatrix, modelMatrix);
-        mat4.transpose(normalMatrix, normalMatrix);
-        gl.uniformMatrix4fv(uniforms.normalMatrix, false, normalMatrix);
-        
-        // Set material uniforms
-        gl.uniform3fv(uniforms.color, this.material.color);
-        gl.uniform1f(uniforms.shininess, this.material.shininess);
-        gl.uniform1i(uniforms.mirror, this.material.mirror);
-        
-        gl.drawElements(gl.TRIANGLES, this.indexCount, gl.UNSIGNED_SHORT, 0);
+    const center = min.add(max).scale(0.5);
+    // Flat meshes like planes still need some thickness to be scaled
+    const half = max.sub(min).scale(0.5);
+    const size = vector(Math.max(half.x, 1e-4), Math.max(half.y, 1e-4), Math.max(half.z, 1e-4));
+    for (let i = 0; i < vertices.length; i += stride) {
+        vertices[i] = (vertices[i] - center.x) / size.x;
+        vertices[i + 1] = (vertices[i + 1] - center.y) / size.y;
+        vertices[i + 2] = (vertices[i + 2] - center.z) / size.z;
+        // Normals scale the opposite way to positions
+        const n = vector(vertices[i + 3] * size.x, vertices[i + 4] * size.y, vertices[i + 5] * size.z).unit();
+        vertices[i + 3] = n.x;
+        vertices[i + 4] = n.y;
+        vertices[i + 5] = n.z;
     }
+    return { geometry: transformed, center, size };
 }
 
 /**
- * Represents the camera in the scene.
+ * Gives every triangle its own vertices with the triangle's normal, for meshes
+ * that come without normals.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry.
+ * @returns {{vertices: number[], indices: number[]}} The flat shaded geometry.
+ * @private
+ */
+function computeFlatNormals(geometry) {
+    const stride = Shape.VERTEX_STRIDE;
+    const source = geometry.vertices;
+    const point = i => vector(source[i * stride], source[i * stride + 1], source[i * stride + 2]);
+    const vertices = [];
+    const indices = [];
+    for (let i = 0; i + 2 < geometry.indices.length; i += 3) {
+        const corners = [geometry.indices[i], geometry.indices[i + 1], geometry.indices[i + 2]];
+        const p0 = point(corners[0]);
+        const normal = point(corners[1]).sub(p0).cross(point(corners[2]).sub(p0)).unit();
+        corners.forEach(corner => {
+            indices.push(vertices.length / stride);
+            const p = point(corner);
+            vertices.push(p.x, p.y, p.z, normal.x, normal.y, normal.z, source[corner * stride + 6], source[corner * stride + 7]);
+        });
+    }
+    return { vertices, indices };
+}
+
+/**
+ * A BSP tree of polygons, for union, subtract and intersect. Each node splits space
+ * by the plane of its first polygon and keeps the polygons that lie in that plane.
+ * This follows Evan Wallace's csg.js. Polygons are never changed once made, so
+ * nodes can share them.
  * @class
+ * @private
  */
-class Camera {
-    constructor() {
-        this.position = [0, 0, 10];
-        this.rotation = [0, 0];
-        this.fov = 45;
-        this.aspect = 1;
-        this.near = 0.1;
-        this.far = 100;
+class CSGNode {
+    /**
+     * @param {object[]} [polygons] - The polygons to build the tree from.
+     */
+    constructor(polygons) {
+        this.plane = null;
+        this.front = null;
+        this.back = null;
+        this.polygons = [];
+        if (polygons) {
+            this.build(polygons);
+        }
     }
     
     /**
-     * Moves the camera by a given amount in world coordinates.
-     * @param {number} x - Amount to move on the X axis.
-     * @param {number} y - Amount to move on the Y axis.
-     * @param {number} z - Amount to move on the Z axis.
+     * Turns the solid inside out, swapping what is inside for what is outside.
      */
-    move(x, y, z) {
-        this.position[0] += x;
-        this.position[1] += y;
-        this.position[2] += z;
+    invert() {
+        this.polygons = this.polygons.map(flipPolygon);
+        if (this.plane) {
+            this.plane = { normal: this.plane.normal.scale(-1), w: -this.plane.w };
+        }
+        if (this.front) {
+            this.front.invert();
+        }
+        if (this.back) {
+            this.back.invert();
+        }
+        [this.front, this.back] = [this.back, this.front];
     }
     
     /**
-     * Moves the camera relative to its current rotation.
-     * @param {number} right - Amount to move right.
-     * @param {number} up - Amount to move up.
-     * @param {number} forward - Amount to move forward.
+     * Removes the parts of polygons that are inside this tree's solid.
+     * @param {object[]} polygons - The polygons to clip.
+     * @returns {object[]} The pieces that are left.
      */
-    moveRelative(right, up, forward) {
-        const yaw = this.rotation[0];
-        const pitch = this.rotation[1];
-        
-        const cosPitch = Math.cos(pitch);
-        const sinPitch = Math.sin(pitch);
-        const cosYaw = Math.cos(yaw);
-        const sinYaw = Math.sin(yaw);
-
-        // Forward vector
-        const fwdX = -sinYaw * cosPitch;
-        const fwdY = sinPitch;
-        const fwdZ = -cosYaw * cosPitch;
-
-        // Right vector
-        const rightX = cosYaw;
-        const rightY = 0;
-        const rightZ = sinYaw;
-
-        this.position[0] += (forward * fwdX + right * rightX);
-        this.position[1] += (forward * fwdY + right * rightY); // 'up' is currently ignored as no key is bound to it
-        this.position[2] += (forward * fwdZ + right * rightZ);
+    clipPolygons(polygons) {
+        if (!this.plane) {
+            return polygons.slice();
+        }
+        let front = [];
+        let back = [];
+        polygons.forEach(polygon => splitPolygon(this.plane, polygon, front, back, front, back));
+        if (this.front) {
+            front = this.front.clipPolygons(front);
+        }
+        back = this.back ? this.back.clipPolygons(back) : [];
+        return front.concat(back);
     }
-
+    
     /**
-     * Rotates the camera.
-     * @param {number} yaw - Rotation around the Y axis.
-     * @param {number} pitch - Rotation around the X axis.
+     * Removes the parts of this tree's polygons that are inside another tree's solid.
+     * @param {CSGNode} node - The other tree.
      */
-    rotate(yaw, pitch) {
-        this.rotation[0] += yaw;
-        this.rotation[1] = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.rotation[1] + pitch));
+    clipTo(node) {
+        this.polygons = node.clipPolygons(this.polygons);
+        if (this.front) {
+            this.front.clipTo(node);
+        }
+        if (this.back) {
+            this.back.clipTo(node);
+        }
     }
     
     /**
-     * Zooms the camera by moving it forward/backward.
-     * @param {number} delta - The amount to zoom.
+     * Collects the polygons of the whole tree.
+     * @param {object[]} [result=[]] - The list to add them to.
+     * @returns {object[]} The polygons.
      */
-    zoom(delta) {
-        this.position[2] += delta;
+    allPolygons(result = []) {
+        result.push(...this.polygons);
+        if (this.front) {
+            this.front.allPolygons(result);
+        }
+        if (this.back) {
+            this.back.allPolygons(result);
+        }
+        return result;
     }
     
     /**
-     * Calculates and returns the view matrix.
-     * @returns {mat4} The view matrix.
+     * Adds polygons to the tree, splitting them by the planes they cross.
+     * @param {object[]} polygons - The polygons to add.
      */
-    getViewMatrix() {
-        const matrix = mat4.create();
-        mat4.translate(matrix, matrix, this.position);
-        mat4.rotateY(matrix, matrix, this.rotation[0]);
-        mat4.rotateX(matrix, matrix, this.rotation[1]);
-        mat4.invert(matrix, matrix);
-        return matrix;
+    build(polygons) {
+        if (polygons.length === 0) {
+            return;
+        }
+        if (!this.plane) {
+            this.plane = polygons[0].plane;
+        }
+        const front = [];
+        const back = [];
+        polygons.forEach(polygon => splitPolygon(this.plane, polygon, this.polygons, this.polygons, front, back));
+        if (front.length > 0) {
+            this.front = this.front || new CSGNode();
+            this.front.build(front);
+        }
+        if (back.length > 0) {
+            this.back = this.back || new CSGNode();
+            this.back.build(back);
+        }
     }
     
     /**
-     * Calculates and returns the projection matrix.
-     * @returns {mat4} The projection matrix.
+     * Gets the surface of the space covered by either solid.
+     * @param {object[]} polygonsA - The surface of the first solid.
+     * @param {object[]} polygonsB - The surface of the second solid.
+     * @returns {object[]} The polygons of the result.
      */
-    getProjectionMatrix() {
-        const matrix = mat4.create();
-        mat4.perspective(matrix, this.fov * Math.PI / 180, this.aspect, this.near, this.far);
-        return matrix;
+    static union(polygonsA, polygonsB) {
+        const a = new CSGNode(polygonsA);
+        const b = new CSGNode(polygonsB);
+        a.clipTo(b);
+        b.clipTo(a);
+        b.invert();
+        b.clipTo(a);
+        b.invert();
+        a.build(b.allPolygons());
+        return a.allPolygons();
+    }
+    
+    /**
+     * Gets the surface of the space covered by the first solid but not the second.
+     * @param {object[]} polygonsA - The surface of the first solid.
+     * @param {object[]} polygonsB - The surface of the second solid.
+     * @returns {object[]} The polygons of the result.
+     */
+    static subtract(polygonsA, polygonsB) {
+        const a = new CSGNode(polygonsA);
+        const b = new CSGNode(polygonsB);
+        a.invert();
+        a.clipTo(b);
+        b.clipTo(a);
+        b.invert();
+        b.clipTo(a);
+        b.invert();
+        a.build(b.allPolygons());
+        a.invert();
+        return a.allPolygons();
+    }
+    
+    /**
+     * Gets the surface of the space covered by both solids.
+     * @param {object[]} polygonsA - The surface of the first solid.
+     * @param {object[]} polygonsB - The surface of the second solid.
+     * @returns {object[]} The polygons of the result.
+     */
+    static intersect(polygonsA, polygonsB) {
+        const a = new CSGNode(polygonsA);
+        const b = new CSGNode(polygonsB);
+        a.invert();
+        b.clipTo(a);
+        b.invert();
+        a.clipTo(b);
+        b.clipTo(a);
+        a.build(b.allPolygons());
+        a.invert();
+        return a.allPolygons();
+    }
+}
+
+/**
+ * How far a point can be from a plane and still count as on it, in units.
+ */
+CSGNode.EPSILON = 1e-5;
+
+/**
+ * Sorts a polygon into the lists for each side of a plane, cutting it in two if it crosses the plane.
+ * @param {{normal: Vector, w: number}} plane - The plane.
+ * @param {object} polygon - The polygon.
+ * @param {object[]} coplanarFront - Where polygons in the plane that face the same way go.
+ * @param {object[]} coplanarBack - Where polygons in the plane that face the other way go.
+ * @param {object[]} front - Where polygons (and pieces) in front of the plane go.
+ * @param {object[]} back - Where polygons (and pieces) behind the plane go.
+ * @private
+ */
+function splitPolygon(plane, polygon, coplanarFront, coplanarBack, front, back) {
+    const COPLANAR = 0, FRONT = 1, BACK = 2, SPANNING = 3;
+    const distances = polygon.vertices.map(vertex => plane.normal.dot(vertex.position) - plane.w);
+    const types = distances.map(t => t < -CSGNode.EPSILON ? BACK : t > CSGNode.EPSILON ? FRONT : COPLANAR);
+    const polygonType = types.reduce((all, type) => all | type, COPLANAR);
+    
+    if (polygonType === COPLANAR) {
+        (plane.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+    } else if (polygonType === FRONT) {
+        front.push(polygon);
+    } else if (polygonType === BACK) {
+        back.push(polygon);
+    } else {
+        const f = [];
+        const b = [];
+        const vertices = polygon.vertices;
+        vertices.forEach((vertex, i) => {
+            const j = (i + 1) % vertices.length;
+            if (types[i] !== BACK) {
+                f.push(vertex);
+            }
+            if (types[i] !== FRONT) {
+                b.push(vertex);
+            }
+            if ((types[i] | types[j]) === SPANNING) {
+                const t = distances[i] / (distances[i] - distances[j]);
+                const next = vertices[j];
+                const split = {
+                    position: vertex.position.lerp(next.position, t),
+                    normal: vertex.normal.lerp(next.normal, t),
+                    uv: [vertex.uv[0] + (next.uv[0] - vertex.uv[0]) * t, vertex.uv[1] + (next.uv[1] - vertex.uv[1]) * t]
+                };
+                f.push(split);
+                b.push(split);
+            }
+        });
+        // Pieces lie in the same plane, so they keep it instead of working it out again
+        if (f.length >= 3) {
+            front.push({ vertices: f, plane: polygon.plane });
+        }
+        if (b.length >= 3) {
+            back.push({ vertices: b, plane: polygon.plane });
+        }
+    }
+}
+
+/**
+ * Turns a polygon around to face the other way.
+ * @param {object} polygon - The polygon.
+ * @returns {object} A new polygon.
+ * @private
+ */
+function flipPolygon(polygon) {
+    return {
+        vertices: polygon.vertices.slice().reverse().map(vertex => ({
+            position: vertex.position,
+            normal: vertex.normal.scale(-1),
+            uv: vertex.uv
+        })),
+        plane: { normal: polygon.plane.normal.scale(-1), w: -polygon.plane.w }
+    };
+}
+
+/**
+ * Turns the triangles of geometry into polygons for CSGNode, leaving out any that have no area.
+ * @param {{vertices: number[], indices: number[]}} geometry - The geometry.
+ * @returns {object[]} The polygons.
+ * @private
+ */
+function geometryToPolygons(geometry) {
+    const stride = Shape.VERTEX_STRIDE;
+    const source = geometry.vertices;
+    const vertex = i => ({
+        position: vector(source[i * stride], source[i * stride + 1], source[i * stride + 2]),
+        normal: vector(source[i * stride + 3], source[i * stride + 4], source[i * stride + 5]),
+        uv: [source[i * stride + 6], source[i * stride + 7]]
+    });
+    const polygons = [];
+    for (let i = 0; i + 2 < geometry.indices.length; i += 3) {
+        const vertices = [vertex(geometry.indices[i]), vertex(geometry.indices[i + 1]), vertex(geometry.indices[i + 2])];
+        const p0 = vertices[0].position;
+        const cross = vertices[1].position.sub(p0).cross(vertices[2].position.sub(p0));
+        if (cross.magnitude() < 1e-12) {
+            continue;
+        }
+        const normal = cross.unit();
+        polygons.push({ vertices, plane: { normal, w: normal.dot(p0) } });
+    }
+    return polygons;
+}
+
+/**
+ * Turns polygons back into triangles.
+ * @param {object[]} polygons - The polygons.
+ * @returns {{vertices: number[], indices: number[]}} The geometry.
+ * @private
+ */
+function polygonsToGeometry(polygons) {
+    const vertices = [];
+    const indices = [];
+    polygons.forEach(polygon => {
+        const first = vertices.length / Shape.VERTEX_STRIDE;
+        polygon.vertices.forEach(({ position, normal, uv }) => {
+            const n = normal.unit();
+            vertices.push(position.x, position.y, position.z, n.x, n.y, n.z, uv[0], uv[1]);
+        });
+        for (let i = 2; i < polygon.vertices.length; i++) {
+            indices.push(first, first + i - 1, first + i);
+        }
+    });
+    return { vertices, indices };
+}
+
+/**
+ * Parses JSON, with an error that says what kind of file was being read.
+ * @param {string} text - The JSON text.
+ * @param {string} format - The file format, for the error message.
+ * @returns {*} The parsed value.
+ * @private
+ */
+function parseJSON(text, format) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid ' + format + ': ' + e.message);
+    }
+}
+
+/**
+ * Gets the text of a file that may have been loaded as binary data.
+ * @param {string|ArrayBuffer|ArrayBufferView} data - The file contents.
+ * @returns {string} The text.
+ * @private
+ */
+function decodeText(data) {
+    return typeof data === 'string' ? data : new TextDecoder().decode(data);
+}
+
+/**
+ * Resolves a path relative to the URL of the file that refers to it.
+ * @param {string} [base] - The URL of the referring file, or of its folder ending in a slash.
+ * @param {string} path - The path.
+ * @returns {string} The URL.
+ * @private
+ */
+function resolveURL(base, path) {
+    if (!base || /^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) {
+        return path;
+    }
+    return base.slice(0, base.lastIndexOf('/') + 1) + path;
+}
+
+/**
+ * Decodes a base64 data URI.
+ * @param {string} uri - The data URI.
+ * @returns {Uint8Array} The bytes.
+ * @private
+ */
+function decodeDataURI(uri) {
+    const comma = uri.indexOf(',');
+    if (!uri.slice(0, comma).endsWith(';base64')) {
+        return new TextEncoder().encode(decodeURIComponent(uri.slice(comma + 1)));
+    }
+    const binary = atob(uri.slice(comma + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes bytes as base64.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The base64 text.
+ * @private
+ */
+function encodeBase64(bytes) {
+    let binary = '';
+    // In chunks, as fromCharCode has a limit on its argument count
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Writes parts as a binary glTF (.glb) file. See WebThreeDee.exportGLB.
+ * @param {Shape[]} parts - The parts.
+ * @returns {ArrayBuffer} The file.
+ * @private
+ */
+function writeGLB(parts) {
+    const json = {
+        asset: { version: '2.0', generator: 'webthreedee' },
+        scene: 0,
+        scenes: [{ nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        textures: [],
+        images: [],
+        samplers: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+    const chunks = [];
+    let byteLength = 0;
+    const addBufferView = (bytes, target) => {
+        // Views start on 4 byte boundaries so float data is aligned
+        byteLength = Math.ceil(byteLength / 4) * 4;
+        json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target });
+        chunks.push({ offset: byteLength, bytes: new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) });
+        byteLength += bytes.byteLength;
+        return json.bufferViews.length - 1;
+    };
+    const addAccessor = (array, componentType, type, target, bounds) => {
+        const accessor = {
+            bufferView: addBufferView(array, target),
+            componentType,
+            count: array.length / GLTFImporter.TYPE_SIZES[type],
+            type
+        };
+        if (bounds) {
+            accessor.min = bounds.min;
+            accessor.max = bounds.max;
+        }
+        json.accessors.push(accessor);
+        return json.accessors.length - 1;
+    };
+    
+    const textureIndices = new Map();
+    const writeTexture = texture => {
+        if (!texture) {
+            return undefined;
+        }
+        if (!textureIndices.has(texture)) {
+            let index;
+            if (typeof texture.source === 'string') {
+                const source = texture.source;
+                const image = {};
+                if (source.startsWith('data:')) {
+                    image.bufferView = addBufferView(decodeDataURI(source));
+                    image.mimeType = source.slice(5, source.search(/[;,]/));
+                } else {
+                    image.uri = source;
+                }
+                json.images.push(image);
+                json.samplers.push({
+                    magFilter: texture.filter === 'nearest' ? GLTFImporter.NEAREST : GLTFImporter.LINEAR,
+                    wrapS: writeGLB.WRAP_VALUES[texture.wrapS],
+                    wrapT: writeGLB.WRAP_VALUES[texture.wrapT]
+                });
+                json.textures.push({ source: json.images.length - 1, sampler: json.samplers.length - 1 });
+                index = json.textures.length - 1;
+            }
+            // Images and canvases would need encoding, which can't be done synchronously
+            textureIndices.set(texture, index);
+        }
+        const index = textureIndices.get(texture);
+        return index === undefined ? undefined : { index };
+    };
+    
+    const materialIndices = new Map();
+    const writeMaterial = material => {
+        if (!materialIndices.has(material)) {
+            const pbr = material instanceof PBRMaterial;
+            const color = material.color;
+            const alpha = (color.length > 3 ? color[3] : 1) * material.opacity;
+            const saved = {
+                pbrMetallicRoughness: {
+                    baseColorFactor: [color[0], color[1], color[2], alpha],
+                    // Phong materials are exported as their closest dielectric
+                    metallicFactor: pbr ? material.metallic : 0,
+                    roughnessFactor: pbr ? material.roughness : 1 - Math.min(material.shininess, 1),
+                    baseColorTexture: writeTexture(material.map),
+                    metallicRoughnessTexture: writeTexture(material.roughnessMap || material.metallicMap)
+                },
+                normalTexture: writeTexture(material.normalMap),
+                occlusionTexture: writeTexture(material.aoMap),
+                emissiveTexture: writeTexture(material.emissiveMap),
+                emissiveFactor: material.emissive.map(c => Math.min(c, 1)),
+                alphaMode: alpha < 1 || material.transparent ? 'BLEND' : 'OPAQUE'
+            };
+            // The round trip drops the textures that aren't set
+            json.materials.push(JSON.parse(JSON.stringify(saved)));
+            materialIndices.set(material, json.materials.length - 1);
+        }
+        return materialIndices.get(material);
+    };
+    
+    parts.forEach(part => {
+        const geometry = part.getWorldGeometry();
+        const material = part.material;
+        const count = geometry.vertices.length / Shape.VERTEX_STRIDE;
+        const positions = new Float32Array(count * 3);
+        const normals = new Float32Array(count * 3);
+        const uvs = new Float32Array(count * 2);
+        // glTF texture coordinates start at the top of the image, unlike flipped textures
+        const flip = !(material.map && material.map.flipY === false);
+        for (let i = 0; i < count; i++) {
+            const v = i * Shape.VERTEX_STRIDE;
+            positions.set(geometry.vertices.slice(v, v + 3), i * 3);
+            normals.set(geometry.vertices.slice(v + 3, v + 6), i * 3);
+            const uv = [
+                geometry.vertices[v + 6] * material.tiling[0] + material.offset[0],
+                geometry.vertices[v + 7] * material.tiling[1] + material.offset[1]
+            ];
+            uvs.set([uv[0], flip ? 1 - uv[1] : uv[1]], i * 2);
+        }
+        const bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+        positions.forEach((value, i) => {
+            bounds.min[i % 3] = Math.min(bounds.min[i % 3], value);
+            bounds.max[i % 3] = Math.max(bounds.max[i % 3], value);
+        });
+        const indices = count > 65536 ? new Uint32Array(geometry.indices) : new Uint16Array(geometry.indices);
+        
+        json.meshes.push({
+            name: part.name,
+            primitives: [{
+                attributes: {
+                    POSITION: addAccessor(positions, writeGLB.FLOAT, 'VEC3', writeGLB.ARRAY_BUFFER, bounds),
+                    NORMAL: addAccessor(normals, writeGLB.FLOAT, 'VEC3', writeGLB.ARRAY_BUFFER),
+                    TEXCOORD_0: addAccessor(uvs, writeGLB.FLOAT, 'VEC2', writeGLB.ARRAY_BUFFER)
+                },
+                indices: addAccessor(indices, indices instanceof Uint32Array ? writeGLB.UNSIGNED_INT : writeGLB.UNSIGNED_SHORT,
+                    'SCALAR', writeGLB.ELEMENT_ARRAY_BUFFER),
+                material: writeMaterial(material)
+            }]
+        });
+        json.nodes.push({ name: part.name, mesh: json.meshes.length - 1 });
+        json.scenes[0].nodes.push(json.nodes.length - 1);
+    });
+    
+    byteLength = Math.ceil(byteLength / 4) * 4;
+    if (byteLength > 0) {
+        json.buffers.push({ byteLength });
+    }
+    // glTF doesn't allow empty arrays
+    Object.keys(json).forEach(key => {
+        if (Array.isArray(json[key]) && json[key].length === 0) {
+            delete json[key];
+        }
+    });
+    
+    // The JSON chunk is padded with spaces and the binary chunk with zeros
+    let text = JSON.stringify(json);
+    text += ' '.repeat((4 - new TextEncoder().encode(text).length % 4) % 4);
+    const jsonBytes = new TextEncoder().encode(text);
+    const total = 12 + 8 + jsonBytes.length + (byteLength > 0 ? 8 + byteLength : 0);
+    const file = new ArrayBuffer(total);
+    const view = new DataView(file);
+    const bytes = new Uint8Array(file);
+    view.setUint32(0, GLTFImporter.GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+    view.setUint32(12, jsonBytes.length, true);
+    view.setUint32(16, GLTFImporter.JSON_CHUNK, true);
+    bytes.set(jsonBytes, 20);
+    if (byteLength > 0) {
+        const binaryStart = 20 + jsonBytes.length;
+        view.setUint32(binaryStart, byteLength, true);
+        view.setUint32(binaryStart + 4, GLTFImporter.BIN_CHUNK, true);
+        chunks.forEach(chunk => bytes.set(chunk.bytes, binaryStart + 8 + chunk.offset));
+    }
+    return file;
+}
+
+/**
+ * The accessor component type for 16-bit indices.
+ * @type {number}
+ */
+writeGLB.UNSIGNED_SHORT = 5123;
+
+/**
+ * The accessor component type for 32-bit indices.
+ * @type {number}
+ */
+writeGLB.UNSIGNED_INT = 5125;
+
+/**
+ * The accessor component type for vertex attributes.
+ * @type {number}
+ */
+writeGLB.FLOAT = 5126;
+
+/**
+ * The buffer view target for vertex attributes.
+ * @type {number}
+ */
+writeGLB.ARRAY_BUFFER = 34962;
+
+/**
+ * The buffer view target for indices.
+ * @type {number}
+ */
+writeGLB.ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * glTF sampler values by texture wrap mode.
+ * @type {Object<string, number>}
+ */
+writeGLB.WRAP_VALUES = { clamp: 33071, mirror: 33648, repeat: 10497 };
+
+/**
+ * Writes parts as an STL file. See WebThreeDee.exportSTL.
+ * @param {Shape[]} parts - The parts.
+ * @param {object} options - Export options.
+ * @param {boolean} [options.ascii=false] - Whether to write text instead of binary.
+ * @param {boolean} [options.zUp=false] - Whether to turn the model so Z is up.
+ * @returns {ArrayBuffer|string} The file.
+ * @private
+ */
+function writeSTL(parts, options) {
+    const triangles = [];
+    const convert = options.zUp ? p => vector(p.x, -p.z, p.y) : p => p;
+    parts.forEach(part => {
+        const { vertices, indices } = part.getWorldGeometry();
+        const point = i => convert(vector(
+            vertices[i * Shape.VERTEX_STRIDE], vertices[i * Shape.VERTEX_STRIDE + 1], vertices[i * Shape.VERTEX_STRIDE + 2]
+        ));
+        for (let i = 0; i < indices.length; i += 3) {
+            const corners = [point(indices[i]), point(indices[i + 1]), point(indices[i + 2])];
+            const normal = corners[1].sub(corners[0]).cross(corners[2].sub(corners[0])).unit();
+            triangles.push({ normal, corners });
+        }
+    });
+    
+    if (options.ascii) {
+        const format = v => v.x + ' ' + v.y + ' ' + v.z;
+        const lines = ['solid webthreedee'];
+        triangles.forEach(({ normal, corners }) => {
+            lines.push('  facet normal ' + format(normal), '    outer loop');
+            corners.forEach(corner => lines.push('      vertex ' + format(corner)));
+            lines.push('    endloop', '  endfacet');
+        });
+        lines.push('endsolid webthreedee');
+        return lines.join('\n') + '\n';
     }
+    
+    // 80 byte header, triangle count, then 50 bytes per triangle
+    const file = new ArrayBuffer(84 + triangles.length * 50);
+    const view = new DataView(file);
+    new Uint8Array(file).set(new TextEncoder().encode('Exported by webthreedee'));
+    view.setUint32(80, triangles.length, true);
+    triangles.forEach(({ normal, corners }, i) => {
+        let offset = 84 + i * 50;
+        [normal, ...corners].forEach(v => {
+            view.setFloat32(offset, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        });
+    });
+    return file;
 }
 
 /**
@@ -815,6 +11628,55 @@ const mat4 = {
         ]);
     },
     
+    copy(out, a) {
+        for (let i = 0; i < 16; i++) {
+            out[i] = a[i];
+        }
+        return out;
+    },
+    
+    fromRotationTranslation(out, q, v) {
+        const x = q.x, y = q.y, z = q.z, w = q.w;
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+        
+        out[0] = 1 - (yy + zz);
+        out[1] = xy + wz;
+        out[2] = xz - wy;
+        out[3] = 0;
+        out[4] = xy - wz;
+        out[5] = 1 - (xx + zz);
+        out[6] = yz + wx;
+        out[7] = 0;
+        out[8] = xz + wy;
+        out[9] = yz - wx;
+        out[10] = 1 - (xx + yy);
+        out[11] = 0;
+        out[12] = v[0];
+        out[13] = v[1];
+        out[14] = v[2];
+        out[15] = 1;
+        return out;
+    },
+    
+    multiply(out, a, b) {
+        const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+        const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+        const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+        const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+        
+        for (let i = 0; i < 16; i += 4) {
+            const b0 = b[i], b1 = b[i + 1], b2 = b[i + 2], b3 = b[i + 3];
+            out[i] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
+            out[i + 1] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
+            out[i + 2] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
+            out[i + 3] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
+        }
+        return out;
+    },
+    
     translate(out, a, v) {
         out[12] = a[0] * v[0] + a[4] * v[1] + a[8] * v[2] + a[12];
         out[13] = a[1] * v[0] + a[5] * v[1] + a[9] * v[2] + a[13];
@@ -918,6 +11780,41 @@ const mat4 = {
         return out;
     },
     
+    transformPoint(m, v) {
+        const x = v.x, y = v.y, z = v.z;
+        const w = m[3] * x + m[7] * y + m[11] * z + m[15] || 1;
+        return new Vector(
+            (m[0] * x + m[4] * y + m[8] * z + m[12]) / w,
+            (m[1] * x + m[5] * y + m[9] * z + m[13]) / w,
+            (m[2] * x + m[6] * y + m[10] * z + m[14]) / w
+        );
+    },
+    
+    transformDirection(m, v) {
+        const x = v.x, y = v.y, z = v.z;
+        return new Vector(
+            m[0] * x + m[4] * y + m[8] * z,
+            m[1] * x + m[5] * y + m[9] * z,
+            m[2] * x + m[6] * y + m[10] * z
+        );
+    },
+    
+    ortho(out, left, right, bottom, top, near, far) {
+        const lr = 1 / (left - right);
+        const bt = 1 / (bottom - top);
+        const nf = 1 / (near - far);
+        
+        out.fill(0);
+        out[0] = -2 * lr;
+        out[5] = -2 * bt;
+        out[10] = 2 * nf;
+        out[12] = (left + right) * lr;
+        out[13] = (top + bottom) * bt;
+        out[14] = (far + near) * nf;
+        out[15] = 1;
+        return out;
+    },
+    
     invert(out, a) {
         const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
         const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
@@ -1004,10 +11901,62 @@ const mat4 = {
     }
 };
 
+/**
+ * Whether to create the global `webthreedee` instance on a canvas with the id
+ * "canvas" once the page loads. Set this to false before DOMContentLoaded to
+ * create instances yourself.
+ * @type {boolean}
+ */
+WebThreeDee.autoInit = true;
+
 // Global instance
 let webthreedee;
 
 // Initialize when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    webthreedee = new WebThreeDee('canvas');
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (WebThreeDee.autoInit && document.getElementById('canvas')) {
+            webthreedee = new WebThreeDee('canvas');
+        }
+    });
+}
+
+// Allow use from Node (e.g. tests against headless-gl) and bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WebThreeDee,
+        PartsService,
+        MaterialService,
+        Material,
+        PBRMaterial,
+        Texture,
+        PostProcessingService,
+        PostProcessPass,
+        EnvironmentMap,
+        ReflectionProbe,
+        LightingService,
+        Light,
+        PhysicsService,
+        Constraint,
+        TweenService,
+        Tween,
+        Animation,
+        Signal,
+        Connection,
+        Instance,
+        Model,
+        Shape,
+        Camera,
+        CameraController,
+        OrbitController,
+        FlyController,
+        FollowController,
+        ScriptedController,
+        InputService,
+        Vector,
+        vector,
+        Quaternion,
+        CFrame,
+        mat4
+    };
+}